@@ -0,0 +1,10 @@
+#!/usr/bin/env node
+/**
+ * schemalens command-line entry point (see src/cli.js)
+ */
+
+const { runCli } = require('../src/cli');
+
+runCli(process.argv.slice(2)).then((exitCode) => {
+  process.exitCode = exitCode;
+});
@@ -0,0 +1,33 @@
+/**
+ * Worker thread entry point for analyzing a SQL dump file
+ * Runs the streaming analysis off the main process and reports back with messages:
+ * { type: 'progress', progress }, { type: 'complete', analysis },
+ * { type: 'cancelled' } or { type: 'error', message }
+ */
+
+const { parentPort, workerData } = require('worker_threads');
+const { analyzeSqlFile } = require('./streamAnalysis');
+
+const controller = new AbortController();
+
+parentPort.on('message', (message) => {
+  if (message && message.type === 'cancel') {
+    controller.abort();
+  }
+});
+
+analyzeSqlFile(workerData.filePath, {
+  dialect: workerData.dialect,
+  signal: controller.signal,
+  onProgress: (progress) => parentPort.postMessage({ type: 'progress', progress })
+})
+  .then((analysis) => {
+    parentPort.postMessage({ type: 'complete', analysis });
+  })
+  .catch((error) => {
+    if (error.name === 'AbortError') {
+      parentPort.postMessage({ type: 'cancelled' });
+    } else {
+      parentPort.postMessage({ type: 'error', message: error.message });
+    }
+  });
@@ -1,29 +1,136 @@
 /**
  * Analyzer module for processing SQL AST from node-sql-parser
  * Extracts database structure information and returns a clean summary
+ * Schema-changing statements (ALTER TABLE, DROP, RENAME, CREATE INDEX, TRUNCATE)
+ * are replayed in order, so the summary reflects the schema at the end of the script.
+ * Views, routines, triggers and types arrive as schema_object nodes from parseStatement.
  */
 
+const { Parser } = require('node-sql-parser');
+const { DEFAULT_DIALECT } = require('./dialect');
+const { extractInsertRows } = require('./insertValues');
+const { createColumnProfiler } = require('./dataProfile');
+const { createIntegrityChecker } = require('./integrityCheck');
+const { computeTableOrder } = require('./dependencyGraph');
+
+// Parser instance used only to turn expression nodes (defaults, checks) back into SQL text
+const expressionParser = new Parser();
+
 /**
  * Analyzes SQL AST and extracts structured information
  * @param {Array|Object} ast - The AST from node-sql-parser
+ * @param {Object} [options] - Analysis options
+ * @param {String} [options.dialect] - node-sql-parser database the AST was parsed with
+ * @param {Array} [options.locations] - { line, statement } of each AST node in the dump (see parseSqlContent)
  * @returns {Object} Structured summary of the SQL database
  */
-function analyzeSqlAst(ast) {
+function analyzeSqlAst(ast, options = {}) {
+  const analyzer = createAnalyzer(options);
+  const locations = options.locations || [];
+
+  // Ensure ast is an array for consistent processing
+  const statements = Array.isArray(ast) ? ast : [ast];
+  statements.forEach((statement, index) => analyzer.addStatement(statement, locations[index]));
+
+  return analyzer.getResult();
+}
+
+/**
+ * Creates an incremental analyzer that accepts statements one at a time,
+ * so that large dumps can be analyzed without holding the whole AST in memory
+ * @param {Object} [options] - Analysis options (see analyzeSqlAst)
+ * @returns {Object} Analyzer with addStatement(statement), addTable(table), getResult() and getTableCount()
+ */
+function createAnalyzer(options = {}) {
+  const dialect = options.dialect || DEFAULT_DIALECT;
   const result = {
     databaseName: null,
+    dialect: dialect,
     totalTables: 0,
-    tables: []
+    tables: [],
+    views: [],
+    routines: [],
+    triggers: [],
+    types: []
   };
 
-  // Ensure ast is an array for consistent processing
-  const statements = Array.isArray(ast) ? ast : [ast];
-  
   // Track tables to avoid duplicates and count inserts
   const tableMap = new Map();
 
-  statements.forEach(statement => {
+  // Views, routines, triggers and types keyed by object type and name, in creation order
+  const schemaObjects = new Map();
+
+  // Column profilers of the inserted data, keyed by table object and then column name
+  const profilers = new Map();
+
+  // Orphan rows, duplicate keys and NOT NULL violations in the inserted data
+  const integrityChecker = createIntegrityChecker();
+
+  /**
+   * Feeds the rows of an INSERT statement to the column profilers of its table
+   */
+  function profileRows(tableInfo, columns, rows) {
+    if (!profilers.has(tableInfo)) profilers.set(tableInfo, new Map());
+    const tableProfilers = profilers.get(tableInfo);
+    const columnsByName = new Map(tableInfo.columns.map(column => [column.columnName, column]));
+
+    const targets = columns.map(columnName => {
+      const column = columnsByName.get(columnName);
+      if (!column) return null;
+      if (!tableProfilers.has(columnName)) tableProfilers.set(columnName, createColumnProfiler(column.dataType));
+      return tableProfilers.get(columnName);
+    });
+
+    rows.forEach(row => {
+      targets.forEach((profiler, index) => {
+        if (profiler) profiler.add(row[index]);
+      });
+    });
+  }
+
+  /**
+   * Renames a table in place (keeping its position) and repoints foreign keys at it
+   */
+  function renameTable(fromName, toName) {
+    if (!toName || !tableMap.has(fromName) || tableMap.has(toName)) return;
+
+    const entries = Array.from(tableMap.entries());
+    tableMap.clear();
+    entries.forEach(([name, table]) => tableMap.set(name === fromName ? toName : name, table));
+    tableMap.get(toName).tableName = toName;
+
+    schemaObjects.forEach(object => {
+      if (object.objectType === 'TRIGGER' && object.table === fromName) {
+        object.table = toName;
+      }
+    });
+
+    tableMap.forEach(table => {
+      table.constraints.forEach(constraint => {
+        if (constraint.type === 'FOREIGN KEY' && constraint.referencedTable === fromName) {
+          constraint.referencedTable = toName;
+        }
+      });
+      table.columns.forEach(column => {
+        if (column.foreignKey && column.foreignKey.table === fromName) {
+          column.foreignKey.table = toName;
+        }
+      });
+    });
+  }
+
+  /**
+   * Applies one parsed statement to the model
+   * @param {Object} statement - Statement AST node
+   * @param {Object} [location] - { line, statement } of the statement in the dump, used in integrity findings
+   */
+  function addStatement(statement, location = { line: null, statement: null }) {
     if (!statement || typeof statement !== 'object') return;
 
+    if (statement.type !== 'insert' && statement.type !== 'copy') {
+      integrityChecker.schemaChanged();
+    }
+
     switch (statement.type) {
       case 'use':
         // Extract database name from USE statement - it's directly in statement.db
@@ -37,13 +144,113 @@ function analyzeSqlAst(ast) {
         if (statement.keyword === 'table' && statement.table) {
           const tableName = extractTableName(statement.table);
           if (tableName) {
+            const columns = extractColumns(statement.create_definitions, dialect);
+            const constraints = extractConstraints(statement.create_definitions, dialect);
+            applyConstraintsToColumns(columns, constraints);
             const tableInfo = {
               tableName: tableName,
-              columns: extractColumns(statement.create_definitions),
-              rowCount: 0
+              columns: columns,
+              constraints: constraints,
+              indexes: extractIndexes(statement.create_definitions),
+              rowCount: 0,
+              comment: extractTableComment(statement.table_options)
             };
             tableMap.set(tableName, tableInfo);
           }
+        } else if (statement.keyword === 'index' && statement.table) {
+          // Handle CREATE [UNIQUE] INDEX ... ON table (columns)
+          const tableInfo = tableMap.get(extractTableName(statement.table));
+          if (tableInfo) {
+            tableInfo.indexes.push({
+              indexName: extractIndexName(statement.index),
+              columns: extractColumnList(statement.index_columns),
+              unique: String(statement.index_type || '').toLowerCase() === 'unique'
+            });
+          }
+        }
+        break;
+
+      case 'alter':
+        // Handle ALTER TABLE statements by replaying each action in order
+        if (statement.table) {
+          let tableName = extractTableName(statement.table);
+          const actions = Array.isArray(statement.expr) ? statement.expr : [statement.expr];
+          actions.forEach(action => {
+            if (!action || !tableMap.has(tableName)) return;
+            if (action.resource === 'table' && action.action === 'rename') {
+              const newName = extractTableName(action.table);
+              renameTable(tableName, newName);
+              tableName = newName;
+            } else {
+              applyAlterAction(tableMap.get(tableName), action, dialect, Array.from(tableMap.values()));
+            }
+          });
+        }
+        break;
+
+      case 'drop':
+        // Handle DROP TABLE and DROP INDEX statements
+        if (statement.keyword === 'table') {
+          const names = Array.isArray(statement.name) ? statement.name : [statement.name];
+          names.forEach(name => {
+            const tableName = extractTableName(name);
+            tableMap.delete(tableName);
+            // Triggers are dropped with their table
+            schemaObjects.forEach((object, key) => {
+              if (object.objectType === 'TRIGGER' && object.table === tableName) {
+                schemaObjects.delete(key);
+              }
+            });
+          });
+        } else if (statement.keyword === 'index') {
+          const indexName = extractColumnName({ column: statement.name });
+          // MySQL and SQL Server name the table; PostgreSQL and SQLite index names are schema-wide
+          const tables = statement.table
+            ? [tableMap.get(extractTableName(statement.table))].filter(Boolean)
+            : Array.from(tableMap.values());
+          tables.forEach(table => dropIndexOrKey(table, indexName));
+        }
+        break;
+
+      case 'schema_object':
+        // CREATE [OR REPLACE] replaces an object of the same type and name; DROP removes it
+        if (statement.action === 'create') {
+          schemaObjects.set(schemaObjectKey(statement.object.objectType, statement.object.name), statement.object);
+        } else if (statement.action === 'drop') {
+          statement.names.forEach(name => {
+            // DROP PROCEDURE and DROP FUNCTION name the routine type; PostgreSQL procedures are functions too
+            const objectTypes = statement.objectType === 'FUNCTION' || statement.objectType === 'PROCEDURE'
+              ? ['FUNCTION', 'PROCEDURE']
+              : [statement.objectType];
+            const objectType = objectTypes.find(type => schemaObjects.has(schemaObjectKey(type, name)));
+            if (objectType) schemaObjects.delete(schemaObjectKey(objectType, name));
+          });
+        }
+        break;
+
+      case 'rename':
+        // Handle RENAME TABLE a TO b[, c TO d]
+        if (Array.isArray(statement.table)) {
+          statement.table.forEach(pair => {
+            if (Array.isArray(pair) && pair.length === 2) {
+              renameTable(extractTableName(pair[0]), extractTableName(pair[1]));
+            }
+          });
+        }
+        break;
+
+      case 'truncate':
+        // Handle TRUNCATE TABLE by discarding the rows counted so far
+        if (statement.name) {
+          const names = Array.isArray(statement.name) ? statement.name : [statement.name];
+          names.forEach(name => {
+            const tableInfo = tableMap.get(extractTableName(name));
+            if (tableInfo) {
+              tableInfo.rowCount = 0;
+              profilers.delete(tableInfo);
+              integrityChecker.resetTable(tableInfo);
+            }
+          });
         }
         break;
 
@@ -59,17 +266,124 @@ function analyzeSqlAst(ast) {
             } else {
               tableInfo.rowCount += 1; // Single insert
             }
+
+            const { columns, rows } = extractInsertRows(statement, tableInfo.columns);
+            profileRows(tableInfo, columns, rows);
+            integrityChecker.addRows(tableInfo, columns, rows, location, tableMap);
           }
         }
         break;
+
+      case 'copy': {
+        // Handle COPY ... FROM stdin data (see parseSql.js), whose rows count like inserted ones
+        const tableInfo = tableMap.get(statement.table);
+        if (tableInfo) {
+          tableInfo.rowCount += statement.rows.length;
+          const columns = statement.columns || tableInfo.columns.map(column => column.columnName);
+          profileRows(tableInfo, columns, statement.rows);
+          integrityChecker.addRows(tableInfo, columns, statement.rows, location, tableMap);
+        }
+        break;
+      }
     }
-  });
+  }
 
-  // Convert map to array and update totals
-  result.tables = Array.from(tableMap.values());
-  result.totalTables = result.tables.length;
+  /**
+   * Adds a table read from a live database catalog instead of a CREATE TABLE statement;
+   * the primary key, UNIQUE and foreign key flags of its columns are set from its constraints
+   * @param {Object} table - Table object { tableName, columns, constraints, indexes, rowCount }
+   */
+  function addTable(table) {
+    integrityChecker.schemaChanged();
+    applyConstraintsToColumns(table.columns, table.constraints);
+    tableMap.set(table.tableName, table);
+  }
+
+  function getResult() {
+    // Convert map to array and update totals
+    result.tables = Array.from(tableMap.values());
+    result.totalTables = result.tables.length;
+
+    // Attach a data profile for every column (empty counts for columns that received no data)
+    result.tables.forEach(table => {
+      const tableProfilers = profilers.get(table) || new Map();
+      table.dataProfile = table.columns.map(column => ({
+        columnName: column.columnName,
+        ...(tableProfilers.get(column.columnName) || createColumnProfiler(column.dataType)).getProfile()
+      }));
+    });
 
-  return result;
+    result.integrity = integrityChecker.getReport(result.tables);
+    result.tableOrder = computeTableOrder(result.tables);
+
+    // Group the other schema objects and resolve what they depend on against the final schema
+    const viewNames = new Set(Array.from(schemaObjects.values())
+      .filter(object => object.objectType === 'VIEW')
+      .map(view => view.name));
+    const objects = Array.from(schemaObjects.values()).map(({ references, ...object }) => ({
+      ...object,
+      dependencies: resolveDependencies(object, references, tableMap, viewNames)
+    }));
+    result.views = objects.filter(object => object.objectType === 'VIEW');
+    result.routines = objects.filter(object => object.objectType === 'PROCEDURE' || object.objectType === 'FUNCTION');
+    result.triggers = objects.filter(object => object.objectType === 'TRIGGER');
+    result.types = objects.filter(object => object.objectType === 'TYPE');
+
+    return result;
+  }
+
+  function getTableCount() {
+    return tableMap.size;
+  }
+
+  return {
+    addStatement,
+    addTable,
+    getResult,
+    getTableCount
+  };
+}
+
+function schemaObjectKey(objectType, name) {
+  return `${objectType}:${name}`;
+}
+
+/**
+ * Resolves the raw table and column references of a view, routine or trigger
+ * Tables are kept when they are tables or views of the schema; columns are attached to their table:
+ * NEW/OLD refer to the trigger's table and an unqualified column to the only referenced table that has it
+ * @param {Object} object - View, routine or trigger
+ * @param {Object} references - { tables, columns } found in its definition by schemaObjects.js
+ * @param {Map} tableMap - Tables by name
+ * @param {Set} viewNames - Names of all views (views can depend on other views)
+ * @returns {Object} { tables: [name], columns: [{ table, column }] }
+ */
+function resolveDependencies(object, references, tableMap, viewNames) {
+  const isKnown = (name) => name !== object.name && (tableMap.has(name) || viewNames.has(name));
+
+  const tables = references.tables.filter(isKnown);
+  if (object.objectType === 'TRIGGER' && object.table && isKnown(object.table) && !tables.includes(object.table)) {
+    tables.unshift(object.table);
+  }
+
+  const columns = [];
+  references.columns.forEach(({ table, column }) => {
+    let tableName = table;
+    if (object.objectType === 'TRIGGER' && table && /^(NEW|OLD)$/i.test(table)) {
+      tableName = object.table;
+    } else if (table === null) {
+      const candidates = tables.filter(name => tableMap.has(name) && tableMap.get(name).columns.some(c => c.columnName === column));
+      tableName = candidates.length === 1 ? candidates[0] : null;
+    }
+
+    const tableInfo = tableMap.get(tableName);
+    if (!tableInfo || !tableInfo.columns.some(c => c.columnName === column)) return;
+    if (!columns.some(entry => entry.table === tableName && entry.column === column)) {
+      columns.push({ table: tableName, column });
+    }
+  });
+
+  return { tables, columns };
 }
 
 /**
@@ -107,9 +421,10 @@ function extractTableName(tableRef) {
 /**
  * Extracts column information from CREATE TABLE definitions
  * @param {Array} definitions - Column definitions from AST
+ * @param {String} dialect - node-sql-parser database used to render expressions
  * @returns {Array} Array of column objects
  */
-function extractColumns(definitions) {
+function extractColumns(definitions, dialect) {
   if (!Array.isArray(definitions)) {
     return [];
   }
@@ -117,14 +432,477 @@ function extractColumns(definitions) {
   return definitions
     .filter(def => def && def.resource === 'column')
     .map(def => {
+      const primaryKey = Boolean(def.primary_key);
+      const dataType = buildDataType(def.definition);
       const column = {
         columnName: extractColumnName(def),
-        dataType: buildDataType(def.definition)
+        dataType: dataType,
+        enumValues: extractEnumValues(def.definition),
+        // Primary key columns are implicitly NOT NULL
+        nullable: primaryKey ? false : !(def.nullable && def.nullable.type === 'not null'),
+        defaultValue: extractDefaultValue(def.default_val, dialect),
+        // PostgreSQL SERIAL types are auto-incrementing integers
+        autoIncrement: Boolean(def.auto_increment) || /^(SMALL|BIG)?SERIAL$/.test(dataType),
+        unique: Boolean(def.unique),
+        primaryKey: primaryKey,
+        foreignKey: null,
+        comment: extractComment(def.comment)
       };
       return column;
     });
 }
 
+/**
+ * Extracts table-level constraints (and inline CHECK clauses) from CREATE TABLE definitions
+ * @param {Array} definitions - Column and constraint definitions from AST
+ * @param {String} dialect - node-sql-parser database used to render expressions
+ * @returns {Array} Array of constraint objects
+ */
+function extractConstraints(definitions, dialect) {
+  if (!Array.isArray(definitions)) {
+    return [];
+  }
+
+  const constraints = [];
+
+  definitions.forEach(def => {
+    if (!def) return;
+
+    // Inline CHECK / REFERENCES on a column definition, e.g. `qty INT CHECK (qty > 0)`
+    if (def.resource === 'column') {
+      if (def.check) {
+        constraints.push(buildCheckConstraint(def.check, dialect));
+      }
+      if (def.reference_definition) {
+        constraints.push(buildForeignKeyConstraint(null, [extractColumnName(def)], def.reference_definition));
+      }
+      return;
+    }
+
+    if (def.resource !== 'constraint' || typeof def.constraint_type !== 'string') return;
+
+    const constraintType = def.constraint_type.toLowerCase();
+    const name = def.constraint || def.index || null;
+
+    if (constraintType === 'primary key') {
+      constraints.push({
+        type: 'PRIMARY KEY',
+        name: name,
+        columns: extractColumnList(def.definition)
+      });
+    } else if (constraintType.startsWith('unique')) {
+      constraints.push({
+        type: 'UNIQUE',
+        name: name,
+        columns: extractColumnList(def.definition)
+      });
+    } else if (constraintType === 'foreign key') {
+      constraints.push(buildForeignKeyConstraint(name, extractColumnList(def.definition), def.reference_definition));
+    } else if (constraintType === 'check') {
+      constraints.push(buildCheckConstraint(def, dialect));
+    }
+  });
+
+  return constraints;
+}
+
+/**
+ * Extracts plain (non-constraint) indexes such as KEY / INDEX / FULLTEXT KEY from CREATE TABLE definitions
+ * @param {Array} definitions - Column and constraint definitions from AST
+ * @returns {Array} Array of index objects { indexName, columns, unique }
+ */
+function extractIndexes(definitions) {
+  if (!Array.isArray(definitions)) {
+    return [];
+  }
+
+  return definitions
+    .filter(def => def && def.resource === 'index')
+    .map(buildIndex);
+}
+
+/**
+ * Builds an index object from a KEY / INDEX definition node
+ * @param {Object} def - Index definition node (CREATE TABLE or ALTER TABLE ADD)
+ * @returns {Object} Index object { indexName, columns, unique }
+ */
+function buildIndex(def) {
+  return {
+    indexName: def.index || null,
+    columns: extractColumnList(def.definition),
+    unique: false
+  };
+}
+
+/**
+ * Extracts an index name, which SQLite wraps as { schema, name }
+ * @param {String|Object} index - index node from CREATE INDEX
+ * @returns {String|null} Index name
+ */
+function extractIndexName(index) {
+  if (typeof index === 'string') {
+    return index;
+  }
+  return index && typeof index.name === 'string' ? index.name : null;
+}
+
+/**
+ * Applies one ALTER TABLE action to a table
+ * @param {Object} table - Table object being altered
+ * @param {Object} action - Entry of the ALTER statement's expr list
+ * @param {String} dialect - node-sql-parser database used to render expressions
+ * @param {Array} tables - All tables, for updating foreign keys when a column is renamed
+ */
+function applyAlterAction(table, action, dialect, tables) {
+  const verb = String(action.action || '').toLowerCase();
+
+  if (action.resource === 'column') {
+    const columnName = extractColumnName(action);
+
+    if (verb === 'add') {
+      const column = extractColumns([action], dialect)[0];
+      const constraints = extractConstraints([action], dialect);
+      insertColumn(table.columns, column, action.suffix);
+      table.constraints.push(...constraints);
+      applyConstraintsToColumns(table.columns, constraints);
+    } else if (verb === 'drop') {
+      dropColumn(table, columnName);
+    } else if (verb === 'modify' || verb === 'change') {
+      // CHANGE also renames: old_column is the current name, column the new one
+      const oldName = verb === 'change' ? extractColumnName({ column: action.old_column }) : columnName;
+      const index = table.columns.findIndex(column => column.columnName === oldName);
+      if (index === -1) return;
+
+      if (oldName !== columnName) {
+        renameColumn(table, oldName, columnName, tables);
+      }
+      table.columns[index] = redefineColumn(table.columns[index], extractColumns([action], dialect)[0]);
+      const constraints = extractConstraints([action], dialect);
+      table.constraints.push(...constraints);
+      applyConstraintsToColumns(table.columns, constraints);
+      if (action.suffix) {
+        const [column] = table.columns.splice(index, 1);
+        insertColumn(table.columns, column, action.suffix);
+      }
+    } else if (verb === 'rename') {
+      renameColumn(table, extractColumnName({ column: action.old_column }), columnName, tables);
+    } else if (verb === 'alter') {
+      alterColumn(table.columns.find(column => column.columnName === columnName), action, dialect);
+    }
+    return;
+  }
+
+  if (verb === 'add' && action.resource === 'constraint' && action.create_definitions) {
+    const constraints = extractConstraints([action.create_definitions], dialect);
+    table.constraints.push(...constraints);
+    applyConstraintsToColumns(table.columns, constraints);
+  } else if (verb === 'add' && action.resource === 'index') {
+    table.indexes.push(buildIndex(action));
+  } else if (verb === 'drop' && action.resource === 'index') {
+    dropIndexOrKey(table, action.index);
+  } else if (verb === 'drop' && action.resource === 'key') {
+    const keyword = String(action.keyword || '').toLowerCase();
+    if (keyword === 'primary key') {
+      removeConstraints(table, constraint => constraint.type === 'PRIMARY KEY');
+      table.columns.forEach(column => { column.primaryKey = false; });
+    } else if (keyword === 'foreign key') {
+      removeConstraints(table, constraint => constraint.type === 'FOREIGN KEY' && constraint.name === action.key);
+    } else {
+      dropIndexOrKey(table, action.key);
+    }
+  } else if (verb === 'drop' && action.resource === 'constraint') {
+    removeConstraints(table, constraint => constraint.name === action.constraint);
+  }
+}
+
+/**
+ * Inserts a column honouring MySQL's FIRST / AFTER column placement
+ * @param {Array} columns - Table columns (modified in place)
+ * @param {Object} column - Column to insert
+ * @param {Object|null} placement - suffix node of the ALTER action
+ */
+function insertColumn(columns, column, placement) {
+  const keyword = placement && String(placement.keyword || '').toUpperCase();
+  if (keyword === 'FIRST') {
+    columns.unshift(column);
+    return;
+  }
+  if (keyword === 'AFTER') {
+    const after = columns.findIndex(existing => existing.columnName === extractColumnName({ column: placement.expr }));
+    if (after !== -1) {
+      columns.splice(after + 1, 0, column);
+      return;
+    }
+  }
+  columns.push(column);
+}
+
+/**
+ * Combines a column's new definition (MODIFY / CHANGE) with the keys it already had,
+ * since redefining a column does not drop the indexes and foreign keys on it
+ */
+function redefineColumn(oldColumn, newColumn) {
+  const primaryKey = newColumn.primaryKey || oldColumn.primaryKey;
+  return {
+    ...newColumn,
+    nullable: primaryKey ? false : newColumn.nullable,
+    unique: newColumn.unique || oldColumn.unique,
+    primaryKey: primaryKey,
+    foreignKey: oldColumn.foreignKey
+  };
+}
+
+/**
+ * Applies an ALTER COLUMN action (PostgreSQL / SQL Server style) to a column
+ * @param {Object|undefined} column - Column being altered
+ * @param {Object} action - ALTER COLUMN action node
+ * @param {String} dialect - node-sql-parser database used to render expressions
+ */
+function alterColumn(column, action, dialect) {
+  if (!column) return;
+
+  if (action.definition) {
+    column.dataType = buildDataType(action.definition);
+    column.enumValues = extractEnumValues(action.definition);
+  }
+  if (action.nullable) {
+    const notNull = action.nullable.type === 'not null';
+    // SET NOT NULL / DROP NOT NULL in PostgreSQL; a plain [NOT] NULL in SQL Server
+    column.nullable = action.nullable.action === 'drop' ? notNull : !notNull;
+  }
+  if (action.default_val) {
+    if (action.default_val.type === 'drop default') {
+      column.defaultValue = null;
+    } else {
+      column.defaultValue = extractDefaultValue(action.default_val, dialect);
+      // pg_dump declares serial columns as a plain integer with a sequence default
+      if (/^nextval\(/i.test(column.defaultValue || '')) {
+        column.autoIncrement = true;
+      }
+    }
+  }
+}
+
+/**
+ * Removes a column along with the constraints and indexes left without columns
+ */
+function dropColumn(table, columnName) {
+  table.columns = table.columns.filter(column => column.columnName !== columnName);
+
+  table.constraints = table.constraints.filter(constraint => {
+    if (constraint.type === 'CHECK') return true;
+    constraint.columns = constraint.columns.filter(name => name !== columnName);
+    return constraint.columns.length > 0;
+  });
+  table.indexes = table.indexes.filter(index => {
+    index.columns = index.columns.filter(name => name !== columnName);
+    return index.columns.length > 0;
+  });
+}
+
+/**
+ * Renames a column in its table's constraints and indexes and in foreign keys pointing at it
+ */
+function renameColumn(table, fromName, toName, tables) {
+  const rename = name => (name === fromName ? toName : name);
+
+  table.columns.forEach(column => {
+    if (column.columnName === fromName) column.columnName = toName;
+  });
+  table.constraints.forEach(constraint => {
+    constraint.columns = constraint.columns.map(rename);
+  });
+  table.indexes.forEach(index => {
+    index.columns = index.columns.map(rename);
+  });
+
+  tables.forEach(other => {
+    other.constraints.forEach(constraint => {
+      if (constraint.type === 'FOREIGN KEY' && constraint.referencedTable === table.tableName) {
+        constraint.referencedColumns = constraint.referencedColumns.map(rename);
+      }
+    });
+    other.columns.forEach(column => {
+      if (column.foreignKey && column.foreignKey.table === table.tableName && column.foreignKey.column === fromName) {
+        column.foreignKey.column = toName;
+      }
+    });
+  });
+}
+
+/**
+ * Drops a named index, or the UNIQUE constraint of that name (MySQL treats both as keys)
+ */
+function dropIndexOrKey(table, name) {
+  if (!name) return;
+  table.indexes = table.indexes.filter(index => index.indexName !== name);
+  removeConstraints(table, constraint => constraint.type === 'UNIQUE' && constraint.name === name);
+}
+
+/**
+ * Removes the matching constraints and clears the column flags they set
+ * @param {Object} table - Table object
+ * @param {Function} predicate - Selects the constraints to remove
+ */
+function removeConstraints(table, predicate) {
+  const removed = table.constraints.filter(predicate);
+  if (removed.length === 0) return;
+  table.constraints = table.constraints.filter(constraint => !removed.includes(constraint));
+
+  const columnsByName = new Map(table.columns.map(column => [column.columnName, column]));
+  removed.forEach(constraint => {
+    constraint.columns.forEach(columnName => {
+      const column = columnsByName.get(columnName);
+      if (!column) return;
+
+      if (constraint.type === 'PRIMARY KEY') {
+        column.primaryKey = false;
+      } else if (constraint.type === 'UNIQUE' && constraint.columns.length === 1) {
+        column.unique = false;
+      } else if (constraint.type === 'FOREIGN KEY') {
+        column.foreignKey = null;
+      }
+    });
+  });
+
+  // Flags still backed by a remaining constraint are restored
+  applyConstraintsToColumns(table.columns, table.constraints);
+}
+
+/**
+ * Builds a FOREIGN KEY constraint object
+ * @param {String|null} name - Constraint name
+ * @param {Array} columns - Referencing column names
+ * @param {Object} reference - reference_definition node from AST
+ * @returns {Object} Constraint object
+ */
+function buildForeignKeyConstraint(name, columns, reference) {
+  const referenceDefinition = reference || {};
+  const actions = extractReferentialActions(referenceDefinition.on_action);
+  return {
+    type: 'FOREIGN KEY',
+    name: name,
+    columns: columns,
+    referencedTable: extractTableName(referenceDefinition.table),
+    referencedColumns: extractColumnList(referenceDefinition.definition),
+    onDelete: actions.onDelete,
+    onUpdate: actions.onUpdate
+  };
+}
+
+/**
+ * Builds a CHECK constraint object from its AST node
+ * @param {Object} check - CHECK constraint node
+ * @param {String} dialect - node-sql-parser database used to render the expression
+ * @returns {Object} Constraint object
+ */
+function buildCheckConstraint(check, dialect) {
+  const expressions = Array.isArray(check.definition) ? check.definition : [check.definition];
+  return {
+    type: 'CHECK',
+    name: check.constraint || null,
+    columns: [],
+    expression: expressions.filter(Boolean).map(expr => expressionToSql(expr, dialect)).join(' AND ')
+  };
+}
+
+/**
+ * Copies table-level constraint information onto the matching column objects
+ * so that composite primary keys, UNIQUE keys and foreign keys are visible per column
+ * @param {Array} columns - Column objects from extractColumns
+ * @param {Array} constraints - Constraint objects from extractConstraints
+ */
+function applyConstraintsToColumns(columns, constraints) {
+  const columnsByName = new Map(columns.map(column => [column.columnName, column]));
+
+  constraints.forEach(constraint => {
+    constraint.columns.forEach((columnName, index) => {
+      const column = columnsByName.get(columnName);
+      if (!column) return;
+
+      if (constraint.type === 'PRIMARY KEY') {
+        column.primaryKey = true;
+        column.nullable = false;
+      } else if (constraint.type === 'UNIQUE' && constraint.columns.length === 1) {
+        column.unique = true;
+      } else if (constraint.type === 'FOREIGN KEY') {
+        column.foreignKey = {
+          table: constraint.referencedTable,
+          column: constraint.referencedColumns[index] || null
+        };
+      }
+    });
+  });
+}
+
+/**
+ * Extracts plain column names from a list of column references
+ * @param {Array} definition - Column reference list from AST
+ * @returns {Array} Array of column name strings
+ */
+function extractColumnList(definition) {
+  if (!Array.isArray(definition)) {
+    return [];
+  }
+
+  return definition
+    .map(ref => extractColumnName({ column: ref }))
+    .filter(name => name !== 'unknown');
+}
+
+/**
+ * Extracts ON DELETE / ON UPDATE actions from a foreign key reference
+ * @param {Array} onActions - on_action list from the reference definition
+ * @returns {Object} Object with onDelete and onUpdate strings (or null)
+ */
+function extractReferentialActions(onActions) {
+  const actions = { onDelete: null, onUpdate: null };
+
+  if (!Array.isArray(onActions)) {
+    return actions;
+  }
+
+  onActions.forEach(action => {
+    if (!action || !action.value) return;
+    const value = String(action.value.value || action.value).toUpperCase();
+    if (action.type === 'on delete') {
+      actions.onDelete = value;
+    } else if (action.type === 'on update') {
+      actions.onUpdate = value;
+    }
+  });
+
+  return actions;
+}
+
+/**
+ * Extracts a column's DEFAULT value as SQL text
+ * @param {Object} defaultVal - default_val node from a column definition
+ * @param {String} dialect - node-sql-parser database used to render the expression
+ * @returns {String|null} Default value or null when none is declared
+ */
+function extractDefaultValue(defaultVal, dialect) {
+  if (!defaultVal || !defaultVal.value) {
+    return null;
+  }
+
+  return expressionToSql(defaultVal.value, dialect);
+}
+
+/**
+ * Converts an expression node back to SQL text
+ * @param {Object} expr - Expression node from AST
+ * @param {String} dialect - node-sql-parser database used for identifier quoting
+ * @returns {String} SQL text, or 'unknown' if the node cannot be rendered
+ */
+function expressionToSql(expr, dialect) {
+  try {
+    return expressionParser.exprToSQL(expr, { database: dialect || DEFAULT_DIALECT });
+  } catch (error) {
+    return 'unknown';
+  }
+}
+
 /**
  * Extracts the actual column name string from various AST formats
  * @param {Object} def - Column definition object
@@ -144,9 +922,54 @@ function extractColumnName(def) {
     return def.column.column.column;
   }
   
+  // PostgreSQL and SQLite wrap (quoted) identifiers as { expr: { value } }
+  if (def.column && def.column.column && def.column.column.expr && typeof def.column.column.expr.value === 'string') {
+    return def.column.column.expr.value;
+  }
+  
+  if (def.column && def.column.expr && typeof def.column.expr.value === 'string') {
+    return def.column.expr.value;
+  }
+  
   return 'unknown';
 }
 
+/**
+ * Extracts the text of a column's COMMENT clause
+ * @param {Object} comment - comment node from a column definition
+ * @returns {String|null} Comment text, or null when there is none
+ */
+function extractComment(comment) {
+  const value = comment && comment.value && comment.value.value;
+  return typeof value === 'string' ? value.replace(/''/g, "'") : null;
+}
+
+/**
+ * Extracts the COMMENT table option (MySQL `COMMENT='...'`), which the parser keeps quoted
+ * @param {Array} tableOptions - table_options list from CREATE TABLE
+ * @returns {String|null} Comment text, or null when there is none
+ */
+function extractTableComment(tableOptions) {
+  const option = Array.isArray(tableOptions) && tableOptions.find(entry => entry && String(entry.keyword).toLowerCase() === 'comment');
+  if (!option || typeof option.value !== 'string') {
+    return null;
+  }
+  return option.value.replace(/^'([\s\S]*)'$/, '$1').replace(/''/g, "'");
+}
+
+/**
+ * Extracts the allowed values of an ENUM or SET column
+ * @param {Object} definition - Column definition object
+ * @returns {Array|null} Values in declaration order, or null for other types
+ */
+function extractEnumValues(definition) {
+  const list = definition && definition.expr;
+  if (!list || list.type !== 'expr_list' || !Array.isArray(list.value)) {
+    return null;
+  }
+  return list.value.map(node => String(node.value));
+}
+
 /**
  * Builds data type string from column definition
  * @param {Object} definition - Column definition object
@@ -171,14 +994,14 @@ function buildDataType(definition) {
   // Extract length - try different possible paths
   if (definition.length !== undefined && definition.length !== null) {
     length = definition.length;
-  } else if (definition.dataType && definition.dataType.length !== undefined && definition.dataType.length !== null) {
+  } else if (definition.dataType && typeof definition.dataType === 'object' && definition.dataType.length !== undefined && definition.dataType.length !== null) {
     length = definition.dataType.length;
   }
 
   // Extract scale - try different possible paths
   if (definition.scale !== undefined && definition.scale !== null) {
     scale = definition.scale;
-  } else if (definition.dataType && definition.dataType.scale !== undefined && definition.dataType.scale !== null) {
+  } else if (definition.dataType && typeof definition.dataType === 'object' && definition.dataType.scale !== undefined && definition.dataType.scale !== null) {
     scale = definition.dataType.scale;
   }
 
@@ -197,5 +1020,6 @@ function buildDataType(definition) {
 }
 
 module.exports = {
-  analyzeSqlAst
+  analyzeSqlAst,
+  createAnalyzer
 };
@@ -0,0 +1,211 @@
+/**
+ * Data dictionary annotations
+ * Descriptions, owners, sensitivity tags and example values that users attach to tables and
+ * columns. They are kept apart from the analysis, keyed by table and column name, so that they
+ * survive a new analysis of the dump:
+ *
+ *   { "tables": { "customers": { "description": "People who placed an order", "owner": "crm",
+ *       "tags": ["pii"], "columns": { "email": { "tags": ["pii"], "examples": ["ann@example.com"] } } } } }
+ *
+ * A table or column without an annotated description is described by its COMMENT clause.
+ */
+
+// Tags offered in the editor; any other tag can be typed in
+const SENSITIVITY_TAGS = ['pii', 'sensitive', 'confidential', 'internal', 'public'];
+
+/**
+ * Validates annotations read from a file, dropping empty fields
+ * @param {Object} value - Parsed annotations
+ * @returns {Object} { tables } in the documented shape
+ * @throws {Error} When a field has the wrong type
+ */
+function normalizeAnnotations(value) {
+  if (value === null || value === undefined) return { tables: {} };
+  if (!isObject(value) || (value.tables !== undefined && !isObject(value.tables))) {
+    throw new Error('Invalid annotations: expected { "tables": { ... } }');
+  }
+
+  const tables = [];
+  Object.entries(value.tables || {}).forEach(([tableName, entry]) => {
+    // Example values only apply to columns
+    const { columns = {}, examples, ...fields } = checkEntry(entry, tableName);
+    if (!isObject(columns)) {
+      throw new Error(`Invalid annotations: columns of ${tableName} must be an object`);
+    }
+    const table = cleanFields(fields);
+    Object.entries(columns).forEach(([columnName, columnEntry]) => {
+      const column = cleanFields(checkEntry(columnEntry, `${tableName}.${columnName}`));
+      if (Object.keys(column).length > 0) {
+        table.columns = { ...table.columns, [columnName]: column };
+      }
+    });
+    if (Object.keys(table).length > 0) tables.push([tableName, table]);
+  });
+  // fromEntries defines own properties, even for tables named __proto__
+  return { tables: Object.fromEntries(tables) };
+}
+
+/**
+ * Documentation of a table: its annotation, described by the COMMENT clause when it has no description
+ * @param {Object} [annotations] - Annotations of the analysis
+ * @param {Object} table - Table from the analysis
+ * @returns {Object} { description, owner, tags } — description and owner may be null
+ */
+function resolveTableAnnotation(annotations, table) {
+  const entry = findTableEntry(annotations, table.tableName) || {};
+  return {
+    description: entry.description || table.comment || null,
+    owner: entry.owner || null,
+    tags: entry.tags || []
+  };
+}
+
+/**
+ * Documentation of a column, merged with its COMMENT clause like resolveTableAnnotation
+ * @returns {Object} { description, owner, tags, examples }
+ */
+function resolveColumnAnnotation(annotations, table, column) {
+  const tableEntry = findTableEntry(annotations, table.tableName);
+  const entry = findColumnEntry(tableEntry, column.columnName) || {};
+  return {
+    description: entry.description || column.comment || null,
+    owner: entry.owner || null,
+    tags: entry.tags || [],
+    examples: entry.examples || []
+  };
+}
+
+/**
+ * Annotation of a table or column as stored, without the COMMENT fallback (for editing)
+ * @param {Object} [annotations] - Annotations of the analysis
+ * @param {String} tableName - Annotated table
+ * @param {String} [columnName] - Annotated column; the table itself when omitted
+ * @returns {Object} { description, owner, tags, examples } — missing texts are empty strings
+ */
+function getAnnotation(annotations, tableName, columnName = null) {
+  const tableEntry = findTableEntry(annotations, tableName) || {};
+  const entry = columnName ? findColumnEntry(tableEntry, columnName) || {} : tableEntry;
+  return {
+    description: entry.description || '',
+    owner: entry.owner || '',
+    tags: entry.tags || [],
+    examples: entry.examples || []
+  };
+}
+
+/**
+ * Whether a resolved annotation documents anything
+ */
+function isDocumented(resolved) {
+  return Boolean(resolved.description || resolved.owner || resolved.tags.length > 0 ||
+    (resolved.examples && resolved.examples.length > 0));
+}
+
+/**
+ * Replaces the annotation of a table (without touching its columns)
+ * @param {Object} annotations - Current annotations (not modified)
+ * @param {String} tableName - Annotated table
+ * @param {Object} fields - { description, owner, tags }
+ * @returns {Object} New annotations
+ */
+function setTableAnnotation(annotations, tableName, fields) {
+  const current = findTableEntry(annotations, tableName) || {};
+  const { examples, ...tableFields } = fields;
+  return replaceTableEntry(annotations, tableName, {
+    ...cleanFields(tableFields),
+    ...(current.columns ? { columns: current.columns } : {})
+  });
+}
+
+/**
+ * Replaces the annotation of a column
+ * @param {Object} annotations - Current annotations (not modified)
+ * @param {String} tableName - Table of the column
+ * @param {String} columnName - Annotated column
+ * @param {Object} fields - { description, owner, tags, examples }
+ * @returns {Object} New annotations
+ */
+function setColumnAnnotation(annotations, tableName, columnName, fields) {
+  const current = findTableEntry(annotations, tableName) || {};
+  const { [columnName]: previous, ...otherColumns } = current.columns || {};
+  const column = cleanFields(fields);
+  const columns = Object.keys(column).length > 0 ? { ...otherColumns, [columnName]: column } : otherColumns;
+
+  const { columns: previousColumns, ...tableFields } = current;
+  return replaceTableEntry(annotations, tableName, {
+    ...tableFields,
+    ...(Object.keys(columns).length > 0 ? { columns } : {})
+  });
+}
+
+/**
+ * Splits comma-separated tags as typed in the editor: trimmed, lower-cased and without duplicates
+ * @param {String} text - Such as "PII, finance"
+ * @returns {Array} Tags
+ */
+function parseTags(text) {
+  return Array.from(new Set(String(text || '').split(',').map(tag => tag.trim().toLowerCase()).filter(Boolean)));
+}
+
+// Own properties only, so that tables and columns named constructor or toString find no annotation
+function findTableEntry(annotations, tableName) {
+  const tables = annotations && annotations.tables;
+  return tables && Object.hasOwn(tables, tableName) ? tables[tableName] : null;
+}
+
+function findColumnEntry(tableEntry, columnName) {
+  const columns = tableEntry && tableEntry.columns;
+  return columns && Object.hasOwn(columns, columnName) ? columns[columnName] : null;
+}
+
+function replaceTableEntry(annotations, tableName, entry) {
+  const { [tableName]: previous, ...tables } = (annotations && annotations.tables) || {};
+  return { tables: Object.keys(entry).length > 0 ? { ...tables, [tableName]: entry } : tables };
+}
+
+function checkEntry(entry, location) {
+  if (!isObject(entry)) {
+    throw new Error(`Invalid annotations: ${location} must be an object`);
+  }
+  ['description', 'owner'].forEach(field => {
+    if (entry[field] !== undefined && entry[field] !== null && typeof entry[field] !== 'string') {
+      throw new Error(`Invalid annotations: ${field} of ${location} must be a string`);
+    }
+  });
+  ['tags', 'examples'].forEach(field => {
+    if (entry[field] !== undefined && !Array.isArray(entry[field])) {
+      throw new Error(`Invalid annotations: ${field} of ${location} must be a list`);
+    }
+  });
+  return entry;
+}
+
+/**
+ * Keeps the non-empty annotation fields: trimmed texts, normalized tags, examples as strings
+ */
+function cleanFields({ description, owner, tags, examples }) {
+  const fields = {};
+  if (description && description.trim()) fields.description = description.trim();
+  if (owner && owner.trim()) fields.owner = owner.trim();
+  const cleanTags = parseTags((tags || []).join(','));
+  if (cleanTags.length > 0) fields.tags = cleanTags;
+  const cleanExamples = (examples || []).map(example => String(example).trim()).filter(Boolean);
+  if (cleanExamples.length > 0) fields.examples = cleanExamples;
+  return fields;
+}
+
+function isObject(value) {
+  return Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+}
+
+module.exports = {
+  SENSITIVITY_TAGS,
+  normalizeAnnotations,
+  resolveTableAnnotation,
+  resolveColumnAnnotation,
+  getAnnotation,
+  isDocumented,
+  setTableAnnotation,
+  setColumnAnnotation,
+  parseTags
+};
@@ -0,0 +1,151 @@
+/**
+ * "Dictionary" tab of the table details for the renderer
+ * Edits the annotations of a table and of its columns: description, owner, sensitivity tags and,
+ * for columns, example values. A description left empty falls back to the COMMENT clause, which
+ * the field shows as its placeholder.
+ */
+
+import { SENSITIVITY_TAGS, getAnnotation, parseTags, setColumnAnnotation, setTableAnnotation } from './annotations';
+
+const TAGS_PLACEHOLDER = `Tags, e.g. ${SENSITIVITY_TAGS.join(', ')}`;
+
+/**
+ * Renders the annotation editor of a table into the given container
+ * @param {HTMLElement} container - Element to render into (its content is replaced)
+ * @param {Object} annotations - Current annotations of the analysis
+ * @param {Object} table - Table object from the analysis
+ * @param {Object} options - { onSave(annotations) } — stores the edited annotations and resolves
+ *   to { success, message }
+ */
+export function renderAnnotationEditor(container, annotations, table, { onSave }) {
+  container.innerHTML = '';
+
+  const form = document.createElement('form');
+  form.className = 'annotation-editor';
+
+  const tableFields = buildTableFields(getAnnotation(annotations, table.tableName), table.comment);
+  form.appendChild(tableFields.element);
+
+  const columnsTitle = document.createElement('h4');
+  columnsTitle.textContent = 'Columns';
+  form.appendChild(columnsTitle);
+
+  const columnTable = document.createElement('table');
+  columnTable.className = 'annotation-columns';
+  const head = columnTable.createTHead().insertRow();
+  ['Column', 'Description', 'Owner', 'Tags', 'Examples'].forEach(label => {
+    const cell = document.createElement('th');
+    cell.textContent = label;
+    head.appendChild(cell);
+  });
+  const body = columnTable.createTBody();
+  const columnFields = table.columns.map(column => {
+    const fields = buildColumnRow(getAnnotation(annotations, table.tableName, column.columnName), column);
+    body.appendChild(fields.element);
+    return { column, read: fields.read };
+  });
+  form.appendChild(columnTable);
+
+  const actions = document.createElement('div');
+  actions.className = 'annotation-actions';
+  const saveButton = document.createElement('button');
+  saveButton.type = 'submit';
+  saveButton.textContent = 'Save Annotations';
+  const status = document.createElement('span');
+  status.className = 'annotation-status';
+  actions.appendChild(saveButton);
+  actions.appendChild(status);
+  form.appendChild(actions);
+
+  form.addEventListener('submit', async (event) => {
+    event.preventDefault();
+    let edited = setTableAnnotation(annotations, table.tableName, tableFields.read());
+    columnFields.forEach(({ column, read }) => {
+      edited = setColumnAnnotation(edited, table.tableName, column.columnName, read());
+    });
+
+    saveButton.disabled = true;
+    status.classList.remove('error');
+    status.textContent = 'Saving…';
+    const result = await onSave(edited);
+    saveButton.disabled = false;
+    if (result.success) {
+      annotations = edited;
+      status.textContent = 'Saved';
+    } else {
+      status.classList.add('error');
+      status.textContent = `Not saved: ${result.message}`;
+    }
+  });
+
+  container.appendChild(form);
+}
+
+function buildTableFields(annotation, comment) {
+  const element = document.createElement('div');
+  element.className = 'annotation-table';
+
+  const description = document.createElement('textarea');
+  description.rows = 3;
+  description.value = annotation.description;
+  description.placeholder = comment || 'Description of the table';
+  element.appendChild(labelField('Description', description));
+
+  const owner = createInput(annotation.owner, 'Team or person responsible');
+  element.appendChild(labelField('Owner', owner));
+
+  const tags = createInput(annotation.tags.join(', '), TAGS_PLACEHOLDER);
+  element.appendChild(labelField('Tags', tags));
+
+  return {
+    element,
+    read: () => ({ description: description.value, owner: owner.value, tags: parseTags(tags.value) })
+  };
+}
+
+function buildColumnRow(annotation, column) {
+  const element = document.createElement('tr');
+
+  const name = element.insertCell();
+  name.textContent = column.columnName;
+  name.title = column.dataType;
+
+  const description = createInput(annotation.description, column.comment || '');
+  const owner = createInput(annotation.owner, '');
+  const tags = createInput(annotation.tags.join(', '), '');
+  tags.title = TAGS_PLACEHOLDER;
+  // One example per line, since example values may contain commas
+  const examples = document.createElement('textarea');
+  examples.rows = Math.max(1, annotation.examples.length);
+  examples.value = annotation.examples.join('\n');
+  examples.title = 'One example value per line';
+
+  [description, owner, tags, examples].forEach(field => element.insertCell().appendChild(field));
+
+  return {
+    element,
+    read: () => ({
+      description: description.value,
+      owner: owner.value,
+      tags: parseTags(tags.value),
+      examples: examples.value.split('\n')
+    })
+  };
+}
+
+function createInput(value, placeholder) {
+  const input = document.createElement('input');
+  input.type = 'text';
+  input.value = value;
+  input.placeholder = placeholder;
+  return input;
+}
+
+function labelField(text, field) {
+  const label = document.createElement('label');
+  const caption = document.createElement('span');
+  caption.textContent = text;
+  label.appendChild(caption);
+  label.appendChild(field);
+  return label;
+}
@@ -0,0 +1,409 @@
+/**
+ * Anonymization settings and plan
+ * Decides how each column of a dump is anonymized when a safe copy is written (see anonymizer.js):
+ *
+ *   { "anonymize": {
+ *       "seed": "fixtures-2024",
+ *       "detectedColumns": "medium",
+ *       "columns": { "customers.email": "fake", "customers.notes": "null", "users.login_count": "keep" },
+ *       "subset": { "rowsPerTable": 1000, "tables": { "audit_log": 0 } } } }
+ *
+ * Strategies: keep the value, mask it (first character and punctuation only), hash it, replace it
+ * with a realistic fake value or set it to NULL. Columns detected as sensitive at the given
+ * confidence or above are faked (password hashes and secrets are hashed) unless listed otherwise.
+ * Columns joined by foreign keys always share one rule, and hashed or faked values only depend on
+ * the seed and the original value, so joins still line up in the copy. The subset keeps the first
+ * rows of each table plus every row they reference.
+ */
+
+const { classifyDataType } = require('./dataProfile');
+const { detectSensitiveData } = require('./sensitiveData');
+
+const ANONYMIZATION_STRATEGIES = ['keep', 'mask', 'hash', 'fake', 'null'];
+
+const DETECTED_COLUMN_LEVELS = ['off', 'high', 'medium', 'low'];
+const DEFAULT_DETECTED_LEVEL = 'medium';
+
+// Where the rule of a column comes from
+const RULE_SOURCES = {
+  CONFIGURED: 'configured',
+  DETECTED: 'detected',
+  FOREIGN_KEY: 'foreign key'
+};
+
+// Largest magnitude kept by integer types, in bits (without the sign)
+const INTEGER_BITS = [
+  { pattern: /^(TINYINT|INT1)$/, bits: 7 },
+  { pattern: /^(SMALLINT|INT2|SMALLSERIAL|SERIAL2)$/, bits: 15 },
+  { pattern: /^(MEDIUMINT|INT3)$/, bits: 23 }
+];
+const DEFAULT_INTEGER_BITS = 31;
+
+/**
+ * Validates the anonymize section of a project config (or the settings chosen in the app)
+ * @param {Object} [value] - Settings as written in the config
+ * @returns {Object} { seed, detectedColumns, columns, subset } — seed is null when none is set (a
+ *   random one is then used); subset is null or { rowsPerTable, tables }
+ * @throws {Error} When a setting has the wrong type or value
+ */
+function normalizeAnonymizationSettings(value) {
+  const settings = value === undefined || value === null ? {} : value;
+  if (!isObject(settings)) {
+    throw new Error('Invalid anonymize settings: expected an object');
+  }
+
+  const { seed = null, detectedColumns = DEFAULT_DETECTED_LEVEL, columns = {}, subset = null } = settings;
+  if (seed !== null && typeof seed !== 'string' && typeof seed !== 'number') {
+    throw new Error('Invalid anonymize settings: seed must be a string or a number');
+  }
+  if (!DETECTED_COLUMN_LEVELS.includes(detectedColumns)) {
+    throw new Error(`Invalid anonymize settings: detectedColumns must be ${DETECTED_COLUMN_LEVELS.join(', ')}`);
+  }
+  if (!isObject(columns)) {
+    throw new Error('Invalid anonymize settings: columns must map "table.column" to a strategy');
+  }
+  Object.entries(columns).forEach(([target, strategy]) => {
+    if (!ANONYMIZATION_STRATEGIES.includes(strategy)) {
+      throw new Error(`Invalid anonymize settings: ${target} has the unknown strategy "${strategy}" ` +
+        `(expected ${ANONYMIZATION_STRATEGIES.join(', ')})`);
+    }
+    if (splitColumnTarget(target) === null) {
+      throw new Error(`Invalid anonymize settings: "${target}" is not a table.column name`);
+    }
+  });
+
+  return {
+    seed: seed === null || seed === '' ? null : String(seed),
+    detectedColumns,
+    columns: { ...columns },
+    subset: normalizeSubset(subset)
+  };
+}
+
+/**
+ * Works out the rule of every column of an analysis
+ * @param {Object} analysis - Analysis result (with its annotations, which decide the detected columns)
+ * @param {Object} settings - Result of normalizeAnonymizationSettings
+ * @returns {Object} { seed, rules, tables, subset, warnings }
+ *   rules: [{ table, column, strategy, kind, source, origin }] for the columns that are not kept, where
+ *     kind says which fake value fits (email, first-name, street-address, number, date, text, ...) and
+ *     origin is the table.column whose rule a foreign key column follows
+ *   tables: { [tableName]: { columns, generatedKey, transforms, foreignKeys, referencedKeys, rowLimit } }
+ *     — what the dump rewrite needs, as plain data: generatedKey names the auto-increment column (or is
+ *     null), transforms map column names to { strategy, kind, valueType, unique, maxLength,
+ *     integerBits }, rowLimit is null when every row is kept
+ * @throws {Error} When a configured column does not exist or cannot take its strategy
+ */
+function planAnonymization(analysis, settings) {
+  const tableMap = new Map(analysis.tables.map(table => [table.tableName, table]));
+  const warnings = [];
+
+  const { findings } = detectSensitiveData(analysis);
+  const categories = new Map(findings.map(finding => [columnKey(finding.table, finding.column), finding.category]));
+
+  // Candidate rules by priority: configured ones in their order, then detected ones by confidence
+  const candidates = [];
+  Object.entries(settings.columns).forEach(([target, strategy]) => {
+    const { tableName, columnName } = splitColumnTarget(target);
+    const table = tableMap.get(tableName);
+    const column = table && table.columns.find(candidate => candidate.columnName === columnName);
+    if (!column) {
+      throw new Error(`Unknown column in anonymize settings: ${target}`);
+    }
+    candidates.push({ table, column, strategy, source: RULE_SOURCES.CONFIGURED });
+  });
+
+  if (settings.detectedColumns !== 'off') {
+    const maxLevel = DETECTED_COLUMN_LEVELS.indexOf(settings.detectedColumns);
+    findings
+      .filter(finding => DETECTED_COLUMN_LEVELS.indexOf(finding.level) <= maxLevel)
+      .forEach(finding => {
+        const table = tableMap.get(finding.table);
+        const column = table.columns.find(candidate => candidate.columnName === finding.column);
+        candidates.push({
+          table,
+          column,
+          strategy: finding.category === 'credential' ? 'hash' : 'fake',
+          source: RULE_SOURCES.DETECTED
+        });
+      });
+  }
+
+  // The first candidate of each group of joined columns decides for the whole group
+  const groups = groupJoinedColumns(analysis.tables, tableMap);
+  const decided = new Map();
+  const rules = [];
+  const transforms = new Map();
+
+  candidates.forEach(candidate => {
+    const key = columnKey(candidate.table.tableName, candidate.column.columnName);
+    const group = groups.get(key) || [{ table: candidate.table, column: candidate.column }];
+    const groupId = columnKey(group[0].table.tableName, group[0].column.columnName);
+
+    const decision = decided.get(groupId);
+    if (decision) {
+      if (decision.strategy !== candidate.strategy && candidate.source === RULE_SOURCES.CONFIGURED) {
+        warnings.push(`${key} follows ${decision.origin} (${decision.strategy}) so that joins line up`);
+      }
+      return;
+    }
+    decided.set(groupId, { strategy: candidate.strategy, origin: key });
+    if (candidate.strategy === 'keep') return;
+
+    checkStrategy(candidate, group, key);
+    const kind = resolveKind(categories.get(key), candidate.column);
+    const transform = {
+      strategy: candidate.strategy,
+      kind,
+      valueType: classifyDataType(candidate.column.dataType),
+      unique: group.length > 1 || group.some(member => isUniqueColumn(member.table, member.column)),
+      maxLength: minimum(group.map(member => characterLength(member.column.dataType))),
+      integerBits: minimum(group.map(member => integerBits(member.column.dataType)))
+    };
+
+    group.forEach(member => {
+      const memberKey = columnKey(member.table.tableName, member.column.columnName);
+      transforms.set(memberKey, transform);
+      rules.push({
+        table: member.table.tableName,
+        column: member.column.columnName,
+        strategy: candidate.strategy,
+        kind,
+        source: memberKey === key ? candidate.source : RULE_SOURCES.FOREIGN_KEY,
+        origin: key
+      });
+    });
+  });
+
+  const tables = {};
+  analysis.tables.forEach(table => {
+    const tableTransforms = {};
+    table.columns.forEach(column => {
+      const transform = transforms.get(columnKey(table.tableName, column.columnName));
+      if (transform) tableTransforms[column.columnName] = transform;
+    });
+    const generatedKey = table.columns.find(column => column.autoIncrement);
+    tables[table.tableName] = {
+      columns: table.columns.map(column => column.columnName),
+      generatedKey: generatedKey ? generatedKey.columnName : null,
+      transforms: tableTransforms,
+      foreignKeys: listForeignKeys(table, tableMap),
+      referencedKeys: listReferencedKeys(table, analysis.tables, tableMap),
+      rowLimit: rowLimitOf(settings.subset, table.tableName)
+    };
+  });
+
+  if (settings.subset) {
+    Object.keys(settings.subset.tables)
+      .filter(tableName => !tableMap.has(tableName))
+      .forEach(tableName => warnings.push(`The subset names an unknown table: ${tableName}`));
+  }
+
+  rules.sort((a, b) => a.table.localeCompare(b.table) || a.column.localeCompare(b.column));
+  return { seed: settings.seed, rules, tables, subset: Boolean(settings.subset), warnings };
+}
+
+/**
+ * Rejects strategies that would break the copy: NULL in a NOT NULL column, masked or NULL keys
+ */
+function checkStrategy(candidate, group, key) {
+  const { strategy } = candidate;
+  if (strategy !== 'mask' && strategy !== 'null') return;
+
+  const keyMember = group.length > 1 ? group[0] : group.find(member => isUniqueColumn(member.table, member.column));
+  if (keyMember) {
+    throw new Error(`Cannot ${strategy === 'mask' ? `mask ${key}` : `set ${key} to NULL`}: it is a key ` +
+      '(use hash or fake so that keys stay unique and joins line up)');
+  }
+  if (strategy === 'null' && !candidate.column.nullable) {
+    throw new Error(`Cannot set ${key} to NULL: the column is NOT NULL`);
+  }
+}
+
+/**
+ * Groups the columns that foreign keys join, directly or through other columns
+ * @returns {Map} Column key → members of its group ({ table, column }), referenced columns first;
+ *   columns without foreign keys are not listed
+ */
+function groupJoinedColumns(tables, tableMap) {
+  const parents = new Map();
+  const members = new Map();
+
+  const find = (key) => {
+    let root = key;
+    while (parents.get(root) !== root) root = parents.get(root);
+    parents.set(key, root);
+    return root;
+  };
+  const add = (table, column) => {
+    const key = columnKey(table.tableName, column.columnName);
+    if (!parents.has(key)) {
+      parents.set(key, key);
+      members.set(key, { table, column });
+    }
+    return key;
+  };
+
+  tables.forEach(table => {
+    listForeignKeys(table, tableMap).forEach(foreignKey => {
+      const referencedTable = tableMap.get(foreignKey.referencedTable);
+      foreignKey.columns.forEach((columnName, index) => {
+        const column = table.columns.find(candidate => candidate.columnName === columnName);
+        const referencedColumn = referencedTable.columns.find(candidate => candidate.columnName === foreignKey.referencedColumns[index]);
+        if (!column || !referencedColumn) return;
+        // The referenced column becomes the root, so it comes first in its group
+        const referencedRoot = find(add(referencedTable, referencedColumn));
+        const childRoot = find(add(table, column));
+        if (childRoot !== referencedRoot) parents.set(childRoot, referencedRoot);
+      });
+    });
+  });
+
+  const groups = new Map();
+  Array.from(members.keys()).forEach(key => {
+    const root = find(key);
+    if (!groups.has(root)) groups.set(root, [members.get(root)]);
+    if (key !== root) groups.get(root).push(members.get(key));
+  });
+
+  const byColumn = new Map();
+  groups.forEach(group => group.forEach(member => {
+    byColumn.set(columnKey(member.table.tableName, member.column.columnName), group);
+  }));
+  return byColumn;
+}
+
+/**
+ * Foreign keys of a table whose referenced table and columns exist
+ */
+function listForeignKeys(table, tableMap) {
+  return table.constraints
+    .filter(constraint => constraint.type === 'FOREIGN KEY')
+    .filter(constraint => {
+      const referencedTable = tableMap.get(constraint.referencedTable);
+      return referencedTable && constraint.columns.length === constraint.referencedColumns.length &&
+        constraint.referencedColumns.every(name => referencedTable.columns.some(column => column.columnName === name));
+    })
+    .map(constraint => ({
+      columns: constraint.columns,
+      referencedTable: constraint.referencedTable,
+      referencedColumns: constraint.referencedColumns
+    }));
+}
+
+/**
+ * Column lists of a table that foreign keys of any table reference, without duplicates
+ */
+function listReferencedKeys(table, tables, tableMap) {
+  const keys = new Map();
+  tables.forEach(other => listForeignKeys(other, tableMap)
+    .filter(foreignKey => foreignKey.referencedTable === table.tableName)
+    .forEach(foreignKey => keys.set(foreignKey.referencedColumns.join('\u0001'), foreignKey.referencedColumns)));
+  return Array.from(keys.values());
+}
+
+/**
+ * Which fake value fits a column: from its sensitive data category, else from its type
+ */
+function resolveKind(category, column) {
+  const valueType = classifyDataType(column.dataType);
+  if (valueType === 'numeric') return 'number';
+  if (valueType === 'date') return 'date';
+
+  const name = String(column.columnName).replace(/([a-z0-9])([A-Z])/g, '$1_$2').toLowerCase();
+  switch (category) {
+    case 'name':
+      if (/(first|given|fore)_?name/.test(name)) return 'first-name';
+      if (/(last|family|sur)_?name/.test(name)) return 'last-name';
+      return 'full-name';
+    case 'address':
+      if (/(^|_)(city|town)(_|$)/.test(name)) return 'city';
+      if (/(zip|postal|post_?code)/.test(name)) return 'postal-code';
+      return 'street-address';
+    case 'email':
+    case 'phone':
+    case 'credential':
+    case 'card':
+    case 'national-id':
+      return category;
+    default:
+      return 'text';
+  }
+}
+
+function isUniqueColumn(table, column) {
+  if (column.primaryKey || column.unique) return true;
+  // Single-column PRIMARY KEY and UNIQUE constraints declared apart from the column
+  return table.constraints.some(constraint => (constraint.type === 'PRIMARY KEY' || constraint.type === 'UNIQUE') &&
+    constraint.columns.length === 1 && constraint.columns[0] === column.columnName);
+}
+
+/**
+ * Maximum length of CHAR and VARCHAR types; null for other types
+ */
+function characterLength(dataType) {
+  const match = String(dataType || '').match(/CHAR\w*\s*\(\s*(\d+)\s*\)/i);
+  return match ? Number(match[1]) : null;
+}
+
+function integerBits(dataType) {
+  const baseType = String(dataType || '').toUpperCase().replace(/\(.*$/, '').replace(/\s+UNSIGNED$/, '').trim();
+  const match = INTEGER_BITS.find(({ pattern }) => pattern.test(baseType));
+  return match ? match.bits : DEFAULT_INTEGER_BITS;
+}
+
+function minimum(values) {
+  const known = values.filter(value => value !== null);
+  return known.length > 0 ? Math.min(...known) : null;
+}
+
+function normalizeSubset(subset) {
+  if (subset === null || subset === undefined) return null;
+  if (!isObject(subset)) {
+    throw new Error('Invalid anonymize settings: subset must be an object');
+  }
+  const { rowsPerTable = null, tables = {} } = subset;
+  if (rowsPerTable !== null && !isRowCount(rowsPerTable)) {
+    throw new Error('Invalid anonymize settings: subset.rowsPerTable must be a whole number of rows');
+  }
+  if (!isObject(tables) || !Object.values(tables).every(isRowCount)) {
+    throw new Error('Invalid anonymize settings: subset.tables must map table names to whole numbers of rows');
+  }
+  if (rowsPerTable === null && Object.keys(tables).length === 0) return null;
+  return { rowsPerTable, tables: { ...tables } };
+}
+
+function rowLimitOf(subset, tableName) {
+  if (!subset) return null;
+  return tableName in subset.tables ? subset.tables[tableName] : subset.rowsPerTable;
+}
+
+/**
+ * Splits "table.column" at the last dot (table names may be schema-qualified)
+ */
+function splitColumnTarget(target) {
+  const separator = String(target).lastIndexOf('.');
+  if (separator <= 0 || separator === target.length - 1) return null;
+  return { tableName: target.slice(0, separator), columnName: target.slice(separator + 1) };
+}
+
+function columnKey(tableName, columnName) {
+  return `${tableName}.${columnName}`;
+}
+
+function isRowCount(value) {
+  return Number.isInteger(value) && value >= 0;
+}
+
+function isObject(value) {
+  return Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+}
+
+module.exports = {
+  ANONYMIZATION_STRATEGIES,
+  DETECTED_COLUMN_LEVELS,
+  RULE_SOURCES,
+  normalizeAnonymizationSettings,
+  planAnonymization,
+  resolveKind
+};
@@ -0,0 +1,311 @@
+/**
+ * "Anonymized Copy" panel for the renderer
+ * Previews how each column of the dump will be anonymized and lets the user override the rule of
+ * any column, pick a seed and keep only a subset of the rows before the copy is written. The preview
+ * is the plan the main process follows, so columns joined by a foreign key show the rule they follow.
+ */
+
+import {
+  ANONYMIZATION_STRATEGIES,
+  DETECTED_COLUMN_LEVELS,
+  RULE_SOURCES,
+  normalizeAnonymizationSettings,
+  planAnonymization
+} from './anonymization';
+
+const DETECTED_LEVEL_LABELS = {
+  off: 'Only the listed columns',
+  high: 'Detected columns, high confidence',
+  medium: 'Detected columns, medium confidence and up',
+  low: 'All detected columns'
+};
+
+/**
+ * Creates the panel inside the given container element
+ * @param {HTMLElement} container - Element to render into (its content is replaced on every render)
+ * @param {Object} options - Callbacks
+ * @param {Function} options.onWrite - Called with the settings when the user writes the copy; resolves
+ *   to { success, cancelled, message, filePath, result }
+ * @returns {Object} Panel controller with render(analysis)
+ */
+export function createAnonymizationPanel(container, { onWrite }) {
+  let analysis = null;
+  // Settings chosen by the user, kept while the same dump is shown
+  let settings = defaultSettings();
+  let status = null;
+
+  const render = (nextAnalysis) => {
+    if (!nextAnalysis || !analysis || nextAnalysis.sourcePath !== analysis.sourcePath) {
+      settings = defaultSettings();
+      status = null;
+    }
+    analysis = nextAnalysis;
+    container.innerHTML = '';
+    if (!analysis) return;
+
+    let plan = null;
+    let planError = null;
+    try {
+      plan = planAnonymization(analysis, normalizeAnonymizationSettings(toConfig(settings)));
+    } catch (error) {
+      planError = error.message;
+    }
+
+    container.appendChild(buildSettingsRow(settings, () => render(analysis)));
+
+    if (plan && plan.warnings.length > 0) container.appendChild(buildWarningList(plan.warnings));
+
+    container.appendChild(buildRuleTable(settings, plan, () => render(analysis)));
+    container.appendChild(buildAddRow(analysis, settings, () => render(analysis)));
+
+    const actions = document.createElement('div');
+    actions.className = 'annotation-actions';
+    const writeButton = document.createElement('button');
+    writeButton.textContent = 'Write Copy…';
+    writeButton.disabled = Boolean(planError);
+    const statusText = document.createElement('span');
+    statusText.className = 'annotation-status';
+    const shownStatus = planError ? { error: true, text: planError } : status;
+    if (shownStatus) {
+      statusText.classList.toggle('error', shownStatus.error);
+      statusText.textContent = shownStatus.text;
+    }
+    actions.appendChild(writeButton);
+    actions.appendChild(statusText);
+    container.appendChild(actions);
+    if (status && status.warnings.length > 0) container.appendChild(buildWarningList(status.warnings));
+
+    writeButton.addEventListener('click', async () => {
+      writeButton.disabled = true;
+      statusText.classList.remove('error');
+      statusText.textContent = 'Writing…';
+      const result = await onWrite(toConfig(settings));
+      status = describeOutcome(result);
+      render(analysis);
+    });
+  };
+
+  return { render };
+}
+
+function defaultSettings() {
+  return { detectedColumns: 'medium', seed: '', rowsPerTable: '', columns: {} };
+}
+
+/**
+ * Settings in the shape of the anonymize section of a project config
+ */
+function toConfig(settings) {
+  const rowsPerTable = settings.rowsPerTable.trim();
+  return {
+    seed: settings.seed.trim() || null,
+    detectedColumns: settings.detectedColumns,
+    columns: settings.columns,
+    subset: rowsPerTable === '' ? null : { rowsPerTable: Number(rowsPerTable) }
+  };
+}
+
+function describeOutcome(result) {
+  if (result.cancelled) return null;
+  if (!result.success) return { error: true, text: `Not written: ${result.message}`, warnings: [] };
+
+  const { rowsRead, rowsWritten, valuesReplaced, skippedCount, warnings } = result.result;
+  const parts = [
+    `Written to ${result.filePath}`,
+    `${rowsWritten.toLocaleString()} of ${rowsRead.toLocaleString()} rows`,
+    `${valuesReplaced.toLocaleString()} values replaced`
+  ];
+  if (skippedCount > 0) parts.push(`${skippedCount} statements left out`);
+  // The plan's warnings are already shown above the rules
+  return { error: false, text: parts.join(' · '), warnings };
+}
+
+function buildWarningList(warnings) {
+  const list = document.createElement('ul');
+  list.className = 'migration-warnings';
+  warnings.forEach(warning => {
+    const item = document.createElement('li');
+    item.textContent = `⚠ ${warning}`;
+    list.appendChild(item);
+  });
+  return list;
+}
+
+function buildSettingsRow(settings, onChange) {
+  const row = document.createElement('div');
+  row.className = 'anonymize-settings';
+
+  const detected = document.createElement('select');
+  DETECTED_COLUMN_LEVELS.forEach(level => {
+    const option = document.createElement('option');
+    option.value = level;
+    option.textContent = DETECTED_LEVEL_LABELS[level];
+    detected.appendChild(option);
+  });
+  detected.value = settings.detectedColumns;
+  detected.addEventListener('change', () => {
+    settings.detectedColumns = detected.value;
+    onChange();
+  });
+  row.appendChild(labelField('Columns', detected));
+
+  const seed = createInput(settings.seed, 'Random on every copy');
+  seed.title = 'The same seed gives the same fake and hashed values, so copies can be compared';
+  seed.addEventListener('change', () => {
+    settings.seed = seed.value;
+    onChange();
+  });
+  row.appendChild(labelField('Seed', seed));
+
+  const rowsPerTable = createInput(settings.rowsPerTable, 'All rows');
+  rowsPerTable.title = 'First rows of each table to keep, plus every row they reference';
+  rowsPerTable.addEventListener('change', () => {
+    settings.rowsPerTable = rowsPerTable.value;
+    onChange();
+  });
+  row.appendChild(labelField('Rows per table', rowsPerTable));
+
+  return row;
+}
+
+/**
+ * Planned rules, plus the columns the user chose to keep (or whose rule cannot be planned)
+ */
+function buildRuleTable(settings, plan, onChange) {
+  const rules = plan ? plan.rules.slice() : [];
+  const listed = new Set(rules.map(rule => `${rule.table}.${rule.column}`));
+  Object.entries(settings.columns).forEach(([target, strategy]) => {
+    if (listed.has(target)) return;
+    const separator = target.lastIndexOf('.');
+    rules.push({
+      table: target.slice(0, separator),
+      column: target.slice(separator + 1),
+      strategy,
+      kind: null,
+      source: RULE_SOURCES.CONFIGURED,
+      origin: target
+    });
+  });
+
+  if (rules.length === 0) {
+    const empty = document.createElement('p');
+    empty.className = 'lint-config';
+    empty.textContent = 'No column is anonymized: every value is copied as is.';
+    return empty;
+  }
+
+  const table = document.createElement('table');
+  table.className = 'annotation-columns anonymize-rules';
+  const head = table.createTHead().insertRow();
+  ['Column', 'Strategy', 'Value', 'Reason', ''].forEach(label => {
+    const cell = document.createElement('th');
+    cell.textContent = label;
+    head.appendChild(cell);
+  });
+
+  const body = table.createTBody();
+  rules.forEach(rule => {
+    const target = `${rule.table}.${rule.column}`;
+    const row = body.insertRow();
+    row.insertCell().textContent = target;
+
+    const strategy = createStrategySelect(rule.strategy);
+    // A foreign key column follows the column it references, so it is changed there
+    strategy.disabled = rule.source === RULE_SOURCES.FOREIGN_KEY;
+    strategy.addEventListener('change', () => {
+      settings.columns[target] = strategy.value;
+      onChange();
+    });
+    row.insertCell().appendChild(strategy);
+
+    row.insertCell().textContent = rule.kind || '';
+    row.insertCell().textContent = rule.source === RULE_SOURCES.FOREIGN_KEY
+      ? `follows ${rule.origin}`
+      : rule.source;
+
+    const actions = row.insertCell();
+    if (settings.columns[target]) {
+      const reset = document.createElement('button');
+      reset.type = 'button';
+      reset.textContent = '×';
+      reset.title = 'Back to the detected rule';
+      reset.addEventListener('click', () => {
+        delete settings.columns[target];
+        onChange();
+      });
+      actions.appendChild(reset);
+    }
+  });
+
+  return table;
+}
+
+/**
+ * Form adding a rule for a column that is not listed yet
+ */
+function buildAddRow(analysis, settings, onChange) {
+  const form = document.createElement('form');
+  form.className = 'anonymize-add';
+
+  const column = document.createElement('select');
+  const placeholder = document.createElement('option');
+  placeholder.value = '';
+  placeholder.textContent = 'Add a column…';
+  column.appendChild(placeholder);
+  analysis.tables.forEach(table => {
+    const group = document.createElement('optgroup');
+    group.label = table.tableName;
+    table.columns.forEach(({ columnName }) => {
+      const option = document.createElement('option');
+      option.value = `${table.tableName}.${columnName}`;
+      option.textContent = columnName;
+      group.appendChild(option);
+    });
+    column.appendChild(group);
+  });
+
+  const strategy = createStrategySelect('fake');
+  const addButton = document.createElement('button');
+  addButton.type = 'submit';
+  addButton.textContent = 'Add';
+
+  form.appendChild(column);
+  form.appendChild(strategy);
+  form.appendChild(addButton);
+  form.addEventListener('submit', (event) => {
+    event.preventDefault();
+    if (!column.value) return;
+    settings.columns[column.value] = strategy.value;
+    onChange();
+  });
+  return form;
+}
+
+function createStrategySelect(value) {
+  const select = document.createElement('select');
+  ANONYMIZATION_STRATEGIES.forEach(strategy => {
+    const option = document.createElement('option');
+    option.value = strategy;
+    option.textContent = strategy;
+    select.appendChild(option);
+  });
+  select.value = value;
+  return select;
+}
+
+function createInput(value, placeholder) {
+  const input = document.createElement('input');
+  input.type = 'text';
+  input.value = value;
+  input.placeholder = placeholder;
+  return input;
+}
+
+function labelField(text, field) {
+  const label = document.createElement('label');
+  const caption = document.createElement('span');
+  caption.textContent = text;
+  label.appendChild(caption);
+  label.appendChild(field);
+  return label;
+}
@@ -0,0 +1,33 @@
+/**
+ * Worker thread entry point for writing an anonymized copy of a SQL dump file
+ * Rewrites the dump off the main process and reports back with messages:
+ * { type: 'progress', progress }, { type: 'complete', result },
+ * { type: 'cancelled' } or { type: 'error', message }
+ */
+
+const { parentPort, workerData } = require('worker_threads');
+const { anonymizeDump } = require('./anonymizer');
+
+const controller = new AbortController();
+
+parentPort.on('message', (message) => {
+  if (message && message.type === 'cancel') {
+    controller.abort();
+  }
+});
+
+anonymizeDump(workerData.sourcePath, workerData.outputPath, workerData.plan, {
+  dialect: workerData.dialect,
+  signal: controller.signal,
+  onProgress: (progress) => parentPort.postMessage({ type: 'progress', progress })
+})
+  .then((result) => {
+    parentPort.postMessage({ type: 'complete', result });
+  })
+  .catch((error) => {
+    if (error.name === 'AbortError') {
+      parentPort.postMessage({ type: 'cancelled' });
+    } else {
+      parentPort.postMessage({ type: 'error', message: error.message });
+    }
+  });
@@ -0,0 +1,549 @@
+/**
+ * Anonymized and subset copies of SQL dumps
+ * Streams a dump into a new .sql file following a plan from anonymization.js: the values of the
+ * planned columns are rewritten in INSERT statements and COPY data blocks, and with a subset
+ * only the chosen rows are written. Every other statement is copied as it was. A subset takes two
+ * passes over the dump: the first one records the key values of every row and picks the rows to
+ * keep, the second one writes them. Rows that leave their auto-increment key to the database get the
+ * value it would assign, so that rows referencing them can be resolved; the kept ones are written
+ * with it, since the database would number them differently once the other rows are left out.
+ *
+ * Hashed and faked values only depend on the seed and the original value, so a value gets the
+ * same replacement wherever it appears. Integers in key columns are hashed with a keyed
+ * permutation (a small Feistel network) so that distinct keys stay distinct.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { DIALECTS, quoteIdentifier } = require('./dialect');
+const { createFileOutput } = require('./fileOutput');
+const { createFaker, fakeValue } = require('./fakeData');
+const { createRandom, hashString } = require('./random');
+const { readStatements } = require('./streamAnalysis');
+const {
+  createKeySequence,
+  isInsertStatement,
+  isCopyStatement,
+  parseInsertStatement,
+  formatInsertStatement,
+  parseCopyStatement,
+  formatCopyStatement,
+  decodeValue,
+  encodeString,
+  decodeCopyField,
+  encodeCopyField
+} = require('./sqlRows');
+
+// Minimum time between progress callbacks
+const PROGRESS_INTERVAL_MS = 200;
+
+// Skipped statements listed in the result; the count stays exact beyond this
+const MAX_SKIPPED = 100;
+
+// Separator between the values of a composite key
+const KEY_SEPARATOR = '\u0001';
+
+// Length of hashed strings when the column does not limit it
+const HASH_LENGTH = 32;
+
+// Dates are faked by moving them by up to this many days
+const DATE_SHIFT_DAYS = 365;
+
+const FEISTEL_ROUNDS = 4;
+
+/**
+ * Writes an anonymized copy of a dump
+ * @param {String} sourcePath - Dump to read
+ * @param {String} outputPath - File to write (replaced if it exists)
+ * @param {Object} plan - Result of planAnonymization for the analysis of the dump
+ * @param {Object} [options] - Options
+ * @param {String} [options.dialect] - Dialect of the dump (node-sql-parser database name)
+ * @param {Function} [options.onProgress] - Called with { pass, passes, bytesRead, totalBytes, rowsWritten }
+ * @param {AbortSignal} [options.signal] - Aborts the rewrite (the partial output is removed); the
+ *   promise then rejects with an AbortError
+ * @returns {Promise<Object>} { outputPath, rowsRead, rowsWritten, valuesReplaced, skipped, skippedCount,
+ *   warnings } — skipped lists the first statements left out of the copy as { line, reason }, warnings
+ *   name the foreign keys of a subset whose referenced rows are not in the dump
+ */
+async function anonymizeDump(sourcePath, outputPath, plan, options = {}) {
+  const { dialect, onProgress, signal } = options;
+  if (path.resolve(sourcePath) === path.resolve(outputPath)) {
+    throw new Error('The anonymized copy cannot replace the dump it is made from');
+  }
+
+  const { size: totalBytes } = await fs.promises.stat(sourcePath);
+  const passes = plan.subset ? 2 : 1;
+  const tables = createTableStates(plan.tables);
+  const transformValue = createValueTransformer(plan.seed === null ? crypto.randomBytes(16).toString('hex') : plan.seed);
+  const stats = { rowsRead: 0, rowsWritten: 0, valuesReplaced: 0, skipped: [], skippedCount: 0, warnings: [] };
+
+  let lastProgressAt = 0;
+  const reportProgress = (pass, bytesRead, force) => {
+    const now = Date.now();
+    if (!onProgress || (!force && now - lastProgressAt < PROGRESS_INTERVAL_MS)) return;
+    lastProgressAt = now;
+    onProgress({ pass, passes, bytesRead, totalBytes, rowsWritten: stats.rowsWritten });
+  };
+
+  if (plan.subset) {
+    for await (const batch of readStatements(sourcePath, dialect, { signal })) {
+      batch.statements.forEach(statement => collectKeys(statement, tables, dialect));
+      reportProgress(1, batch.bytesRead, false);
+    }
+    stats.warnings = selectSubset(tables);
+  }
+
+  const output = createFileOutput(outputPath);
+  try {
+    await output.write(describeCopy(sourcePath, plan));
+    let delimiter = ';';
+
+    for await (const batch of readStatements(sourcePath, dialect, { signal })) {
+      for (const statement of batch.statements) {
+        const text = rewriteStatement(statement, { tables, dialect, transformValue, stats });
+        if (text === null) continue;
+
+        if (isCopyStatement(text)) {
+          await output.write(`${text}\n`);
+        } else if (dialect === DIALECTS.SQL_SERVER) {
+          // GO batch separators became plain delimiters when the dump was read
+          await output.write(`${text};\nGO\n`);
+        } else {
+          if (statement.delimiter !== delimiter) {
+            delimiter = statement.delimiter;
+            await output.write(`DELIMITER ${delimiter}\n`);
+          }
+          await output.write(`${text}${delimiter}\n`);
+        }
+      }
+      reportProgress(passes, batch.bytesRead, false);
+    }
+
+    if (delimiter !== ';') await output.write('DELIMITER ;\n');
+    await output.close();
+  } catch (error) {
+    await output.discard();
+    throw error;
+  }
+
+  reportProgress(passes, totalBytes, true);
+  return { outputPath, ...stats };
+}
+
+/**
+ * Per-table state of the rewrite: the plan of the table, how many of its rows have been seen, the
+ * values the database gives its auto-increment key and, for a subset, the key values of its rows and
+ * which ones are kept
+ */
+function createTableStates(planTables) {
+  const tables = new Map();
+  Object.entries(planTables).forEach(([tableName, tablePlan]) => {
+    tables.set(tableName, {
+      ...tablePlan,
+      tableName,
+      rowCount: 0,
+      keySequence: createKeySequence(),
+      foreignKeyValues: tablePlan.foreignKeys.map(() => []),
+      keyIndexes: tablePlan.referencedKeys.map(() => new Map()),
+      kept: null
+    });
+  });
+  return tables;
+}
+
+/**
+ * First pass of a subset: records the foreign key values of every row, and where each referenced
+ * key value is first inserted
+ */
+function collectKeys(statement, tables, dialect) {
+  forEachRow(statement, tables, dialect, (table, readValue) => {
+    const rowIndex = table.rowCount++;
+    table.foreignKeys.forEach((foreignKey, index) => {
+      table.foreignKeyValues[index].push(readKey(foreignKey.columns, readValue));
+    });
+    table.referencedKeys.forEach((columns, index) => {
+      const key = readKey(columns, readValue);
+      if (key !== null && !table.keyIndexes[index].has(key)) table.keyIndexes[index].set(key, rowIndex);
+    });
+  });
+}
+
+/**
+ * Picks the rows of the subset: the first rows of each table, then, until nothing changes, the rows
+ * that kept rows reference
+ * @returns {Array} Warnings, one per foreign key with kept rows referencing rows that are not in the dump
+ */
+function selectSubset(tables) {
+  const queue = [];
+  const unresolved = new Map();
+  tables.forEach(table => {
+    table.kept = new Uint8Array(table.rowCount);
+    const limit = table.rowLimit === null ? table.rowCount : Math.min(table.rowLimit, table.rowCount);
+    for (let rowIndex = 0; rowIndex < limit; rowIndex++) {
+      table.kept[rowIndex] = 1;
+      queue.push([table, rowIndex]);
+    }
+  });
+
+  while (queue.length > 0) {
+    const [table, rowIndex] = queue.pop();
+    table.foreignKeys.forEach((foreignKey, index) => {
+      const key = table.foreignKeyValues[index][rowIndex];
+      if (key === null) return;
+      const parent = tables.get(foreignKey.referencedTable);
+      const keyIndex = parent.referencedKeys.findIndex(columns => sameColumns(columns, foreignKey.referencedColumns));
+      const parentRow = parent.keyIndexes[keyIndex].get(key);
+      if (parentRow === undefined) {
+        const name = `${table.tableName}(${foreignKey.columns.join(', ')}) → ${foreignKey.referencedTable}`;
+        unresolved.set(name, (unresolved.get(name) || 0) + 1);
+      } else if (!parent.kept[parentRow]) {
+        parent.kept[parentRow] = 1;
+        queue.push([parent, parentRow]);
+      }
+    });
+  }
+
+  // The row counters and key sequences start over for the second pass
+  tables.forEach(table => {
+    table.rowCount = 0;
+    table.keySequence = createKeySequence();
+  });
+  return Array.from(unresolved, ([name, count]) => (
+    `${count.toLocaleString()} kept rows reference rows that are not in the dump through ${name}; ` +
+    'the copy keeps these references as they are'
+  ));
+}
+
+/**
+ * Calls back for each row of an INSERT or COPY statement into a planned table
+ * @param {Function} callback - (table, readValue) where readValue(columnName) gives the key text of a
+ *   value (null for NULL, undefined when the row has no such column); an auto-increment key the row
+ *   leaves to the database reads as the value the database gives it
+ */
+function forEachRow(statement, tables, dialect, callback) {
+  const readRow = (table, readValue) => {
+    if (!table.generatedKey) return callback(table, readValue);
+    const written = readValue(table.generatedKey);
+    const key = assignGeneratedKey(table, written === undefined ? null : written) || written;
+    return callback(table, columnName => (columnName === table.generatedKey ? key : readValue(columnName)));
+  };
+
+  if (isInsertStatement(statement.text)) {
+    const insert = parseInsertStatement(statement.text, dialect);
+    const table = insert && tables.get(insert.table);
+    if (!table) return;
+    const positions = columnPositions(insert.columns || table.columns);
+    insert.rows.forEach(cells => readRow(table, columnName => {
+      const position = positions.get(columnName);
+      return position === undefined || position >= cells.length ? undefined : keyText(decodeValue(cells[position], dialect));
+    }));
+  } else if (isCopyStatement(statement.text)) {
+    const copy = parseCopyStatement(statement.text);
+    const table = copy && tables.get(copy.table);
+    if (!table) return;
+    const positions = columnPositions(copy.columns || table.columns);
+    copy.lines.forEach(line => {
+      const fields = line.split('\t');
+      readRow(table, columnName => {
+        const position = positions.get(columnName);
+        return position === undefined || position >= fields.length ? undefined : decodeCopyField(fields[position]);
+      });
+    });
+  }
+}
+
+/**
+ * Second pass: the statement as it goes into the copy
+ * @returns {String|null} Statement text, or null when it is left out
+ */
+function rewriteStatement(statement, context) {
+  const { text } = statement;
+  if (isInsertStatement(text)) return rewriteInsert(statement, context);
+  if (isCopyStatement(text)) return rewriteCopy(statement, context);
+  return text;
+}
+
+function rewriteInsert(statement, { tables, dialect, transformValue, stats }) {
+  const insert = parseInsertStatement(statement.text, dialect);
+  if (!insert) {
+    // Rows that cannot be read cannot be anonymized, so they stay out of the copy
+    skip(stats, statement, 'INSERT statement whose rows cannot be read');
+    return null;
+  }
+  const table = tables.get(insert.table);
+  if (!table) return statement.text;
+
+  const keys = describeGeneratedKey(table, insert.columns);
+  const columns = keys.added ? [table.generatedKey, ...insert.columns] : insert.columns || table.columns;
+  const transforms = columns.map(columnName => table.transforms[columnName] || null);
+  const rows = [];
+
+  insert.rows.forEach(sourceCells => {
+    stats.rowsRead++;
+    const rowIndex = table.rowCount++;
+    const cells = keys.added ? ['NULL', ...sourceCells] : sourceCells.slice();
+    const key = keys.written && keys.position < cells.length
+      ? assignGeneratedKey(table, keyText(decodeValue(cells[keys.position], dialect)))
+      : null;
+    if (table.kept && !table.kept[rowIndex]) return;
+    if (key !== null) cells[keys.position] = key;
+
+    rows.push(cells.map((cell, position) => {
+      const transform = transforms[position];
+      if (!transform) return cell;
+      const literal = decodeValue(cell, dialect);
+      if (literal.type === 'expression' && /^DEFAULT$/i.test(literal.value)) return cell;
+      const replacement = transformValue(transform, literal.value);
+      if (replacement === undefined) return cell;
+      stats.valuesReplaced++;
+      if (replacement === null) return 'NULL';
+      if (transform.valueType === 'numeric' && /^-?\d+(\.\d+)?$/.test(replacement)) return replacement;
+      return encodeString(replacement, dialect, literal.type === 'string' ? literal : {});
+    }));
+  });
+
+  stats.rowsWritten += rows.length;
+  if (rows.length === 0) return null;
+  return formatInsertStatement(keys.added ? { ...insert, head: prependColumn(insert.head, table.generatedKey, dialect) } : insert, rows);
+}
+
+function rewriteCopy(statement, { tables, dialect, transformValue, stats }) {
+  const copy = parseCopyStatement(statement.text);
+  if (!copy) {
+    skip(stats, statement, 'COPY data in CSV or binary format');
+    return null;
+  }
+  const table = tables.get(copy.table);
+  if (!table) return statement.text;
+
+  const keys = describeGeneratedKey(table, copy.columns);
+  const columns = keys.added ? [table.generatedKey, ...copy.columns] : copy.columns || table.columns;
+  const transforms = columns.map(columnName => table.transforms[columnName] || null);
+  const lines = [];
+
+  copy.lines.forEach(line => {
+    stats.rowsRead++;
+    const rowIndex = table.rowCount++;
+    let fields = null;
+    let key = null;
+    if (keys.written) {
+      fields = keys.added ? ['\\N', ...line.split('\t')] : line.split('\t');
+      if (keys.position < fields.length) key = assignGeneratedKey(table, decodeCopyField(fields[keys.position]));
+    }
+    if (table.kept && !table.kept[rowIndex]) return;
+    if (key !== null) fields[keys.position] = key;
+    if (!transforms.some(Boolean)) {
+      lines.push(fields ? fields.join('\t') : line);
+      return;
+    }
+
+    lines.push((fields || line.split('\t')).map((field, position) => {
+      const transform = transforms[position];
+      if (!transform) return field;
+      const replacement = transformValue(transform, decodeCopyField(field));
+      if (replacement === undefined) return field;
+      stats.valuesReplaced++;
+      return encodeCopyField(replacement);
+    }).join('\t'));
+  });
+
+  stats.rowsWritten += lines.length;
+  // A COPY block without rows is still valid, and keeps the statement count of the dump; the later
+  // parts of a large block (see statementSplitter.js) are only written with rows
+  if (lines.length === 0 && statement.continued) return null;
+  return formatCopyStatement(keys.added ? { ...copy, head: prependColumn(copy.head, table.generatedKey, dialect) } : copy, lines);
+}
+
+/**
+ * How a rewritten statement writes the auto-increment key of its table. Only a subset writes the
+ * keys the rows leave to the database (see forEachRow), adding the column to the column list when
+ * the statement does not name it.
+ * @param {Array|null} listedColumns - Column list of the statement, null when it has none
+ * @returns {Object} { written, added, position } — position is the key's index in the rewritten rows
+ */
+function describeGeneratedKey(table, listedColumns) {
+  if (!table.kept || !table.generatedKey) return { written: false, added: false, position: -1 };
+  const columns = listedColumns || table.columns;
+  const added = !columns.includes(table.generatedKey);
+  return { written: true, added, position: added ? 0 : columns.indexOf(table.generatedKey) };
+}
+
+/**
+ * Follows the auto-increment key of a table through its rows, in insert order
+ * @param {String|null} written - Key text the row writes, null when it leaves the key to the database
+ * @returns {String|null} The value the database assigns, or null when the row writes its own
+ */
+function assignGeneratedKey(table, written) {
+  if (written !== null) {
+    table.keySequence.observe(written);
+    return null;
+  }
+  return String(table.keySequence.next());
+}
+
+/**
+ * Head of an INSERT or COPY statement with a column put first in its column list
+ */
+function prependColumn(head, columnName, dialect) {
+  return head.replace(/\(([^)]*)\)/, (match, list) => `(${quoteIdentifier(columnName, dialect)}, ${list})`);
+}
+
+/**
+ * Creates the function that anonymizes one value
+ * @param {String} seed - Seed of the hashes and fake values
+ * @returns {Function} (transform, value) → replacement text, null for NULL, or undefined to keep the
+ *   value; value is the unescaped text of the original (null for NULL)
+ */
+function createValueTransformer(seed) {
+  const hmac = (text) => crypto.createHmac('sha256', seed).update(text).digest('hex');
+  const randomFor = (kind, value) => createRandom(hashString(`${seed}${KEY_SEPARATOR}${kind}${KEY_SEPARATOR}${value}`));
+
+  return (transform, value) => {
+    if (transform.strategy === 'null') return value === null ? undefined : null;
+    if (value === null) return undefined;
+    const text = String(value);
+
+    if (transform.valueType === 'numeric' && /^[+-]?\d+(\.\d+)?$/.test(text.trim())) {
+      const number = text.trim();
+      if (transform.strategy === 'mask') return '0';
+      if (transform.strategy === 'hash' || transform.unique) return hashNumber(number, transform.integerBits, seed, hmac);
+      return fakeNumber(number, createFaker(randomFor(transform.kind, number)));
+    }
+
+    if (transform.valueType === 'date' && /^\d{4}-\d{2}-\d{2}/.test(text)) {
+      if (transform.strategy === 'mask') return `${text.slice(0, 4)}-01-01${text.slice(10).replace(/\d/g, '0')}`;
+      return shiftDate(text, createFaker(randomFor('date', text)));
+    }
+
+    let replacement;
+    if (transform.strategy === 'mask') {
+      replacement = maskText(text);
+    } else if (transform.strategy === 'hash') {
+      replacement = hmac(text).slice(0, HASH_LENGTH);
+    } else {
+      // Unique columns get a token from the original value, so different values stay different
+      const token = transform.unique ? parseInt(hmac(text).slice(0, 10), 16).toString(36) : '';
+      replacement = fakeValue(createFaker(randomFor(transform.kind, text)), transform.kind, text, token);
+    }
+    return transform.maxLength ? replacement.slice(0, transform.maxLength) : replacement;
+  };
+}
+
+/**
+ * Hides a text, keeping its first character, its punctuation and its length: ann@example.com → a**@*******.***
+ */
+function maskText(text) {
+  return Array.from(text, (character, index) => (index > 0 && /[\p{L}\p{N}]/u.test(character) ? '*' : character)).join('');
+}
+
+/**
+ * Random number with as many digits and decimals as the original
+ */
+function fakeNumber(number, faker) {
+  const [, sign, integerPart, decimals = ''] = number.match(/^([+-]?)(\d+)(?:\.(\d+))?$/);
+  const digits = integerPart.replace(/^0+(?=\d)/, '').length;
+  const integer = digits <= 1 ? faker.digits(1) : `${faker.integer(1, 9)}${faker.digits(digits - 1)}`;
+  return `${sign === '-' ? '-' : ''}${integer}${decimals ? `.${faker.digits(decimals.length)}` : ''}`;
+}
+
+/**
+ * Hashes a number. Integers that fit the column are permuted, so that distinct keys stay distinct;
+ * larger integers and decimals are replaced by a number derived from their hash.
+ */
+function hashNumber(number, integerBits, seed, hmac) {
+  if (/^[+-]?\d+$/.test(number)) {
+    const value = Number(number);
+    const magnitude = Math.abs(value);
+    if (Number.isSafeInteger(value) && magnitude < 2 ** integerBits) {
+      const permuted = permuteInteger(magnitude, integerBits, seed);
+      return String(value < 0 ? -permuted : permuted);
+    }
+  }
+  return fakeNumber(number, createFaker(createRandom(parseInt(hmac(number).slice(0, 8), 16))));
+}
+
+/**
+ * Keyed permutation of [0, 2^bits): a balanced Feistel network over the next even number of bits,
+ * applied again while the result falls outside the range (cycle walking)
+ */
+function permuteInteger(value, bits, seed) {
+  const halfBits = Math.ceil(bits / 2);
+  const halfSize = 2 ** halfBits;
+  const limit = 2 ** bits;
+
+  let result = value;
+  do {
+    let left = Math.floor(result / halfSize);
+    let right = result % halfSize;
+    for (let round = 0; round < FEISTEL_ROUNDS; round++) {
+      const mixed = left ^ (hashString(`${seed}${KEY_SEPARATOR}${round}${KEY_SEPARATOR}${right}`) % halfSize);
+      left = right;
+      right = mixed;
+    }
+    result = left * halfSize + right;
+  } while (result >= limit);
+  return result;
+}
+
+/**
+ * Moves the date part of a date or timestamp by up to a year, keeping the time part
+ */
+function shiftDate(text, faker) {
+  const date = new Date(`${text.slice(0, 10)}T00:00:00Z`);
+  if (Number.isNaN(date.getTime())) return text;
+  date.setUTCDate(date.getUTCDate() + faker.integer(-DATE_SHIFT_DAYS, DATE_SHIFT_DAYS));
+  return `${date.toISOString().slice(0, 10)}${text.slice(10)}`;
+}
+
+/**
+ * Comment lines at the top of the copy: where it comes from and what was changed
+ */
+function describeCopy(sourcePath, plan) {
+  const lines = [`-- Anonymized copy of ${path.basename(sourcePath)}`];
+  const byStrategy = new Map();
+  plan.rules.forEach(rule => {
+    if (!byStrategy.has(rule.strategy)) byStrategy.set(rule.strategy, []);
+    byStrategy.get(rule.strategy).push(`${rule.table}.${rule.column}`);
+  });
+  byStrategy.forEach((columns, strategy) => lines.push(`-- ${strategy}: ${columns.join(', ')}`));
+  if (plan.subset) {
+    lines.push('-- Subset of the rows, with every row they reference');
+  }
+  return `${lines.join('\n')}\n\n`;
+}
+
+/**
+ * Text written to the copy for a row value when it is part of a key
+ */
+function keyText(literal) {
+  // DEFAULT leaves the value to the database, like a missing column
+  if (literal.type === 'null' || (literal.type === 'expression' && /^DEFAULT$/i.test(literal.value))) return null;
+  if (literal.type === 'number') return String(Number(literal.value));
+  return literal.value;
+}
+
+function readKey(columns, readValue) {
+  const values = columns.map(readValue);
+  if (values.some(value => value === null || value === undefined)) return null;
+  return values.join(KEY_SEPARATOR);
+}
+
+function columnPositions(columns) {
+  return new Map(columns.map((columnName, index) => [columnName, index]));
+}
+
+function sameColumns(a, b) {
+  return a.length === b.length && a.every((columnName, index) => columnName === b[index]);
+}
+
+function skip(stats, statement, reason) {
+  stats.skippedCount++;
+  if (stats.skipped.length < MAX_SKIPPED) {
+    stats.skipped.push({ line: statement.line, reason });
+  }
+}
+
+module.exports = {
+  anonymizeDump
+};
@@ -0,0 +1,492 @@
+/**
+ * Headless command-line interface
+ * Analyzes SQL dumps without the Electron window and writes reports to disk, for use in
+ * CI pipelines: `schemalens --format markdown,pdf --output reports/ dump.sql`
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { parseArgs } = require('util');
+const { analyzeSqlFile } = require('./streamAnalysis');
+const { parseDialectName } = require('./dialect');
+const { getExporter, listExporters, runExporter } = require('./exporters');
+const { loadProjectConfig } = require('./projectConfig');
+const { SEVERITIES, lintSchema, hasLintFindingsAtLeast } = require('./schemaLint');
+const { detectSensitiveData } = require('./sensitiveData');
+const { countSkippedStatements } = require('./schemaText');
+const { normalizeAnonymizationSettings, planAnonymization } = require('./anonymization');
+const { anonymizeDump } = require('./anonymizer');
+const { normalizeSyntheticDataSettings, generateSyntheticData } = require('./syntheticData');
+const { writeSyntheticData } = require('./syntheticDataWriter');
+const { DATA_EXPORT_FORMATS } = require('./tableData');
+const { exportTableData } = require('./tableDataReader');
+const { findAnnotationsFile, readAnnotations } = require('./workspace');
+
+const EXIT_CODES = {
+  SUCCESS: 0,
+  CHECKS_FAILED: 1,
+  USAGE: 2,
+  ANALYSIS_FAILED: 3
+};
+
+const FORMAT_ALIASES = {
+  md: 'markdown',
+  htm: 'html'
+};
+
+const formatUsage = () => `Usage: schemalens [options] <dump.sql> [more dumps...]
+
+Analyzes SQL dump files and writes schema reports.
+
+Options:
+  -f, --format <formats>    Report formats: ${listExporters().map(exporter => exporter.id).join(', ')}
+                            (comma-separated or repeated; default: json, or
+                            none with --anonymize, --generate-data or --extract)
+  -o, --output <path>       Output file (one dump and one format), output
+                            directory, or "-" for standard output (default: .)
+  -d, --dialect <name>      SQL dialect: auto, mysql, mariadb, postgresql,
+                            sqlite or sqlserver (default: auto)
+  -c, --config <path>       Project config file (default: schemalens.config.json
+                            next to the dump or in a parent directory)
+      --anonymize <path>    Write a copy of the dump with its sensitive columns
+                            anonymized, as set in the "anonymize" section of
+                            the project config (one dump only)
+      --generate-data <path>
+                            Write synthetic rows for every table, as set in the
+                            "syntheticData" section of the project config: one
+                            .sql file, or a directory of <table>.csv files when
+                            the path does not end in .sql (one dump only)
+      --extract <tables>    Write the inserted rows of these tables (comma-separated
+                            or repeated) to <dump>.<table>.csv files in the
+                            output directory, or to the --output file
+      --extract-format <format>
+                            Format of --extract: ${DATA_EXPORT_FORMATS.map(format => format.id).join(' or ')} (default: csv)
+      --rows <count>        Rows per table for --generate-data (default: 10)
+      --seed <seed>         Seed for --generate-data and --anonymize; the same
+                            seed gives the same values
+      --fail-on-diagnostics Exit with code 1 when a statement could not be parsed
+      --fail-on-lint <severity>
+                            Exit with code 1 when a lint finding is at least as
+                            severe as error, warning or info
+  -q, --quiet               Only print errors: failures, lint findings of error
+                            severity, and the statements and lint findings
+                            that fail the run with --fail-on-diagnostics or
+                            --fail-on-lint
+  -h, --help                Show this help
+  -v, --version             Show the version
+
+Exit codes:
+  0  reports (and the anonymized copy, generated data or extracted rows) written
+  1  statements could not be parsed (with --fail-on-diagnostics) or lint
+     findings reached the --fail-on-lint severity
+  2  invalid command line
+  3  a dump or its config could not be read, a table to extract does not
+     exist, or a report, the anonymized copy, the generated data or the
+     extracted rows could not be written
+`;
+
+/**
+ * Runs the command-line interface
+ * @param {Array} argv - Command-line arguments (without node and the script path)
+ * @param {Object} [io] - Output streams { stdout, stderr }
+ * @returns {Promise<Number>} Exit code (see EXIT_CODES)
+ */
+async function runCli(argv, io = { stdout: process.stdout, stderr: process.stderr }) {
+  const log = (message) => io.stderr.write(`${message}\n`);
+
+  let options;
+  try {
+    options = parseCommandLine(argv);
+  } catch (error) {
+    log(`schemalens: ${error.message}`);
+    log('Run "schemalens --help" for usage.');
+    return EXIT_CODES.USAGE;
+  }
+
+  if (options.help) {
+    io.stdout.write(formatUsage());
+    return EXIT_CODES.SUCCESS;
+  }
+  if (options.version) {
+    io.stdout.write(`${require('../package.json').version}\n`);
+    return EXIT_CODES.SUCCESS;
+  }
+
+  let exitCode = EXIT_CODES.SUCCESS;
+  const usedPaths = new Set();
+
+  for (const inputPath of options.inputs) {
+    let analysis;
+    let project;
+    try {
+      analysis = await analyzeSqlFile(inputPath, { dialect: options.dialect });
+      project = await loadProjectConfig(inputPath, options.config);
+      lintAnalysis(analysis, project);
+      // The data dictionary edited in the app goes into the reports
+      analysis.annotations = await readAnnotations(findAnnotationsFile(inputPath));
+    } catch (error) {
+      log(`schemalens: ${inputPath}: ${error.message}`);
+      exitCode = EXIT_CODES.ANALYSIS_FAILED;
+      continue;
+    }
+
+    const diagnostics = analysis.diagnostics || [];
+    const skippedCount = countSkippedStatements(analysis);
+    if (!options.quiet) {
+      const totalRows = analysis.tables.reduce((sum, table) => sum + table.rowCount, 0);
+      const { error, warning, info } = analysis.lint.summary;
+      const sensitiveColumns = detectSensitiveData(analysis).findings.length;
+      log(`${inputPath}: ${analysis.totalTables} tables, ${totalRows} rows, ${skippedCount} skipped statements, ` +
+        `${error} lint errors, ${warning} warnings, ${info} info, ${sensitiveColumns} sensitive columns (${analysis.dialect})`);
+    }
+    diagnostics.forEach(diagnostic => {
+      if (!options.quiet || options.failOnDiagnostics) {
+        log(`${inputPath}:${diagnostic.line}:${diagnostic.column}: ${diagnostic.message}`);
+      }
+    });
+    if (analysis.diagnosticsOmitted && (!options.quiet || options.failOnDiagnostics)) {
+      const { count, line } = analysis.diagnosticsOmitted;
+      log(`${inputPath}:${line}: ${count} more skipped statements from this line on are not listed`);
+    }
+    // Quiet runs print the error findings, and the warnings or info too when they fail the run
+    const quietLimit = Math.max(SEVERITIES.indexOf('error'), SEVERITIES.indexOf(options.failOnLint));
+    analysis.lint.findings.forEach(finding => {
+      if (!options.quiet || SEVERITIES.indexOf(finding.severity) <= quietLimit) {
+        const location = finding.column ? `${finding.table}.${finding.column}` : finding.table;
+        log(`${inputPath}: ${finding.severity} ${location}: ${finding.message} [${finding.rule}]`);
+      }
+    });
+
+    for (const format of options.formats) {
+      try {
+        const contents = runExporter(format, analysis, { sourcePath: inputPath });
+        if (options.output === '-') {
+          io.stdout.write(contents);
+          continue;
+        }
+
+        const outputPath = resolveOutputPath(options, inputPath, format, usedPaths);
+        await fs.promises.mkdir(path.dirname(outputPath), { recursive: true });
+        await fs.promises.writeFile(outputPath, contents);
+        if (!options.quiet) log(`  wrote ${outputPath}`);
+      } catch (error) {
+        log(`schemalens: ${inputPath}: failed to write ${format} report: ${error.message}`);
+        exitCode = EXIT_CODES.ANALYSIS_FAILED;
+      }
+    }
+
+    if (options.anonymize) {
+      try {
+        const result = await writeAnonymizedCopy(analysis, inputPath, options.anonymize, project, options.seed);
+        if (!options.quiet) {
+          result.warnings.forEach(warning => log(`${inputPath}: anonymize: ${warning}`));
+          result.skipped.forEach(({ line, reason }) => log(`${inputPath}:${line}: not copied: ${reason}`));
+          log(`  wrote ${options.anonymize} (${result.rowsWritten} of ${result.rowsRead} rows, ` +
+            `${result.valuesReplaced} values anonymized)`);
+        }
+      } catch (error) {
+        log(`schemalens: ${inputPath}: failed to write the anonymized copy: ${error.message}`);
+        exitCode = EXIT_CODES.ANALYSIS_FAILED;
+      }
+    }
+
+    if (options.generateData) {
+      try {
+        const result = await writeGeneratedData(analysis, options, project);
+        if (!options.quiet) {
+          result.warnings.forEach(warning => log(`${inputPath}: generate-data: ${warning}`));
+          log(`  wrote ${options.generateData} (${result.rowCount} rows in ${result.files.length} ` +
+            `${result.files.length === 1 ? 'file' : 'files'}, seed "${result.seed}")`);
+        }
+      } catch (error) {
+        log(`schemalens: ${inputPath}: failed to write the generated data: ${error.message}`);
+        exitCode = EXIT_CODES.ANALYSIS_FAILED;
+      }
+    }
+
+    for (const tableName of options.extract) {
+      try {
+        const result = await extractTable(analysis, inputPath, tableName, options, usedPaths);
+        if (!options.quiet) {
+          if (result.expressionCount > 0) {
+            log(`${inputPath}: extract: ${result.expressionCount} values of ${tableName} are SQL expressions, written as text`);
+          }
+          if (result.skippedCount > 0) {
+            log(`${inputPath}: extract: ${result.skippedCount} statements into ${tableName} could not be read`);
+          }
+          log(`  wrote ${result.outputPath} (${result.rowsWritten} rows of ${tableName})`);
+        }
+      } catch (error) {
+        log(`schemalens: ${inputPath}: failed to extract ${tableName}: ${error.message}`);
+        exitCode = EXIT_CODES.ANALYSIS_FAILED;
+      }
+    }
+
+    const checksFailed = (options.failOnDiagnostics && skippedCount > 0) ||
+      (options.failOnLint && hasLintFindingsAtLeast(analysis.lint, options.failOnLint));
+    if (checksFailed && exitCode === EXIT_CODES.SUCCESS) {
+      exitCode = EXIT_CODES.CHECKS_FAILED;
+    }
+  }
+
+  return exitCode;
+}
+
+/**
+ * Runs the lint rules of the project config
+ * @param {Object} analysis - Analysis result; receives a lint property
+ * @param {Object} project - Result of loadProjectConfig
+ */
+function lintAnalysis(analysis, { path: configPath, config }) {
+  try {
+    analysis.lint = { ...lintSchema(analysis, config.lint), configPath };
+  } catch (error) {
+    throw new Error(`invalid lint configuration in ${configPath}: ${error.message}`);
+  }
+}
+
+/**
+ * Writes an anonymized copy of a dump with the anonymize settings of the project config
+ * @returns {Promise<Object>} Result of anonymizeDump, with the warnings of the plan (rules
+ *   overridden so that foreign keys still join)
+ */
+async function writeAnonymizedCopy(analysis, inputPath, outputPath, { path: configPath, config }, seed = null) {
+  let plan;
+  try {
+    const settings = normalizeAnonymizationSettings(config.anonymize);
+    plan = planAnonymization(analysis, seed === null ? settings : { ...settings, seed });
+  } catch (error) {
+    throw new Error(configPath ? `${error.message} (in ${configPath})` : error.message);
+  }
+
+  await fs.promises.mkdir(path.dirname(path.resolve(outputPath)), { recursive: true });
+  const result = await anonymizeDump(inputPath, outputPath, plan, { dialect: analysis.dialect });
+  return { ...result, warnings: [...plan.warnings, ...result.warnings] };
+}
+
+/**
+ * Writes synthetic rows for every table with the syntheticData settings of the project config,
+ * where --rows and --seed take precedence
+ * @returns {Promise<Object>} { files, rowCount, seed, warnings }
+ */
+async function writeGeneratedData(analysis, options, { path: configPath, config }) {
+  let data;
+  try {
+    const settings = normalizeSyntheticDataSettings(config.syntheticData);
+    data = generateSyntheticData(analysis, {
+      ...settings,
+      seed: options.seed === null ? settings.seed : options.seed,
+      rowsPerTable: options.rows === null ? settings.rowsPerTable : options.rows
+    });
+  } catch (error) {
+    throw new Error(configPath ? `${error.message} (in ${configPath})` : error.message);
+  }
+
+  const outputPath = options.generateData;
+  const files = await writeSyntheticData(data, outputPath, {
+    format: path.extname(outputPath).toLowerCase() === '.sql' ? 'sql' : 'csv',
+    dialect: analysis.dialect,
+    title: `Synthetic test data for ${path.basename(options.inputs[0])}`
+  });
+  return {
+    files,
+    rowCount: data.tables.reduce((sum, table) => sum + table.rows.length, 0),
+    seed: data.seed,
+    warnings: data.warnings
+  };
+}
+
+/**
+ * Writes the rows of one table of a dump to a CSV or JSON Lines file
+ * @returns {Promise<Object>} Result of exportTableData
+ */
+async function extractTable(analysis, inputPath, tableName, options, usedPaths) {
+  const table = analysis.tables.find(candidate => candidate.tableName === tableName);
+  if (!table) {
+    throw new Error('no such table in the dump');
+  }
+
+  const outputPath = resolveExtractPath(options, inputPath, tableName, usedPaths);
+  await fs.promises.mkdir(path.dirname(path.resolve(outputPath)), { recursive: true });
+  return exportTableData(inputPath, outputPath, table, { format: options.extractFormat, dialect: analysis.dialect });
+}
+
+/**
+ * Parses and validates the command-line arguments
+ * @param {Array} argv - Command-line arguments
+ * @returns {Object} { inputs, formats, output, dialect, config, anonymize, generateData, rows, seed,
+ *   extract, extractFormat, failOnDiagnostics, failOnLint, quiet, help, version }
+ * @throws {Error} On invalid usage
+ */
+function parseCommandLine(argv) {
+  const { values, positionals } = parseArgs({
+    args: argv,
+    allowPositionals: true,
+    options: {
+      format: { type: 'string', short: 'f', multiple: true },
+      output: { type: 'string', short: 'o' },
+      dialect: { type: 'string', short: 'd' },
+      config: { type: 'string', short: 'c' },
+      anonymize: { type: 'string' },
+      'generate-data': { type: 'string' },
+      rows: { type: 'string' },
+      seed: { type: 'string' },
+      extract: { type: 'string', multiple: true },
+      'extract-format': { type: 'string' },
+      'fail-on-diagnostics': { type: 'boolean' },
+      'fail-on-lint': { type: 'string' },
+      quiet: { type: 'boolean', short: 'q' },
+      help: { type: 'boolean', short: 'h' },
+      version: { type: 'boolean', short: 'v' }
+    }
+  });
+
+  const options = {
+    inputs: positionals,
+    // An anonymized copy, generated data or extracted rows are often all that is wanted, so they only
+    // come with the reports asked for
+    formats: parseFormats(values.format || (values.anonymize || values['generate-data'] || values.extract ? [] : ['json'])),
+    output: values.output || null,
+    dialect: parseDialectName(values.dialect),
+    config: values.config || null,
+    anonymize: values.anonymize || null,
+    generateData: values['generate-data'] || null,
+    rows: values.rows === undefined ? null : values.rows,
+    seed: values.seed === undefined ? null : values.seed,
+    extract: parseTableList(values.extract || []),
+    extractFormat: (values['extract-format'] || 'csv').toLowerCase(),
+    failOnDiagnostics: Boolean(values['fail-on-diagnostics']),
+    failOnLint: values['fail-on-lint'] || null,
+    quiet: Boolean(values.quiet),
+    help: Boolean(values.help),
+    version: Boolean(values.version)
+  };
+
+  if (options.help || options.version) {
+    return options;
+  }
+  if (options.inputs.length === 0) {
+    throw new Error('no SQL dump given');
+  }
+  if (options.failOnLint && !SEVERITIES.includes(options.failOnLint)) {
+    throw new Error(`invalid --fail-on-lint severity: ${options.failOnLint} (expected ${SEVERITIES.join(', ')})`);
+  }
+  if (options.anonymize && options.inputs.length > 1) {
+    throw new Error('--anonymize needs exactly one dump');
+  }
+  if (options.generateData && options.inputs.length > 1) {
+    throw new Error('--generate-data needs exactly one dump');
+  }
+  if (options.rows !== null) {
+    if (!options.generateData) {
+      throw new Error('--rows needs --generate-data');
+    }
+    if (!/^\d+$/.test(options.rows)) {
+      throw new Error(`invalid --rows count: ${options.rows} (expected a whole number)`);
+    }
+    options.rows = Number(options.rows);
+  }
+  if (options.seed !== null && !options.generateData && !options.anonymize) {
+    throw new Error('--seed needs --generate-data or --anonymize');
+  }
+  if (!DATA_EXPORT_FORMATS.some(format => format.id === options.extractFormat)) {
+    throw new Error(`unknown --extract-format: ${options.extractFormat} (expected ${DATA_EXPORT_FORMATS.map(format => format.id).join(', ')})`);
+  }
+  if (options.output === '-') {
+    if (options.inputs.length * options.formats.length !== 1) {
+      throw new Error('--output - needs exactly one dump and one format');
+    }
+    if (getExporter(options.formats[0]).binary) {
+      throw new Error(`the ${options.formats[0]} format cannot be written to standard output`);
+    }
+  }
+
+  return options;
+}
+
+function parseFormats(formatOptions) {
+  const formats = formatOptions
+    .flatMap(value => value.split(','))
+    .map(value => value.trim().toLowerCase())
+    .filter(Boolean)
+    .map(value => FORMAT_ALIASES[value] || value);
+
+  formats.forEach(format => {
+    if (!getExporter(format)) {
+      throw new Error(`unknown report format: ${format} (expected ${listExporters().map(exporter => exporter.id).join(', ')})`);
+    }
+  });
+
+  return Array.from(new Set(formats));
+}
+
+/**
+ * Chooses where a report is written: the --output file itself when exactly one report is
+ * produced and it names a file, otherwise <output directory>/<dump name>.<extension>
+ */
+function resolveOutputPath(options, inputPath, format, usedPaths) {
+  const output = options.output;
+  const singleReport = options.inputs.length * options.formats.length === 1;
+
+  if (output && singleReport && path.extname(output) !== '' && !isDirectory(output)) {
+    return output;
+  }
+
+  const directory = output || '.';
+  const baseName = path.basename(inputPath, path.extname(inputPath));
+  const extension = getExporter(format).extension;
+
+  // Dumps with the same name in different folders get numbered reports
+  let outputPath = path.join(directory, `${baseName}.${extension}`);
+  for (let suffix = 2; usedPaths.has(outputPath); suffix++) {
+    outputPath = path.join(directory, `${baseName}-${suffix}.${extension}`);
+  }
+  usedPaths.add(outputPath);
+
+  return outputPath;
+}
+
+/**
+ * Chooses where the rows of a table are written, like resolveOutputPath: the --output file itself
+ * when it is the only file produced, otherwise <output directory>/<dump name>.<table>.<extension>
+ */
+function resolveExtractPath(options, inputPath, tableName, usedPaths) {
+  const output = options.output;
+  const singleFile = options.inputs.length === 1 && options.formats.length === 0 && options.extract.length === 1;
+
+  if (output && singleFile && path.extname(output) !== '' && !isDirectory(output)) {
+    return output;
+  }
+
+  const directory = output || '.';
+  const baseName = `${path.basename(inputPath, path.extname(inputPath))}.${tableName.replace(/[^\w.-]+/g, '_')}`;
+  const extension = DATA_EXPORT_FORMATS.find(format => format.id === options.extractFormat).extension;
+
+  let outputPath = path.join(directory, `${baseName}.${extension}`);
+  for (let suffix = 2; usedPaths.has(outputPath); suffix++) {
+    outputPath = path.join(directory, `${baseName}-${suffix}.${extension}`);
+  }
+  usedPaths.add(outputPath);
+
+  return outputPath;
+}
+
+/**
+ * Table names given comma-separated, repeated or both
+ */
+function parseTableList(values) {
+  return Array.from(new Set(values.flatMap(value => value.split(',')).map(value => value.trim()).filter(Boolean)));
+}
+
+function isDirectory(filePath) {
+  try {
+    return fs.statSync(filePath).isDirectory();
+  } catch (error) {
+    return false;
+  }
+}
+
+module.exports = {
+  EXIT_CODES,
+  runCli
+};
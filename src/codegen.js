@@ -0,0 +1,905 @@
+/**
+ * Code generation from the analysis model
+ * Emits TypeScript interfaces, a Prisma schema, Sequelize model definitions or SQLAlchemy
+ * classes mirroring the analyzed tables. Column types are mapped from the dataType strings
+ * built by the analyzer, and relations are derived from the foreign key constraints.
+ * Table and column descriptions (annotations or COMMENT clauses) become doc comments.
+ */
+
+const { DIALECTS } = require('./dialect');
+const { resolveTableAnnotation, resolveColumnAnnotation } = require('./annotations');
+
+const CODE_TARGETS = {
+  typescript: { label: 'TypeScript interfaces', extension: 'ts', language: 'typescript' },
+  prisma: { label: 'Prisma schema', extension: 'prisma', language: 'prisma' },
+  sequelize: { label: 'Sequelize models', extension: 'models.js', language: 'javascript' },
+  sqlalchemy: { label: 'SQLAlchemy models', extension: 'py', language: 'python' }
+};
+
+const PRISMA_PROVIDERS = {
+  [DIALECTS.MYSQL]: 'mysql',
+  [DIALECTS.MARIADB]: 'mysql',
+  [DIALECTS.POSTGRESQL]: 'postgresql',
+  [DIALECTS.SQLITE]: 'sqlite',
+  [DIALECTS.SQL_SERVER]: 'sqlserver'
+};
+
+const REFERENTIAL_ACTIONS = {
+  CASCADE: { prisma: 'Cascade', sequelize: 'CASCADE' },
+  'SET NULL': { prisma: 'SetNull', sequelize: 'SET NULL' },
+  'SET DEFAULT': { prisma: 'SetDefault', sequelize: 'SET DEFAULT' },
+  RESTRICT: { prisma: 'Restrict', sequelize: 'RESTRICT' },
+  'NO ACTION': { prisma: 'NoAction', sequelize: 'NO ACTION' }
+};
+
+const PYTHON_KEYWORDS = new Set([
+  'False', 'None', 'True', 'and', 'as', 'assert', 'async', 'await', 'break', 'class', 'continue', 'def',
+  'del', 'elif', 'else', 'except', 'finally', 'for', 'from', 'global', 'if', 'import', 'in', 'is',
+  'lambda', 'nonlocal', 'not', 'or', 'pass', 'raise', 'return', 'try', 'while', 'with', 'yield',
+  // Attribute names that would shadow the declarative base
+  'metadata', 'registry'
+]);
+
+/**
+ * Generates source code for a target
+ * @param {String} target - One of the CODE_TARGETS keys
+ * @param {Object} analysis - Analysis result
+ * @returns {String} Generated source
+ * @throws {Error} When the target is unknown
+ */
+function generateCode(target, analysis) {
+  const model = buildModel(analysis);
+  switch (target) {
+    case 'typescript':
+      return generateTypeScript(model);
+    case 'prisma':
+      return generatePrisma(model, analysis.dialect);
+    case 'sequelize':
+      return generateSequelize(model);
+    case 'sqlalchemy':
+      return generateSqlAlchemy(model);
+    default:
+      throw new Error(`Unknown code generation target: ${target}`);
+  }
+}
+
+/**
+ * Classifies a data type string built by the analyzer
+ * @param {String} dataType - Such as "DECIMAL(10,2)", "VARCHAR(50)" or "TIMESTAMP"
+ * @returns {Object} { kind, base, length, scale } where kind is one of integer, bigint, decimal,
+ *   float, boolean, string, text, date, datetime, time, json, binary, uuid, enum, set, unknown
+ */
+function classifyColumnType(dataType) {
+  const match = String(dataType).toUpperCase().match(/^([A-Z0-9_ ]+?)\s*(?:\((\d+)(?:\s*,\s*(\d+))?\))?$/);
+  const base = match ? match[1] : String(dataType).toUpperCase();
+  const length = match && match[2] !== undefined ? Number(match[2]) : null;
+  const scale = match && match[3] !== undefined ? Number(match[3]) : null;
+  const type = (kind) => ({ kind, base, length, scale });
+
+  if ((base === 'TINYINT' && length === 1) || /^(BOOL|BOOLEAN|BIT)$/.test(base)) return type('boolean');
+  if (/^(BIGINT|INT8|BIGSERIAL)$/.test(base)) return type('bigint');
+  if (/^(TINY|SMALL|MEDIUM)?INT(EGER)?$|^INT[24]$|^(SMALL)?SERIAL$|^YEAR$/.test(base)) return type('integer');
+  if (/^(DECIMAL|NUMERIC|MONEY)$/.test(base)) return type('decimal');
+  if (/^(FLOAT|DOUBLE|DOUBLE PRECISION|REAL|FLOAT[48])$/.test(base)) return type('float');
+  if (base === 'DATE') return type('date');
+  if (/^(DATETIME2?|TIMESTAMP|TIMESTAMPTZ|SMALLDATETIME|DATETIMEOFFSET)$/.test(base)) return type('datetime');
+  if (/^TIME(TZ)?$/.test(base)) return type('time');
+  if (/^JSONB?$/.test(base)) return type('json');
+  if (/^(UUID|UNIQUEIDENTIFIER)$/.test(base)) return type('uuid');
+  if (base === 'ENUM') return type('enum');
+  if (base === 'SET') return type('set');
+  if (/BLOB|BINARY|BYTEA|IMAGE/.test(base)) return type('binary');
+  if (/TEXT|CLOB/.test(base)) return type('text');
+  if (/CHAR|STRING/.test(base)) return type('string');
+  return type('unknown');
+}
+
+/**
+ * Builds the intermediate model shared by the generators: one entry per table with
+ * class/field names, its primary key, its descriptions, and the relations in both directions
+ */
+function buildModel(analysis) {
+  const models = analysis.tables.map(table => ({
+    table,
+    name: toModelName(table.tableName),
+    primaryKey: listPrimaryKeyColumns(table),
+    description: resolveTableAnnotation(analysis.annotations, table).description,
+    columnDescriptions: new Map(table.columns.map(column => [
+      column.columnName,
+      resolveColumnAnnotation(analysis.annotations, table, column).description
+    ])),
+    relations: [],
+    backRelations: [],
+    // Column names plus the relation fields added so far, to keep generated fields unique
+    usedFieldNames: new Set(table.columns.map(column => column.columnName))
+  }));
+
+  // Model names must be unique even when two tables singularize to the same name
+  const usedModelNames = new Set();
+  models.forEach(model => {
+    model.name = uniqueName(model.name, usedModelNames);
+  });
+
+  const modelsByTable = new Map(models.map(model => [model.table.tableName, model]));
+
+  // Number of foreign keys between each pair of tables; several need explicit relation names
+  const pairCounts = new Map();
+  const pairKey = (a, b) => [a, b].sort().join('\u0000');
+  analysis.tables.forEach(table => {
+    table.constraints.filter(isForeignKey).forEach(constraint => {
+      const key = pairKey(table.tableName, constraint.referencedTable);
+      pairCounts.set(key, (pairCounts.get(key) || 0) + 1);
+    });
+  });
+
+  models.forEach(model => {
+    model.table.constraints.filter(isForeignKey).forEach(constraint => {
+      const target = modelsByTable.get(constraint.referencedTable);
+      if (!target) return;
+
+      const selfReference = target === model;
+      const ambiguous = selfReference || pairCounts.get(pairKey(model.table.tableName, target.table.tableName)) > 1;
+      const optional = constraint.columns.some(columnName => {
+        const column = model.table.columns.find(candidate => candidate.columnName === columnName);
+        return !column || column.nullable;
+      });
+      const oneToOne = isUniqueColumnSet(model, constraint.columns);
+
+      const fieldName = uniqueName(toRelationFieldName(constraint.columns, target.name), model.usedFieldNames);
+      const baseBackName = oneToOne ? toCamelCase(model.name) : toCamelCase(model.table.tableName);
+      const backFieldName = uniqueName(ambiguous ? `${baseBackName}By${toPascalCase(fieldName)}` : baseBackName, target.usedFieldNames);
+
+      const relation = {
+        name: `${model.table.tableName}_${constraint.columns.join('_')}_fkey`,
+        source: model,
+        target,
+        columns: constraint.columns,
+        referencedColumns: constraint.referencedColumns,
+        onDelete: constraint.onDelete,
+        onUpdate: constraint.onUpdate,
+        fieldName,
+        backFieldName,
+        optional,
+        oneToOne,
+        ambiguous,
+        selfReference
+      };
+      model.relations.push(relation);
+      target.backRelations.push(relation);
+    });
+  });
+
+  return { models };
+}
+
+// ---------------------------------------------------------------------------
+// TypeScript
+// ---------------------------------------------------------------------------
+
+function generateTypeScript({ models }) {
+  const blocks = ['// Generated by SQL SchemaLens from the analyzed schema'];
+
+  models.forEach(model => {
+    const lines = [
+      ...formatDocComment([`Row of the ${model.table.tableName} table`, ...splitLines(model.description)], ''),
+      `export interface ${model.name} {`
+    ];
+
+    model.table.columns.forEach(column => {
+      const description = model.columnDescriptions.get(column.columnName);
+      if (description) lines.push(...formatDocComment(splitLines(description), '  '));
+      const type = mapTypeScriptType(column);
+      const comment = column.foreignKey ? ` // → ${column.foreignKey.table}.${column.foreignKey.column}` : '';
+      lines.push(`  ${formatPropertyName(column.columnName)}: ${type}${column.nullable ? ' | null' : ''};${comment}`);
+    });
+
+    const navigation = [];
+    model.relations.forEach(relation => {
+      navigation.push(`  ${formatPropertyName(relation.fieldName)}?: ${relation.target.name}${relation.optional ? ' | null' : ''};`);
+    });
+    model.backRelations.forEach(relation => {
+      const type = relation.oneToOne ? `${relation.source.name} | null` : `${relation.source.name}[]`;
+      navigation.push(`  ${formatPropertyName(relation.backFieldName)}?: ${type};`);
+    });
+    if (navigation.length > 0) {
+      lines.push('', '  // Relations (present when loaded)', ...navigation);
+    }
+
+    lines.push('}');
+    blocks.push(lines.join('\n'));
+  });
+
+  return `${blocks.join('\n\n')}\n`;
+}
+
+function mapTypeScriptType(column) {
+  const { kind } = classifyColumnType(column.dataType);
+  switch (kind) {
+    case 'integer':
+    case 'bigint':
+    case 'decimal':
+    case 'float':
+      return 'number';
+    case 'boolean':
+      return 'boolean';
+    case 'date':
+    case 'datetime':
+      return 'Date';
+    case 'json':
+      return 'unknown';
+    case 'binary':
+      return 'Buffer';
+    case 'enum':
+      return column.enumValues && column.enumValues.length > 0
+        ? column.enumValues.map(value => JSON.stringify(value)).join(' | ')
+        : 'string';
+    default:
+      return 'string';
+  }
+}
+
+function formatPropertyName(name) {
+  return /^[A-Za-z_$][A-Za-z0-9_$]*$/.test(name) ? name : JSON.stringify(name);
+}
+
+// ---------------------------------------------------------------------------
+// Prisma
+// ---------------------------------------------------------------------------
+
+function generatePrisma({ models }, dialect) {
+  const provider = PRISMA_PROVIDERS[dialect] || 'mysql';
+  const nativeTypes = provider !== 'sqlite';
+  const blocks = [
+    '// Generated by SQL SchemaLens from the analyzed schema',
+    'generator client {\n  provider = "prisma-client-js"\n}',
+    `datasource db {\n  provider = "${provider}"\n  url      = env("DATABASE_URL")\n}`
+  ];
+  const enums = [];
+
+  models.forEach(model => {
+    const { table } = model;
+    const rows = [];
+    // Doc comment lines above each row (only columns have them)
+    const rowDocs = [];
+    const attributes = [];
+
+    table.columns.forEach(column => {
+      const classified = classifyColumnType(column.dataType);
+      const fieldName = toIdentifier(column.columnName);
+      rowDocs[rows.length] = splitLines(model.columnDescriptions.get(column.columnName));
+      const isEnum = classified.kind === 'enum' && Boolean(column.enumValues) && column.enumValues.length > 0;
+      const type = isEnum ? `${model.name}${toPascalCase(column.columnName)}` : mapPrismaType(classified);
+      const fieldAttributes = [];
+
+      if (isEnum) {
+        enums.push(buildPrismaEnum(type, column.enumValues));
+      }
+
+      if (model.primaryKey.length === 1 && model.primaryKey[0] === column.columnName) fieldAttributes.push('@id');
+      if (column.unique) fieldAttributes.push('@unique');
+      const defaultAttribute = formatPrismaDefault(column, classified, isEnum);
+      if (defaultAttribute) fieldAttributes.push(defaultAttribute);
+      if (/\bON UPDATE CURRENT_TIMESTAMP\b/i.test(column.defaultValue || '')) fieldAttributes.push('@updatedAt');
+      if (fieldName !== column.columnName) fieldAttributes.push(`@map(${JSON.stringify(column.columnName)})`);
+      if (nativeTypes) {
+        const nativeType = formatPrismaNativeType(classified, provider);
+        if (nativeType) fieldAttributes.push(nativeType);
+      }
+
+      const optional = column.nullable && !model.primaryKey.includes(column.columnName) ? '?' : '';
+      rows.push([fieldName, `${type}${optional}`, fieldAttributes.join(' ')]);
+    });
+
+    model.relations.forEach(relation => {
+      const args = [];
+      if (relation.ambiguous) args.push(JSON.stringify(relation.name));
+      args.push(`fields: [${relation.columns.map(toIdentifier).join(', ')}]`);
+      args.push(`references: [${relation.referencedColumns.map(toIdentifier).join(', ')}]`);
+      if (relation.onDelete && REFERENTIAL_ACTIONS[relation.onDelete]) args.push(`onDelete: ${REFERENTIAL_ACTIONS[relation.onDelete].prisma}`);
+      if (relation.onUpdate && REFERENTIAL_ACTIONS[relation.onUpdate]) args.push(`onUpdate: ${REFERENTIAL_ACTIONS[relation.onUpdate].prisma}`);
+      rows.push([toIdentifier(relation.fieldName), `${relation.target.name}${relation.optional ? '?' : ''}`, `@relation(${args.join(', ')})`]);
+    });
+
+    model.backRelations.forEach(relation => {
+      const type = relation.oneToOne ? `${relation.source.name}?` : `${relation.source.name}[]`;
+      rows.push([toIdentifier(relation.backFieldName), type, relation.ambiguous ? `@relation(${JSON.stringify(relation.name)})` : '']);
+    });
+
+    if (model.primaryKey.length > 1) attributes.push(`@@id([${model.primaryKey.map(toIdentifier).join(', ')}])`);
+    table.constraints
+      .filter(constraint => constraint.type === 'UNIQUE' && constraint.columns.length > 0)
+      .forEach(constraint => attributes.push(`@@unique([${constraint.columns.map(toIdentifier).join(', ')}])`));
+    (table.indexes || []).forEach(index => {
+      attributes.push(`@@${index.unique ? 'unique' : 'index'}([${index.columns.map(toIdentifier).join(', ')}])`);
+    });
+    if (model.name !== table.tableName) attributes.push(`@@map(${JSON.stringify(table.tableName)})`);
+
+    // Prisma Client needs a unique identifier; without one the model is kept but ignored
+    const hasIdentifier = model.primaryKey.length > 0 ||
+      table.columns.some(column => column.unique) ||
+      table.constraints.some(constraint => constraint.type === 'UNIQUE');
+    const header = splitLines(model.description).map(line => `/// ${line}`);
+    if (!hasIdentifier) {
+      header.push('/// The underlying table has no primary key or unique column, so Prisma Client ignores it');
+      attributes.push('@@ignore');
+    }
+
+    const fieldLines = alignColumns(rows).flatMap((line, index) => (rowDocs[index] || []).map(doc => `/// ${doc}`).concat(line));
+    const lines = [...header, `model ${model.name} {`, ...fieldLines.map(line => `  ${line}`)];
+    if (attributes.length > 0) {
+      lines.push('', ...attributes.map(attribute => `  ${attribute}`));
+    }
+    lines.push('}');
+    blocks.push(lines.join('\n'));
+  });
+
+  return `${blocks.concat(enums).join('\n\n')}\n`;
+}
+
+function mapPrismaType({ kind }) {
+  switch (kind) {
+    case 'integer':
+      return 'Int';
+    case 'bigint':
+      return 'BigInt';
+    case 'decimal':
+      return 'Decimal';
+    case 'float':
+      return 'Float';
+    case 'boolean':
+      return 'Boolean';
+    case 'date':
+    case 'datetime':
+      return 'DateTime';
+    case 'json':
+      return 'Json';
+    case 'binary':
+      return 'Bytes';
+    default:
+      return 'String';
+  }
+}
+
+function formatPrismaNativeType({ kind, base, length, scale }, provider) {
+  if (kind === 'string' && length !== null) {
+    return `@db.${/^N?CHAR$|^CHARACTER$/.test(base) ? 'Char' : 'VarChar'}(${length})`;
+  }
+  if (kind === 'decimal' && length !== null) {
+    return `@db.Decimal(${length}, ${scale !== null ? scale : 0})`;
+  }
+  if (kind === 'text') return '@db.Text';
+  if (kind === 'date') return '@db.Date';
+  if (kind === 'uuid' && provider === 'postgresql') return '@db.Uuid';
+  return null;
+}
+
+function formatPrismaDefault(column, classified, isEnum) {
+  if (column.autoIncrement) return '@default(autoincrement())';
+  if (column.defaultValue === null || column.defaultValue === undefined) return null;
+
+  const value = stripOnUpdate(column.defaultValue);
+  if (/^(CURRENT_TIMESTAMP|NOW)(\(\d*\))?$/i.test(value) || /^LOCALTIMESTAMP$/i.test(value)) return '@default(now())';
+  if (/^NULL$/i.test(value)) return null;
+
+  const literal = parseStringLiteral(value);
+  if (literal !== null) {
+    if (isEnum) return `@default(${toIdentifier(literal)})`;
+    if (classified.kind === 'boolean') return `@default(${/^(1|t|true|y|yes)$/i.test(literal)})`;
+    return `@default(${JSON.stringify(literal)})`;
+  }
+  if (/^-?\d+(\.\d+)?$/.test(value)) {
+    return classified.kind === 'boolean' ? `@default(${value !== '0'})` : `@default(${value})`;
+  }
+  if (/^(TRUE|FALSE)$/i.test(value)) return `@default(${value.toLowerCase()})`;
+  return `@default(dbgenerated(${JSON.stringify(value)}))`;
+}
+
+function buildPrismaEnum(name, values) {
+  const lines = [`enum ${name} {`];
+  values.forEach(value => {
+    const identifier = toIdentifier(value);
+    lines.push(identifier === value ? `  ${value}` : `  ${identifier} @map(${JSON.stringify(value)})`);
+  });
+  lines.push('}');
+  return lines.join('\n');
+}
+
+// ---------------------------------------------------------------------------
+// Sequelize
+// ---------------------------------------------------------------------------
+
+function generateSequelize({ models }) {
+  const lines = [
+    '// Generated by SQL SchemaLens from the analyzed schema',
+    "const { DataTypes } = require('sequelize');",
+    '',
+    '/**',
+    ' * Defines the models and their associations',
+    ' * @param {Sequelize} sequelize - Connected Sequelize instance',
+    ' * @returns {Object} Models by name',
+    ' */',
+    'module.exports = (sequelize) => {'
+  ];
+
+  models.forEach(model => {
+    const { table } = model;
+    lines.push(`  const ${model.name} = sequelize.define(${quoteJs(model.name)}, {`);
+
+    table.columns.forEach((column, index) => {
+      const classified = classifyColumnType(column.dataType);
+      const options = [`type: ${mapSequelizeType(column, classified)}`];
+      if (model.primaryKey.includes(column.columnName)) options.push('primaryKey: true');
+      if (column.autoIncrement) options.push('autoIncrement: true');
+      options.push(`allowNull: ${column.nullable && !model.primaryKey.includes(column.columnName)}`);
+      if (column.unique) options.push('unique: true');
+      const defaultValue = formatSequelizeDefault(column, classified);
+      if (defaultValue) options.push(`defaultValue: ${defaultValue}`);
+      if (column.foreignKey) {
+        options.push(`references: { model: ${quoteJs(column.foreignKey.table)}, key: ${quoteJs(column.foreignKey.column)} }`);
+      }
+      const description = model.columnDescriptions.get(column.columnName);
+      if (description) options.push(`comment: ${quoteJs(description)}`);
+      const separator = index < table.columns.length - 1 ? ',' : '';
+      lines.push(`    ${formatPropertyName(column.columnName)}: { ${options.join(', ')} }${separator}`);
+    });
+
+    lines.push(`  }, {`);
+    lines.push(`    tableName: ${quoteJs(table.tableName)},`);
+    if (model.description) {
+      lines.push(`    comment: ${quoteJs(model.description)},`);
+    }
+    const indexes = (table.indexes || []).map(index => {
+      const name = index.indexName ? `name: ${quoteJs(index.indexName)}, ` : '';
+      return `{ ${name}${index.unique ? 'unique: true, ' : ''}fields: [${index.columns.map(quoteJs).join(', ')}] }`;
+    });
+    if (indexes.length > 0) {
+      lines.push(`    indexes: [${indexes.join(', ')}],`);
+    }
+    lines.push('    timestamps: false');
+    lines.push('  });');
+
+    // Sequelize adds an "id" primary key to models that do not declare one
+    if (model.primaryKey.length === 0) {
+      lines.push(`  ${model.name}.removeAttribute('id');`);
+    }
+    lines.push('');
+  });
+
+  lines.push('  // Associations derived from foreign keys');
+  models.forEach(model => {
+    model.relations.forEach(relation => {
+      if (relation.columns.length > 1) {
+        lines.push(`  // ${model.name} (${relation.columns.join(', ')}) → ${relation.target.name}: composite foreign keys are not supported by Sequelize associations`);
+        return;
+      }
+
+      const options = [
+        `foreignKey: ${quoteJs(relation.columns[0])}`,
+        `as: ${quoteJs(relation.fieldName)}`
+      ];
+      if (relation.onDelete && REFERENTIAL_ACTIONS[relation.onDelete]) options.push(`onDelete: ${quoteJs(REFERENTIAL_ACTIONS[relation.onDelete].sequelize)}`);
+      if (relation.onUpdate && REFERENTIAL_ACTIONS[relation.onUpdate]) options.push(`onUpdate: ${quoteJs(REFERENTIAL_ACTIONS[relation.onUpdate].sequelize)}`);
+
+      lines.push(`  ${model.name}.belongsTo(${relation.target.name}, { ${options.join(', ')}, targetKey: ${quoteJs(relation.referencedColumns[0])} });`);
+      lines.push(`  ${relation.target.name}.${relation.oneToOne ? 'hasOne' : 'hasMany'}(${model.name}, { foreignKey: ${quoteJs(relation.columns[0])}, ` +
+        `sourceKey: ${quoteJs(relation.referencedColumns[0])}, as: ${quoteJs(relation.backFieldName)} });`);
+    });
+  });
+
+  lines.push('', `  return { ${models.map(model => model.name).join(', ')} };`, '};');
+  return `${lines.join('\n')}\n`;
+}
+
+function mapSequelizeType(column, { kind, base, length, scale }) {
+  switch (kind) {
+    case 'integer':
+      if (base === 'TINYINT') return 'DataTypes.TINYINT';
+      if (base === 'SMALLINT' || base === 'INT2' || base === 'SMALLSERIAL') return 'DataTypes.SMALLINT';
+      if (base === 'MEDIUMINT') return 'DataTypes.MEDIUMINT';
+      return 'DataTypes.INTEGER';
+    case 'bigint':
+      return 'DataTypes.BIGINT';
+    case 'decimal':
+      return length !== null ? `DataTypes.DECIMAL(${length}, ${scale !== null ? scale : 0})` : 'DataTypes.DECIMAL';
+    case 'float':
+      return /DOUBLE|FLOAT8/.test(base) ? 'DataTypes.DOUBLE' : base === 'REAL' ? 'DataTypes.REAL' : 'DataTypes.FLOAT';
+    case 'boolean':
+      return 'DataTypes.BOOLEAN';
+    case 'date':
+      return 'DataTypes.DATEONLY';
+    case 'datetime':
+      return 'DataTypes.DATE';
+    case 'time':
+      return 'DataTypes.TIME';
+    case 'json':
+      return base === 'JSONB' ? 'DataTypes.JSONB' : 'DataTypes.JSON';
+    case 'uuid':
+      return 'DataTypes.UUID';
+    case 'binary':
+      return 'DataTypes.BLOB';
+    case 'text':
+      return 'DataTypes.TEXT';
+    case 'enum':
+      return column.enumValues && column.enumValues.length > 0
+        ? `DataTypes.ENUM(${column.enumValues.map(quoteJs).join(', ')})`
+        : 'DataTypes.STRING';
+    case 'string':
+      if (/^N?CHAR$|^CHARACTER$/.test(base)) return length !== null ? `DataTypes.CHAR(${length})` : 'DataTypes.CHAR';
+      return length !== null ? `DataTypes.STRING(${length})` : 'DataTypes.STRING';
+    default:
+      return 'DataTypes.STRING';
+  }
+}
+
+function formatSequelizeDefault(column, classified) {
+  if (column.autoIncrement || column.defaultValue === null || column.defaultValue === undefined) return null;
+
+  const value = stripOnUpdate(column.defaultValue);
+  if (/^NULL$/i.test(value)) return null;
+  if (/^(CURRENT_TIMESTAMP|NOW)(\(\d*\))?$/i.test(value)) return 'DataTypes.NOW';
+
+  const literal = parseStringLiteral(value);
+  if (literal !== null) return quoteJs(literal);
+  if (/^-?\d+(\.\d+)?$/.test(value)) {
+    return classified.kind === 'boolean' ? String(value !== '0') : value;
+  }
+  if (/^(TRUE|FALSE)$/i.test(value)) return value.toLowerCase();
+  return `sequelize.literal(${quoteJs(value)})`;
+}
+
+// ---------------------------------------------------------------------------
+// SQLAlchemy
+// ---------------------------------------------------------------------------
+
+function generateSqlAlchemy({ models }) {
+  const typeImports = new Set();
+  const sqlalchemyImports = new Set(['Column']);
+  const bodies = [];
+  let hasRelationships = false;
+
+  models.forEach(model => {
+    const { table } = model;
+    const attributeNames = new Map(table.columns.map(column => [column.columnName, toPythonAttribute(column.columnName)]));
+    const singleForeignKeys = new Map();
+    const compositeForeignKeys = [];
+    table.constraints.filter(isForeignKey).forEach(constraint => {
+      if (constraint.columns.length === 1) {
+        singleForeignKeys.set(constraint.columns[0], constraint);
+      } else {
+        compositeForeignKeys.push(constraint);
+      }
+    });
+
+    const columnLines = table.columns.map(column => {
+      const classified = classifyColumnType(column.dataType);
+      const type = mapSqlAlchemyType(column, classified, model, typeImports);
+      const args = [type];
+
+      const foreignKey = singleForeignKeys.get(column.columnName);
+      if (foreignKey) {
+        sqlalchemyImports.add('ForeignKey');
+        const fkArgs = [quotePython(`${foreignKey.referencedTable}.${foreignKey.referencedColumns[0]}`)];
+        if (foreignKey.onDelete) fkArgs.push(`ondelete=${quotePython(foreignKey.onDelete)}`);
+        if (foreignKey.onUpdate) fkArgs.push(`onupdate=${quotePython(foreignKey.onUpdate)}`);
+        args.push(`ForeignKey(${fkArgs.join(', ')})`);
+      }
+      if (model.primaryKey.includes(column.columnName)) args.push('primary_key=True');
+      if (column.autoIncrement) args.push('autoincrement=True');
+      if (!column.nullable && !model.primaryKey.includes(column.columnName)) args.push('nullable=False');
+      if (column.unique) args.push('unique=True');
+      const serverDefault = formatSqlAlchemyDefault(column, sqlalchemyImports);
+      if (serverDefault) args.push(`server_default=${serverDefault}`);
+      const description = model.columnDescriptions.get(column.columnName);
+      if (description) args.push(`comment=${quotePython(description)}`);
+
+      return { column, attribute: attributeNames.get(column.columnName), args };
+    });
+
+    const tableArgs = compositeForeignKeys.map(constraint => {
+      sqlalchemyImports.add('ForeignKeyConstraint');
+      const options = [];
+      if (constraint.onDelete) options.push(`ondelete=${quotePython(constraint.onDelete)}`);
+      if (constraint.onUpdate) options.push(`onupdate=${quotePython(constraint.onUpdate)}`);
+      return `ForeignKeyConstraint([${constraint.columns.map(quotePython).join(', ')}], ` +
+        `[${constraint.referencedColumns.map(columnName => quotePython(`${constraint.referencedTable}.${columnName}`)).join(', ')}]` +
+        `${options.length > 0 ? `, ${options.join(', ')}` : ''})`;
+    });
+    table.constraints
+      .filter(constraint => constraint.type === 'UNIQUE' && constraint.columns.length > 1)
+      .forEach(constraint => {
+        sqlalchemyImports.add('UniqueConstraint');
+        const name = constraint.name ? `, name=${quotePython(constraint.name)}` : '';
+        tableArgs.push(`UniqueConstraint(${constraint.columns.map(quotePython).join(', ')}${name})`);
+      });
+    (table.indexes || []).forEach(index => {
+      sqlalchemyImports.add('Index');
+      const name = quotePython(index.indexName || `ix_${table.tableName}_${index.columns.join('_')}`);
+      tableArgs.push(`Index(${name}, ${index.columns.map(quotePython).join(', ')}${index.unique ? ', unique=True' : ''})`);
+    });
+
+    // The ORM needs a primary key; tables without one are declared as plain Table objects
+    if (model.primaryKey.length === 0) {
+      sqlalchemyImports.add('Table');
+      const lines = [`# ${table.tableName} has no primary key, so it is mapped as a Table rather than a class`];
+      lines.push(`${toPythonAttribute(table.tableName)} = Table(`, `    ${quotePython(table.tableName)},`, '    Base.metadata,');
+      const entries = columnLines
+        .map(({ column, args }) => `Column(${[quotePython(column.columnName), ...args].join(', ')})`)
+        .concat(tableArgs, model.description ? [`comment=${quotePython(model.description)}`] : []);
+      entries.forEach((entry, index) => lines.push(`    ${entry}${index < entries.length - 1 ? ',' : ''}`));
+      lines.push(')');
+      bodies.push(lines.join('\n'));
+      return;
+    }
+
+    const lines = [`class ${model.name}(Base):`, `    __tablename__ = ${quotePython(table.tableName)}`];
+    // Table options such as the comment go in a dictionary, last in the tuple form
+    const tableOptions = model.description ? `{${quotePython('comment')}: ${quotePython(model.description)}}` : null;
+    if (tableArgs.length > 0) {
+      lines.push(`    __table_args__ = (`);
+      tableArgs.concat(tableOptions || []).forEach(entry => lines.push(`        ${entry},`));
+      lines.push('    )');
+    } else if (tableOptions) {
+      lines.push(`    __table_args__ = ${tableOptions}`);
+    }
+    lines.push('');
+    columnLines.forEach(({ column, attribute, args }) => {
+      // The column name is only repeated when it is not a valid attribute name
+      const columnArgs = attribute === column.columnName ? args : [quotePython(column.columnName), ...args];
+      lines.push(`    ${attribute} = Column(${columnArgs.join(', ')})`);
+    });
+
+    // Tables without a primary key are plain Table objects, which relationship() cannot target
+    const relationshipLines = [];
+    model.relations.forEach(relation => {
+      if (relation.target.primaryKey.length === 0) return;
+      const args = [quotePython(relation.target.name)];
+      if (relation.ambiguous) {
+        args.push(`foreign_keys=[${relation.columns.map(columnName => attributeNames.get(columnName)).join(', ')}]`);
+      }
+      if (relation.selfReference) {
+        args.push(`remote_side=[${relation.referencedColumns.map(columnName => attributeNames.get(columnName) || toPythonAttribute(columnName)).join(', ')}]`);
+      }
+      args.push(`back_populates=${quotePython(toPythonRelationName(relation.backFieldName))}`);
+      relationshipLines.push(`    ${toPythonRelationName(relation.fieldName)} = relationship(${args.join(', ')})`);
+    });
+    model.backRelations.forEach(relation => {
+      if (relation.source.primaryKey.length === 0) return;
+      const args = [quotePython(relation.source.name)];
+      if (relation.ambiguous) {
+        args.push(`foreign_keys=${quotePython(`[${relation.columns.map(columnName => `${relation.source.name}.${toPythonAttribute(columnName)}`).join(', ')}]`)}`);
+      }
+      if (relation.oneToOne) args.push('uselist=False');
+      args.push(`back_populates=${quotePython(toPythonRelationName(relation.fieldName))}`);
+      relationshipLines.push(`    ${toPythonRelationName(relation.backFieldName)} = relationship(${args.join(', ')})`);
+    });
+    if (relationshipLines.length > 0) {
+      hasRelationships = true;
+      lines.push('', ...relationshipLines);
+    }
+
+    bodies.push(lines.join('\n'));
+  });
+
+  const header = [
+    '# Generated by SQL SchemaLens from the analyzed schema',
+    `from sqlalchemy import ${Array.from(new Set([...sqlalchemyImports, ...typeImports])).sort().join(', ')}`,
+    `from sqlalchemy.orm import declarative_base${hasRelationships ? ', relationship' : ''}`,
+    '',
+    'Base = declarative_base()'
+  ];
+
+  return `${header.join('\n')}\n\n\n${bodies.join('\n\n\n')}\n`;
+}
+
+function mapSqlAlchemyType(column, { kind, base, length, scale }, model, imports) {
+  const use = (name, args = '') => {
+    imports.add(name);
+    return `${name}${args}`;
+  };
+
+  switch (kind) {
+    case 'integer':
+      return base === 'SMALLINT' || base === 'INT2' || base === 'SMALLSERIAL' || base === 'TINYINT' ? use('SmallInteger') : use('Integer');
+    case 'bigint':
+      return use('BigInteger');
+    case 'decimal':
+      return length !== null ? use('Numeric', `(${length}, ${scale !== null ? scale : 0})`) : use('Numeric');
+    case 'float':
+      return use('Float');
+    case 'boolean':
+      return use('Boolean');
+    case 'date':
+      return use('Date');
+    case 'datetime':
+      return use('DateTime', /TZ|OFFSET/.test(base) ? '(timezone=True)' : '');
+    case 'time':
+      return use('Time');
+    case 'json':
+      return use('JSON');
+    case 'uuid':
+      return use('Uuid');
+    case 'binary':
+      return use('LargeBinary');
+    case 'text':
+      return use('Text');
+    case 'enum':
+      if (column.enumValues && column.enumValues.length > 0) {
+        const name = `${model.table.tableName}_${column.columnName}`.toLowerCase();
+        return use('Enum', `(${column.enumValues.map(quotePython).join(', ')}, name=${quotePython(name)})`);
+      }
+      return use('String');
+    case 'string':
+      return length !== null ? use('String', `(${length})`) : use('String');
+    default:
+      return use('String');
+  }
+}
+
+function formatSqlAlchemyDefault(column, imports) {
+  if (column.autoIncrement || column.defaultValue === null || column.defaultValue === undefined) return null;
+
+  const value = stripOnUpdate(column.defaultValue);
+  if (/^NULL$/i.test(value)) return null;
+
+  const literal = parseStringLiteral(value);
+  if (literal !== null) return quotePython(literal);
+
+  imports.add('text');
+  return `text(${quotePython(value)})`;
+}
+
+// ---------------------------------------------------------------------------
+// Shared helpers
+// ---------------------------------------------------------------------------
+
+function isForeignKey(constraint) {
+  return constraint.type === 'FOREIGN KEY';
+}
+
+function listPrimaryKeyColumns(table) {
+  const constraint = table.constraints.find(candidate => candidate.type === 'PRIMARY KEY');
+  if (constraint) return constraint.columns;
+  return table.columns.filter(column => column.primaryKey).map(column => column.columnName);
+}
+
+/**
+ * Whether a set of columns is unique in its table (the relation is then one-to-one)
+ */
+function isUniqueColumnSet(model, columns) {
+  const sameColumns = (candidate) => candidate.length === columns.length && candidate.every(columnName => columns.includes(columnName));
+  if (sameColumns(model.primaryKey)) return true;
+  if (columns.length === 1 && model.table.columns.some(column => column.columnName === columns[0] && column.unique)) return true;
+  return model.table.constraints.some(constraint => constraint.type === 'UNIQUE' && sameColumns(constraint.columns)) ||
+    (model.table.indexes || []).some(index => index.unique && sameColumns(index.columns));
+}
+
+/**
+ * Name of the field holding the referenced row: category_id → category, authorId → author;
+ * falls back to the referenced model name
+ */
+function toRelationFieldName(columns, targetName) {
+  if (columns.length === 1) {
+    const stripped = columns[0].replace(/(_id|Id|_fk|_key)$/, '');
+    if (stripped !== columns[0] && stripped !== '') return toCamelCase(stripped);
+  }
+  return toCamelCase(targetName);
+}
+
+/**
+ * Singular PascalCase model name of a table: order_items → OrderItem, categories → Category
+ */
+function toModelName(tableName) {
+  const words = splitWords(tableName);
+  if (words.length === 0) return 'Model';
+  words[words.length - 1] = singularize(words[words.length - 1]);
+  const name = words.map(capitalize).join('');
+  return /^[0-9]/.test(name) ? `Table${name}` : name;
+}
+
+function singularize(word) {
+  if (/ies$/i.test(word) && word.length > 3) return word.replace(/ies$/i, 'y');
+  if (/(ss|us|is)$/i.test(word)) return word;
+  if (/(s|x|z|ch|sh)es$/i.test(word)) return word.replace(/es$/i, '');
+  if (/s$/i.test(word) && word.length > 1) return word.slice(0, -1);
+  return word;
+}
+
+function splitWords(name) {
+  return String(name)
+    .replace(/([a-z0-9])([A-Z])/g, '$1 $2')
+    .split(/[^A-Za-z0-9]+/)
+    .filter(Boolean)
+    .map(word => word.toLowerCase());
+}
+
+function toPascalCase(name) {
+  return splitWords(name).map(capitalize).join('');
+}
+
+function toCamelCase(name) {
+  const pascal = toPascalCase(name);
+  return pascal.charAt(0).toLowerCase() + pascal.slice(1);
+}
+
+function capitalize(word) {
+  return word.charAt(0).toUpperCase() + word.slice(1);
+}
+
+/**
+ * Identifier usable as a Prisma field or enum value: invalid characters become underscores
+ */
+function toIdentifier(name) {
+  const identifier = String(name).replace(/[^A-Za-z0-9_]/g, '_');
+  return /^[A-Za-z]/.test(identifier) ? identifier : `v${identifier}`;
+}
+
+function toPythonAttribute(name) {
+  const identifier = String(name).replace(/[^A-Za-z0-9_]/g, '_').replace(/^(?=[0-9])/, '_');
+  return PYTHON_KEYWORDS.has(identifier) ? `${identifier}_` : identifier;
+}
+
+/**
+ * Relation field names are camelCase for the JavaScript targets; Python gets them in snake_case
+ */
+function toPythonRelationName(name) {
+  return toPythonAttribute(splitWords(name).join('_'));
+}
+
+function uniqueName(base, usedNames) {
+  let name = base;
+  for (let suffix = 2; usedNames.has(name); suffix++) {
+    name = `${base}${suffix}`;
+  }
+  usedNames.add(name);
+  return name;
+}
+
+/**
+ * Pairs of field name, type and attributes padded into columns, as prisma format does
+ */
+function alignColumns(rows) {
+  const widths = [0, 1].map(index => Math.max(...rows.map(row => row[index].length)));
+  return rows.map(row => `${row[0].padEnd(widths[0])} ${row[2] ? `${row[1].padEnd(widths[1])} ${row[2]}` : row[1]}`.trimEnd());
+}
+
+/**
+ * JSDoc comment: on one line when the text fits on one
+ */
+function formatDocComment(lines, indent) {
+  const escaped = lines.map(line => line.replace(/\*\//g, '*\\/'));
+  if (escaped.length === 1) return [`${indent}/** ${escaped[0]} */`];
+  return [`${indent}/**`, ...escaped.map(line => `${indent} * ${line}`.trimEnd()), `${indent} */`];
+}
+
+/**
+ * Lines of a description, for line comments; none for a missing description
+ */
+function splitLines(text) {
+  return text ? text.split(/\r?\n/).map(line => line.trimEnd()) : [];
+}
+
+function stripOnUpdate(defaultValue) {
+  return defaultValue.replace(/\s+ON UPDATE\s+.*$/i, '');
+}
+
+/**
+ * Text of a quoted SQL string literal ('it''s' → it's), or null for other defaults
+ */
+function parseStringLiteral(value) {
+  const match = value.match(/^[NE]?'((?:[^']|'')*)'$/i);
+  return match ? match[1].replace(/''/g, "'") : null;
+}
+
+function quoteJs(value) {
+  return `'${String(value).replace(/\\/g, '\\\\').replace(/'/g, "\\'").replace(/\n/g, '\\n')}'`;
+}
+
+function quotePython(value) {
+  return `'${String(value).replace(/\\/g, '\\\\').replace(/'/g, "\\'").replace(/\n/g, '\\n')}'`;
+}
+
+module.exports = {
+  CODE_TARGETS,
+  classifyColumnType,
+  generateCode
+};
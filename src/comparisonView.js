@@ -0,0 +1,186 @@
+/**
+ * Side-by-side view of a schema comparison for the renderer
+ * Shows the old schema on the left and the new one on the right, colour-coding
+ * added, removed, renamed and changed tables and columns
+ */
+
+/**
+ * Renders a comparison into the given container
+ * @param {HTMLElement} container - Element to render into (its content is replaced)
+ * @param {Object} comparison - { oldPath, newPath, oldAnalysis, newAnalysis, diff }
+ */
+export function renderComparison(container, comparison) {
+  const { oldAnalysis, newAnalysis, diff } = comparison;
+  container.innerHTML = '';
+
+  container.appendChild(buildSummary(diff.summary));
+
+  const grid = document.createElement('div');
+  grid.className = 'comparison-grid';
+  grid.appendChild(buildColumnHeader('Old', comparison.oldPath));
+  grid.appendChild(buildColumnHeader('New', comparison.newPath));
+
+  const newTables = new Map(newAnalysis.tables.map(table => [table.tableName, table]));
+  const modifiedTables = new Map(diff.modifiedTables.map(table => [table.tableName, table]));
+
+  // Pair every table with its counterpart (or nothing) so rows line up across both sides
+  const rows = [];
+  oldAnalysis.tables.forEach(oldTable => {
+    const rename = diff.renamedTables.find(entry => entry.from === oldTable.tableName);
+    if (rename) {
+      rows.push({ status: 'renamed', oldTable, newTable: newTables.get(rename.to), changes: rename.changes });
+    } else if (diff.removedTables.includes(oldTable.tableName)) {
+      rows.push({ status: 'removed', oldTable, newTable: null, changes: null });
+    } else {
+      const changes = modifiedTables.get(oldTable.tableName) || null;
+      rows.push({ status: changes ? 'modified' : 'unchanged', oldTable, newTable: newTables.get(oldTable.tableName), changes });
+    }
+  });
+  diff.addedTables.forEach(tableName => {
+    rows.push({ status: 'added', oldTable: null, newTable: newTables.get(tableName), changes: null });
+  });
+
+  rows.forEach(row => {
+    grid.appendChild(buildTableCard(row, 'old'));
+    grid.appendChild(buildTableCard(row, 'new'));
+  });
+
+  container.appendChild(grid);
+}
+
+function buildSummary(summary) {
+  const summaryElement = document.createElement('div');
+  summaryElement.className = 'comparison-summary';
+
+  const items = [
+    { label: 'Tables added', value: summary.addedTables, className: 'added' },
+    { label: 'Tables removed', value: summary.removedTables, className: 'removed' },
+    { label: 'Tables renamed', value: summary.renamedTables, className: 'renamed' },
+    { label: 'Tables modified', value: summary.modifiedTables, className: 'modified' },
+    { label: 'Columns added', value: summary.addedColumns, className: 'added' },
+    { label: 'Columns dropped', value: summary.removedColumns, className: 'removed' },
+    { label: 'Columns changed', value: summary.changedColumns, className: 'modified' },
+    { label: 'Row delta', value: formatDelta(summary.rowCountDelta), className: '' }
+  ];
+
+  items.forEach(item => {
+    const badge = document.createElement('span');
+    badge.className = `comparison-badge ${item.className}`;
+    badge.textContent = `${item.label}: ${item.value}`;
+    summaryElement.appendChild(badge);
+  });
+
+  return summaryElement;
+}
+
+function buildColumnHeader(label, filePath) {
+  const header = document.createElement('div');
+  header.className = 'comparison-column-header';
+  header.textContent = `${label}: ${filePath}`;
+  header.title = filePath;
+  return header;
+}
+
+/**
+ * Builds one side of a table row in the comparison grid
+ * @param {Object} row - { status, oldTable, newTable, changes }
+ * @param {String} side - 'old' or 'new'
+ */
+function buildTableCard(row, side) {
+  const table = side === 'old' ? row.oldTable : row.newTable;
+  const card = document.createElement('div');
+
+  if (!table) {
+    card.className = 'comparison-table placeholder';
+    return card;
+  }
+
+  card.className = `comparison-table ${row.status}`;
+
+  const title = document.createElement('h4');
+  title.textContent = table.tableName;
+  if (row.status !== 'unchanged') {
+    const tag = document.createElement('span');
+    tag.className = 'comparison-tag';
+    tag.textContent = row.status === 'renamed' && side === 'new' ? `renamed from ${row.oldTable.tableName}` : row.status;
+    title.appendChild(tag);
+  }
+  card.appendChild(title);
+
+  const changes = row.changes;
+  const list = document.createElement('ul');
+  table.columns.forEach(column => {
+    const item = document.createElement('li');
+    item.textContent = `${column.columnName}: ${column.dataType}`;
+
+    if (changes) {
+      const added = side === 'new' && changes.addedColumns.some(c => c.columnName === column.columnName);
+      const removed = side === 'old' && changes.removedColumns.some(c => c.columnName === column.columnName);
+      const changed = changes.changedColumns.find(c => c.columnName === column.columnName);
+
+      if (added) {
+        item.className = 'added';
+      } else if (removed) {
+        item.className = 'removed';
+      } else if (changed) {
+        item.className = 'modified';
+        item.title = changed.changes.map(change => `${change.property}: ${formatValue(change.from)} → ${formatValue(change.to)}`).join('\n');
+        if (side === 'new') {
+          item.textContent += ` (${changed.changes.map(change => change.property).join(', ')} changed)`;
+        }
+      }
+    } else if (row.status === 'added') {
+      item.className = 'added';
+    } else if (row.status === 'removed') {
+      item.className = 'removed';
+    }
+
+    list.appendChild(item);
+  });
+  card.appendChild(list);
+
+  if (changes && side === 'new') {
+    const details = describeStructuralChanges(changes);
+    details.forEach(detail => {
+      const note = document.createElement('p');
+      note.className = `comparison-note ${detail.className}`;
+      note.textContent = detail.text;
+      card.appendChild(note);
+    });
+  }
+
+  const rows = document.createElement('p');
+  rows.className = 'comparison-rows';
+  rows.textContent = `${table.rowCount} rows`;
+  if (changes && side === 'new' && changes.rowCount.delta !== 0) {
+    rows.textContent += ` (${formatDelta(changes.rowCount.delta)})`;
+  }
+  card.appendChild(rows);
+
+  return card;
+}
+
+function describeStructuralChanges(changes) {
+  const notes = [];
+  changes.addedConstraints.forEach(constraint => {
+    notes.push({ className: 'added', text: `+ ${constraint.type} (${constraint.columns.join(', ') || constraint.expression || ''})` });
+  });
+  changes.removedConstraints.forEach(constraint => {
+    notes.push({ className: 'removed', text: `− ${constraint.type} (${constraint.columns.join(', ') || constraint.expression || ''})` });
+  });
+  changes.addedIndexes.forEach(index => {
+    notes.push({ className: 'added', text: `+ INDEX ${index.indexName || ''} (${index.columns.join(', ')})` });
+  });
+  changes.removedIndexes.forEach(index => {
+    notes.push({ className: 'removed', text: `− INDEX ${index.indexName || ''} (${index.columns.join(', ')})` });
+  });
+  return notes;
+}
+
+function formatDelta(delta) {
+  return delta > 0 ? `+${delta}` : String(delta);
+}
+
+function formatValue(value) {
+  return value === null || value === undefined ? 'none' : String(value);
+}
@@ -0,0 +1,252 @@
+/**
+ * "Data" tab of the table details for the renderer
+ * Pages through the rows a table inserts in the dump, sorted by any column and filtered per column.
+ * The rows are read and queried by the main process; this view only holds the page on screen.
+ */
+
+import { DATA_EXPORT_FORMATS, formatCellText } from './tableData';
+
+const PAGE_SIZES = [50, 100, 500];
+
+// Longer values are cut in the grid (the full value is in the cell's tooltip)
+const MAX_CELL_LENGTH = 200;
+
+const FILTER_HELP = 'Text anywhere in the value, a comparison such as > 10 or <= 2024-01-01, NULL or !NULL';
+
+/**
+ * Creates the data grid of a table inside the given container element
+ * @param {HTMLElement} container - Element to render into (its content is replaced)
+ * @param {Object} table - Table object from the analysis
+ * @param {Object} options - Options
+ * @param {Boolean} options.available - Whether the rows can be read (false for a live database)
+ * @param {Function} options.loadPage - Called with { filters, sort, offset, limit }; resolves to
+ *   { success, message, columns, rows, total, loadedCount, truncated, expressionCount, skippedCount }
+ * @param {Function} options.exportData - Called with a format id; resolves to { success, cancelled, message, filePath, result }
+ * @returns {Object} Grid controller with load(), which reads the rows the first time it is called
+ */
+export function createDataGrid(container, table, { available, loadPage, exportData }) {
+  const query = { filters: {}, sort: null, offset: 0, limit: PAGE_SIZES[1] };
+  let page = null;
+  let status = null;
+  let loaded = false;
+  // Answers to earlier requests are dropped when the user has moved on
+  let requestCount = 0;
+
+  const showMessage = (text) => {
+    container.innerHTML = '';
+    const message = document.createElement('p');
+    message.className = 'profile-empty';
+    message.textContent = text;
+    container.appendChild(message);
+  };
+
+  const refresh = async () => {
+    const request = ++requestCount;
+    const result = await loadPage({ ...query });
+    if (request !== requestCount) return;
+
+    if (!result.success) {
+      loaded = false;
+      showMessage(result.cancelled ? 'Loading the rows was cancelled.' : `The rows could not be read: ${result.message}`);
+      appendRetry();
+      return;
+    }
+    page = result;
+    render();
+  };
+
+  const appendRetry = () => {
+    const retry = document.createElement('button');
+    retry.textContent = 'Load Rows';
+    retry.addEventListener('click', () => load());
+    container.appendChild(retry);
+  };
+
+  const update = (changes) => {
+    Object.assign(query, changes);
+    refresh();
+  };
+
+  const render = () => {
+    container.innerHTML = '';
+    container.appendChild(buildToolbar(page, query, status, {
+      onPage: offset => update({ offset }),
+      onPageSize: limit => update({ limit, offset: 0 }),
+      onExport: async (format) => {
+        status = { error: false, text: 'Exporting…' };
+        render();
+        status = describeExport(await exportData(format));
+        render();
+      }
+    }));
+
+    buildNotes(page).forEach(note => container.appendChild(note));
+    container.appendChild(buildGrid(page, query, {
+      onSort: (column) => {
+        const current = query.sort && query.sort.column === column ? query.sort : null;
+        // Ascending, descending, then back to the order of the dump
+        const sort = !current ? { column, descending: false } : current.descending ? null : { column, descending: true };
+        update({ sort, offset: 0 });
+      },
+      onFilter: (column, text) => {
+        const filters = { ...query.filters };
+        if (text.trim() === '') {
+          delete filters[column];
+        } else {
+          filters[column] = text;
+        }
+        update({ filters, offset: 0 });
+      }
+    }));
+  };
+
+  const load = () => {
+    if (loaded) return;
+    if (!available) {
+      showMessage('Rows are read from the INSERT statements of a dump; a live database is not browsed here.');
+      return;
+    }
+    if (table.rowCount === 0) {
+      showMessage('No INSERT data for this table in the dump.');
+      return;
+    }
+    loaded = true;
+    showMessage('Reading rows…');
+    refresh();
+  };
+
+  container.innerHTML = '';
+  return { load };
+}
+
+function describeExport(result) {
+  if (result.cancelled) return null;
+  if (!result.success) return { error: true, text: `Not exported: ${result.message}` };
+  return { error: false, text: `${result.result.rowsWritten.toLocaleString()} rows written to ${result.filePath}` };
+}
+
+function buildToolbar(page, query, status, { onPage, onPageSize, onExport }) {
+  const toolbar = document.createElement('div');
+  toolbar.className = 'data-grid-toolbar';
+
+  const first = page.total === 0 ? 0 : query.offset + 1;
+  const last = Math.min(query.offset + query.limit, page.total);
+  const range = document.createElement('span');
+  range.className = 'data-grid-range';
+  range.textContent = `Rows ${first.toLocaleString()}–${last.toLocaleString()} of ${page.total.toLocaleString()}` +
+    (page.total !== page.loadedCount ? ` (filtered from ${page.loadedCount.toLocaleString()})` : '');
+  toolbar.appendChild(range);
+
+  const previous = document.createElement('button');
+  previous.textContent = '‹ Previous';
+  previous.disabled = query.offset === 0;
+  previous.addEventListener('click', () => onPage(Math.max(0, query.offset - query.limit)));
+  toolbar.appendChild(previous);
+
+  const next = document.createElement('button');
+  next.textContent = 'Next ›';
+  next.disabled = last >= page.total;
+  next.addEventListener('click', () => onPage(query.offset + query.limit));
+  toolbar.appendChild(next);
+
+  const pageSize = document.createElement('select');
+  PAGE_SIZES.forEach(size => {
+    const option = document.createElement('option');
+    option.value = String(size);
+    option.textContent = `${size} per page`;
+    pageSize.appendChild(option);
+  });
+  pageSize.value = String(query.limit);
+  pageSize.addEventListener('change', () => onPageSize(Number(pageSize.value)));
+  toolbar.appendChild(pageSize);
+
+  DATA_EXPORT_FORMATS.forEach(format => {
+    const button = document.createElement('button');
+    button.textContent = `Export ${format.label}…`;
+    button.title = 'Every row of the table, whatever the filters';
+    button.addEventListener('click', () => onExport(format.id));
+    toolbar.appendChild(button);
+  });
+
+  if (status) {
+    const statusText = document.createElement('span');
+    statusText.className = 'annotation-status';
+    statusText.classList.toggle('error', status.error);
+    statusText.textContent = status.text;
+    toolbar.appendChild(statusText);
+  }
+  return toolbar;
+}
+
+function buildNotes(page) {
+  const notes = [];
+  if (page.truncated) {
+    notes.push(`Only the first ${page.loadedCount.toLocaleString()} rows are loaded; export the table to get all of them.`);
+  }
+  if (page.expressionCount > 0) {
+    notes.push(`${page.expressionCount.toLocaleString()} values are SQL expressions (such as NOW()) and are shown as written.`);
+  }
+  if (page.skippedCount > 0) {
+    notes.push(`${page.skippedCount.toLocaleString()} statements into this table could not be read (INSERT ... SELECT or COPY in CSV format).`);
+  }
+  return notes.map(text => {
+    const note = document.createElement('p');
+    note.className = 'data-grid-note';
+    note.textContent = `⚠ ${text}`;
+    return note;
+  });
+}
+
+function buildGrid(page, query, { onSort, onFilter }) {
+  const wrapper = document.createElement('div');
+  wrapper.className = 'data-grid';
+  const grid = document.createElement('table');
+  const head = grid.createTHead();
+
+  const titles = head.insertRow();
+  page.columns.forEach(({ name, kind }) => {
+    const cell = document.createElement('th');
+    const sorted = query.sort && query.sort.column === name;
+    cell.textContent = sorted ? `${name} ${query.sort.descending ? '▼' : '▲'}` : name;
+    cell.title = `${kind} · click to sort`;
+    cell.classList.toggle('sorted', Boolean(sorted));
+    cell.addEventListener('click', () => onSort(name));
+    titles.appendChild(cell);
+  });
+
+  const filters = head.insertRow();
+  filters.className = 'data-grid-filters';
+  page.columns.forEach(({ name }) => {
+    const cell = document.createElement('th');
+    const input = document.createElement('input');
+    input.type = 'text';
+    input.placeholder = 'Filter';
+    input.title = FILTER_HELP;
+    input.value = query.filters[name] || '';
+    input.addEventListener('change', () => onFilter(name, input.value));
+    cell.appendChild(input);
+    filters.appendChild(cell);
+  });
+
+  const body = grid.createTBody();
+  page.rows.forEach(values => {
+    const row = body.insertRow();
+    values.forEach((value, index) => {
+      const cell = row.insertCell();
+      const text = formatCellText(value);
+      cell.textContent = text.length > MAX_CELL_LENGTH ? `${text.slice(0, MAX_CELL_LENGTH)}…` : text;
+      if (text.length > MAX_CELL_LENGTH) cell.title = text;
+      cell.classList.toggle('data-null', value === null);
+      cell.classList.toggle('data-number', page.columns[index].kind === 'numeric' && value !== null);
+    });
+  });
+
+  wrapper.appendChild(grid);
+  if (page.rows.length === 0) {
+    const empty = document.createElement('p');
+    empty.className = 'profile-empty';
+    empty.textContent = 'No row matches the filters.';
+    wrapper.appendChild(empty);
+  }
+  return wrapper;
+}
@@ -0,0 +1,333 @@
+/**
+ * Column data profiling for inserted rows
+ * Profiles are built one value at a time with bounded memory, so large dumps can be
+ * profiled while streaming: distinct counts switch from an exact set to a HyperLogLog
+ * estimate, frequent values are tracked with the Space-Saving algorithm and histograms
+ * are drawn from a fixed-size reservoir sample. The first values of each column are also
+ * checked against the sensitive data patterns of sensitiveData.js
+ */
+
+const { createRandom, hashString } = require('./random');
+const { matchValuePatterns } = require('./sensitiveData');
+
+// Distinct values counted exactly before switching to the HyperLogLog estimate
+const EXACT_DISTINCT_LIMIT = 1000;
+
+// HyperLogLog register count is 2^precision (2048 registers, about 2.3% standard error)
+const HLL_PRECISION = 11;
+
+// Candidates tracked for the most frequent values, and how many are reported
+const TOP_VALUE_CAPACITY = 50;
+const TOP_VALUE_COUNT = 5;
+
+// Reservoir sample size and bucket count for numeric/date histograms
+const SAMPLE_SIZE = 500;
+const HISTOGRAM_BINS = 10;
+
+// Longest string kept for display in min/max and top values
+const MAX_DISPLAY_LENGTH = 100;
+
+// Values of a column checked against the sensitive data patterns
+const PATTERN_CHECK_LIMIT = 1000;
+
+/**
+ * Classifies a data type for profiling purposes
+ * @param {String} dataType - Type as built by the analyzer, e.g. VARCHAR(50)
+ * @returns {String} 'numeric', 'date' or 'string'
+ */
+function classifyDataType(dataType) {
+  const baseType = String(dataType || '').toUpperCase().replace(/\(.*$/, '').trim();
+  if (/INT|DECIMAL|NUMERIC|FLOAT|DOUBLE|REAL|SERIAL|MONEY|^BIT$|^YEAR$/.test(baseType)) {
+    return 'numeric';
+  }
+  if (/^(DATE|DATETIME|DATETIME2|SMALLDATETIME|TIMESTAMP|TIMESTAMPTZ|DATETIMEOFFSET)$/.test(baseType) || baseType.startsWith('TIMESTAMP')) {
+    return 'date';
+  }
+  return 'string';
+}
+
+/**
+ * Creates an incremental profiler for one column
+ * @param {String} dataType - Column data type, which decides numeric/date/string statistics
+ * @returns {Object} Profiler with add(value) and getProfile()
+ */
+function createColumnProfiler(dataType) {
+  const kind = classifyDataType(dataType);
+  const distinct = createDistinctCounter();
+  const topValues = createTopValues(TOP_VALUE_CAPACITY);
+  const sample = createReservoir(SAMPLE_SIZE);
+
+  let count = 0;
+  let nullCount = 0;
+  let lengthTotal = 0;
+  let lengthCount = 0;
+  let min = null;
+  let max = null;
+  // Values of a numeric column that are not numbers, left out of its statistics
+  let unparsableCount = 0;
+  let unparsableExample = null;
+  let patternChecked = 0;
+  const patternMatches = {};
+
+  /**
+   * Adds one value; undefined (a function call or DEFAULT) counts as a row but is not profiled
+   * @param {*} value - Literal value from insertValues.literalValue
+   */
+  function add(value) {
+    count++;
+    if (value === undefined) return;
+    if (value === null) {
+      nullCount++;
+      return;
+    }
+
+    if (kind !== 'date' && patternChecked < PATTERN_CHECK_LIMIT) {
+      patternChecked++;
+      matchValuePatterns(value).forEach(category => {
+        patternMatches[category] = (patternMatches[category] || 0) + 1;
+      });
+    }
+
+    const measure = measureValue(value, kind);
+    if (kind === 'numeric' && measure === null) {
+      unparsableCount++;
+      if (unparsableExample === null) unparsableExample = displayValue(String(value));
+      return;
+    }
+    const key = measure === null ? String(value) : `${kind}:${measure}`;
+    distinct.add(key);
+    topValues.add(key, kind === 'numeric' ? measure : value);
+
+    if (kind === 'string') {
+      lengthTotal += String(value).length;
+      lengthCount++;
+    }
+
+    if (measure !== null) {
+      sample.add(measure);
+      // Numbers are reported as numbers, whether the dump wrote them quoted or not (as are top values)
+      const extreme = { measure, value: kind === 'numeric' ? measure : value };
+      if (min === null || measure < min.measure) min = extreme;
+      if (max === null || measure > max.measure) max = extreme;
+    } else if (kind === 'string') {
+      const text = String(value);
+      if (min === null || text < min.value) min = { measure: null, value: text };
+      if (max === null || text > max.value) max = { measure: null, value: text };
+    }
+  }
+
+  function getProfile() {
+    const distinctCount = distinct.count();
+    return {
+      kind,
+      count,
+      nullCount,
+      distinctCount: distinctCount.value,
+      distinctApproximate: distinctCount.approximate,
+      min: min ? displayValue(min.value) : null,
+      max: max ? displayValue(max.value) : null,
+      unparsableCount,
+      unparsableExample,
+      averageLength: lengthCount > 0 ? lengthTotal / lengthCount : null,
+      topValues: topValues.top(TOP_VALUE_COUNT),
+      topValuesApproximate: topValues.approximate(),
+      histogram: kind === 'string' ? null : buildHistogram(sample, min, max, kind),
+      valuePatterns: { checked: patternChecked, matches: { ...patternMatches } }
+    };
+  }
+
+  return {
+    add,
+    getProfile
+  };
+}
+
+/**
+ * Numeric measure used for min/max and histograms: the number itself, or epoch
+ * milliseconds for dates; null when the value cannot be measured
+ */
+function measureValue(value, kind) {
+  if (kind === 'numeric') {
+    // Number('') is 0
+    if (typeof value === 'string' && value.trim() === '') return null;
+    const number = Number(value);
+    return Number.isFinite(number) ? number : null;
+  }
+  if (kind === 'date') {
+    const time = Date.parse(String(value).replace(' ', 'T'));
+    return Number.isFinite(time) ? time : null;
+  }
+  return null;
+}
+
+function displayValue(value) {
+  if (typeof value !== 'string') return value;
+  return value.length > MAX_DISPLAY_LENGTH ? `${value.slice(0, MAX_DISPLAY_LENGTH)}…` : value;
+}
+
+/**
+ * Distinct counter that is exact up to EXACT_DISTINCT_LIMIT values and a HyperLogLog estimate beyond
+ */
+function createDistinctCounter() {
+  let exact = new Set();
+  const registerCount = 1 << HLL_PRECISION;
+  const registers = new Uint8Array(registerCount);
+
+  function add(key) {
+    const hash = hashString(key);
+    const index = hash >>> (32 - HLL_PRECISION);
+    // Rank of the first set bit in the remaining bits (capped when they are all zero)
+    const remaining = (hash << HLL_PRECISION) >>> 0;
+    const rank = remaining === 0 ? 32 - HLL_PRECISION + 1 : Math.clz32(remaining) + 1;
+    if (rank > registers[index]) registers[index] = rank;
+
+    if (exact) {
+      exact.add(hash);
+      if (exact.size > EXACT_DISTINCT_LIMIT) exact = null;
+    }
+  }
+
+  function count() {
+    if (exact) {
+      return { value: exact.size, approximate: false };
+    }
+
+    let sum = 0;
+    let zeros = 0;
+    registers.forEach(register => {
+      sum += Math.pow(2, -register);
+      if (register === 0) zeros++;
+    });
+    const alpha = 0.7213 / (1 + 1.079 / registerCount);
+    let estimate = (alpha * registerCount * registerCount) / sum;
+    // Linear counting is more accurate while many registers are still empty
+    if (estimate <= 2.5 * registerCount && zeros > 0) {
+      estimate = registerCount * Math.log(registerCount / zeros);
+    }
+    return { value: Math.round(estimate), approximate: true };
+  }
+
+  return { add, count };
+}
+
+/**
+ * Space-Saving frequent item tracker with a fixed number of counters
+ * @param {Number} capacity - Counters kept
+ */
+function createTopValues(capacity) {
+  const counters = new Map();
+  let evicted = false;
+
+  function add(key, value) {
+    const counter = counters.get(key);
+    if (counter) {
+      counter.count++;
+      return;
+    }
+
+    if (counters.size < capacity) {
+      counters.set(key, { value: displayValue(value), count: 1, error: 0 });
+      return;
+    }
+
+    // Replace the least frequent candidate; the newcomer inherits its count as possible error
+    let minKey = null;
+    let minCount = Infinity;
+    counters.forEach((entry, entryKey) => {
+      if (entry.count < minCount) {
+        minCount = entry.count;
+        minKey = entryKey;
+      }
+    });
+    counters.delete(minKey);
+    counters.set(key, { value: displayValue(value), count: minCount + 1, error: minCount });
+    evicted = true;
+  }
+
+  /**
+   * Most frequent values with their guaranteed occurrence count; once candidates have
+   * been evicted, values seen only once are left out since they are indistinguishable
+   */
+  function top(limit) {
+    return Array.from(counters.values())
+      .map(entry => ({ value: entry.value, count: entry.count - entry.error }))
+      .filter(entry => !evicted || entry.count > 1)
+      .sort((a, b) => b.count - a.count)
+      .slice(0, limit);
+  }
+
+  return {
+    add,
+    top,
+    approximate: () => evicted
+  };
+}
+
+/**
+ * Reservoir sample (algorithm R) with a fixed-seed generator, so a dump always
+ * produces the same profile
+ * @param {Number} size - Sample size
+ */
+function createReservoir(size) {
+  const values = [];
+  const random = createRandom(0x5eed);
+  let seen = 0;
+
+  function add(value) {
+    seen++;
+    if (values.length < size) {
+      values.push(value);
+      return;
+    }
+    const slot = Math.floor(random() * seen);
+    if (slot < size) values[slot] = value;
+  }
+
+  return {
+    add,
+    values: () => values,
+    seen: () => seen
+  };
+}
+
+/**
+ * Builds an equal-width histogram between the exact min and max; counts are scaled up
+ * from the sample when it holds only part of the values
+ */
+function buildHistogram(sample, min, max, kind) {
+  const values = sample.values();
+  if (values.length === 0 || min === null || max === null) {
+    return null;
+  }
+
+  const format = kind === 'date'
+    ? (measure => new Date(measure).toISOString())
+    : (measure => Number(measure.toPrecision(6)));
+  const low = min.measure;
+  const high = max.measure;
+  // Halves, so that the span of values near ±Number.MAX_VALUE does not overflow to Infinity
+  const halfSpan = high / 2 - low / 2;
+  if (!(halfSpan > 0)) {
+    return [{ from: format(low), to: format(high), count: sample.seen() }];
+  }
+
+  const counts = new Array(HISTOGRAM_BINS).fill(0);
+  values.forEach(value => {
+    const bin = Math.min(HISTOGRAM_BINS - 1, Math.floor(((value / 2 - low / 2) / halfSpan) * HISTOGRAM_BINS));
+    counts[bin]++;
+  });
+
+  // Bounds are interpolated between min and max for the same reason
+  const bound = (bin) => (bin === HISTOGRAM_BINS ? high : low * (1 - bin / HISTOGRAM_BINS) + high * (bin / HISTOGRAM_BINS));
+  const scale = sample.seen() / values.length;
+  return counts.map((binCount, bin) => ({
+    from: format(bound(bin)),
+    to: format(bound(bin + 1)),
+    count: Math.round(binCount * scale)
+  }));
+}
+
+module.exports = {
+  classifyDataType,
+  createColumnProfiler
+};
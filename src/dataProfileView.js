@@ -0,0 +1,90 @@
+/**
+ * "Data Profile" tab of the table details for the renderer
+ * Shows per-column statistics of the inserted rows: nulls, distinct values, min/max,
+ * average string length, most frequent values and a small histogram
+ */
+
+import { describeProfile, formatProfileValue } from './schemaText';
+
+/**
+ * Renders a table's data profile into the given container
+ * @param {HTMLElement} container - Element to render into (its content is replaced)
+ * @param {Object} table - Table object from the analysis (with dataProfile)
+ */
+export function renderDataProfile(container, table) {
+  container.innerHTML = '';
+
+  const profiles = table.dataProfile || [];
+  if (table.rowCount === 0 || profiles.every(profile => profile.count === 0)) {
+    const empty = document.createElement('p');
+    empty.className = 'profile-empty';
+    // Tables read from a live database have a row count but no profile
+    empty.textContent = table.dataProfile ? 'No INSERT data for this table in the dump.' : 'The rows of this table were not profiled.';
+    container.appendChild(empty);
+    return;
+  }
+
+  profiles.forEach(profile => container.appendChild(buildProfileCard(profile)));
+}
+
+function buildProfileCard(profile) {
+  const card = document.createElement('div');
+  card.className = 'profile-card';
+
+  const title = document.createElement('h4');
+  title.textContent = profile.columnName;
+  const kind = document.createElement('span');
+  kind.className = 'profile-kind';
+  kind.textContent = profile.kind;
+  title.appendChild(kind);
+  card.appendChild(title);
+
+  const stats = document.createElement('dl');
+  stats.className = 'profile-stats';
+  describeProfile(profile).forEach(([label, value]) => {
+    const term = document.createElement('dt');
+    term.textContent = label;
+    const definition = document.createElement('dd');
+    definition.textContent = value;
+    stats.appendChild(term);
+    stats.appendChild(definition);
+  });
+  card.appendChild(stats);
+
+  if (profile.topValues.length > 0) {
+    const topTitle = document.createElement('h5');
+    topTitle.textContent = profile.topValuesApproximate ? 'Most frequent (approximate)' : 'Most frequent';
+    card.appendChild(topTitle);
+
+    const list = document.createElement('ol');
+    list.className = 'profile-top-values';
+    profile.topValues.forEach(entry => {
+      const item = document.createElement('li');
+      item.textContent = `${formatProfileValue(entry.value)} × ${entry.count.toLocaleString()}`;
+      list.appendChild(item);
+    });
+    card.appendChild(list);
+  }
+
+  if (profile.histogram && profile.histogram.length > 1) {
+    card.appendChild(buildHistogram(profile.histogram));
+  }
+
+  return card;
+}
+
+function buildHistogram(histogram) {
+  const chart = document.createElement('div');
+  chart.className = 'profile-histogram';
+  const highest = Math.max(...histogram.map(bin => bin.count), 1);
+
+  histogram.forEach(bin => {
+    const bar = document.createElement('div');
+    bar.className = 'profile-histogram-bar';
+    bar.style.height = `${Math.max(2, (bin.count / highest) * 100)}%`;
+    bar.title = `${formatProfileValue(bin.from)} – ${formatProfileValue(bin.to)}: ${bin.count.toLocaleString()}`;
+    chart.appendChild(bar);
+  });
+
+  return chart;
+}
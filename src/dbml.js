@@ -0,0 +1,149 @@
+/**
+ * DBML export
+ * Writes the schema in the Database Markup Language used by dbdiagram.io:
+ * one Table block per table (columns, settings, indexes) followed by the Ref lines
+ */
+
+const { resolveTableAnnotation, resolveColumnAnnotation } = require('./annotations');
+const { describeAnnotationDetails, formatDialectName } = require('./schemaText');
+
+/**
+ * Builds the DBML document of an analysis
+ * @param {Object} analysis - Analysis result
+ * @returns {String} DBML source
+ */
+function buildDbml(analysis) {
+  const blocks = [];
+
+  if (analysis.databaseName) {
+    blocks.push(`Project ${quoteName(analysis.databaseName)} {\n  database_type: '${formatDialectName(analysis.dialect)}'\n}`);
+  }
+
+  analysis.tables.forEach(table => blocks.push(buildTableBlock(table, analysis.annotations)));
+
+  const refs = [];
+  analysis.tables.forEach(table => {
+    table.constraints
+      .filter(constraint => constraint.type === 'FOREIGN KEY')
+      .forEach(constraint => refs.push(buildRef(table, constraint)));
+  });
+  if (refs.length > 0) {
+    blocks.push(refs.join('\n'));
+  }
+
+  return `${blocks.join('\n\n')}\n`;
+}
+
+function buildTableBlock(table, annotations) {
+  const lines = [`Table ${quoteName(table.tableName)} {`];
+
+  // Only single-column primary keys can be set on the column; composite ones go to Indexes
+  const primaryKey = table.constraints.find(constraint => constraint.type === 'PRIMARY KEY');
+  const primaryKeyColumns = primaryKey
+    ? primaryKey.columns
+    : table.columns.filter(column => column.primaryKey).map(column => column.columnName);
+  const inlinePrimaryKey = primaryKeyColumns.length === 1 ? primaryKeyColumns[0] : null;
+
+  table.columns.forEach(column => {
+    const settings = [];
+    if (column.columnName === inlinePrimaryKey) settings.push('pk');
+    if (column.autoIncrement) settings.push('increment');
+    if (column.unique) settings.push('unique');
+    if (!column.nullable && column.columnName !== inlinePrimaryKey) settings.push('not null');
+    if (column.defaultValue !== null) settings.push(`default: ${formatDefault(column.defaultValue)}`);
+    const note = formatNote(resolveColumnAnnotation(annotations, table, column));
+    if (note) settings.push(`note: ${note}`);
+
+    const settingsText = settings.length > 0 ? ` [${settings.join(', ')}]` : '';
+    lines.push(`  ${quoteName(column.columnName)} ${formatType(column.dataType)}${settingsText}`);
+  });
+
+  const indexes = [];
+  if (primaryKeyColumns.length > 1) {
+    indexes.push(`(${primaryKeyColumns.map(quoteName).join(', ')}) [pk]`);
+  }
+  table.constraints
+    .filter(constraint => constraint.type === 'UNIQUE')
+    .forEach(constraint => indexes.push(formatIndex(constraint.columns, ['unique'], constraint.name)));
+  (table.indexes || []).forEach(index => {
+    indexes.push(formatIndex(index.columns, index.unique ? ['unique'] : [], index.indexName));
+  });
+
+  if (indexes.length > 0) {
+    lines.push('', '  Indexes {');
+    indexes.forEach(index => lines.push(`    ${index}`));
+    lines.push('  }');
+  }
+
+  const tableNote = formatNote(resolveTableAnnotation(annotations, table));
+  if (tableNote) {
+    lines.push('', `  Note: ${tableNote}`);
+  }
+
+  lines.push('}');
+  return lines.join('\n');
+}
+
+function buildRef(table, constraint) {
+  const from = formatColumnList(table.tableName, constraint.columns);
+  const to = formatColumnList(constraint.referencedTable, constraint.referencedColumns);
+  const name = constraint.name ? ` ${quoteName(constraint.name)}` : '';
+
+  const settings = [];
+  if (constraint.onDelete) settings.push(`delete: ${constraint.onDelete.toLowerCase()}`);
+  if (constraint.onUpdate) settings.push(`update: ${constraint.onUpdate.toLowerCase()}`);
+
+  return `Ref${name}: ${from} > ${to}${settings.length > 0 ? ` [${settings.join(', ')}]` : ''}`;
+}
+
+function formatColumnList(tableName, columns) {
+  const columnText = columns.length === 1 ? quoteName(columns[0]) : `(${columns.map(quoteName).join(', ')})`;
+  return `${quoteName(tableName)}.${columnText}`;
+}
+
+function formatIndex(columns, settings, name) {
+  const allSettings = name ? settings.concat(`name: '${escapeString(name)}'`) : settings;
+  const columnText = columns.length === 1 ? quoteName(columns[0]) : `(${columns.map(quoteName).join(', ')})`;
+  return `${columnText}${allSettings.length > 0 ? ` [${allSettings.join(', ')}]` : ''}`;
+}
+
+/**
+ * DBML default setting: numbers, booleans and null as they are, string literals in quotes,
+ * anything else (functions, expressions) as a backtick expression
+ */
+function formatDefault(defaultValue) {
+  const value = defaultValue.replace(/\s+ON UPDATE\s+.*$/i, '');
+  if (/^-?\d+(\.\d+)?$/.test(value) || /^(true|false|null)$/i.test(value)) {
+    return value.toLowerCase();
+  }
+  const literal = value.match(/^'((?:[^']|'')*)'$/);
+  if (literal) {
+    return `'${escapeString(literal[1].replace(/''/g, "'"))}'`;
+  }
+  return `\`${value.replace(/`/g, '')}\``;
+}
+
+/**
+ * DBML note of a table or column: the description followed by the owner, tags and examples
+ */
+function formatNote(documentation) {
+  const text = [documentation.description, describeAnnotationDetails(documentation)].filter(Boolean).join('\n');
+  return text ? `'${escapeString(text).replace(/\n/g, '\\n')}'` : null;
+}
+
+function formatType(dataType) {
+  const type = dataType.toLowerCase();
+  return /^[a-z0-9_]+(\([\d, ]+\))?$/.test(type) ? type : `"${type.replace(/"/g, '')}"`;
+}
+
+function quoteName(name) {
+  return /^[A-Za-z_][A-Za-z0-9_]*$/.test(name) ? name : `"${name.replace(/"/g, '')}"`;
+}
+
+function escapeString(text) {
+  return text.replace(/\\/g, '\\\\').replace(/'/g, "\\'");
+}
+
+module.exports = {
+  buildDbml
+};
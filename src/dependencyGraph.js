@@ -0,0 +1,298 @@
+/**
+ * Table dependency graph
+ * Foreign keys make a table depend on the tables it references. From that graph this module
+ * derives a safe load order (referenced tables first), the matching drop order, the reference
+ * cycles that no order can satisfy, and the impact of dropping a table or a column: everything
+ * that references it directly or through other objects.
+ */
+
+const IMPACT_TYPES = {
+  FOREIGN_KEY: 'FOREIGN KEY',
+  CONSTRAINT: 'CONSTRAINT',
+  INDEX: 'INDEX',
+  VIEW: 'VIEW',
+  TRIGGER: 'TRIGGER',
+  PROCEDURE: 'PROCEDURE',
+  FUNCTION: 'FUNCTION'
+};
+
+/**
+ * Orders the tables so that every table comes after the tables it references
+ * @param {Array} tables - Tables from the analysis
+ * @returns {Object} { loadOrder, dropOrder, cycles } — loadOrder and dropOrder list table names;
+ *   cycles lists the groups of tables that reference each other (a self-referencing table is a
+ *   cycle of one). The tables of a cycle are kept together in the order of the dump.
+ */
+function computeTableOrder(tables) {
+  const position = new Map(tables.map((table, index) => [table.tableName, index]));
+  const references = buildReferenceMap(tables, position);
+
+  const components = findStronglyConnectedComponents(tables.map(table => table.tableName), references);
+  const componentOf = new Map();
+  components.forEach((component, index) => component.forEach(name => componentOf.set(name, index)));
+
+  // Kahn's algorithm over the components; among the ready ones the earliest in the dump goes first
+  const firstPosition = components.map(component => position.get(component[0]));
+  const remaining = components.map(() => 0);
+  const dependents = components.map(() => []);
+  components.forEach((component, index) => {
+    const referenced = new Set();
+    component.forEach(name => references.get(name).forEach(target => referenced.add(componentOf.get(target))));
+    referenced.delete(index);
+    remaining[index] = referenced.size;
+    referenced.forEach(target => dependents[target].push(index));
+  });
+
+  // Ready components sorted by descending position, so the next one is popped from the end
+  const ready = [];
+  const markReady = (index) => {
+    let low = 0;
+    let high = ready.length;
+    while (low < high) {
+      const middle = (low + high) >> 1;
+      if (firstPosition[ready[middle]] > firstPosition[index]) low = middle + 1;
+      else high = middle;
+    }
+    ready.splice(low, 0, index);
+  };
+  remaining.forEach((count, index) => {
+    if (count === 0) markReady(index);
+  });
+
+  const loadOrder = [];
+  while (ready.length > 0) {
+    const next = ready.pop();
+    loadOrder.push(...components[next]);
+    dependents[next].forEach(dependent => {
+      if (--remaining[dependent] === 0) markReady(dependent);
+    });
+  }
+
+  const cycles = components.filter(component => component.length > 1 || references.get(component[0]).has(component[0]));
+
+  return {
+    loadOrder,
+    dropOrder: loadOrder.slice().reverse(),
+    cycles
+  };
+}
+
+/**
+ * Lists everything that depends on a table or a column, directly or transitively
+ * Dropping a table breaks the foreign keys that reference it and the views, triggers and routines
+ * that use it; dropping a column also breaks the constraints and indexes of its own table.
+ * The search continues from each dependent: from the referencing column of a broken foreign key,
+ * and from a view to whatever uses that view.
+ * @param {Object} analysis - Analysis result
+ * @param {String} tableName - Table (or view) to drop
+ * @param {String} [columnName] - Column to drop; the whole table when omitted
+ * @returns {Array} Array of { type, name, table, columns, depth, via } ordered by depth — type is one of
+ *   IMPACT_TYPES, table the table the dependent belongs to (if any), via the object it was reached through
+ */
+function findImpact(analysis, tableName, columnName = null) {
+  const impact = [];
+  const seen = new Set();
+  const queue = [{ table: tableName, column: columnName, depth: 1 }];
+
+  const add = (entry, next) => {
+    const key = `${entry.type}:${entry.table || ''}:${entry.name}`;
+    if (seen.has(key)) return;
+    seen.add(key);
+    impact.push(entry);
+    if (next) queue.push(next);
+  };
+
+  while (queue.length > 0) {
+    const target = queue.shift();
+    const { depth } = target;
+    const via = target.column ? `${target.table}.${target.column}` : target.table;
+
+    // Foreign keys that reference the table or column
+    analysis.tables.forEach(table => {
+      table.constraints
+        .filter(constraint => constraint.type === 'FOREIGN KEY' && constraint.referencedTable === target.table)
+        .forEach(constraint => {
+          const index = target.column ? constraint.referencedColumns.indexOf(target.column) : 0;
+          if (index === -1) return;
+
+          const name = constraint.name || `${table.tableName}(${constraint.columns.join(', ')}) → ${constraint.referencedTable}`;
+          const entry = { type: IMPACT_TYPES.FOREIGN_KEY, name, table: table.tableName, columns: constraint.columns, depth, via };
+          // Follow the referencing column when a column is dropped, the referencing table when a table is
+          add(entry, target.column
+            ? { table: table.tableName, column: constraint.columns[index], depth: depth + 1 }
+            : table.tableName !== target.table && { table: table.tableName, column: null, depth: depth + 1 });
+        });
+    });
+
+    // Keys, constraints and indexes of the table itself that use the dropped column
+    // (only for the column being dropped: a column reached through a foreign key stays)
+    if (target.column && depth === 1) {
+      const ownTable = analysis.tables.find(table => table.tableName === target.table);
+      const ownColumn = ownTable && ownTable.columns.find(column => column.columnName === target.column);
+      if (ownColumn) {
+        listInlineKeys(ownTable, ownColumn).forEach(constraint => add({
+          type: IMPACT_TYPES.CONSTRAINT,
+          name: `${constraint.type} (${constraint.columns.join(', ')})`,
+          table: ownTable.tableName,
+          columns: constraint.columns,
+          depth,
+          via
+        }));
+        ownTable.constraints
+          .filter(constraint => constraint.type !== 'FOREIGN KEY' && (constraint.columns || []).includes(target.column))
+          .forEach(constraint => add({
+            type: IMPACT_TYPES.CONSTRAINT,
+            name: constraint.name || `${constraint.type} (${constraint.columns.join(', ')})`,
+            table: ownTable.tableName,
+            columns: constraint.columns,
+            depth,
+            via
+          }));
+        ownTable.constraints
+          .filter(constraint => constraint.type === 'FOREIGN KEY' && constraint.columns.includes(target.column))
+          .forEach(constraint => add({
+            type: IMPACT_TYPES.FOREIGN_KEY,
+            name: constraint.name || `${ownTable.tableName}(${constraint.columns.join(', ')}) → ${constraint.referencedTable}`,
+            table: ownTable.tableName,
+            columns: constraint.columns,
+            depth,
+            via
+          }));
+        (ownTable.indexes || [])
+          .filter(index => index.columns.includes(target.column))
+          .forEach(index => add({
+            type: IMPACT_TYPES.INDEX,
+            name: index.indexName || `INDEX (${index.columns.join(', ')})`,
+            table: ownTable.tableName,
+            columns: index.columns,
+            depth,
+            via
+          }));
+      }
+    }
+
+    // Views, triggers and routines that use the table or column; views can be used in turn
+    listSchemaObjects(analysis).forEach(object => {
+      const usesTarget = target.column
+        ? object.dependencies.columns.some(entry => entry.table === target.table && entry.column === target.column)
+        : object.dependencies.tables.includes(target.table) || object.table === target.table;
+      if (!usesTarget) return;
+
+      const entry = {
+        type: IMPACT_TYPES[object.objectType],
+        name: object.name,
+        table: object.objectType === 'TRIGGER' ? object.table : null,
+        columns: target.column ? [target.column] : [],
+        depth,
+        via
+      };
+      add(entry, object.objectType === 'VIEW' && { table: object.name, column: null, depth: depth + 1 });
+    });
+  }
+
+  return impact;
+}
+
+/**
+ * Tables referenced by each table, restricted to tables of the schema
+ */
+function buildReferenceMap(tables, position) {
+  const references = new Map(tables.map(table => [table.tableName, new Set()]));
+  tables.forEach(table => {
+    table.constraints
+      .filter(constraint => constraint.type === 'FOREIGN KEY' && position.has(constraint.referencedTable))
+      .forEach(constraint => references.get(table.tableName).add(constraint.referencedTable));
+  });
+  return references;
+}
+
+/**
+ * Tarjan's algorithm, iterative so that long reference chains cannot overflow the stack
+ * @param {Array} names - Node names in dump order
+ * @param {Map} edges - Node name → Set of node names it points to
+ * @returns {Array} Components as arrays of names, each sorted in dump order
+ */
+function findStronglyConnectedComponents(names, edges) {
+  const order = new Map(names.map((name, index) => [name, index]));
+  const indexOf = new Map();
+  const lowLink = new Map();
+  const onStack = new Set();
+  const stack = [];
+  const components = [];
+  let nextIndex = 0;
+
+  names.forEach(root => {
+    if (indexOf.has(root)) return;
+
+    const work = [{ name: root, targets: Array.from(edges.get(root)), position: 0 }];
+    indexOf.set(root, nextIndex);
+    lowLink.set(root, nextIndex++);
+    stack.push(root);
+    onStack.add(root);
+
+    while (work.length > 0) {
+      const frame = work[work.length - 1];
+
+      if (frame.position < frame.targets.length) {
+        const target = frame.targets[frame.position++];
+        if (!indexOf.has(target)) {
+          indexOf.set(target, nextIndex);
+          lowLink.set(target, nextIndex++);
+          stack.push(target);
+          onStack.add(target);
+          work.push({ name: target, targets: Array.from(edges.get(target)), position: 0 });
+        } else if (onStack.has(target)) {
+          lowLink.set(frame.name, Math.min(lowLink.get(frame.name), indexOf.get(target)));
+        }
+        continue;
+      }
+
+      work.pop();
+      if (work.length > 0) {
+        const parent = work[work.length - 1].name;
+        lowLink.set(parent, Math.min(lowLink.get(parent), lowLink.get(frame.name)));
+      }
+
+      if (lowLink.get(frame.name) === indexOf.get(frame.name)) {
+        const component = [];
+        let member;
+        do {
+          member = stack.pop();
+          onStack.delete(member);
+          component.push(member);
+        } while (member !== frame.name);
+        components.push(component.sort((a, b) => order.get(a) - order.get(b)));
+      }
+    }
+  });
+
+  return components;
+}
+
+/**
+ * Keys declared on the column itself (PRIMARY KEY / UNIQUE flags), which have no constraint entry
+ */
+function listInlineKeys(table, column) {
+  const keys = [];
+  const hasConstraint = (type, columns) => table.constraints.some(constraint => constraint.type === type &&
+    constraint.columns.length === columns.length && constraint.columns.every(name => columns.includes(name)));
+
+  if (column.primaryKey) {
+    const primaryKeyColumns = table.columns.filter(candidate => candidate.primaryKey).map(candidate => candidate.columnName);
+    if (!hasConstraint('PRIMARY KEY', primaryKeyColumns)) keys.push({ type: 'PRIMARY KEY', columns: primaryKeyColumns });
+  }
+  if (column.unique && !hasConstraint('UNIQUE', [column.columnName])) {
+    keys.push({ type: 'UNIQUE', columns: [column.columnName] });
+  }
+  return keys;
+}
+
+function listSchemaObjects(analysis) {
+  return [].concat(analysis.views || [], analysis.triggers || [], analysis.routines || []);
+}
+
+module.exports = {
+  IMPACT_TYPES,
+  computeTableOrder,
+  findImpact
+};
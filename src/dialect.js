@@ -0,0 +1,195 @@
+/**
+ * Dialect detection for SQL dumps
+ * Guesses which database produced a dump so the right node-sql-parser grammar is used
+ */
+
+// Dialect identifiers are the `database` option values understood by node-sql-parser
+const DIALECTS = {
+  MYSQL: 'MySQL',
+  MARIADB: 'MariaDB',
+  POSTGRESQL: 'PostgresQL',
+  SQLITE: 'Sqlite',
+  SQL_SERVER: 'TransactSQL'
+};
+
+const DEFAULT_DIALECT = DIALECTS.MYSQL;
+
+// Display names, as shown in the dialect selector and in reports
+const DIALECT_LABELS = {
+  [DIALECTS.MYSQL]: 'MySQL',
+  [DIALECTS.MARIADB]: 'MariaDB',
+  [DIALECTS.POSTGRESQL]: 'PostgreSQL',
+  [DIALECTS.SQLITE]: 'SQLite',
+  [DIALECTS.SQL_SERVER]: 'SQL Server'
+};
+
+// Lower-case names accepted on the command line and in config files
+const DIALECT_ALIASES = {
+  mysql: DIALECTS.MYSQL,
+  mariadb: DIALECTS.MARIADB,
+  postgres: DIALECTS.POSTGRESQL,
+  postgresql: DIALECTS.POSTGRESQL,
+  pg: DIALECTS.POSTGRESQL,
+  sqlite: DIALECTS.SQLITE,
+  sqlserver: DIALECTS.SQL_SERVER,
+  mssql: DIALECTS.SQL_SERVER,
+  tsql: DIALECTS.SQL_SERVER,
+  transactsql: DIALECTS.SQL_SERVER
+};
+
+// Each heuristic adds its weight to a dialect's score when its pattern is found in the dump
+const HEURISTICS = [
+  // MySQL / MariaDB
+  { dialect: DIALECTS.MYSQL, pattern: /`[^`\n]+`/, weight: 3 },
+  { dialect: DIALECTS.MYSQL, pattern: /\bENGINE\s*=/i, weight: 4 },
+  { dialect: DIALECTS.MYSQL, pattern: /\bAUTO_INCREMENT\b/i, weight: 3 },
+  { dialect: DIALECTS.MYSQL, pattern: /\/\*!\d{5}/, weight: 5 },
+  { dialect: DIALECTS.MYSQL, pattern: /^\s*LOCK TABLES\b/im, weight: 4 },
+  { dialect: DIALECTS.MYSQL, pattern: /^\s*DELIMITER\s+\S+/im, weight: 4 },
+  { dialect: DIALECTS.MARIADB, pattern: /MariaDB dump/i, weight: 10 },
+
+  // PostgreSQL
+  { dialect: DIALECTS.POSTGRESQL, pattern: /\bSET\s+search_path\b/i, weight: 8 },
+  { dialect: DIALECTS.POSTGRESQL, pattern: /PostgreSQL database dump/i, weight: 10 },
+  { dialect: DIALECTS.POSTGRESQL, pattern: /\bpg_catalog\./i, weight: 6 },
+  { dialect: DIALECTS.POSTGRESQL, pattern: /^\s*COPY\s+\S+.*\bFROM\s+stdin;/im, weight: 8 },
+  { dialect: DIALECTS.POSTGRESQL, pattern: /\bOWNER TO\b/i, weight: 5 },
+  { dialect: DIALECTS.POSTGRESQL, pattern: /\b(BIG)?SERIAL\b/i, weight: 3 },
+  { dialect: DIALECTS.POSTGRESQL, pattern: /::[a-z_]+/i, weight: 3 },
+  { dialect: DIALECTS.POSTGRESQL, pattern: /\bCREATE EXTENSION\b/i, weight: 5 },
+
+  // SQLite
+  { dialect: DIALECTS.SQLITE, pattern: /^\s*PRAGMA\s+\w+/im, weight: 8 },
+  { dialect: DIALECTS.SQLITE, pattern: /\bsqlite_sequence\b/i, weight: 8 },
+  { dialect: DIALECTS.SQLITE, pattern: /\bAUTOINCREMENT\b/i, weight: 4 },
+  { dialect: DIALECTS.SQLITE, pattern: /\bWITHOUT ROWID\b/i, weight: 6 },
+  { dialect: DIALECTS.SQLITE, pattern: /^\s*BEGIN TRANSACTION;/im, weight: 2 },
+
+  // SQL Server
+  { dialect: DIALECTS.SQL_SERVER, pattern: /^\s*GO\s*$/im, weight: 8 },
+  { dialect: DIALECTS.SQL_SERVER, pattern: /\[[A-Za-z_][\w ]*\]\.\[[A-Za-z_][\w ]*\]/, weight: 5 },
+  { dialect: DIALECTS.SQL_SERVER, pattern: /\bIDENTITY\s*\(\s*\d+\s*,\s*\d+\s*\)/i, weight: 6 },
+  { dialect: DIALECTS.SQL_SERVER, pattern: /\bSET\s+ANSI_NULLS\b/i, weight: 6 },
+  { dialect: DIALECTS.SQL_SERVER, pattern: /\bNVARCHAR\b/i, weight: 2 },
+  { dialect: DIALECTS.SQL_SERVER, pattern: /\bdbo\./i, weight: 3 }
+];
+
+// Double-quoted identifiers (e.g. CREATE TABLE "users") point away from MySQL
+const DOUBLE_QUOTED_IDENTIFIER = /\b(?:TABLE|INTO|ON|REFERENCES)\s+"[^"\n]+"/i;
+
+// Only the head of very large dumps is inspected; the DDL that identifies a dialect comes first
+const DETECTION_SAMPLE_SIZE = 256 * 1024;
+
+/**
+ * Guesses the SQL dialect of a dump from tell-tale syntax
+ * @param {String} sqlContent - SQL text (only the first part is inspected)
+ * @returns {String} node-sql-parser database name, MySQL when nothing matches
+ */
+function detectDialect(sqlContent) {
+  if (typeof sqlContent !== 'string' || sqlContent.length === 0) {
+    return DEFAULT_DIALECT;
+  }
+
+  const sample = sqlContent.slice(0, DETECTION_SAMPLE_SIZE);
+  const scores = new Map(Object.values(DIALECTS).map(dialect => [dialect, 0]));
+
+  HEURISTICS.forEach(({ dialect, pattern, weight }) => {
+    if (pattern.test(sample)) {
+      scores.set(dialect, scores.get(dialect) + weight);
+    }
+  });
+
+  if (DOUBLE_QUOTED_IDENTIFIER.test(sample)) {
+    scores.set(DIALECTS.POSTGRESQL, scores.get(DIALECTS.POSTGRESQL) + 2);
+    scores.set(DIALECTS.SQLITE, scores.get(DIALECTS.SQLITE) + 2);
+  }
+
+  // A MariaDB dump is also a MySQL dump; MariaDB only wins on its own markers
+  if (scores.get(DIALECTS.MARIADB) > 0) {
+    scores.set(DIALECTS.MARIADB, scores.get(DIALECTS.MARIADB) + scores.get(DIALECTS.MYSQL));
+  }
+
+  let detected = DEFAULT_DIALECT;
+  let bestScore = 0;
+  scores.forEach((score, dialect) => {
+    if (score > bestScore) {
+      detected = dialect;
+      bestScore = score;
+    }
+  });
+
+  return detected;
+}
+
+/**
+ * Resolves the dialect to parse with from the user's choice
+ * @param {String} sqlContent - SQL text
+ * @param {String} requestedDialect - Dialect chosen in the UI, or 'auto'/empty to detect
+ * @returns {String} node-sql-parser database name
+ */
+function resolveDialect(sqlContent, requestedDialect) {
+  if (requestedDialect && requestedDialect !== 'auto') {
+    if (!Object.values(DIALECTS).includes(requestedDialect)) {
+      throw new Error(`Unsupported SQL dialect: ${requestedDialect}`);
+    }
+    return requestedDialect;
+  }
+
+  return detectDialect(sqlContent);
+}
+
+/**
+ * Normalizes a user-supplied dialect name (e.g. "postgres", "mssql") to a node-sql-parser database name
+ * @param {String} name - Dialect name, parser database name, or 'auto'
+ * @returns {String} node-sql-parser database name, or 'auto'
+ * @throws {Error} When the name is not a known dialect
+ */
+function parseDialectName(name) {
+  const key = String(name || 'auto').toLowerCase().replace(/[\s_-]/g, '');
+  if (key === 'auto') {
+    return 'auto';
+  }
+  if (DIALECT_ALIASES[key]) {
+    return DIALECT_ALIASES[key];
+  }
+  throw new Error(`Unsupported SQL dialect: ${name} (expected auto, ${Object.keys(DIALECT_ALIASES).join(', ')})`);
+}
+
+/**
+ * Quotes an identifier the way the dialect does: `name` for MySQL, [name] for SQL Server, "name" elsewhere
+ * @param {String} identifier - Table, column or constraint name
+ * @param {String} dialect - node-sql-parser database name
+ * @returns {String} Quoted identifier
+ */
+function quoteIdentifier(identifier, dialect) {
+  if (dialect === DIALECTS.MYSQL || dialect === DIALECTS.MARIADB) return `\`${identifier.replace(/`/g, '``')}\``;
+  if (dialect === DIALECTS.SQL_SERVER) return `[${identifier.replace(/]/g, ']]')}]`;
+  return `"${identifier.replace(/"/g, '""')}"`;
+}
+
+/**
+ * Rewrites dialect-specific batch syntax that node-sql-parser does not understand
+ * @param {String} sqlContent - SQL text
+ * @param {String} dialect - node-sql-parser database name
+ * @returns {String} SQL text ready for parsing
+ */
+function prepareSqlForDialect(sqlContent, dialect) {
+  if (dialect === DIALECTS.SQL_SERVER) {
+    // `GO` is a client-side batch separator, not T-SQL; treat it as a statement terminator
+    return sqlContent.replace(/^[ \t]*GO[ \t]*$/gim, ';');
+  }
+
+  return sqlContent;
+}
+
+module.exports = {
+  DIALECTS,
+  DEFAULT_DIALECT,
+  DIALECT_LABELS,
+  DETECTION_SAMPLE_SIZE,
+  detectDialect,
+  resolveDialect,
+  parseDialectName,
+  quoteIdentifier,
+  prepareSqlForDialect
+};
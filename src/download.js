@@ -0,0 +1,17 @@
+/**
+ * Browser-side file download helper for the renderer
+ */
+
+/**
+ * Saves a Blob through the browser's download mechanism
+ * @param {Blob} blob - File contents
+ * @param {String} fileName - Suggested file name
+ */
+export function downloadBlob(blob, fileName) {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  link.click();
+  URL.revokeObjectURL(url);
+}
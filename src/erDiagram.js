@@ -0,0 +1,486 @@
+/**
+ * Entity-relationship diagram for the renderer
+ * Draws every table from the analysis as an SVG box with its columns and connects
+ * foreign key columns to the tables they reference
+ */
+
+import { downloadBlob } from './download';
+
+const SVG_NS = 'http://www.w3.org/2000/svg';
+
+// Box geometry (in diagram units, before zoom)
+const BOX_WIDTH = 220;
+const HEADER_HEIGHT = 28;
+const ROW_HEIGHT = 20;
+const COLUMN_GAP = 80;
+const ROW_GAP = 40;
+
+const MIN_ZOOM = 0.2;
+const MAX_ZOOM = 3;
+
+// Largest PNG export; bigger diagrams are scaled down, as Chromium cannot encode larger canvases
+const MAX_PNG_SIDE = 16384;
+const MAX_PNG_PIXELS = 128 * 1024 * 1024;
+
+/**
+ * Creates an ER diagram inside the given container element
+ * @param {HTMLElement} container - Element the SVG is appended to
+ * @param {Object} options - Callbacks
+ * @param {Function} options.onSelectTable - Called with the table object when a box is clicked
+ * @returns {Object} Diagram controller
+ */
+export function createErDiagram(container, { onSelectTable } = {}) {
+  const svg = document.createElementNS(SVG_NS, 'svg');
+  svg.setAttribute('class', 'er-canvas');
+  svg.setAttribute('xmlns', SVG_NS);
+
+  // Everything is drawn into the viewport group so that pan/zoom is a single transform
+  const viewport = document.createElementNS(SVG_NS, 'g');
+  const edgeLayer = document.createElementNS(SVG_NS, 'g');
+  const nodeLayer = document.createElementNS(SVG_NS, 'g');
+  viewport.appendChild(edgeLayer);
+  viewport.appendChild(nodeLayer);
+  svg.appendChild(viewport);
+  container.appendChild(svg);
+
+  let tables = [];
+  let positions = new Map();
+  let nodeElements = new Map();
+  let selectedTable = null;
+  let view = { x: 20, y: 20, scale: 1 };
+
+  // Pointer interaction state: either panning the canvas or dragging a table box
+  let interaction = null;
+
+  svg.addEventListener('wheel', (event) => {
+    event.preventDefault();
+    const rect = svg.getBoundingClientRect();
+    const pointerX = event.clientX - rect.left;
+    const pointerY = event.clientY - rect.top;
+    const factor = event.deltaY < 0 ? 1.1 : 1 / 1.1;
+    const scale = Math.min(MAX_ZOOM, Math.max(MIN_ZOOM, view.scale * factor));
+
+    // Keep the point under the cursor fixed while zooming
+    view.x = pointerX - (pointerX - view.x) * (scale / view.scale);
+    view.y = pointerY - (pointerY - view.y) * (scale / view.scale);
+    view.scale = scale;
+    applyView();
+  }, { passive: false });
+
+  svg.addEventListener('mousedown', (event) => {
+    if (event.button !== 0) return;
+    const node = event.target.closest('.er-table');
+
+    if (node) {
+      const tableName = node.dataset.table;
+      const position = positions.get(tableName);
+      interaction = {
+        type: 'drag',
+        tableName,
+        startX: event.clientX,
+        startY: event.clientY,
+        originX: position.x,
+        originY: position.y,
+        moved: false
+      };
+    } else {
+      interaction = {
+        type: 'pan',
+        startX: event.clientX,
+        startY: event.clientY,
+        originX: view.x,
+        originY: view.y
+      };
+      svg.classList.add('panning');
+    }
+  });
+
+  window.addEventListener('mousemove', (event) => {
+    if (!interaction) return;
+    const dx = event.clientX - interaction.startX;
+    const dy = event.clientY - interaction.startY;
+
+    if (interaction.type === 'pan') {
+      view.x = interaction.originX + dx;
+      view.y = interaction.originY + dy;
+      applyView();
+    } else {
+      if (Math.abs(dx) > 3 || Math.abs(dy) > 3) {
+        interaction.moved = true;
+      }
+      positions.set(interaction.tableName, {
+        x: interaction.originX + dx / view.scale,
+        y: interaction.originY + dy / view.scale
+      });
+      moveNode(interaction.tableName);
+      drawEdges();
+    }
+  });
+
+  window.addEventListener('mouseup', () => {
+    if (!interaction) return;
+
+    // A drag that did not move counts as a click on the table
+    if (interaction.type === 'drag' && !interaction.moved) {
+      const table = tables.find(t => t.tableName === interaction.tableName);
+      select(interaction.tableName);
+      if (table && onSelectTable) {
+        onSelectTable(table);
+      }
+    }
+
+    svg.classList.remove('panning');
+    interaction = null;
+  });
+
+  function render(analysis) {
+    tables = analysis ? analysis.tables : [];
+    selectedTable = null;
+    autoLayout();
+  }
+
+  function autoLayout() {
+    positions = computeLayout(tables);
+    view = { x: 20, y: 20, scale: 1 };
+    draw();
+  }
+
+  function draw() {
+    nodeLayer.innerHTML = '';
+    nodeElements = new Map();
+
+    tables.forEach(table => {
+      const node = buildTableNode(table);
+      nodeElements.set(table.tableName, node);
+      nodeLayer.appendChild(node);
+      moveNode(table.tableName);
+    });
+
+    drawEdges();
+    applyView();
+    highlightSelection();
+  }
+
+  function moveNode(tableName) {
+    const node = nodeElements.get(tableName);
+    const position = positions.get(tableName);
+    if (node && position) {
+      node.setAttribute('transform', `translate(${position.x}, ${position.y})`);
+    }
+  }
+
+  function drawEdges() {
+    edgeLayer.innerHTML = '';
+
+    getRelationships(tables).forEach(relationship => {
+      const from = anchorFor(relationship.fromTable, relationship.fromColumn);
+      const to = anchorFor(relationship.toTable, relationship.toColumn);
+      if (!from || !to) return;
+
+      const path = document.createElementNS(SVG_NS, 'path');
+      path.setAttribute('class', 'er-edge');
+      path.setAttribute('d', buildEdgePath(from, to, relationship.fromTable === relationship.toTable));
+      path.dataset.from = relationship.fromTable;
+      path.dataset.to = relationship.toTable;
+
+      const title = document.createElementNS(SVG_NS, 'title');
+      title.textContent = `${relationship.fromTable}.${relationship.fromColumn} → ${relationship.toTable}.${relationship.toColumn}`;
+      path.appendChild(title);
+
+      edgeLayer.appendChild(path);
+    });
+
+    highlightSelection();
+  }
+
+  function anchorFor(tableName, columnName) {
+    const table = tables.find(t => t.tableName === tableName);
+    const position = positions.get(tableName);
+    if (!table || !position) return null;
+
+    const index = table.columns.findIndex(column => column.columnName === columnName);
+    const rowY = index >= 0
+      ? HEADER_HEIGHT + index * ROW_HEIGHT + ROW_HEIGHT / 2
+      : HEADER_HEIGHT / 2;
+
+    return {
+      left: position.x,
+      right: position.x + BOX_WIDTH,
+      y: position.y + rowY
+    };
+  }
+
+  function select(tableName) {
+    selectedTable = tableName;
+    highlightSelection();
+  }
+
+  function highlightSelection() {
+    nodeElements.forEach((node, tableName) => {
+      node.classList.toggle('selected', tableName === selectedTable);
+    });
+    edgeLayer.querySelectorAll('.er-edge').forEach(edge => {
+      const related = edge.dataset.from === selectedTable || edge.dataset.to === selectedTable;
+      edge.classList.toggle('highlighted', Boolean(selectedTable) && related);
+    });
+  }
+
+  function applyView() {
+    viewport.setAttribute('transform', `translate(${view.x}, ${view.y}) scale(${view.scale})`);
+  }
+
+  function resetView() {
+    view = { x: 20, y: 20, scale: 1 };
+    applyView();
+  }
+
+  /**
+   * Positions of the table boxes and the pan and zoom of the canvas, as restored by setLayout
+   */
+  function getLayout() {
+    return { positions: Object.fromEntries(positions), view: { ...view } };
+  }
+
+  function setLayout(layout) {
+    if (!layout) return;
+    // Tables that are not in the layout keep their automatic position
+    Object.entries(layout.positions || {}).forEach(([tableName, position]) => {
+      if (positions.has(tableName)) positions.set(tableName, { x: position.x, y: position.y });
+    });
+    if (layout.view) view = { x: layout.view.x, y: layout.view.y, scale: layout.view.scale };
+    draw();
+  }
+
+  function exportSvg() {
+    const blob = new Blob([serializeDiagram()], { type: 'image/svg+xml;charset=utf-8' });
+    downloadBlob(blob, 'er-diagram.svg');
+  }
+
+  function exportPng() {
+    const { width, height } = diagramBounds();
+    const scale = Math.min(1, MAX_PNG_SIDE / width, MAX_PNG_SIDE / height, Math.sqrt(MAX_PNG_PIXELS / (width * height)));
+    const image = new Image();
+    const url = URL.createObjectURL(new Blob([serializeDiagram()], { type: 'image/svg+xml;charset=utf-8' }));
+
+    return new Promise((resolve, reject) => {
+      image.onload = () => {
+        const canvas = document.createElement('canvas');
+        canvas.width = Math.floor(width * scale);
+        canvas.height = Math.floor(height * scale);
+        const context = canvas.getContext('2d');
+        context.drawImage(image, 0, 0, canvas.width, canvas.height);
+        URL.revokeObjectURL(url);
+        canvas.toBlob(blob => {
+          if (!blob) {
+            reject(new Error('Failed to encode diagram as PNG'));
+            return;
+          }
+          downloadBlob(blob, 'er-diagram.png');
+          resolve();
+        }, 'image/png');
+      };
+      image.onerror = () => {
+        URL.revokeObjectURL(url);
+        reject(new Error('Failed to render diagram as PNG'));
+      };
+      image.src = url;
+    });
+  }
+
+  function diagramBounds() {
+    let maxX = 0;
+    let maxY = 0;
+    tables.forEach(table => {
+      const position = positions.get(table.tableName);
+      if (!position) return;
+      maxX = Math.max(maxX, position.x + BOX_WIDTH);
+      maxY = Math.max(maxY, position.y + tableHeight(table));
+    });
+    return { width: Math.ceil(maxX + 40), height: Math.ceil(maxY + 40) };
+  }
+
+  function serializeDiagram() {
+    // Export an unzoomed copy with the styles inlined so the file renders standalone
+    const { width, height } = diagramBounds();
+    const clone = svg.cloneNode(true);
+    clone.setAttribute('width', width);
+    clone.setAttribute('height', height);
+    clone.setAttribute('viewBox', `0 0 ${width} ${height}`);
+    clone.firstChild.setAttribute('transform', 'translate(20, 20)');
+
+    const style = document.createElementNS(SVG_NS, 'style');
+    style.textContent = EXPORT_STYLES;
+    clone.insertBefore(style, clone.firstChild);
+
+    const background = document.createElementNS(SVG_NS, 'rect');
+    background.setAttribute('width', '100%');
+    background.setAttribute('height', '100%');
+    background.setAttribute('fill', '#1e1e1e');
+    clone.insertBefore(background, style.nextSibling);
+
+    return new XMLSerializer().serializeToString(clone);
+  }
+
+  return {
+    render,
+    autoLayout,
+    resetView,
+    select,
+    getLayout,
+    setLayout,
+    exportSvg,
+    exportPng
+  };
+}
+
+/**
+ * Collects foreign key relationships between tables in the analysis
+ * @param {Array} tables - Tables from the analysis result
+ * @returns {Array} Relationships with fromTable/fromColumn/toTable/toColumn
+ */
+export function getRelationships(tables) {
+  const tableNames = new Set(tables.map(table => table.tableName));
+  const relationships = [];
+
+  tables.forEach(table => {
+    table.columns.forEach(column => {
+      if (column.foreignKey && tableNames.has(column.foreignKey.table)) {
+        relationships.push({
+          fromTable: table.tableName,
+          fromColumn: column.columnName,
+          toTable: column.foreignKey.table,
+          toColumn: column.foreignKey.column
+        });
+      }
+    });
+  });
+
+  return relationships;
+}
+
+/**
+ * Places tables in columns by foreign key depth: referenced (parent) tables on the
+ * left, tables that reference them to the right
+ * @param {Array} tables - Tables from the analysis result
+ * @returns {Map} Table name → { x, y }
+ */
+function computeLayout(tables) {
+  const parentsByTable = new Map(tables.map(table => [table.tableName, new Set()]));
+  getRelationships(tables).forEach(relationship => {
+    if (relationship.fromTable !== relationship.toTable) {
+      parentsByTable.get(relationship.fromTable).add(relationship.toTable);
+    }
+  });
+
+  const levels = new Map();
+  const visiting = new Set();
+
+  function levelOf(tableName) {
+    if (levels.has(tableName)) return levels.get(tableName);
+    // Break reference cycles by treating the repeated table as a root
+    if (visiting.has(tableName)) return 0;
+
+    visiting.add(tableName);
+    let level = 0;
+    parentsByTable.get(tableName).forEach(parent => {
+      level = Math.max(level, levelOf(parent) + 1);
+    });
+    visiting.delete(tableName);
+
+    levels.set(tableName, level);
+    return level;
+  }
+
+  const columns = [];
+  tables.forEach(table => {
+    const level = levelOf(table.tableName);
+    if (!columns[level]) columns[level] = [];
+    columns[level].push(table);
+  });
+
+  const positions = new Map();
+  columns.forEach((columnTables, level) => {
+    let y = 0;
+    (columnTables || []).forEach(table => {
+      positions.set(table.tableName, { x: level * (BOX_WIDTH + COLUMN_GAP), y });
+      y += tableHeight(table) + ROW_GAP;
+    });
+  });
+
+  return positions;
+}
+
+function tableHeight(table) {
+  return HEADER_HEIGHT + Math.max(table.columns.length, 1) * ROW_HEIGHT;
+}
+
+function buildTableNode(table) {
+  const group = document.createElementNS(SVG_NS, 'g');
+  group.setAttribute('class', 'er-table');
+  group.dataset.table = table.tableName;
+
+  const body = document.createElementNS(SVG_NS, 'rect');
+  body.setAttribute('class', 'er-table-body');
+  body.setAttribute('width', BOX_WIDTH);
+  body.setAttribute('height', tableHeight(table));
+  body.setAttribute('rx', 4);
+  group.appendChild(body);
+
+  const header = document.createElementNS(SVG_NS, 'rect');
+  header.setAttribute('class', 'er-table-header');
+  header.setAttribute('width', BOX_WIDTH);
+  header.setAttribute('height', HEADER_HEIGHT);
+  header.setAttribute('rx', 4);
+  group.appendChild(header);
+
+  group.appendChild(buildText('er-table-name', 10, HEADER_HEIGHT / 2 + 5, table.tableName));
+
+  table.columns.forEach((column, index) => {
+    const y = HEADER_HEIGHT + index * ROW_HEIGHT + ROW_HEIGHT / 2 + 4;
+    const marker = column.primaryKey ? '🔑 ' : column.foreignKey ? '🔗 ' : '';
+    group.appendChild(buildText('er-column-name', 10, y, `${marker}${column.columnName}`));
+
+    const type = buildText('er-column-type', BOX_WIDTH - 10, y, column.dataType);
+    type.setAttribute('text-anchor', 'end');
+    group.appendChild(type);
+  });
+
+  return group;
+}
+
+function buildText(className, x, y, content) {
+  const text = document.createElementNS(SVG_NS, 'text');
+  text.setAttribute('class', className);
+  text.setAttribute('x', x);
+  text.setAttribute('y', y);
+  text.textContent = content;
+  return text;
+}
+
+function buildEdgePath(from, to, selfReference) {
+  if (selfReference) {
+    // Loop out of the right-hand side and back into the same box
+    const loopX = from.right + 40;
+    return `M ${from.right} ${from.y} C ${loopX} ${from.y}, ${loopX} ${to.y}, ${to.right} ${to.y}`;
+  }
+
+  // Leave from whichever side faces the referenced table
+  const leftToRight = from.left < to.left;
+  const startX = leftToRight ? from.right : from.left;
+  const endX = leftToRight ? to.left : to.right;
+  const bend = Math.max(40, Math.abs(endX - startX) / 2) * (leftToRight ? 1 : -1);
+
+  return `M ${startX} ${from.y} C ${startX + bend} ${from.y}, ${endX - bend} ${to.y}, ${endX} ${to.y}`;
+}
+
+// Mirrors the .er-* rules in index.css for standalone SVG/PNG exports
+const EXPORT_STYLES = `
+  .er-table-body { fill: #252526; stroke: #3e3e42; }
+  .er-table-header { fill: #4682b4; }
+  .er-table.selected .er-table-body { stroke: #4caf50; stroke-width: 2; }
+  .er-table-name { fill: #ffffff; font: 600 13px sans-serif; }
+  .er-column-name { fill: #e0e0e0; font: 12px sans-serif; }
+  .er-column-type { fill: #9cdcfe; font: 11px monospace; }
+  .er-edge { fill: none; stroke: #808080; stroke-width: 1.5; }
+  .er-edge.highlighted { stroke: #4caf50; stroke-width: 2.5; }
+`;
@@ -0,0 +1,138 @@
+/**
+ * Exporter registry
+ * Every export format (Markdown, HTML, JSON, JSON Schema, DBML, PDF and the code generators)
+ * is an exporter:
+ *
+ *   {
+ *     id: 'dbml',                   // used by the CLI --format option and the export IPC call
+ *     label: 'DBML (dbdiagram.io)', // shown in the Export menu and the save dialog filter
+ *     extension: 'dbml',            // file name ending, without the leading dot
+ *     binary: false,                // true when render() returns a Buffer
+ *     render(analysis, options)     // options: { sourcePath, comparison }
+ *   }
+ *
+ * The renderer builds its Export menu from listExporters(), so a registered exporter is
+ * available in the window and on the command line without further changes.
+ */
+
+const { buildPdfReport } = require('./pdfReport');
+const { buildJsonSchema } = require('./jsonSchema');
+const { buildDbml } = require('./dbml');
+const { CODE_TARGETS, generateCode } = require('./codegen');
+const { renderJsonReport, renderMarkdownReport, renderHtmlReport } = require('./reports');
+
+const exporters = new Map();
+
+/**
+ * Registers an export format
+ * @param {Object} exporter - Exporter definition (see above)
+ * @throws {Error} When the definition is incomplete or the id is already taken
+ */
+function registerExporter(exporter) {
+  ['id', 'label', 'extension'].forEach(property => {
+    if (!exporter || typeof exporter[property] !== 'string' || exporter[property] === '') {
+      throw new Error(`Exporter is missing its ${property}`);
+    }
+  });
+  if (typeof exporter.render !== 'function') {
+    throw new Error(`Exporter "${exporter.id}" has no render function`);
+  }
+  if (exporters.has(exporter.id)) {
+    throw new Error(`Exporter "${exporter.id}" is already registered`);
+  }
+
+  exporters.set(exporter.id, { binary: false, ...exporter });
+}
+
+/**
+ * Looks up an exporter
+ * @param {String} id - Exporter id
+ * @returns {Object|null} Exporter definition, or null when there is none with this id
+ */
+function getExporter(id) {
+  return exporters.get(id) || null;
+}
+
+/**
+ * Lists the registered exporters in registration order
+ * @returns {Array} Array of { id, label, extension, binary } (without render, so it can be sent over IPC)
+ */
+function listExporters() {
+  return Array.from(exporters.values()).map(({ id, label, extension, binary }) => ({ id, label, extension, binary }));
+}
+
+/**
+ * Renders an analysis with an exporter
+ * @param {String} id - Exporter id
+ * @param {Object} analysis - Analysis result
+ * @param {Object} [options] - { sourcePath, comparison }
+ * @returns {String|Buffer} Exported contents
+ * @throws {Error} When no exporter has this id
+ */
+function runExporter(id, analysis, options = {}) {
+  const exporter = getExporter(id);
+  if (!exporter) {
+    throw new Error(`Unknown export format: ${id}`);
+  }
+  return exporter.render(analysis, options);
+}
+
+registerExporter({
+  id: 'markdown',
+  label: 'Markdown',
+  extension: 'md',
+  render: renderMarkdownReport
+});
+
+registerExporter({
+  id: 'html',
+  label: 'HTML',
+  extension: 'html',
+  render: renderHtmlReport
+});
+
+registerExporter({
+  id: 'json',
+  label: 'JSON (analysis)',
+  extension: 'json',
+  render: renderJsonReport
+});
+
+registerExporter({
+  id: 'json-schema',
+  label: 'JSON Schema',
+  extension: 'schema.json',
+  render: (analysis) => `${JSON.stringify(buildJsonSchema(analysis), null, 2)}\n`
+});
+
+registerExporter({
+  id: 'dbml',
+  label: 'DBML (dbdiagram.io)',
+  extension: 'dbml',
+  render: (analysis) => buildDbml(analysis)
+});
+
+registerExporter({
+  id: 'pdf',
+  label: 'PDF',
+  extension: 'pdf',
+  binary: true,
+  render: (analysis, options) => Buffer.from(buildPdfReport(analysis, { comparison: options.comparison }).output('arraybuffer'))
+});
+
+// Code generators (TypeScript, Prisma, Sequelize, SQLAlchemy) are exported like any other format
+Object.entries(CODE_TARGETS).forEach(([id, target]) => {
+  registerExporter({
+    id,
+    label: target.label,
+    extension: target.extension,
+    render: (analysis) => generateCode(id, analysis)
+  });
+});
+
+module.exports = {
+  registerExporter,
+  getExporter,
+  listExporters,
+  runExporter
+};
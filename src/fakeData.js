@@ -0,0 +1,229 @@
+/**
+ * Fake values
+ * Realistic-looking names, email addresses, phone numbers, addresses, card numbers and
+ * national IDs that belong to nobody: emails use the reserved example.* domains, phone numbers
+ * the fictional 555-0100 to 555-0199 range, card numbers the 4000 0000 test range and social
+ * security numbers the never-assigned 9xx area. Every
+ * value is drawn from the random generator the faker is created with, so a seeded generator
+ * (see random.js) always yields the same values.
+ */
+
+const FIRST_NAMES = [
+  'Ada', 'Alan', 'Alice', 'Amara', 'Ana', 'Ben', 'Carla', 'Chen', 'Clara', 'Daniel',
+  'David', 'Elena', 'Emma', 'Ethan', 'Fatima', 'Felix', 'Grace', 'Hana', 'Hugo', 'Ines',
+  'Ivan', 'James', 'Julia', 'Kenji', 'Lara', 'Leo', 'Lina', 'Lucas', 'Maria', 'Mateo',
+  'Maya', 'Nadia', 'Noah', 'Nora', 'Omar', 'Paula', 'Priya', 'Rosa', 'Sam', 'Sara',
+  'Sofia', 'Tom', 'Vera', 'Yusuf', 'Zoe'
+];
+
+const LAST_NAMES = [
+  'Adams', 'Bauer', 'Becker', 'Brown', 'Castro', 'Clark', 'Costa', 'Davis', 'Diaz', 'Evans',
+  'Fischer', 'Garcia', 'Green', 'Hall', 'Hughes', 'Ito', 'Jensen', 'Khan', 'Kim', 'Lambert',
+  'Lee', 'Lopez', 'Martin', 'Meyer', 'Miller', 'Moreau', 'Nakamura', 'Novak', 'Okafor', 'Patel',
+  'Perez', 'Rossi', 'Santos', 'Schmidt', 'Silva', 'Smith', 'Suzuki', 'Taylor', 'Walker', 'Wang',
+  'Weber', 'Wilson', 'Wright', 'Young', 'Zhang'
+];
+
+const STREET_NAMES = [
+  'Acacia', 'Birch', 'Cedar', 'Chestnut', 'Elm', 'Hawthorn', 'Hillside', 'Lake', 'Linden', 'Maple',
+  'Meadow', 'Mill', 'Oak', 'Orchard', 'Park', 'Pine', 'River', 'Station', 'Sunset', 'Willow'
+];
+
+const STREET_SUFFIXES = ['Street', 'Avenue', 'Road', 'Lane', 'Drive', 'Way', 'Court', 'Place'];
+
+const CITIES = [
+  'Ashford', 'Bayview', 'Brookfield', 'Clearwater', 'Fairview', 'Glenwood', 'Greenville', 'Harbor City',
+  'Kingsport', 'Lakeside', 'Maplewood', 'Midvale', 'Northfield', 'Oakridge', 'Riverton', 'Springdale',
+  'Stonebridge', 'Westbrook'
+];
+
+const COUNTRIES = [
+  'Argentina', 'Australia', 'Brazil', 'Canada', 'Denmark', 'Egypt', 'France', 'Germany', 'India', 'Italy',
+  'Japan', 'Kenya', 'Mexico', 'Netherlands', 'Nigeria', 'Norway', 'Portugal', 'Spain', 'Sweden', 'Vietnam'
+];
+
+const COMPANY_SUFFIXES = ['Labs', 'Systems', 'Group', 'Partners', 'Works', 'Studio', 'Logistics', 'Foods'];
+
+const EMAIL_DOMAINS = ['example.com', 'example.org', 'example.net'];
+
+const WORDS = [
+  'alpha', 'amber', 'anchor', 'autumn', 'basket', 'beacon', 'canvas', 'cobalt', 'copper', 'delta',
+  'ember', 'falcon', 'garden', 'harbor', 'island', 'jasper', 'lantern', 'marble', 'meadow', 'nectar',
+  'orbit', 'pepper', 'quartz', 'ribbon', 'saddle', 'signal', 'timber', 'velvet', 'willow', 'zephyr'
+];
+
+const TEST_CARD_PREFIX = '40000000';
+
+const LOWER_CASE = 'abcdefghijklmnopqrstuvwxyz';
+const UPPER_CASE = LOWER_CASE.toUpperCase();
+
+/**
+ * Creates a fake value generator
+ * @param {Function} random - Generator of floats in [0, 1), such as createRandom(seed)
+ * @returns {Object} Faker whose methods each return one fake value
+ */
+function createFaker(random) {
+  const integer = (min, max) => min + Math.floor(random() * (max - min + 1));
+  const pick = (list) => list[Math.floor(random() * list.length)];
+  const digits = (count) => Array.from({ length: count }, () => integer(0, 9)).join('');
+
+  const firstName = () => pick(FIRST_NAMES);
+  const lastName = () => pick(LAST_NAMES);
+
+  /**
+   * Replaces every letter and digit of a text with a random one of the same kind, keeping
+   * case, punctuation and length, e.g. "AB 12 34 56 C" → "KD 93 04 71 F"
+   */
+  const reshape = (text) => Array.from(String(text), character => {
+    if (/[0-9]/.test(character)) return String(integer(0, 9));
+    if (/[a-z]/.test(character)) return pick(LOWER_CASE);
+    if (/[A-Z]/.test(character)) return pick(UPPER_CASE);
+    return character;
+  }).join('');
+
+  /**
+   * Writes a string of digits into the digit places of a layout, e.g. ("+1 202 555 0101", "15550100123")
+   * → "+1 555 010 0123"
+   */
+  const layOut = (layout, number) => {
+    let next = 0;
+    return String(layout).replace(/\d/g, () => number[next++]);
+  };
+
+  return {
+    integer,
+    pick,
+    digits,
+    reshape,
+    firstName,
+    lastName,
+    fullName: () => `${firstName()} ${lastName()}`,
+
+    /**
+     * @param {String} [suffix] - Appended to the local part, to tell apart people with the same name
+     */
+    email: (suffix = '') => `${firstName()}.${lastName()}${suffix}@${pick(EMAIL_DOMAINS)}`.toLowerCase(),
+
+    /**
+     * Phone number whose subscriber part (last seven digits) is in the fictional 555-01xx range
+     * @param {String} [template] - Phone number whose layout, country and area code are kept
+     */
+    phoneNumber: (template) => {
+      const number = template ? (String(template).match(/\d/g) || []).join('') : '';
+      if (number.length < 7) return `+1 ${integer(201, 989)} 555 01${digits(2)}`;
+      return layOut(template, `${number.slice(0, -7)}55501${digits(2)}`);
+    },
+
+    streetAddress: () => `${integer(1, 250)} ${pick(STREET_NAMES)} ${pick(STREET_SUFFIXES)}`,
+    city: () => pick(CITIES),
+    country: () => pick(COUNTRIES),
+    companyName: () => `${capitalize(pick(WORDS))} ${pick(COMPANY_SUFFIXES)}`,
+    postalCode: (template) => (template ? reshape(template) : digits(5)),
+
+    /**
+     * Card number in the 4000 0000 test range that passes the Luhn check
+     * @param {String} [template] - Card number whose digit grouping is kept (13 to 19 digits)
+     */
+    cardNumber: (template) => {
+      const count = template ? (String(template).match(/\d/g) || []).length : 0;
+      const layout = count >= 13 && count <= 19 ? template : '0000 0000 0000 0000';
+      const length = layout === template ? count : 16;
+      return withLuhnCheckDigit(layOut(layout, `${TEST_CARD_PREFIX}${digits(length - TEST_CARD_PREFIX.length)}`));
+    },
+
+    /**
+     * US social security numbers get a 9xx area, which is never assigned; other IDs keep their layout
+     * @param {String} [template] - ID whose layout is kept
+     */
+    nationalId: (template) => (!template || /^\d{3}-\d{2}-\d{4}$/.test(template)
+      ? `9${digits(2)}-${digits(2)}-${digits(4)}`
+      : reshape(template)),
+
+    word: () => pick(WORDS),
+
+    /**
+     * Capitalized words, e.g. "Amber Orbit"
+     */
+    title: (wordCount) => Array.from({ length: wordCount }, () => capitalize(pick(WORDS))).join(' '),
+    sentence: (wordCount) => `${capitalize(Array.from({ length: wordCount }, () => pick(WORDS)).join(' '))}.`
+  };
+}
+
+function capitalize(text) {
+  return `${text.charAt(0).toUpperCase()}${text.slice(1)}`;
+}
+
+/**
+ * Realistic value of a kind of personal data
+ * @param {Object} faker - Generator from createFaker
+ * @param {String} kind - email, phone, first-name, last-name, full-name, street-address, city,
+ *   postal-code, card, national-id, credential, or anything else for free text
+ * @param {String|null} [template] - Value being replaced, whose layout is kept where that makes sense
+ *   (phone numbers, postal codes, IDs, the scheme of password hashes, the word count of text)
+ * @param {String} [token] - Tells apart values that must stay distinct; added to emails and free text
+ * @returns {String} Fake value
+ */
+function fakeValue(faker, kind, template = null, token = '') {
+  switch (kind) {
+    case 'email':
+      return faker.email(token ? `.${token}` : '');
+    case 'phone':
+      return faker.phoneNumber(template);
+    case 'first-name':
+      return faker.firstName();
+    case 'last-name':
+      return faker.lastName();
+    case 'full-name':
+      return faker.fullName();
+    case 'street-address':
+      return faker.streetAddress();
+    case 'city':
+      return faker.city();
+    case 'postal-code':
+      return faker.postalCode(template);
+    case 'card':
+      return faker.cardNumber(template);
+    case 'national-id':
+      return faker.nationalId(template);
+    case 'credential': {
+      if (template === null) return `$2b$12$${faker.reshape('x'.repeat(53))}`;
+      // Keep the scheme of password hashes such as $2b$12$
+      const scheme = (template.match(/^\$[A-Za-z0-9-]+\$(\d+\$)?/) || [''])[0];
+      return `${scheme}${faker.reshape(template.slice(scheme.length))}`;
+    }
+    default: {
+      const words = template === null ? 3 : template.trim().split(/\s+/).length;
+      const fake = words > 1 || template === null ? faker.sentence(words) : faker.reshape(template);
+      return token ? `${fake}-${token}` : fake;
+    }
+  }
+}
+
+/**
+ * Replaces the last digit of a number so that the whole passes the Luhn check (separators kept)
+ */
+function withLuhnCheckDigit(text) {
+  const positions = [];
+  Array.from(text).forEach((character, index) => {
+    if (/\d/.test(character)) positions.push(index);
+  });
+  if (positions.length < 2) return text;
+
+  let sum = 0;
+  positions.slice(0, -1).reverse().forEach((position, index) => {
+    let digit = Number(text[position]);
+    if (index % 2 === 0) {
+      digit *= 2;
+      if (digit > 9) digit -= 9;
+    }
+    sum += digit;
+  });
+  const checkDigit = (10 - (sum % 10)) % 10;
+  const last = positions[positions.length - 1];
+  return `${text.slice(0, last)}${checkDigit}${text.slice(last + 1)}`;
+}
+
+module.exports = {
+  createFaker,
+  fakeValue
+};
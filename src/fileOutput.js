@@ -0,0 +1,61 @@
+/**
+ * Buffered output file
+ * Collects the text of files written while a dump is streamed (anonymized copies, extracted table
+ * data) and hands it to the file stream in large blocks, waiting for the stream to drain so that
+ * memory stays bounded however large the output gets.
+ */
+
+const fs = require('fs');
+const { once } = require('events');
+
+// Output is handed to the file stream in blocks of about this many characters
+const WRITE_BLOCK_SIZE = 1024 * 1024;
+
+/**
+ * Buffered writer for a file written piece by piece
+ * @param {String} outputPath - File to write (replaced if it exists)
+ * @returns {Object} { write(text), close(), discard() } — all asynchronous; write waits when the
+ *   file stream is busy
+ */
+function createFileOutput(outputPath) {
+  const stream = fs.createWriteStream(outputPath, { encoding: 'utf8' });
+  let failure = null;
+  stream.on('error', error => {
+    failure = error;
+  });
+
+  let pending = '';
+  const flush = async () => {
+    if (failure) throw failure;
+    if (pending === '') return;
+    const block = pending;
+    pending = '';
+    if (!stream.write(block)) {
+      // The listener that did not fire is removed, or one would be left behind per block
+      const waited = new AbortController();
+      const options = { signal: waited.signal };
+      await Promise.race([once(stream, 'drain', options), once(stream, 'error', options)]).finally(() => waited.abort());
+    }
+    if (failure) throw failure;
+  };
+
+  return {
+    write: async (text) => {
+      pending += text;
+      if (pending.length >= WRITE_BLOCK_SIZE) await flush();
+    },
+    close: async () => {
+      await flush();
+      stream.end();
+      await once(stream, 'finish');
+    },
+    discard: async () => {
+      stream.destroy();
+      await fs.promises.rm(outputPath, { force: true });
+    }
+  };
+}
+
+module.exports = {
+  createFileOutput
+};
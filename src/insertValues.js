@@ -0,0 +1,101 @@
+/**
+ * Literal value extraction from INSERT statements
+ * Turns the value lists of an INSERT AST into plain JavaScript rows keyed by column
+ */
+
+/**
+ * Extracts the rows inserted by an INSERT statement
+ * @param {Object} statement - INSERT statement AST
+ * @param {Array} tableColumns - Column objects of the target table, used when the INSERT has no column list
+ * @returns {Object} { columns: [names], rows: [[values]] } where non-literal values (functions, DEFAULT) are undefined
+ */
+function extractInsertRows(statement, tableColumns) {
+  const columns = Array.isArray(statement.columns) && statement.columns.length > 0
+    ? statement.columns.map(extractInsertColumnName)
+    : tableColumns.map(column => column.columnName);
+
+  // INSERT ... SET a = 1, b = 2 (MySQL)
+  if (Array.isArray(statement.set)) {
+    return {
+      columns: statement.set.map(assignment => assignment.column),
+      rows: [statement.set.map(assignment => literalValue(assignment.value))]
+    };
+  }
+
+  // INSERT ... SELECT has no literal rows
+  if (!Array.isArray(statement.values)) {
+    return { columns, rows: [] };
+  }
+
+  const rows = statement.values.map(row => {
+    const values = row && Array.isArray(row.value) ? row.value : [];
+    return values.map(literalValue);
+  });
+
+  return { columns, rows };
+}
+
+/**
+ * Converts a value node from an INSERT into a JavaScript value
+ * @param {Object} node - Expression node
+ * @returns {*} Number, string, boolean or null; undefined for non-literal expressions
+ */
+function literalValue(node) {
+  if (!node || typeof node !== 'object') {
+    return undefined;
+  }
+
+  switch (node.type) {
+    case 'null':
+      return null;
+    case 'number': {
+      const number = Number(node.value);
+      return Number.isFinite(number) ? number : String(node.value);
+    }
+    case 'bool':
+    case 'boolean':
+      return Boolean(node.value);
+    case 'single_quote_string':
+    case 'double_quote_string':
+    case 'natural_string':
+    case 'regex_string':
+      return String(node.value);
+    case 'hex_string':
+    case 'full_hex_string':
+      return `0x${node.value}`;
+    case 'bit_string':
+      return `b'${node.value}'`;
+    case 'cast':
+      // PostgreSQL 'x'::text casts wrap the literal
+      return literalValue(node.expr);
+    case 'origin':
+      // PostgreSQL E'...' escape strings are kept verbatim by the parser
+      return /^E'.*'$/s.test(node.value) ? node.value.slice(2, -1) : undefined;
+    case 'unary_expr':
+      if (node.operator === '-') {
+        const operand = literalValue(node.expr);
+        return typeof operand === 'number' ? -operand : undefined;
+      }
+      return undefined;
+    case 'column_ref':
+      // Exponent notation such as 1e3 is parsed as an identifier
+      if (typeof node.column === 'string' && /^\d+(\.\d+)?e[+-]?\d+$/i.test(node.column)) {
+        return Number(node.column);
+      }
+      return undefined;
+    default:
+      return undefined;
+  }
+}
+
+function extractInsertColumnName(column) {
+  if (typeof column === 'string') return column;
+  if (column && typeof column.value === 'string') return column.value;
+  if (column && typeof column.column === 'string') return column.column;
+  return null;
+}
+
+module.exports = {
+  extractInsertRows,
+  literalValue
+};
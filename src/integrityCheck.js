@@ -0,0 +1,319 @@
+/**
+ * Referential integrity check of inserted data
+ * Collects key values while INSERT statements are analyzed and reports orphan rows
+ * (foreign key values without a parent row), duplicate PRIMARY KEY / UNIQUE values and
+ * NULLs inserted into NOT NULL columns. Rows are checked against the constraints declared
+ * when they are inserted, so constraints added only after the data (pg_dump style) are
+ * not applied retroactively.
+ *
+ * Key values are held in memory as 53-bit hashes (see hashKey), up to MAX_TRACKED_VALUES of them. Past that the check goes on with
+ * the values it has: duplicates of them and NULLs are still found, but new values are no longer
+ * recorded, foreign keys into tables whose keys were not all recorded are not checked, and the
+ * report says from where the check is incomplete.
+ */
+
+// Findings listed in the report; counts in the summary stay exact beyond this
+const MAX_FINDINGS = 1000;
+
+// Key values and distinct foreign key values kept across all tables (about 100 MB at most)
+const MAX_TRACKED_VALUES = 1000000;
+
+// Separator between the values of a composite key
+const KEY_SEPARATOR = '\u0001';
+
+/**
+ * Creates an integrity checker fed with the rows of each INSERT statement
+ * @returns {Object} Checker with addRows(table, columns, rows, location, tables), schemaChanged(), resetTable(table) and getReport(tables)
+ */
+function createIntegrityChecker() {
+  // Per table object: key stores by column signature, and the foreign key values seen
+  const keyStores = new Map();
+  const foreignKeyValues = new Map();
+  const findings = [];
+  const summary = { orphanRows: 0, duplicateKeys: 0, nullViolations: 0 };
+  let truncated = false;
+  let trackedValues = 0;
+  // Where values stopped being recorded: { line, statement }
+  let incomplete = null;
+
+  // Whether one more value may be recorded; the first refusal marks the check incomplete
+  function canTrack(location) {
+    if (trackedValues < MAX_TRACKED_VALUES) {
+      trackedValues++;
+      return true;
+    }
+    if (!incomplete) incomplete = { line: location.line, statement: location.statement };
+    return false;
+  }
+
+  // Key column sets per table, recomputed after schema changes
+  let keySetCache = new Map();
+
+  function record(finding) {
+    if (findings.length < MAX_FINDINGS) {
+      findings.push(finding);
+    } else {
+      truncated = true;
+    }
+  }
+
+  /**
+   * Checks and records the rows of one INSERT statement
+   * @param {Object} table - Table object the rows are inserted into
+   * @param {Array} columns - Column names of the row values
+   * @param {Array} rows - Row value arrays from insertValues.extractInsertRows
+   * @param {Object} location - { line, statement } of the INSERT in the dump
+   * @param {Map} tables - All tables by name, to find foreign keys that reference this table
+   */
+  function addRows(table, columns, rows, location, tables) {
+    if (rows.length === 0) return;
+
+    const positions = new Map(columns.map((name, index) => [name, index]));
+    const keySets = getKeySets(table, tables);
+    const foreignKeys = table.constraints.filter(constraint => constraint.type === 'FOREIGN KEY');
+    const notNullColumns = table.columns.filter(column => !column.nullable && positions.has(column.columnName));
+
+    if (!keyStores.has(table)) keyStores.set(table, new Map());
+    if (!foreignKeyValues.has(table)) foreignKeyValues.set(table, new Map());
+    const stores = keyStores.get(table);
+    const foreignStores = foreignKeyValues.get(table);
+
+    rows.forEach(row => {
+      notNullColumns.forEach(column => {
+        if (row[positions.get(column.columnName)] === null) {
+          summary.nullViolations++;
+          record({
+            type: 'null',
+            table: table.tableName,
+            columns: [column.columnName],
+            values: [null],
+            line: location.line,
+            statement: location.statement
+          });
+        }
+      });
+
+      keySets.forEach(keySet => {
+        const values = tupleValues(row, keySet.columns, positions);
+        if (!values) return;
+
+        if (!stores.has(keySet.signature)) stores.set(keySet.signature, { keys: new Map(), complete: true });
+        const store = stores.get(keySet.signature);
+        const key = hashKey(values);
+        const first = store.keys.get(key);
+
+        if (first === undefined) {
+          if (canTrack(location)) {
+            store.keys.set(key, location.line);
+          } else {
+            store.complete = false;
+          }
+        } else if (keySet.unique) {
+          summary.duplicateKeys++;
+          record({
+            type: 'duplicate',
+            table: table.tableName,
+            constraint: keySet.kind,
+            columns: keySet.columns,
+            values,
+            line: location.line,
+            statement: location.statement,
+            firstLine: first
+          });
+        }
+      });
+
+      foreignKeys.forEach(foreignKey => {
+        const values = tupleValues(row, foreignKey.columns, positions);
+        if (!values) return;
+
+        const signature = foreignKeySignature(foreignKey);
+        if (!foreignStores.has(signature)) foreignStores.set(signature, { foreignKey, values: new Map() });
+        const store = foreignStores.get(signature).values;
+        const key = hashKey(values);
+        const seen = store.get(key);
+        if (seen) {
+          seen[0]++;
+        } else if (canTrack(location)) {
+          // [count, line, statement, values] of the first row with these values; strings are copied,
+          // since a value cut out of a long statement would keep all of its text in memory
+          store.set(key, [1, location.line, location.statement, values.map(detachValue)]);
+        }
+      });
+    });
+  }
+
+  /**
+   * PRIMARY KEY / UNIQUE column sets of a table, plus column sets other tables reference
+   * (whose values are needed to resolve foreign keys but are not required to be unique)
+   */
+  function getKeySets(table, tables) {
+    if (keySetCache.has(table)) return keySetCache.get(table);
+
+    const keySets = [];
+    const addKeySet = (kind, columns, unique) => {
+      const signature = columns.join(KEY_SEPARATOR);
+      const existing = keySets.find(keySet => keySet.signature === signature);
+      if (existing) {
+        existing.unique = existing.unique || unique;
+        return;
+      }
+      if (columns.length > 0) keySets.push({ kind, columns, unique, signature });
+    };
+
+    table.constraints.forEach(constraint => {
+      if (constraint.type === 'PRIMARY KEY' || constraint.type === 'UNIQUE') {
+        addKeySet(constraint.type, constraint.columns, true);
+      }
+    });
+    // Inline column-level keys, e.g. `id INT PRIMARY KEY` or `email VARCHAR(100) UNIQUE`
+    const inlinePrimaryKey = table.columns.filter(column => column.primaryKey).map(column => column.columnName);
+    addKeySet('PRIMARY KEY', inlinePrimaryKey, true);
+    table.columns
+      .filter(column => column.unique)
+      .forEach(column => addKeySet('UNIQUE', [column.columnName], true));
+
+    tables.forEach(other => {
+      other.constraints.forEach(constraint => {
+        if (constraint.type === 'FOREIGN KEY' && constraint.referencedTable === table.tableName) {
+          addKeySet('REFERENCED', constraint.referencedColumns, false);
+        }
+      });
+    });
+
+    keySetCache.set(table, keySets);
+    return keySets;
+  }
+
+  /**
+   * Forgets cached key column sets; called whenever the schema may have changed
+   */
+  function schemaChanged() {
+    keySetCache = new Map();
+  }
+
+  /**
+   * Discards the values recorded for a table (TRUNCATE)
+   * @param {Object} table - Table object
+   */
+  function resetTable(table) {
+    (keyStores.get(table) || new Map()).forEach(({ keys }) => {
+      trackedValues -= keys.size;
+    });
+    (foreignKeyValues.get(table) || new Map()).forEach(({ values }) => {
+      trackedValues -= values.size;
+    });
+    keyStores.delete(table);
+    foreignKeyValues.delete(table);
+  }
+
+  /**
+   * Resolves the recorded foreign key values against their parent tables
+   * @param {Array} tables - Final tables of the analysis
+   * @returns {Object} { summary: { orphanRows, duplicateKeys, nullViolations }, findings, truncated,
+   *   incomplete } — incomplete is null, or { line, statement, trackedValues } of the first row
+   *   whose values could not be recorded (see MAX_TRACKED_VALUES)
+   */
+  function getReport(tables) {
+    const tablesByName = new Map(tables.map(table => [table.tableName, table]));
+    let orphanRows = 0;
+    const orphanFindings = [];
+
+    foreignKeyValues.forEach((stores, table) => {
+      // Rows of tables dropped later in the dump no longer matter
+      if (tablesByName.get(table.tableName) !== table) return;
+
+      stores.forEach(({ foreignKey, values }) => {
+        const parent = tablesByName.get(foreignKey.referencedTable);
+        // An unknown parent table cannot be checked
+        if (!parent) return;
+
+        const parentStores = keyStores.get(parent);
+        const parentStore = parentStores && parentStores.get(foreignKey.referencedColumns.join(KEY_SEPARATOR));
+        // Parent rows whose key values were not recorded (e.g. generated ids, or past the limit)
+        // cannot be checked; an empty parent table makes every child row an orphan
+        if (parentStore ? !parentStore.complete : parent.rowCount > 0) return;
+        const parentKeys = parentStore && parentStore.keys;
+
+        values.forEach(([count, line, statement, tuple], key) => {
+          if (parentKeys && parentKeys.has(key)) return;
+
+          orphanRows += count;
+          if (findings.length + orphanFindings.length < MAX_FINDINGS) {
+            orphanFindings.push({
+              type: 'orphan',
+              table: table.tableName,
+              columns: foreignKey.columns,
+              values: tuple,
+              referencedTable: foreignKey.referencedTable,
+              referencedColumns: foreignKey.referencedColumns,
+              count,
+              line,
+              statement
+            });
+          } else {
+            truncated = true;
+          }
+        });
+      });
+    });
+
+    return {
+      summary: { ...summary, orphanRows },
+      findings: orphanFindings.concat(findings),
+      truncated,
+      incomplete: incomplete && { ...incomplete, trackedValues: MAX_TRACKED_VALUES }
+    };
+  }
+
+  return {
+    addRows,
+    schemaChanged,
+    resetTable,
+    getReport
+  };
+}
+
+/**
+ * Values of the given columns in a row, or null when any of them is NULL, missing or
+ * not a literal (NULLs never violate UNIQUE or FOREIGN KEY constraints)
+ */
+function tupleValues(row, columns, positions) {
+  const values = [];
+  for (const column of columns) {
+    if (!positions.has(column)) return null;
+    const value = row[positions.get(column)];
+    if (value === null || value === undefined) return null;
+    values.push(value);
+  }
+  return values;
+}
+
+/**
+ * Key of a tuple of values: two 32-bit FNV-1a hashes of their text, with different offsets, make a
+ * 53-bit number. Stored as numbers, keys take a fraction of the memory of their text; two of a
+ * million keys collide (a false duplicate, or a missed orphan) about once in 20,000 dumps.
+ */
+function hashKey(values) {
+  const text = values.map(String).join(KEY_SEPARATOR);
+  let low = 0x811c9dc5;
+  let high = 0x050c5d1f;
+  for (let index = 0; index < text.length; index++) {
+    const code = text.charCodeAt(index);
+    low = Math.imul(low ^ code, 0x01000193);
+    high = Math.imul(high ^ code, 0x01000193);
+  }
+  return (high >>> 11) * 0x100000000 + (low >>> 0);
+}
+
+function detachValue(value) {
+  return typeof value === 'string' ? Buffer.from(value, 'utf8').toString('utf8') : value;
+}
+
+function foreignKeySignature(foreignKey) {
+  return `${foreignKey.columns.join(',')}->${foreignKey.referencedTable}(${foreignKey.referencedColumns.join(',')})`;
+}
+
+module.exports = {
+  createIntegrityChecker
+};
@@ -0,0 +1,684 @@
+/**
+ * Live database introspection
+ * Reads the schema of a running database instead of a dump: a SQLite file through its PRAGMAs,
+ * MySQL/MariaDB through information_schema and PostgreSQL through pg_catalog (its
+ * information_schema has no indexes and loses the column order of foreign keys). The catalog
+ * is turned into the same analysis object as a dump, with exact row counts from COUNT(*).
+ *
+ * Connection strings carry credentials, so this module only runs in the main process; the
+ * renderer is given describeConnection() labels, never the strings themselves.
+ */
+
+const path = require('path');
+const { Parser } = require('node-sql-parser');
+const { DIALECTS } = require('./dialect');
+const { createAnalyzer } = require('./analyzer');
+const { recognizeSchemaObjectStatement } = require('./schemaObjects');
+
+const DRIVERS = {
+  SQLITE: 'sqlite',
+  MYSQL: 'mysql',
+  POSTGRESQL: 'postgresql'
+};
+
+// URL schemes accepted in connection strings
+const URL_SCHEMES = {
+  'sqlite:': DRIVERS.SQLITE,
+  'file:': DRIVERS.SQLITE,
+  'mysql:': DRIVERS.MYSQL,
+  'mariadb:': DRIVERS.MYSQL,
+  'postgres:': DRIVERS.POSTGRESQL,
+  'postgresql:': DRIVERS.POSTGRESQL
+};
+
+// pg_constraint confupdtype / confdeltype codes; NO ACTION is the default and stays null
+const POSTGRES_REFERENTIAL_ACTIONS = {
+  r: 'RESTRICT',
+  c: 'CASCADE',
+  n: 'SET NULL',
+  d: 'SET DEFAULT'
+};
+
+// format_type() spells out types that dumps usually write in their short form
+const POSTGRES_TYPE_NAMES = [
+  [/^character varying/, 'varchar'],
+  [/^character\b/, 'char'],
+  [/^bit varying/, 'varbit'],
+  [/^timestamp(\(\d+\))? without time zone/, 'timestamp$1'],
+  [/^timestamp(\(\d+\))? with time zone/, 'timestamptz$1'],
+  [/^time(\(\d+\))? without time zone/, 'time$1'],
+  [/^time(\(\d+\))? with time zone/, 'timetz$1']
+];
+
+// PostgreSQL serial columns are integers with a sequence default
+const POSTGRES_SERIAL_TYPES = {
+  SMALLINT: 'SMALLSERIAL',
+  INTEGER: 'SERIAL',
+  BIGINT: 'BIGSERIAL'
+};
+
+const parser = new Parser();
+
+/**
+ * Reads a connection string typed by the user
+ * @param {String} text - A SQLite file path or sqlite:/file: URL, or a mysql://, mariadb://,
+ *   postgres:// or postgresql:// URL
+ * @returns {Object} Connection { driver, filePath } for SQLite, { driver, url } for servers
+ * @throws {Error} When the scheme is not supported or a server URL does not name a database
+ */
+function parseConnectionString(text) {
+  const value = String(text || '').trim();
+  if (value === '') {
+    throw new Error('No connection string given');
+  }
+
+  const scheme = value.match(/^([a-z][a-z0-9+.-]*:)(?!\\)/i);
+  // Windows paths such as C:\data\app.db look like a one-letter scheme
+  if (!scheme || /^[a-z]:$/i.test(scheme[1])) {
+    return { driver: DRIVERS.SQLITE, filePath: path.resolve(value) };
+  }
+
+  const driver = URL_SCHEMES[scheme[1].toLowerCase()];
+  if (!driver) {
+    throw new Error(`Unsupported connection string scheme: ${scheme[1]}`);
+  }
+  if (driver === DRIVERS.SQLITE) {
+    const filePath = decodeURIComponent(value.slice(scheme[1].length).replace(/^\/\/(?=\/)/, ''));
+    return { driver, filePath: path.resolve(filePath) };
+  }
+
+  let url;
+  try {
+    url = new URL(value);
+  } catch (error) {
+    throw new Error(`Invalid ${scheme[1]} connection string`);
+  }
+  if (url.pathname.replace(/^\//, '') === '') {
+    throw new Error('The connection string does not name a database');
+  }
+  return { driver, url: value };
+}
+
+/**
+ * Describes a connection without its credentials
+ * @param {Object} connection - Connection from parseConnectionString
+ * @returns {String} File path for SQLite, scheme://user@host:port/database for servers
+ */
+function describeConnection(connection) {
+  if (connection.driver === DRIVERS.SQLITE) {
+    return connection.filePath;
+  }
+  const url = new URL(connection.url);
+  const user = url.username ? `${decodeURIComponent(url.username)}@` : '';
+  return `${url.protocol}//${user}${url.host}${url.pathname}`;
+}
+
+/**
+ * Reads the schema of a live database and analyzes it
+ * @param {Object} connection - Connection from parseConnectionString
+ * @param {Object} [options] - Introspection options
+ * @param {Function} [options.onProgress] - Called with { tablesRead, totalTables } while rows are counted
+ * @param {AbortSignal} [options.signal] - Aborts the introspection; the promise then rejects with an AbortError
+ * @returns {Promise<Object>} Analysis result, as analyzeSqlAst returns for a dump
+ */
+async function introspectDatabase(connection, options = {}) {
+  const readers = {
+    [DRIVERS.SQLITE]: readSqliteCatalog,
+    [DRIVERS.MYSQL]: readMysqlCatalog,
+    [DRIVERS.POSTGRESQL]: readPostgresCatalog
+  };
+  const readCatalog = readers[connection.driver];
+  if (!readCatalog) {
+    throw new Error(`Unsupported database driver: ${connection.driver}`);
+  }
+
+  const catalog = await readCatalog(connection, options);
+
+  const analyzer = createAnalyzer({ dialect: catalog.dialect });
+  catalog.tables.forEach(table => analyzer.addTable(table));
+  catalog.definitions.forEach(definition => {
+    try {
+      const statement = recognizeSchemaObjectStatement(definition, parser, catalog.dialect);
+      if (statement) analyzer.addStatement(statement);
+    } catch (error) {
+      // The catalog holds one definition per object; one that cannot be read is left out
+      console.error('Skipping unreadable definition:', error.message);
+    }
+  });
+
+  const analysis = analyzer.getResult();
+  analysis.databaseName = catalog.databaseName;
+  // Rows are counted, not read, so there is no data profile
+  analysis.tables.forEach(table => {
+    table.dataProfile = null;
+  });
+  analysis.diagnostics = [];
+  analysis.diagnosticsOmitted = null;
+  return analysis;
+}
+
+/**
+ * Counts the rows of every table, reporting progress and checking for cancellation in between
+ * @param {Array} tables - Table objects whose rowCount is filled in
+ * @param {Function} countRows - async (tableName) => Number
+ * @param {Object} options - { onProgress, signal } from introspectDatabase
+ */
+async function countTableRows(tables, countRows, options) {
+  const { onProgress, signal } = options;
+
+  for (let index = 0; index < tables.length; index++) {
+    throwIfAborted(signal);
+    tables[index].rowCount = Number(await countRows(tables[index].tableName));
+    if (onProgress) onProgress({ tablesRead: index + 1, totalTables: tables.length });
+  }
+  throwIfAborted(signal);
+}
+
+/**
+ * SQLite: PRAGMA table_info / foreign_key_list / index_list, views and triggers from sqlite_master.
+ * CHECK constraints are not reported by any PRAGMA and are left out.
+ */
+async function readSqliteCatalog(connection, options) {
+  const Database = require('better-sqlite3');
+  const db = new Database(connection.filePath, { readonly: true, fileMustExist: true });
+
+  try {
+    const pragma = (name, argument) => db.prepare(`PRAGMA ${name}(${quoteName(argument, '"')})`).all();
+
+    const tables = db.prepare("SELECT name, sql FROM sqlite_master WHERE type = 'table' AND name NOT LIKE 'sqlite\\_%' ESCAPE '\\' ORDER BY rowid")
+      .all()
+      .map(({ name, sql }) => {
+        const tableInfo = pragma('table_info', name);
+        const primaryKeyColumns = tableInfo
+          .filter(row => row.pk > 0)
+          .sort((a, b) => a.pk - b.pk)
+          .map(row => row.name);
+
+        const columns = tableInfo.map(row => buildColumn({
+          columnName: row.name,
+          dataType: normalizeTypeName(row.type),
+          nullable: !row.notnull && row.pk === 0,
+          defaultValue: row.dflt_value,
+          // Only an INTEGER PRIMARY KEY declared AUTOINCREMENT never reuses ids
+          autoIncrement: primaryKeyColumns.length === 1 && row.pk === 1 &&
+            /^INTEGER$/i.test(row.type) && /\bAUTOINCREMENT\b/i.test(sql || '')
+        }));
+
+        const constraints = [];
+        if (primaryKeyColumns.length > 0) {
+          constraints.push({ type: 'PRIMARY KEY', name: null, columns: primaryKeyColumns });
+        }
+
+        // PRAGMAs list foreign keys and indexes from the last declared to the first
+        groupRows(pragma('foreign_key_list', name), row => row.id)
+          .reverse()
+          .forEach(rows => {
+            const referencedColumns = rows.some(row => row.to === null)
+              // REFERENCES parent without a column list points at the parent's primary key
+              ? pragma('table_info', rows[0].table).filter(row => row.pk > 0).sort((a, b) => a.pk - b.pk).map(row => row.name)
+              : rows.map(row => row.to);
+            constraints.push({
+              type: 'FOREIGN KEY',
+              name: null,
+              columns: rows.map(row => row.from),
+              referencedTable: rows[0].table,
+              referencedColumns,
+              onDelete: normalizeReferentialAction(rows[0].on_delete),
+              onUpdate: normalizeReferentialAction(rows[0].on_update)
+            });
+          });
+
+        const indexes = [];
+        pragma('index_list', name).reverse().forEach(index => {
+          const indexColumns = pragma('index_info', index.name)
+            .sort((a, b) => a.seqno - b.seqno)
+            .map(row => row.name)
+            .filter(Boolean);
+          if (index.origin === 'u') {
+            constraints.push({ type: 'UNIQUE', name: null, columns: indexColumns });
+          } else if (index.origin === 'c') {
+            indexes.push({ indexName: index.name, columns: indexColumns, unique: Boolean(index.unique) });
+          }
+        });
+
+        return { tableName: name, columns, constraints, indexes, rowCount: 0, comment: null };
+      });
+
+    await countTableRows(tables, async (tableName) => {
+      // Let cancellation requests through between the synchronous queries
+      await new Promise(resolve => setImmediate(resolve));
+      return db.prepare(`SELECT COUNT(*) AS count FROM ${quoteName(tableName, '"')}`).get().count;
+    }, options);
+
+    const definitions = db.prepare("SELECT sql FROM sqlite_master WHERE type IN ('view', 'trigger') AND sql IS NOT NULL ORDER BY rowid")
+      .all()
+      .map(row => row.sql);
+
+    return {
+      databaseName: path.basename(connection.filePath, path.extname(connection.filePath)),
+      dialect: DIALECTS.SQLITE,
+      tables,
+      definitions
+    };
+  } finally {
+    db.close();
+  }
+}
+
+/**
+ * MySQL and MariaDB: information_schema of the database named in the connection string
+ */
+async function readMysqlCatalog(connection, options) {
+  const mysql = require('mysql2/promise');
+  const db = await mysql.createConnection(connection.url);
+
+  try {
+    const query = async (sql, params = []) => (await db.query(sql, params))[0];
+    const [{ databaseName, version }] = await query('SELECT DATABASE() AS databaseName, VERSION() AS version');
+    const schema = [databaseName];
+    const isMariaDb = /mariadb/i.test(version);
+
+    const tableRows = await query(
+      `SELECT TABLE_NAME AS tableName, TABLE_COMMENT AS comment FROM information_schema.TABLES
+       WHERE TABLE_SCHEMA = ? AND TABLE_TYPE = 'BASE TABLE' ORDER BY TABLE_NAME`, schema);
+    const tables = tableRows.map(({ tableName, comment }) => ({
+      tableName,
+      columns: [],
+      constraints: [],
+      indexes: [],
+      rowCount: 0,
+      comment: comment || null
+    }));
+    const tablesByName = new Map(tables.map(table => [table.tableName, table]));
+
+    (await query(
+      `SELECT TABLE_NAME AS tableName, COLUMN_NAME AS columnName, DATA_TYPE AS dataType, COLUMN_TYPE AS columnType,
+              IS_NULLABLE AS isNullable, COLUMN_DEFAULT AS defaultValue, EXTRA AS extra, COLUMN_COMMENT AS comment
+       FROM information_schema.COLUMNS WHERE TABLE_SCHEMA = ? ORDER BY TABLE_NAME, ORDINAL_POSITION`, schema))
+      .forEach(row => {
+        const table = tablesByName.get(row.tableName);
+        if (!table) return;
+        const isEnum = /^(enum|set)$/i.test(row.dataType);
+        table.columns.push(buildColumn({
+          columnName: row.columnName,
+          dataType: isEnum ? row.dataType.toUpperCase() : normalizeTypeName(row.columnType.replace(/\s+(unsigned|zerofill)\b/gi, '')),
+          enumValues: isEnum ? parseMysqlEnumValues(row.columnType) : null,
+          nullable: row.isNullable === 'YES',
+          defaultValue: formatMysqlDefault(row, isMariaDb),
+          autoIncrement: /\bauto_increment\b/i.test(row.extra),
+          comment: row.comment || null
+        }));
+      });
+
+    const keyRows = await query(
+      `SELECT tc.TABLE_NAME AS tableName, tc.CONSTRAINT_NAME AS name, tc.CONSTRAINT_TYPE AS type, kcu.COLUMN_NAME AS columnName,
+              kcu.REFERENCED_TABLE_NAME AS referencedTable, kcu.REFERENCED_COLUMN_NAME AS referencedColumn,
+              rc.DELETE_RULE AS onDelete, rc.UPDATE_RULE AS onUpdate
+       FROM information_schema.TABLE_CONSTRAINTS tc
+       JOIN information_schema.KEY_COLUMN_USAGE kcu
+         ON kcu.CONSTRAINT_SCHEMA = tc.CONSTRAINT_SCHEMA AND kcu.TABLE_NAME = tc.TABLE_NAME AND kcu.CONSTRAINT_NAME = tc.CONSTRAINT_NAME
+       LEFT JOIN information_schema.REFERENTIAL_CONSTRAINTS rc
+         ON rc.CONSTRAINT_SCHEMA = tc.CONSTRAINT_SCHEMA AND rc.TABLE_NAME = tc.TABLE_NAME AND rc.CONSTRAINT_NAME = tc.CONSTRAINT_NAME
+       WHERE tc.TABLE_SCHEMA = ? AND tc.CONSTRAINT_TYPE IN ('PRIMARY KEY', 'UNIQUE', 'FOREIGN KEY')
+       ORDER BY tc.TABLE_NAME, FIELD(tc.CONSTRAINT_TYPE, 'PRIMARY KEY', 'UNIQUE', 'FOREIGN KEY'), tc.CONSTRAINT_NAME, kcu.ORDINAL_POSITION`, schema);
+    groupRows(keyRows, row => `${row.tableName}\u0000${row.name}`).forEach(rows => {
+      const table = tablesByName.get(rows[0].tableName);
+      if (!table) return;
+      const { type, name } = rows[0];
+      const constraint = { type, name: type === 'PRIMARY KEY' ? null : name, columns: rows.map(row => row.columnName) };
+      if (type === 'FOREIGN KEY') {
+        Object.assign(constraint, {
+          referencedTable: rows[0].referencedTable,
+          referencedColumns: rows.map(row => row.referencedColumn),
+          onDelete: normalizeReferentialAction(rows[0].onDelete),
+          onUpdate: normalizeReferentialAction(rows[0].onUpdate)
+        });
+      }
+      table.constraints.push(constraint);
+    });
+
+    // CHECK_CONSTRAINTS only exists since MySQL 8.0.16 and MariaDB 10.2
+    let checkRows = [];
+    try {
+      checkRows = await query(
+        `SELECT tc.TABLE_NAME AS tableName, cc.CONSTRAINT_NAME AS name, cc.CHECK_CLAUSE AS expression
+         FROM information_schema.TABLE_CONSTRAINTS tc
+         JOIN information_schema.CHECK_CONSTRAINTS cc
+           ON cc.CONSTRAINT_SCHEMA = tc.CONSTRAINT_SCHEMA AND cc.CONSTRAINT_NAME = tc.CONSTRAINT_NAME
+         WHERE tc.TABLE_SCHEMA = ? AND tc.CONSTRAINT_TYPE = 'CHECK'
+         ORDER BY tc.TABLE_NAME, cc.CONSTRAINT_NAME`, schema);
+    } catch (error) {
+      checkRows = [];
+    }
+    checkRows.forEach(row => {
+      const table = tablesByName.get(row.tableName);
+      if (table) table.constraints.push({ type: 'CHECK', name: row.name, columns: [], expression: row.expression });
+    });
+
+    // Every key is also an index; only the ones that are not PRIMARY KEY or UNIQUE constraints are listed
+    const indexRows = await query(
+      `SELECT TABLE_NAME AS tableName, INDEX_NAME AS indexName, NON_UNIQUE AS nonUnique, COLUMN_NAME AS columnName
+       FROM information_schema.STATISTICS WHERE TABLE_SCHEMA = ? ORDER BY TABLE_NAME, INDEX_NAME, SEQ_IN_INDEX`, schema);
+    groupRows(indexRows, row => `${row.tableName}\u0000${row.indexName}`).forEach(rows => {
+      const table = tablesByName.get(rows[0].tableName);
+      const { indexName } = rows[0];
+      if (!table || indexName === 'PRIMARY' ||
+        table.constraints.some(constraint => constraint.type === 'UNIQUE' && constraint.name === indexName)) return;
+      table.indexes.push({
+        indexName,
+        columns: rows.map(row => row.columnName).filter(Boolean),
+        unique: Number(rows[0].nonUnique) === 0
+      });
+    });
+
+    await countTableRows(tables, async (tableName) => {
+      const [{ count }] = await query(`SELECT COUNT(*) AS count FROM ${quoteName(tableName, '`')}`);
+      return count;
+    }, options);
+
+    const definitions = [];
+    (await query(
+      `SELECT TABLE_NAME AS name, VIEW_DEFINITION AS definition
+       FROM information_schema.VIEWS WHERE TABLE_SCHEMA = ? ORDER BY TABLE_NAME`, schema))
+      // VIEW_DEFINITION qualifies every table and column with the database name
+      .forEach(row => definitions.push(
+        `CREATE VIEW ${quoteName(row.name, '`')} AS ${row.definition.split(`${quoteName(databaseName, '`')}.`).join('')}`
+      ));
+
+    const parameterRows = await query(
+      `SELECT SPECIFIC_NAME AS routineName, PARAMETER_MODE AS mode, PARAMETER_NAME AS name, DTD_IDENTIFIER AS dataType
+       FROM information_schema.PARAMETERS WHERE SPECIFIC_SCHEMA = ? AND ORDINAL_POSITION > 0
+       ORDER BY SPECIFIC_NAME, ORDINAL_POSITION`, schema);
+    (await query(
+      `SELECT ROUTINE_NAME AS name, ROUTINE_TYPE AS type, DTD_IDENTIFIER AS returns, ROUTINE_DEFINITION AS body
+       FROM information_schema.ROUTINES WHERE ROUTINE_SCHEMA = ? ORDER BY ROUTINE_NAME`, schema))
+      .forEach(row => {
+        const parameters = parameterRows
+          .filter(parameter => parameter.routineName === row.name)
+          .map(parameter => [row.type === 'PROCEDURE' ? parameter.mode : null, quoteName(parameter.name, '`'), parameter.dataType].filter(Boolean).join(' '));
+        const returns = row.type === 'FUNCTION' ? ` RETURNS ${row.returns}` : '';
+        definitions.push(`CREATE ${row.type} ${quoteName(row.name, '`')}(${parameters.join(', ')})${returns} ${row.body || ''}`);
+      });
+
+    (await query(
+      `SELECT TRIGGER_NAME AS name, ACTION_TIMING AS timing, EVENT_MANIPULATION AS event, EVENT_OBJECT_TABLE AS tableName,
+              ACTION_STATEMENT AS body
+       FROM information_schema.TRIGGERS WHERE TRIGGER_SCHEMA = ? ORDER BY EVENT_OBJECT_TABLE, ACTION_ORDER`, schema))
+      .forEach(row => definitions.push(
+        `CREATE TRIGGER ${quoteName(row.name, '`')} ${row.timing} ${row.event} ON ${quoteName(row.tableName, '`')} FOR EACH ROW ${row.body}`
+      ));
+
+    return {
+      databaseName,
+      dialect: isMariaDb ? DIALECTS.MARIADB : DIALECTS.MYSQL,
+      tables,
+      definitions
+    };
+  } finally {
+    await db.end();
+  }
+}
+
+/**
+ * PostgreSQL: pg_catalog of the connection's current schema (the first one on its search_path)
+ */
+async function readPostgresCatalog(connection, options) {
+  const { Client } = require('pg');
+  const client = new Client({ connectionString: connection.url });
+  await client.connect();
+
+  try {
+    const query = async (sql, params = []) => (await client.query(sql, params)).rows;
+    const [{ databaseName, schemaName }] = await query('SELECT current_database() AS "databaseName", current_schema() AS "schemaName"');
+    const schema = [schemaName];
+    // Objects created by extensions (pgcrypto functions, PostGIS types, ...) are not part of the schema
+    const notFromExtension = (oid) => `NOT EXISTS (SELECT 1 FROM pg_depend dep WHERE dep.objid = ${oid} AND dep.deptype = 'e')`;
+
+    const tables = (await query(
+      `SELECT c.relname AS "tableName", obj_description(c.oid, 'pg_class') AS comment FROM pg_class c JOIN pg_namespace n ON n.oid = c.relnamespace
+       WHERE n.nspname = $1 AND c.relkind IN ('r', 'p') AND NOT c.relispartition AND ${notFromExtension('c.oid')}
+       ORDER BY c.relname`, schema))
+      .map(({ tableName, comment }) => ({ tableName, columns: [], constraints: [], indexes: [], rowCount: 0, comment }));
+    const tablesByName = new Map(tables.map(table => [table.tableName, table]));
+
+    (await query(
+      `SELECT c.relname AS "tableName", a.attname AS "columnName", format_type(a.atttypid, a.atttypmod) AS "dataType",
+              a.attnotnull AS "notNull", pg_get_expr(d.adbin, d.adrelid) AS "defaultValue", a.attidentity <> '' AS identity,
+              col_description(a.attrelid, a.attnum) AS comment
+       FROM pg_attribute a
+       JOIN pg_class c ON c.oid = a.attrelid
+       JOIN pg_namespace n ON n.oid = c.relnamespace
+       LEFT JOIN pg_attrdef d ON d.adrelid = a.attrelid AND d.adnum = a.attnum
+       WHERE n.nspname = $1 AND c.relkind IN ('r', 'p') AND a.attnum > 0 AND NOT a.attisdropped
+       ORDER BY c.relname, a.attnum`, schema))
+      .forEach(row => {
+        const table = tablesByName.get(row.tableName);
+        if (!table) return;
+        let dataType = normalizePostgresType(row.dataType);
+        let defaultValue = row.defaultValue;
+        // Report serial columns as they are declared, not as the integer and sequence they expand to
+        const serial = /^nextval\(/i.test(defaultValue || '') && POSTGRES_SERIAL_TYPES[dataType];
+        if (serial) {
+          dataType = serial;
+          defaultValue = null;
+        }
+        table.columns.push(buildColumn({
+          columnName: row.columnName,
+          dataType,
+          nullable: !row.notNull,
+          defaultValue,
+          autoIncrement: Boolean(serial) || row.identity,
+          comment: row.comment
+        }));
+      });
+
+    const columnNames = (attnums, relation) => `ARRAY(
+      SELECT a.attname::text FROM unnest(${attnums}) WITH ORDINALITY k(attnum, position)
+      JOIN pg_attribute a ON a.attrelid = ${relation} AND a.attnum = k.attnum ORDER BY k.position)`;
+
+    (await query(
+      `SELECT c.relname AS "tableName", con.conname AS name, con.contype AS type,
+              ${columnNames('con.conkey', 'con.conrelid')} AS columns,
+              ref.relname AS "referencedTable", ${columnNames('con.confkey', 'con.confrelid')} AS "referencedColumns",
+              con.confdeltype AS "onDelete", con.confupdtype AS "onUpdate", pg_get_constraintdef(con.oid) AS definition
+       FROM pg_constraint con
+       JOIN pg_class c ON c.oid = con.conrelid
+       JOIN pg_namespace n ON n.oid = c.relnamespace
+       LEFT JOIN pg_class ref ON ref.oid = con.confrelid
+       WHERE n.nspname = $1 AND con.contype IN ('p', 'u', 'f', 'c')
+       ORDER BY c.relname, position(con.contype::text IN 'pufc'), con.conname`, schema))
+      .forEach(row => {
+        const table = tablesByName.get(row.tableName);
+        if (!table) return;
+        if (row.type === 'p') {
+          table.constraints.push({ type: 'PRIMARY KEY', name: row.name, columns: row.columns });
+        } else if (row.type === 'u') {
+          table.constraints.push({ type: 'UNIQUE', name: row.name, columns: row.columns });
+        } else if (row.type === 'f') {
+          table.constraints.push({
+            type: 'FOREIGN KEY',
+            name: row.name,
+            columns: row.columns,
+            referencedTable: row.referencedTable,
+            referencedColumns: row.referencedColumns,
+            onDelete: POSTGRES_REFERENTIAL_ACTIONS[row.onDelete] || null,
+            onUpdate: POSTGRES_REFERENTIAL_ACTIONS[row.onUpdate] || null
+          });
+        } else {
+          const expression = row.definition.replace(/\s+NOT VALID$/i, '').replace(/^CHECK\s*\(([\s\S]*)\)$/i, '$1');
+          table.constraints.push({ type: 'CHECK', name: row.name, columns: [], expression });
+        }
+      });
+
+    // Indexes that back a PRIMARY KEY, UNIQUE or EXCLUDE constraint are listed as the constraint
+    (await query(
+      `SELECT c.relname AS "tableName", i.relname AS "indexName", ix.indisunique AS unique,
+              ${columnNames('ix.indkey::int2[]', 'ix.indrelid')} AS columns
+       FROM pg_index ix
+       JOIN pg_class i ON i.oid = ix.indexrelid
+       JOIN pg_class c ON c.oid = ix.indrelid
+       JOIN pg_namespace n ON n.oid = c.relnamespace
+       WHERE n.nspname = $1 AND NOT EXISTS (
+         SELECT 1 FROM pg_constraint con
+         WHERE con.conindid = ix.indexrelid AND con.conrelid = ix.indrelid AND con.contype IN ('p', 'u', 'x'))
+       ORDER BY c.relname, i.relname`, schema))
+      .forEach(row => {
+        const table = tablesByName.get(row.tableName);
+        if (table) table.indexes.push({ indexName: row.indexName, columns: row.columns, unique: row.unique });
+      });
+
+    await countTableRows(tables, async (tableName) => {
+      const [{ count }] = await query(`SELECT COUNT(*) AS count FROM ${quoteName(schemaName, '"')}.${quoteName(tableName, '"')}`);
+      return count;
+    }, options);
+
+    const definitions = [];
+    (await query(
+      `SELECT t.typname AS name, t.typtype AS kind, format_type(t.typbasetype, t.typtypmod) AS "baseType",
+              ARRAY(SELECT e.enumlabel::text FROM pg_enum e WHERE e.enumtypid = t.oid ORDER BY e.enumsortorder) AS "values"
+       FROM pg_type t JOIN pg_namespace n ON n.oid = t.typnamespace
+       WHERE n.nspname = $1 AND t.typtype IN ('e', 'd') AND ${notFromExtension('t.oid')}
+       ORDER BY t.typname`, schema))
+      .forEach(row => definitions.push(row.kind === 'e'
+        ? `CREATE TYPE ${quoteName(row.name, '"')} AS ENUM (${row.values.map(value => `'${value.replace(/'/g, "''")}'`).join(', ')})`
+        : `CREATE DOMAIN ${quoteName(row.name, '"')} AS ${row.baseType}`));
+
+    (await query(
+      `SELECT c.relname AS name, c.relkind = 'm' AS materialized, pg_get_viewdef(c.oid, true) AS definition
+       FROM pg_class c JOIN pg_namespace n ON n.oid = c.relnamespace
+       WHERE n.nspname = $1 AND c.relkind IN ('v', 'm') AND ${notFromExtension('c.oid')}
+       ORDER BY c.relname`, schema))
+      .forEach(row => definitions.push(
+        `CREATE ${row.materialized ? 'MATERIALIZED ' : ''}VIEW ${quoteName(row.name, '"')} AS ${row.definition.trim().replace(/;$/, '')}`
+      ));
+
+    (await query(
+      `SELECT pg_get_functiondef(p.oid) AS definition
+       FROM pg_proc p JOIN pg_namespace n ON n.oid = p.pronamespace
+       WHERE n.nspname = $1 AND p.prokind IN ('f', 'p') AND ${notFromExtension('p.oid')}
+       ORDER BY p.proname`, schema))
+      .forEach(row => definitions.push(row.definition));
+
+    (await query(
+      `SELECT pg_get_triggerdef(t.oid) AS definition
+       FROM pg_trigger t JOIN pg_class c ON c.oid = t.tgrelid JOIN pg_namespace n ON n.oid = c.relnamespace
+       WHERE n.nspname = $1 AND NOT t.tgisinternal
+       ORDER BY c.relname, t.tgname`, schema))
+      .forEach(row => definitions.push(row.definition));
+
+    return {
+      databaseName,
+      dialect: DIALECTS.POSTGRESQL,
+      tables,
+      definitions
+    };
+  } finally {
+    await client.end();
+  }
+}
+
+/**
+ * Builds a column object; key and foreign key flags are filled in from the constraints by the analyzer
+ */
+function buildColumn({ columnName, dataType, enumValues = null, nullable, defaultValue = null, autoIncrement = false, comment = null }) {
+  return {
+    columnName,
+    dataType,
+    enumValues,
+    nullable,
+    defaultValue,
+    autoIncrement,
+    unique: false,
+    primaryKey: false,
+    foreignKey: null,
+    comment
+  };
+}
+
+/**
+ * Upper-cases a declared type and removes the spaces dumps do not have, e.g. "decimal(10, 2)" → "DECIMAL(10,2)"
+ */
+function normalizeTypeName(typeName) {
+  const normalized = String(typeName || '').trim().replace(/\s*\(\s*/g, '(').replace(/\s*,\s*/g, ',').replace(/\s*\)/g, ')');
+  return normalized === '' ? 'unknown' : normalized.toUpperCase();
+}
+
+function normalizePostgresType(typeName) {
+  const shortName = POSTGRES_TYPE_NAMES.reduce((name, [pattern, replacement]) => name.replace(pattern, replacement), typeName);
+  return normalizeTypeName(shortName.replace(/"/g, ''));
+}
+
+/**
+ * NO ACTION is what every database reports when no action was declared
+ */
+function normalizeReferentialAction(rule) {
+  const action = String(rule || '').toUpperCase();
+  return action === '' || action === 'NO ACTION' ? null : action;
+}
+
+/**
+ * Values of an enum('a','b') or set(...) COLUMN_TYPE
+ */
+function parseMysqlEnumValues(columnType) {
+  const values = [];
+  const pattern = /'((?:[^'\\]|''|\\.)*)'/g;
+  let match;
+  while ((match = pattern.exec(columnType)) !== null) {
+    values.push(match[1].replace(/''/g, "'").replace(/\\(.)/g, '$1'));
+  }
+  return values;
+}
+
+/**
+ * Writes a COLUMN_DEFAULT the way mysqldump does: literals quoted, expressions as they are.
+ * MySQL returns literals unquoted and flags expressions with DEFAULT_GENERATED; MariaDB quotes
+ * literals itself and returns the string NULL for a NULL default.
+ */
+function formatMysqlDefault({ defaultValue, extra }, isMariaDb) {
+  let value = null;
+  if (defaultValue !== null && defaultValue !== undefined && defaultValue !== 'NULL') {
+    const expression = isMariaDb || /\bDEFAULT_GENERATED\b/i.test(extra) || /^current_timestamp\b/i.test(defaultValue);
+    value = expression ? defaultValue : `'${defaultValue.replace(/'/g, "''")}'`;
+  }
+
+  const onUpdate = String(extra || '').match(/\bon update (\S+)/i);
+  if (onUpdate) {
+    value = `${value || 'NULL'} ON UPDATE ${onUpdate[1].toUpperCase()}`;
+  }
+  return value;
+}
+
+/**
+ * Quotes an identifier with the given quote character, doubling it inside the name
+ */
+function quoteName(name, quote) {
+  return `${quote}${String(name).split(quote).join(quote + quote)}${quote}`;
+}
+
+/**
+ * Groups rows by key, in the order the keys first appear
+ */
+function groupRows(rows, keyOf) {
+  const groups = new Map();
+  rows.forEach(row => {
+    const key = keyOf(row);
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(row);
+  });
+  return Array.from(groups.values());
+}
+
+function throwIfAborted(signal) {
+  if (signal && signal.aborted) {
+    const error = new Error('Introspection cancelled');
+    error.name = 'AbortError';
+    throw error;
+  }
+}
+
+module.exports = {
+  DRIVERS,
+  parseConnectionString,
+  describeConnection,
+  introspectDatabase
+};
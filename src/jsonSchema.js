@@ -0,0 +1,115 @@
+/**
+ * JSON Schema export
+ * Describes the rows of every table as a JSON Schema (draft 2020-12) object definition,
+ * so the shape of exported or API data can be validated against the database schema
+ */
+
+const { resolveTableAnnotation, resolveColumnAnnotation } = require('./annotations');
+const { describeAnnotationDetails } = require('./schemaText');
+
+const JSON_SCHEMA_DRAFT = 'https://json-schema.org/draft/2020-12/schema';
+
+/**
+ * Builds a JSON Schema document with one $defs entry per table
+ * @param {Object} analysis - Analysis result
+ * @returns {Object} JSON Schema document
+ */
+function buildJsonSchema(analysis) {
+  const definitions = {};
+  analysis.tables.forEach(table => {
+    definitions[table.tableName] = buildTableSchema(table, analysis.annotations);
+  });
+
+  return {
+    $schema: JSON_SCHEMA_DRAFT,
+    title: analysis.databaseName || 'Database',
+    description: `Row schemas of the ${analysis.totalTables} tables`,
+    $defs: definitions
+  };
+}
+
+/**
+ * Object schema of one table row
+ * Columns are required when they are NOT NULL and the database cannot fill them in itself
+ * (no default value and no auto-increment). Descriptions and example values come from the
+ * annotations and COMMENT clauses; owners and tags go to $comment.
+ */
+function buildTableSchema(table, annotations) {
+  const properties = {};
+  const required = [];
+
+  table.columns.forEach(column => {
+    properties[column.columnName] = buildColumnSchema(column, resolveColumnAnnotation(annotations, table, column));
+    if (!column.nullable && column.defaultValue === null && !column.autoIncrement) {
+      required.push(column.columnName);
+    }
+  });
+
+  return {
+    ...describeSchema(resolveTableAnnotation(annotations, table)),
+    type: 'object',
+    properties,
+    required,
+    additionalProperties: false
+  };
+}
+
+function buildColumnSchema(column, documentation) {
+  const schema = mapDataType(column.dataType);
+
+  if (column.enumValues && /^ENUM\b/i.test(column.dataType)) {
+    schema.enum = column.nullable ? column.enumValues.concat(null) : column.enumValues.slice();
+  }
+  if (column.nullable && schema.type) {
+    schema.type = [schema.type, 'null'];
+  }
+  const reference = column.foreignKey ? `References ${column.foreignKey.table}.${column.foreignKey.column}` : null;
+  Object.assign(schema, describeSchema({ ...documentation, description: [documentation.description, reference].filter(Boolean).join('\n') }));
+  if (documentation.examples.length > 0) {
+    // Numeric columns get numeric examples, so that the examples validate against the schema
+    const numeric = [].concat(schema.type).some(type => type === 'integer' || type === 'number');
+    schema.examples = documentation.examples.map(example => (numeric && Number.isFinite(Number(example)) ? Number(example) : example));
+  }
+  return schema;
+}
+
+/**
+ * description and $comment keywords of a resolved annotation (without its example values)
+ */
+function describeSchema(documentation) {
+  const keywords = {};
+  if (documentation.description) keywords.description = documentation.description;
+  const details = describeAnnotationDetails({ ...documentation, examples: [] });
+  if (details) keywords.$comment = details;
+  return keywords;
+}
+
+/**
+ * Maps a SQL data type to a JSON Schema type with format and length limits
+ * @param {String} dataType - Data type from the analysis, such as "VARCHAR(50)"
+ * @returns {Object} Schema fragment; an empty object (any value) for unknown types
+ */
+function mapDataType(dataType) {
+  const match = String(dataType).toUpperCase().match(/^([A-Z0-9_ ]+?)\s*(?:\((\d+)(?:,\s*(\d+))?\))?$/);
+  const baseType = match ? match[1] : '';
+  const length = match && match[2] !== undefined ? Number(match[2]) : null;
+
+  if (baseType === 'TINYINT' && length === 1) return { type: 'boolean' };
+  if (/^(BOOL|BOOLEAN|BIT)$/.test(baseType)) return { type: 'boolean' };
+  if (/^(TINY|SMALL|MEDIUM|BIG)?INT(EGER)?$|^INT[248]$|SERIAL$|^YEAR$/.test(baseType)) return { type: 'integer' };
+  if (/^(DECIMAL|NUMERIC|FLOAT|DOUBLE|DOUBLE PRECISION|REAL|MONEY)$/.test(baseType)) return { type: 'number' };
+  if (baseType === 'DATE') return { type: 'string', format: 'date' };
+  if (/^(DATETIME2?|TIMESTAMP|TIMESTAMPTZ|SMALLDATETIME|DATETIMEOFFSET)/.test(baseType)) return { type: 'string', format: 'date-time' };
+  if (/^TIME(TZ)?$/.test(baseType)) return { type: 'string', format: 'time' };
+  if (/^(UUID|UNIQUEIDENTIFIER)$/.test(baseType)) return { type: 'string', format: 'uuid' };
+  if (/^JSONB?$/.test(baseType)) return {};
+  if (/CHAR|TEXT|CLOB|STRING/.test(baseType)) {
+    return length !== null && !/TEXT/.test(baseType) ? { type: 'string', maxLength: length } : { type: 'string' };
+  }
+  if (/^(ENUM|SET)$/.test(baseType) || /BLOB|BINARY|BYTEA/.test(baseType)) return { type: 'string' };
+  return {};
+}
+
+module.exports = {
+  buildJsonSchema
+};
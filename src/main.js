@@ -1,14 +1,500 @@
 const { app, BrowserWindow, ipcMain, dialog } = require('electron');
 const path = require('node:path');
 const fs = require('fs');
-const { Parser } = require('node-sql-parser');
-const { analyzeSqlAst } = require('./analyzer');
+const { Worker } = require('worker_threads');
+const { diffAnalyses } = require('./schemaDiff');
+const { loadProjectConfig } = require('./projectConfig');
+const { lintSchema } = require('./schemaLint');
+const { getExporter, listExporters, runExporter } = require('./exporters');
+const { parseConnectionString, describeConnection, introspectDatabase, DRIVERS } = require('./introspection');
+const {
+  SESSION_EXTENSION,
+  SOURCE_KINDS,
+  hashFile,
+  findAnnotationsFile,
+  readAnnotations,
+  writeAnnotations,
+  writeSession,
+  readSession,
+  createRecentFiles
+} = require('./workspace');
+const { normalizeAnnotations } = require('./annotations');
+const { countSkippedStatements } = require('./schemaText');
+const { normalizeAnonymizationSettings, planAnonymization } = require('./anonymization');
+const { normalizeSyntheticDataSettings, generateSyntheticData } = require('./syntheticData');
+const { writeSyntheticData } = require('./syntheticDataWriter');
+const { DATA_EXPORT_FORMATS, queryRows } = require('./tableData');
 
 // Handle creating/removing shortcuts on Windows when installing/uninstalling.
 if (require('electron-squirrel-startup')) {
   app.quit();
 }
 
+// Recently opened dumps, SQLite databases and sessions (stored in the user data directory once the app is ready)
+let recentFiles = null;
+
+// Worker running the current file analysis, anonymized copy, table data read or query, if any (one job at a time)
+let activeWorker = null;
+
+// Ends the active job at once, for jobs whose worker cannot read a cancel message (null otherwise)
+let stopActiveWorker = null;
+
+/**
+ * Runs a worker thread until it reports completion
+ * @param {String} entryName - Webpack entry of the worker, bundled next to this file
+ * @param {Object} workerData - Job description passed to the worker
+ * @param {Function} onProgress - Called with progress updates from the worker
+ * @param {Object} [options] - { terminateOnCancel } — for jobs that block the worker until they end
+ * @returns {Promise<Object>} The worker's complete message; rejects with an AbortError when cancelled
+ */
+const runWorker = (entryName, workerData, onProgress, { terminateOnCancel = false } = {}) => new Promise((resolve, reject) => {
+  const worker = new Worker(path.join(__dirname, `${entryName}.js`), { workerData });
+  activeWorker = worker;
+
+  const finish = () => {
+    if (activeWorker === worker) {
+      activeWorker = null;
+      stopActiveWorker = null;
+    }
+    worker.terminate();
+  };
+
+  const cancelled = () => {
+    const error = new Error('Cancelled');
+    error.name = 'AbortError';
+    reject(error);
+  };
+
+  // Terminating cannot interrupt a call into native code such as a SQLite query, so the job is
+  // settled without waiting for the worker, which ends once the call returns
+  stopActiveWorker = terminateOnCancel ? () => {
+    finish();
+    cancelled();
+  } : null;
+
+  worker.on('message', (message) => {
+    switch (message.type) {
+      case 'progress':
+        onProgress(message.progress);
+        break;
+      case 'complete':
+        finish();
+        resolve(message);
+        break;
+      case 'cancelled':
+        finish();
+        cancelled();
+        break;
+      case 'error':
+        finish();
+        reject(new Error(message.message));
+        break;
+    }
+  });
+
+  worker.on('error', (error) => {
+    finish();
+    reject(error);
+  });
+});
+
+/**
+ * Analyzes a dump file in a worker thread
+ * @param {String} filePath - Path of the SQL dump
+ * @param {String} requestedDialect - Dialect chosen in the UI, or 'auto'
+ * @param {Function} onProgress - Called with progress updates from the worker
+ * @returns {Promise<Object>} Analysis result; rejects with an AbortError when cancelled
+ */
+const runAnalysisWorker = async (filePath, requestedDialect, onProgress) => {
+  const { analysis } = await runWorker('analysisWorker', { filePath, dialect: requestedDialect }, onProgress);
+  return analysis;
+};
+
+/**
+ * Runs the lint rules on an analysis with the project config found next to the dump
+ * @param {Object} analysis - Analysis result; receives a lint property { findings, summary, configPath }
+ * @param {String|null} filePath - Path of the analyzed dump or SQLite file; null for a database
+ *   server, which is linted with the default rules
+ */
+const lintAnalysis = async (analysis, filePath) => {
+  const { path: configPath, config } = filePath ? await loadProjectConfig(filePath) : { path: null, config: {} };
+  try {
+    analysis.lint = { ...lintSchema(analysis, config.lint), configPath };
+  } catch (error) {
+    throw new Error(`Invalid lint configuration in ${configPath}: ${error.message}`);
+  }
+};
+
+// Annotation files handed to the renderer with an analysis; only these can be written back
+const annotationFiles = new Set();
+
+// Dumps analyzed in this run of the app; only these can be copied with anonymized values or have
+// their table data read or queried
+const analyzedDumps = new Set();
+
+// Rows of the table last shown in the data grid, with the filtered and sorted rows of its last query:
+// { key, columns, rows, truncated, expressionCount, skippedCount, view: { key, rows } }
+let tableRowsCache = null;
+
+// SQLite database of the query console, holding the rows of the dump queried last: { key, path, summary }
+let queryDatabase = null;
+let queryDatabaseCount = 0;
+
+/**
+ * Annotations file of a database server, kept in the user data directory since the server has no
+ * directory of its own
+ * @param {String} label - Connection label from describeConnection (without the password)
+ * @returns {String} Path of the file
+ */
+const findServerAnnotationsFile = (label) => path.join(
+  app.getPath('userData'), 'annotations', `${label.replace(/[^A-Za-z0-9._-]+/g, '_')}.json`
+);
+
+/**
+ * Loads the annotations of an analysis from its sidecar file
+ * @param {Object} analysis - Analysis result; receives annotations and annotationsPath properties
+ * @param {String} annotationsPath - Sidecar file
+ * @param {Object} [fallback] - Annotations used while the sidecar file does not exist (those of a session)
+ */
+const attachAnnotations = async (analysis, annotationsPath, fallback = null) => {
+  analysis.annotations = (await readAnnotations(annotationsPath)) || normalizeAnnotations(fallback);
+  analysis.annotationsPath = annotationsPath;
+  annotationFiles.add(annotationsPath);
+};
+
+/**
+ * Creates a sender for renderer events that ignores windows closed in the meantime
+ * @param {WebContents} webContents - Renderer to notify
+ * @returns {Function} send(channel, payload)
+ */
+const createSender = (webContents) => (channel, payload) => {
+  if (!webContents.isDestroyed()) {
+    webContents.send(channel, payload);
+  }
+};
+
+/**
+ * Forwards the outcome of a failed or cancelled analysis to the renderer
+ * @param {Function} send - Sender from createSender
+ * @param {Error} error - Rejection from runAnalysisWorker
+ */
+const reportAnalysisFailure = (send, error) => {
+  if (error.name === 'AbortError') {
+    send('analysis-cancelled');
+  } else {
+    console.error('Error processing SQL file:', error.message);
+    send('analysis-error', error.message);
+  }
+};
+
+/**
+ * Analyzes and lints a dump file in a worker thread, adding it to the recent files
+ * @param {String} filePath - Path of the SQL dump
+ * @param {String} requestedDialect - Dialect chosen in the UI, or 'auto'
+ * @param {Function} send - Sender from createSender, for the progress events
+ * @returns {Promise<Object>} Analysis result
+ */
+const analyzeDumpFile = async (filePath, requestedDialect, send) => {
+  const analysis = await runAnalysisWorker(filePath, requestedDialect, progress => send('analysis-progress', progress));
+  analysis.sourcePath = filePath;
+  analyzedDumps.add(filePath);
+  await lintAnalysis(analysis, filePath);
+  await attachAnnotations(analysis, findAnnotationsFile(filePath));
+  console.log(`SQL Database Analysis: ${analysis.totalTables} tables, ${countSkippedStatements(analysis)} skipped statements`);
+  recentFiles.add(filePath, SOURCE_KINDS.DUMP);
+  return analysis;
+};
+
+/**
+ * Analyzes a dump file in a worker thread, forwarding progress and the result to the renderer
+ * @param {WebContents} webContents - Renderer that requested the analysis
+ * @param {String} filePath - Path of the SQL dump
+ * @param {String} requestedDialect - Dialect chosen in the UI, or 'auto'
+ */
+const startFileAnalysis = async (webContents, filePath, requestedDialect) => {
+  const send = createSender(webContents);
+
+  try {
+    send('analysis-complete', await analyzeDumpFile(filePath, requestedDialect, send));
+  } catch (error) {
+    reportAnalysisFailure(send, error);
+  }
+};
+
+// Live database connections by id; connection strings (and their credentials) never leave the main process
+const connections = new Map();
+let nextConnectionId = 1;
+
+// Controller of the running database introspection, if any (one analysis at a time)
+let activeIntrospection = null;
+
+// Whether a session file is being opened (its source is hashed before anything is analyzed)
+let openingSession = false;
+
+/**
+ * Whether an analysis sent back by the renderer is of a dump analyzed in this run
+ */
+const isAnalyzedDump = (analysis) => Boolean(analysis && !analysis.connectionId && analyzedDumps.has(analysis.sourcePath));
+
+/**
+ * Table of an analyzed dump, as sent back by the renderer
+ * @returns {Object|null} The table, or null when the analysis is not of a dump analyzed in this run
+ */
+const findDumpTable = (analysis, tableName) => {
+  if (!isAnalyzedDump(analysis)) return null;
+  return analysis.tables.find(table => table.tableName === tableName) || null;
+};
+
+const isAnalysisRunning = () => Boolean(activeWorker || activeIntrospection || openingSession);
+
+/**
+ * Deletes a query console database; one still open by a cancelled query is left to the temp directory
+ */
+const removeQueryDatabase = (databasePath) => {
+  try {
+    fs.rmSync(databasePath, { force: true });
+  } catch (error) {
+    console.error('Error removing query database:', error.message);
+  }
+};
+
+/**
+ * Loads the rows of a dump into the query console's database, unless they are already there
+ * The database is a temporary file, replaced when another dump is queried or the dump changes on disk.
+ * @param {Object} analysis - Analysis of a dump analyzed in this run
+ * @param {Function} send - Sender for the table-data-progress events of the load
+ * @returns {Promise<Object>} Database path and summary of the load (see buildQueryDatabase)
+ */
+const loadQueryDatabase = async (analysis, send) => {
+  const { sourcePath, dialect } = analysis;
+  const { size, mtimeMs } = await fs.promises.stat(sourcePath);
+  const key = JSON.stringify([sourcePath, size, mtimeMs, dialect]);
+  if (queryDatabase && queryDatabase.key === key) return queryDatabase;
+
+  // A new file each time: a cancelled query may still hold the previous one open
+  if (queryDatabase) {
+    removeQueryDatabase(queryDatabase.path);
+    queryDatabase = null;
+  }
+  const databasePath = path.join(app.getPath('temp'), `sql-schemalens-query-${process.pid}-${++queryDatabaseCount}.sqlite`);
+  const { result } = await runWorker('queryWorker', {
+    job: 'load',
+    sourcePath,
+    databasePath,
+    tables: analysis.tables.map(({ tableName, columns }) => ({ tableName, columns })),
+    dialect
+  }, progress => send('table-data-progress', progress));
+  queryDatabase = { key, path: databasePath, summary: result };
+  return queryDatabase;
+};
+
+/**
+ * Adds a connection to the registry
+ * @param {Object} connection - Connection from parseConnectionString
+ * @returns {Number} Connection id
+ */
+const registerConnection = (connection) => {
+  const connectionId = nextConnectionId++;
+  connections.set(connectionId, connection);
+  return connectionId;
+};
+
+/**
+ * Reads and lints the schema of a registered connection; SQLite files are added to the recent files
+ * @param {Number} connectionId - Id from the connections registry
+ * @param {Function} send - Sender from createSender, for the progress events
+ * @returns {Promise<Object>} Analysis result; rejects with an AbortError when cancelled
+ */
+const readDatabaseSchema = async (connectionId, send) => {
+  const connection = connections.get(connectionId);
+  const controller = new AbortController();
+  activeIntrospection = controller;
+
+  try {
+    const analysis = await introspectDatabase(connection, {
+      signal: controller.signal,
+      onProgress: progress => send('analysis-progress', progress)
+    });
+    analysis.sourcePath = describeConnection(connection);
+    analysis.connectionId = connectionId;
+    await lintAnalysis(analysis, connection.driver === DRIVERS.SQLITE ? connection.filePath : null);
+    await attachAnnotations(analysis, connection.driver === DRIVERS.SQLITE
+      ? findAnnotationsFile(connection.filePath)
+      : findServerAnnotationsFile(analysis.sourcePath));
+    console.log(`Database Analysis: ${analysis.totalTables} tables from ${analysis.sourcePath}`);
+    if (connection.driver === DRIVERS.SQLITE) {
+      recentFiles.add(connection.filePath, SOURCE_KINDS.SQLITE);
+    }
+    return analysis;
+  } finally {
+    if (activeIntrospection === controller) {
+      activeIntrospection = null;
+    }
+  }
+};
+
+/**
+ * Reads the schema of a registered connection, forwarding progress and the result to the renderer
+ * @param {WebContents} webContents - Renderer that requested the analysis
+ * @param {Number} connectionId - Id from the connections registry
+ */
+const startDatabaseAnalysis = async (webContents, connectionId) => {
+  const send = createSender(webContents);
+
+  try {
+    send('analysis-complete', await readDatabaseSchema(connectionId, send));
+  } catch (error) {
+    reportAnalysisFailure(send, error);
+  }
+};
+
+/**
+ * Brings the analysis of a session up to date with its source
+ * The saved analysis is used while the dump or SQLite file hashes as it did when the session was
+ * saved; a changed file is analyzed again. A database server cannot be checked without its
+ * password, and a missing file cannot be analyzed, so those keep the saved analysis.
+ * @param {Object} session - Session from readSession
+ * @param {Function} send - Sender from createSender, for the progress events
+ * @returns {Promise<Object>} { analysis, notice } — notice tells the user why the analysis is not
+ *   the saved one or cannot be refreshed; null when the saved analysis is current
+ */
+const loadSessionAnalysis = async (session, send) => {
+  const { source } = session;
+  if (source.kind === SOURCE_KINDS.DATABASE) {
+    return {
+      analysis: session.analysis,
+      notice: `Schema of ${source.path} as saved on ${session.savedAt}; connect to the database to read it again`
+    };
+  }
+
+  let hash;
+  try {
+    hash = await hashFile(source.path);
+  } catch (error) {
+    return {
+      analysis: session.analysis,
+      notice: `${source.path} cannot be read (${error.message}); showing the analysis saved in the session`
+    };
+  }
+
+  const connectionId = source.kind === SOURCE_KINDS.SQLITE
+    ? registerConnection({ driver: DRIVERS.SQLITE, filePath: source.path })
+    : null;
+
+  if (hash === source.hash) {
+    const analysis = { ...session.analysis, sourcePath: source.path };
+    if (connectionId) {
+      analysis.connectionId = connectionId;
+    } else {
+      analyzedDumps.add(source.path);
+    }
+    return { analysis, notice: null };
+  }
+
+  const analysis = connectionId
+    ? await readDatabaseSchema(connectionId, send)
+    : await analyzeDumpFile(source.path, session.dialect, send);
+  return {
+    analysis,
+    notice: `${path.basename(source.path)} changed on disk since the session was saved, so it was analyzed again`
+  };
+};
+
+/**
+ * Opens a session file, forwarding its analysis and UI state to the renderer
+ * @param {WebContents} webContents - Renderer that requested the session
+ * @param {String} sessionPath - Path of the .schemalens file
+ */
+const startSessionOpen = async (webContents, sessionPath) => {
+  const send = createSender(webContents);
+  openingSession = true;
+
+  try {
+    const session = await readSession(sessionPath);
+    recentFiles.add(sessionPath, SOURCE_KINDS.SESSION);
+    const { analysis, notice } = await loadSessionAnalysis(session, send);
+    // The sidecar file wins over the annotations saved in the session, which fill in for a missing one
+    const { source } = session;
+    await attachAnnotations(analysis, source.kind === SOURCE_KINDS.DATABASE
+      ? findServerAnnotationsFile(source.path)
+      : findAnnotationsFile(source.path), session.annotations);
+    send('session-opened', {
+      sessionPath,
+      dialect: session.dialect,
+      uiState: session.uiState,
+      analysis,
+      notice
+    });
+  } catch (error) {
+    reportAnalysisFailure(send, error);
+  } finally {
+    openingSession = false;
+  }
+};
+
+/**
+ * Describes where an analysis came from, for its session file
+ * @param {Object} analysis - Analysis shown in the renderer
+ * @returns {Promise<Object>} { kind, path, hash } — hash is null for a database server
+ */
+const describeSessionSource = async (analysis) => {
+  const connection = analysis.connectionId ? connections.get(analysis.connectionId) : null;
+  if (connection && connection.driver !== DRIVERS.SQLITE) {
+    return { kind: SOURCE_KINDS.DATABASE, path: describeConnection(connection), hash: null };
+  }
+
+  const kind = connection ? SOURCE_KINDS.SQLITE : SOURCE_KINDS.DUMP;
+  const filePath = connection ? connection.filePath : analysis.sourcePath;
+  return { kind, path: filePath, hash: await hashFile(filePath) };
+};
+
+/**
+ * Analyzes two dump files one after the other and sends their schema diff to the renderer
+ * @param {WebContents} webContents - Renderer that requested the comparison
+ * @param {String} oldPath - Path of the older dump
+ * @param {String} newPath - Path of the newer dump
+ * @param {String} requestedDialect - Dialect chosen in the UI, or 'auto'
+ */
+const startComparison = async (webContents, oldPath, newPath, requestedDialect) => {
+  const send = createSender(webContents);
+
+  try {
+    const oldAnalysis = await runAnalysisWorker(oldPath, requestedDialect, progress => send('analysis-progress', { ...progress, file: oldPath }));
+    const newAnalysis = await runAnalysisWorker(newPath, requestedDialect, progress => send('analysis-progress', { ...progress, file: newPath }));
+    oldAnalysis.sourcePath = oldPath;
+    newAnalysis.sourcePath = newPath;
+    analyzedDumps.add(oldPath);
+    analyzedDumps.add(newPath);
+    await lintAnalysis(oldAnalysis, oldPath);
+    await lintAnalysis(newAnalysis, newPath);
+    await attachAnnotations(oldAnalysis, findAnnotationsFile(oldPath));
+    await attachAnnotations(newAnalysis, findAnnotationsFile(newPath));
+    const diff = diffAnalyses(oldAnalysis, newAnalysis);
+    console.log('Schema Comparison:', JSON.stringify(diff.summary));
+    send('comparison-complete', { oldPath, newPath, oldAnalysis, newAnalysis, diff });
+  } catch (error) {
+    reportAnalysisFailure(send, error);
+  }
+};
+
+/**
+ * Shows the open dialog for SQL dumps
+ * @param {String} title - Dialog title
+ * @returns {Promise<String|null>} Selected path, or null if the dialog was cancelled
+ */
+const chooseSqlFile = async (title) => {
+  const result = await dialog.showOpenDialog({
+    title,
+    properties: ['openFile'],
+    filters: [
+      { name: 'SQL Files', extensions: ['sql'] },
+      { name: 'All Files', extensions: ['*'] }
+    ]
+  });
+
+  return !result.canceled && result.filePaths.length > 0 ? result.filePaths[0] : null;
+};
+
 const createWindow = () => {
   // Create the browser window.
   const mainWindow = new BrowserWindow({
@@ -34,72 +520,544 @@ const createWindow = () => {
 // initialization and is ready to create browser windows.
 // Some APIs can only be used after this event occurs.
 app.whenReady().then(() => {
+  recentFiles = createRecentFiles(path.join(app.getPath('userData'), 'recent-files.json'));
   createWindow();
 
-  // SQL parsing functionality
-  try {
-    // Read the SQL file from the project root directory
-    // Note: In Electron Forge with Webpack, __dirname points to .webpack/main, 
-    // so we need to go up two directories to reach the project root
-    const sqlFilePath = path.join(__dirname, '..', '..', 'gmdb_basique.sql');
-    const sqlContent = fs.readFileSync(sqlFilePath, 'utf8');
+  // IPC handler for opening file dialog
+  ipcMain.handle('open-file-dialog', async (event, options = {}) => {
+    if (isAnalysisRunning()) {
+      return { success: false, message: 'An analysis is already running' };
+    }
 
-    // Create a new SQL parser instance
-    const parser = new Parser();
+    try {
+      const filePath = await chooseSqlFile('Open SQL Dump');
 
-    // Parse the SQL content into an Abstract Syntax Tree (AST)
-    const ast = parser.astify(sqlContent);
+      if (filePath) {
+        // Stream the file through the analyzer in a worker; results arrive as events
+        startFileAnalysis(event.sender, filePath, options.dialect);
+        
+        return { success: true, filePath };
+      } else {
+        return { success: false, message: 'No file selected' };
+      }
+    } catch (error) {
+      console.error('Error processing SQL file:', error.message);
+      return { success: false, message: error.message };
+    }
+  });
 
-    // Analyze the AST and extract structured information
-    const analysis = analyzeSqlAst(ast);
+  // IPC handler for comparing two dumps
+  ipcMain.handle('compare-files', async (event, options = {}) => {
+    if (isAnalysisRunning()) {
+      return { success: false, message: 'An analysis is already running' };
+    }
 
-    // Log the clean, structured analysis instead of the raw AST
-    console.log('SQL Database Analysis:', JSON.stringify(analysis, null, 2));
-  } catch (error) {
-    console.error('Error parsing SQL file:', error.message);
-    console.error('Make sure the gmdb_basique.sql file exists in the project root directory');
-    console.error('Expected path:', path.join(__dirname, '..', '..', 'gmdb_basique.sql'));
-  }
+    try {
+      const oldPath = await chooseSqlFile('Select the OLD SQL Dump');
+      if (!oldPath) {
+        return { success: false, message: 'No file selected' };
+      }
+
+      const newPath = await chooseSqlFile('Select the NEW SQL Dump');
+      if (!newPath) {
+        return { success: false, message: 'No file selected' };
+      }
+
+      // Both files are analyzed in workers; the diff arrives as a comparison-complete event
+      startComparison(event.sender, oldPath, newPath, options.dialect);
+
+      return { success: true, oldPath, newPath };
+    } catch (error) {
+      console.error('Error comparing SQL files:', error.message);
+      return { success: false, message: error.message };
+    }
+  });
+
+  // IPC handler choosing a SQLite database file for the connection form
+  ipcMain.handle('choose-database-file', async () => {
+    const result = await dialog.showOpenDialog({
+      title: 'Open SQLite Database',
+      properties: ['openFile'],
+      filters: [
+        { name: 'SQLite Databases', extensions: ['db', 'sqlite', 'sqlite3', 'db3'] },
+        { name: 'All Files', extensions: ['*'] }
+      ]
+    });
+    return !result.canceled && result.filePaths.length > 0 ? result.filePaths[0] : null;
+  });
+
+  // IPC handler connecting to a live database; only an id and a label without credentials go back
+  ipcMain.handle('connect-database', async (event, { connectionString } = {}) => {
+    if (isAnalysisRunning()) {
+      return { success: false, message: 'An analysis is already running' };
+    }
 
-  // IPC handler for opening file dialog
-  ipcMain.handle('open-file-dialog', async () => {
     try {
-      const result = await dialog.showOpenDialog({
-        properties: ['openFile'],
+      const connection = parseConnectionString(connectionString);
+      const connectionId = registerConnection(connection);
+
+      // The catalog is read asynchronously; results arrive as analysis-* events
+      startDatabaseAnalysis(event.sender, connectionId);
+
+      return { success: true, connectionId, label: describeConnection(connection) };
+    } catch (error) {
+      return { success: false, message: error.message };
+    }
+  });
+
+  // IPC handler reading the schema of a connected database again
+  ipcMain.handle('refresh-database', async (event, { connectionId } = {}) => {
+    if (isAnalysisRunning()) {
+      return { success: false, message: 'An analysis is already running' };
+    }
+    if (!connections.has(connectionId)) {
+      return { success: false, message: 'Unknown database connection' };
+    }
+
+    startDatabaseAnalysis(event.sender, connectionId);
+    return { success: true, label: describeConnection(connections.get(connectionId)) };
+  });
+
+  // IPC handler listing the recent files that still exist, most recent first
+  ipcMain.handle('list-recent-files', async () => recentFiles.list());
+
+  // IPC handler opening a recent dump, SQLite database or session again
+  ipcMain.handle('open-recent-file', async (event, { filePath, dialect } = {}) => {
+    if (isAnalysisRunning()) {
+      return { success: false, message: 'An analysis is already running' };
+    }
+
+    const entry = (await recentFiles.list()).find(candidate => candidate.path === filePath);
+    if (!entry) {
+      await recentFiles.remove(filePath);
+      return { success: false, message: `${filePath} no longer exists` };
+    }
+
+    switch (entry.kind) {
+      case SOURCE_KINDS.SESSION:
+        startSessionOpen(event.sender, entry.path);
+        break;
+      case SOURCE_KINDS.SQLITE:
+        startDatabaseAnalysis(event.sender, registerConnection({ driver: DRIVERS.SQLITE, filePath: entry.path }));
+        break;
+      default:
+        startFileAnalysis(event.sender, entry.path, dialect);
+    }
+    return { success: true, filePath: entry.path };
+  });
+
+  // IPC handler opening a .schemalens session file
+  ipcMain.handle('open-session', async (event) => {
+    if (isAnalysisRunning()) {
+      return { success: false, message: 'An analysis is already running' };
+    }
+
+    const result = await dialog.showOpenDialog({
+      title: 'Open Session',
+      properties: ['openFile'],
+      filters: [
+        { name: 'SchemaLens Sessions', extensions: [SESSION_EXTENSION] },
+        { name: 'All Files', extensions: ['*'] }
+      ]
+    });
+    if (result.canceled || result.filePaths.length === 0) {
+      return { success: false, message: 'No file selected' };
+    }
+
+    // The source is checked and, when it changed, analyzed again; the result arrives as a session-opened event
+    startSessionOpen(event.sender, result.filePaths[0]);
+    return { success: true, filePath: result.filePaths[0] };
+  });
+
+  // IPC handler saving the current analysis and UI state as a .schemalens session file
+  ipcMain.handle('save-session', async (event, { analysis, dialect, uiState, sessionPath } = {}) => {
+    if (!analysis || !analysis.sourcePath) {
+      return { success: false, message: 'No analysis to save' };
+    }
+
+    try {
+      const baseName = path.basename(analysis.sourcePath, path.extname(analysis.sourcePath));
+      const result = await dialog.showSaveDialog({
+        title: 'Save Session',
+        defaultPath: sessionPath || `${baseName}.${SESSION_EXTENSION}`,
+        filters: [
+          { name: 'SchemaLens Sessions', extensions: [SESSION_EXTENSION] },
+          { name: 'All Files', extensions: ['*'] }
+        ]
+      });
+
+      if (result.canceled || !result.filePath) {
+        return { success: false, cancelled: true, message: 'Save cancelled' };
+      }
+
+      // Connection ids only mean something to this run of the app; annotations are saved on their own
+      const { connectionId, annotations, annotationsPath, ...savedAnalysis } = analysis;
+      await writeSession(result.filePath, {
+        source: await describeSessionSource(analysis),
+        dialect,
+        annotations,
+        uiState,
+        analysis: savedAnalysis
+      });
+      recentFiles.add(result.filePath, SOURCE_KINDS.SESSION);
+      return { success: true, filePath: result.filePath };
+    } catch (error) {
+      console.error('Error saving session:', error.message);
+      return { success: false, message: error.message };
+    }
+  });
+
+  // IPC handler writing the annotations edited in the table details back to their sidecar file
+  ipcMain.handle('save-annotations', async (event, { annotationsPath, annotations } = {}) => {
+    if (!annotationFiles.has(annotationsPath)) {
+      return { success: false, message: 'Unknown annotations file' };
+    }
+
+    try {
+      await writeAnnotations(annotationsPath, annotations);
+      return { success: true, annotationsPath };
+    } catch (error) {
+      console.error('Error saving annotations:', error.message);
+      return { success: false, message: error.message };
+    }
+  });
+
+  // IPC handler listing the export formats for the renderer's Export menu
+  ipcMain.handle('list-exporters', async () => listExporters());
+
+  // IPC handler exporting an analysis to a file chosen in a save dialog
+  ipcMain.handle('export-analysis', async (event, { exporterId, analysis, sourcePath, comparison } = {}) => {
+    const exporter = getExporter(exporterId);
+    if (!exporter) {
+      return { success: false, message: `Unknown export format: ${exporterId}` };
+    }
+
+    try {
+      const baseName = sourcePath ? path.basename(sourcePath, path.extname(sourcePath)) : 'sql-analysis-report';
+      const result = await dialog.showSaveDialog({
+        title: `Export as ${exporter.label}`,
+        defaultPath: `${baseName}.${exporter.extension}`,
+        filters: [
+          { name: exporter.label, extensions: [exporter.extension.split('.').pop()] },
+          { name: 'All Files', extensions: ['*'] }
+        ]
+      });
+
+      if (result.canceled || !result.filePath) {
+        return { success: false, cancelled: true, message: 'Export cancelled' };
+      }
+
+      await fs.promises.writeFile(result.filePath, runExporter(exporter.id, analysis, { sourcePath, comparison }));
+      return { success: true, filePath: result.filePath };
+    } catch (error) {
+      console.error('Error exporting analysis:', error.message);
+      return { success: false, message: error.message };
+    }
+  });
+
+  // IPC handler writing an anonymized copy of the analyzed dump to a file chosen in a save dialog;
+  // resolves once the copy is written, with progress sent as anonymize-progress events
+  ipcMain.handle('anonymize-dump', async (event, { analysis, settings } = {}) => {
+    if (isAnalysisRunning()) {
+      return { success: false, message: 'An analysis is already running' };
+    }
+    if (!analysis || !analyzedDumps.has(analysis.sourcePath)) {
+      return { success: false, message: 'Only an analyzed SQL dump can be anonymized' };
+    }
+
+    try {
+      const plan = planAnonymization(analysis, normalizeAnonymizationSettings(settings));
+      const { sourcePath } = analysis;
+      const baseName = path.basename(sourcePath, path.extname(sourcePath));
+      const result = await dialog.showSaveDialog({
+        title: 'Save Anonymized Copy',
+        defaultPath: path.join(path.dirname(sourcePath), `${baseName}.anonymized.sql`),
         filters: [
           { name: 'SQL Files', extensions: ['sql'] },
           { name: 'All Files', extensions: ['*'] }
         ]
       });
 
-      if (!result.canceled && result.filePaths.length > 0) {
-        const filePath = result.filePaths[0];
-        
-        // Read the selected SQL file
-        const sqlContent = fs.readFileSync(filePath, 'utf8');
-        
-        // Create a new SQL parser instance
-        const parser = new Parser();
-        
-        // Parse the SQL content into an Abstract Syntax Tree (AST)
-        const ast = parser.astify(sqlContent);
-        
-        // Analyze the AST and extract structured information
-        const analysis = analyzeSqlAst(ast);
-        
-        // Log the analysis for debugging
-        console.log('SQL Database Analysis:', JSON.stringify(analysis, null, 2));
-        
-        return { success: true, analysis };
+      if (result.canceled || !result.filePath) {
+        return { success: false, cancelled: true, message: 'Anonymization cancelled' };
+      }
+
+      const send = createSender(event.sender);
+      const { result: copy } = await runWorker('anonymizeWorker', {
+        sourcePath,
+        outputPath: result.filePath,
+        plan,
+        dialect: analysis.dialect
+      }, progress => send('anonymize-progress', progress));
+      console.log(`Anonymized Copy: ${copy.rowsWritten} of ${copy.rowsRead} rows written to ${result.filePath}`);
+      return { success: true, filePath: result.filePath, result: copy, warnings: [...plan.warnings, ...copy.warnings] };
+    } catch (error) {
+      if (error.name === 'AbortError') {
+        return { success: false, cancelled: true, message: 'Anonymization cancelled' };
+      }
+      console.error('Error anonymizing SQL file:', error.message);
+      return { success: false, message: error.message };
+    }
+  });
+
+  // IPC handler writing synthetic rows for every table of an analysis: a .sql file chosen in a save
+  // dialog, or one CSV file per table in a folder chosen in an open dialog
+  ipcMain.handle('generate-data', async (event, { analysis, settings, format = 'sql' } = {}) => {
+    if (!analysis) {
+      return { success: false, message: 'No schema to generate data for' };
+    }
+
+    try {
+      const data = generateSyntheticData(analysis, normalizeSyntheticDataSettings(settings));
+      // A database has no file to put the data next to
+      const { sourcePath } = analysis;
+      const baseName = analysis.connectionId ? 'test-data' : path.basename(sourcePath, path.extname(sourcePath));
+      const directory = analysis.connectionId ? app.getPath('documents') : path.dirname(sourcePath);
+
+      let outputPath;
+      if (format === 'csv') {
+        const result = await dialog.showOpenDialog({
+          title: 'Choose a Folder for the CSV Files',
+          defaultPath: directory,
+          properties: ['openDirectory', 'createDirectory']
+        });
+        outputPath = result.canceled ? null : result.filePaths[0];
       } else {
-        return { success: false, message: 'No file selected' };
+        const result = await dialog.showSaveDialog({
+          title: 'Save Test Data',
+          defaultPath: path.join(directory, `${baseName}.fixtures.sql`),
+          filters: [
+            { name: 'SQL Files', extensions: ['sql'] },
+            { name: 'All Files', extensions: ['*'] }
+          ]
+        });
+        outputPath = result.canceled ? null : result.filePath;
+      }
+
+      if (!outputPath) {
+        return { success: false, cancelled: true, message: 'Test data generation cancelled' };
       }
+
+      const files = await writeSyntheticData(data, outputPath, {
+        format,
+        dialect: analysis.dialect,
+        title: `Synthetic test data for ${path.basename(sourcePath)}`
+      });
+      const rowCount = data.tables.reduce((sum, table) => sum + table.rows.length, 0);
+      console.log(`Test Data: ${rowCount} rows written to ${outputPath} with seed ${data.seed}`);
+      return { success: true, filePath: outputPath, fileCount: files.length, rowCount, seed: data.seed, warnings: data.warnings };
     } catch (error) {
-      console.error('Error processing SQL file:', error.message);
+      console.error('Error generating test data:', error.message);
+      return { success: false, message: error.message };
+    }
+  });
+
+  // IPC handler returning a page of a table's rows for the data grid; the rows are read from the dump
+  // once (with progress sent as table-data-progress events) and kept until another table is shown
+  ipcMain.handle('query-table-data', async (event, { analysis, tableName, query } = {}) => {
+    const table = findDumpTable(analysis, tableName);
+    if (!table) {
+      return { success: false, message: 'Only the tables of an analyzed SQL dump can be browsed' };
+    }
+
+    try {
+      const { size, mtimeMs } = await fs.promises.stat(analysis.sourcePath);
+      // A dump changed on disk since its rows were loaded is read again
+      const key = JSON.stringify([analysis.sourcePath, size, mtimeMs, tableName]);
+      if (!tableRowsCache || tableRowsCache.key !== key) {
+        if (isAnalysisRunning()) {
+          return { success: false, message: 'An analysis is already running' };
+        }
+        const send = createSender(event.sender);
+        const { result } = await runWorker('tableDataWorker', {
+          job: 'load',
+          sourcePath: analysis.sourcePath,
+          table: { tableName, columns: table.columns },
+          dialect: analysis.dialect
+        }, progress => send('table-data-progress', progress));
+        tableRowsCache = { key, ...result, view: null };
+      }
+
+      const { filters = {}, sort = null, offset = 0, limit = 100 } = query || {};
+      const viewKey = JSON.stringify([filters, sort]);
+      if (!tableRowsCache.view || tableRowsCache.view.key !== viewKey) {
+        const { rows } = queryRows(tableRowsCache.rows, tableRowsCache.columns, { filters, sort, offset: 0, limit: Infinity });
+        tableRowsCache.view = { key: viewKey, rows };
+      }
+
+      const { columns, rows, truncated, expressionCount, skippedCount, view } = tableRowsCache;
+      return {
+        success: true,
+        columns,
+        rows: view.rows.slice(offset, offset + limit),
+        total: view.rows.length,
+        loadedCount: rows.length,
+        truncated,
+        expressionCount,
+        skippedCount
+      };
+    } catch (error) {
+      if (error.name === 'AbortError') {
+        return { success: false, cancelled: true, message: 'Loading the rows was cancelled' };
+      }
+      console.error('Error reading table data:', error.message);
       return { success: false, message: error.message };
     }
   });
 
+  // IPC handler writing every row of a table to a CSV or JSON Lines file chosen in a save dialog,
+  // with progress sent as table-data-progress events
+  ipcMain.handle('export-table-data', async (event, { analysis, tableName, format } = {}) => {
+    const table = findDumpTable(analysis, tableName);
+    const exportFormat = DATA_EXPORT_FORMATS.find(candidate => candidate.id === format);
+    if (!table) {
+      return { success: false, message: 'Only the tables of an analyzed SQL dump can be exported' };
+    }
+    if (!exportFormat) {
+      return { success: false, message: `Unknown data export format: ${format}` };
+    }
+    if (isAnalysisRunning()) {
+      return { success: false, message: 'An analysis is already running' };
+    }
+
+    try {
+      const { sourcePath } = analysis;
+      const baseName = path.basename(sourcePath, path.extname(sourcePath));
+      const result = await dialog.showSaveDialog({
+        title: `Export ${tableName} as ${exportFormat.label}`,
+        defaultPath: path.join(path.dirname(sourcePath), `${baseName}.${tableName}.${exportFormat.extension}`),
+        filters: [
+          { name: exportFormat.label, extensions: [exportFormat.extension] },
+          { name: 'All Files', extensions: ['*'] }
+        ]
+      });
+
+      if (result.canceled || !result.filePath) {
+        return { success: false, cancelled: true, message: 'Export cancelled' };
+      }
+
+      const send = createSender(event.sender);
+      const { result: exported } = await runWorker('tableDataWorker', {
+        job: 'export',
+        sourcePath,
+        outputPath: result.filePath,
+        table: { tableName, columns: table.columns },
+        format: exportFormat.id,
+        dialect: analysis.dialect
+      }, progress => send('table-data-progress', progress));
+      console.log(`Table Data: ${exported.rowsWritten} rows of ${tableName} written to ${result.filePath}`);
+      return { success: true, filePath: result.filePath, result: exported };
+    } catch (error) {
+      if (error.name === 'AbortError') {
+        return { success: false, cancelled: true, message: 'Export cancelled' };
+      }
+      console.error('Error exporting table data:', error.message);
+      return { success: false, message: error.message };
+    }
+  });
+
+  // IPC handler running a query of the query console; the first query of a dump loads its rows into
+  // the console's database (with progress sent as table-data-progress events)
+  ipcMain.handle('run-query', async (event, { analysis, sql } = {}) => {
+    if (!isAnalyzedDump(analysis)) {
+      return { success: false, message: 'Only an analyzed SQL dump can be queried' };
+    }
+    if (isAnalysisRunning()) {
+      return { success: false, message: 'An analysis is already running' };
+    }
+
+    try {
+      const database = await loadQueryDatabase(analysis, createSender(event.sender));
+      const { result } = await runWorker('queryWorker', { job: 'query', databasePath: database.path, sql }, () => {}, {
+        terminateOnCancel: true
+      });
+      return { success: true, ...result, load: database.summary };
+    } catch (error) {
+      if (error.name === 'AbortError') {
+        return { success: false, cancelled: true, message: 'Query cancelled' };
+      }
+      console.error('Error running query:', error.message);
+      return { success: false, message: error.message };
+    }
+  });
+
+  // IPC handler writing the whole result of a query to a CSV or JSON Lines file chosen in a save dialog
+  ipcMain.handle('export-query-result', async (event, { analysis, sql, format } = {}) => {
+    const exportFormat = DATA_EXPORT_FORMATS.find(candidate => candidate.id === format);
+    if (!isAnalyzedDump(analysis)) {
+      return { success: false, message: 'Only an analyzed SQL dump can be queried' };
+    }
+    if (!exportFormat) {
+      return { success: false, message: `Unknown data export format: ${format}` };
+    }
+    if (isAnalysisRunning()) {
+      return { success: false, message: 'An analysis is already running' };
+    }
+
+    let database;
+    try {
+      // Loaded by the query the result comes from, unless the dump changed since
+      database = await loadQueryDatabase(analysis, createSender(event.sender));
+    } catch (error) {
+      return error.name === 'AbortError'
+        ? { success: false, cancelled: true, message: 'Export cancelled' }
+        : { success: false, message: error.message };
+    }
+
+    const { sourcePath } = analysis;
+    const baseName = path.basename(sourcePath, path.extname(sourcePath));
+    const result = await dialog.showSaveDialog({
+      title: `Export Query Result as ${exportFormat.label}`,
+      defaultPath: path.join(path.dirname(sourcePath), `${baseName}.query.${exportFormat.extension}`),
+      filters: [
+        { name: exportFormat.label, extensions: [exportFormat.extension] },
+        { name: 'All Files', extensions: ['*'] }
+      ]
+    });
+
+    if (result.canceled || !result.filePath) {
+      return { success: false, cancelled: true, message: 'Export cancelled' };
+    }
+
+    try {
+      const { result: exported } = await runWorker('queryWorker', {
+        job: 'export',
+        databasePath: database.path,
+        sql,
+        outputPath: result.filePath,
+        format: exportFormat.id
+      }, () => {}, { terminateOnCancel: true });
+      console.log(`Query Console: ${exported.rowsWritten} rows written to ${result.filePath}`);
+      return { success: true, filePath: result.filePath, result: exported };
+    } catch (error) {
+      if (error.name === 'AbortError') {
+        // A terminated export leaves its partial file behind
+        await fs.promises.rm(result.filePath, { force: true });
+        return { success: false, cancelled: true, message: 'Export cancelled' };
+      }
+      console.error('Error exporting query result:', error.message);
+      return { success: false, message: error.message };
+    }
+  });
+
+  // IPC handler for cancelling the running analysis, anonymized copy, table data read or query
+  ipcMain.handle('cancel-analysis', async () => {
+    if (activeIntrospection) {
+      activeIntrospection.abort();
+      return { success: true };
+    }
+    if (!activeWorker) {
+      return { success: false, message: 'No analysis is running' };
+    }
+
+    if (stopActiveWorker) {
+      stopActiveWorker();
+    } else {
+      activeWorker.postMessage({ type: 'cancel' });
+    }
+    return { success: true };
+  });
+
   // On OS X it's common to re-create a window in the app when the
   // dock icon is clicked and there are no other windows open.
   app.on('activate', () => {
@@ -109,6 +1067,13 @@ app.whenReady().then(() => {
   });
 });
 
+// The query console's database is only kept while the app runs
+app.on('will-quit', () => {
+  if (queryDatabase) {
+    removeQueryDatabase(queryDatabase.path);
+  }
+});
+
 // Quit when all windows are closed, except on macOS. There, it's common
 // for applications and their menu bar to stay active until the user quits
 // explicitly with Cmd + Q.
@@ -0,0 +1,459 @@
+/**
+ * Migration script generator
+ * Turns the diff between two analysis results into the SQL that upgrades the old
+ * schema to the new one (forward) and back again (reverse), in a chosen dialect
+ */
+
+const { DIALECTS, quoteIdentifier } = require('./dialect');
+const { diffAnalyses } = require('./schemaDiff');
+
+// Per-dialect rewrites of common MySQL-style types (matched on the base type name)
+const TYPE_MAPPINGS = {
+  [DIALECTS.POSTGRESQL]: {
+    DATETIME: 'TIMESTAMP',
+    TINYINT: 'SMALLINT',
+    MEDIUMINT: 'INTEGER',
+    INT: 'INTEGER',
+    DOUBLE: 'DOUBLE PRECISION',
+    LONGTEXT: 'TEXT',
+    MEDIUMTEXT: 'TEXT',
+    TINYTEXT: 'TEXT',
+    BLOB: 'BYTEA',
+    LONGBLOB: 'BYTEA',
+    ENUM: 'TEXT'
+  },
+  [DIALECTS.SQL_SERVER]: {
+    TEXT: 'NVARCHAR(MAX)',
+    LONGTEXT: 'NVARCHAR(MAX)',
+    MEDIUMTEXT: 'NVARCHAR(MAX)',
+    BOOLEAN: 'BIT',
+    BOOL: 'BIT',
+    TIMESTAMP: 'DATETIME2',
+    DOUBLE: 'FLOAT',
+    BLOB: 'VARBINARY(MAX)',
+    ENUM: 'NVARCHAR(255)',
+    SERIAL: 'INT'
+  },
+  [DIALECTS.MYSQL]: {
+    SERIAL: 'INT',
+    BIGSERIAL: 'BIGINT',
+    BYTEA: 'BLOB',
+    'DOUBLE PRECISION': 'DOUBLE'
+  },
+  [DIALECTS.SQLITE]: {}
+};
+TYPE_MAPPINGS[DIALECTS.MARIADB] = TYPE_MAPPINGS[DIALECTS.MYSQL];
+
+/**
+ * Generates forward and reverse migration scripts between two analyses
+ * @param {Object} oldAnalysis - Analysis of the older dump
+ * @param {Object} newAnalysis - Analysis of the newer dump
+ * @param {Object} [options] - Generation options
+ * @param {String} [options.dialect] - Target dialect (node-sql-parser database name); defaults to the new dump's dialect
+ * @returns {Object} { dialect, forward: { sql, warnings }, reverse: { sql, warnings } }
+ */
+function generateMigration(oldAnalysis, newAnalysis, options = {}) {
+  const dialect = options.dialect || newAnalysis.dialect || DIALECTS.MYSQL;
+
+  return {
+    dialect,
+    forward: buildScript(oldAnalysis, newAnalysis, diffAnalyses(oldAnalysis, newAnalysis), dialect),
+    reverse: buildScript(newAnalysis, oldAnalysis, diffAnalyses(newAnalysis, oldAnalysis), dialect)
+  };
+}
+
+/**
+ * Builds one migration script from a diff
+ * @returns {Object} { sql, warnings }
+ */
+function buildScript(fromAnalysis, toAnalysis, diff, dialect) {
+  const sql = createSqlWriter(dialect);
+  const warnings = [];
+  const toTables = new Map(toAnalysis.tables.map(table => [table.tableName, table]));
+  const fromTables = new Map(fromAnalysis.tables.map(table => [table.tableName, table]));
+
+  const warn = (message) => {
+    warnings.push(message);
+    return `-- WARNING: ${message}`;
+  };
+
+  /**
+   * Names a constraint the dump leaves unnamed after the same constraint in the other dump, or for a
+   * MySQL foreign key, after the <table>_ibfk_<n> name MySQL gives it when the dump is loaded
+   */
+  const nameConstraint = (constraint, table, otherTable) => {
+    if (constraint.name) return constraint;
+    const counterpart = otherTable && (otherTable.constraints || [])
+      .find(other => other.name && isSameConstraintTarget(other, constraint));
+    if (counterpart) return { ...constraint, name: counterpart.name, nameGuessed: true };
+    if ((dialect === DIALECTS.MYSQL || dialect === DIALECTS.MARIADB) && constraint.type === 'FOREIGN KEY') {
+      const unnamed = table.constraints.filter(other => other.type === 'FOREIGN KEY' && !other.name);
+      return { ...constraint, name: `${table.tableName}_ibfk_${unnamed.indexOf(constraint) + 1}`, nameGuessed: true };
+    }
+    return constraint;
+  };
+
+  const statements = [];
+  const deferredForeignKeys = [];
+
+  // Renamed tables are altered under their new name
+  const tableChanges = diff.modifiedTables
+    .concat(diff.renamedTables.map(rename => ({ tableName: rename.to, ...rename.changes })));
+
+  // 1. Drop constraints and indexes that go away, before the columns they cover
+  tableChanges.forEach(changes => {
+    const oldName = (diff.renamedTables.find(rename => rename.to === changes.tableName) || {}).from || changes.tableName;
+    changes.removedConstraints.forEach(constraint => {
+      const named = nameConstraint(constraint, fromTables.get(oldName), toTables.get(changes.tableName));
+      statements.push(sql.dropConstraint(oldName, named, warn));
+    });
+    changes.removedIndexes.forEach(index => {
+      statements.push(sql.dropIndex(oldName, index));
+    });
+  });
+
+  // 2. Renames
+  diff.renamedTables.forEach(rename => {
+    statements.push(sql.renameTable(rename.from, rename.to));
+  });
+
+  // 3. New tables (foreign keys are added once every table exists)
+  diff.addedTables.forEach(tableName => {
+    const table = toTables.get(tableName);
+    statements.push(sql.createTable(table, warn));
+    (table.indexes || []).forEach(index => statements.push(sql.createIndex(tableName, index)));
+    table.constraints
+      .filter(constraint => constraint.type === 'FOREIGN KEY')
+      .forEach(constraint => deferredForeignKeys.push(sql.addConstraint(tableName, nameConstraint(constraint, table, null))));
+  });
+
+  tableChanges.forEach(changes => {
+    const table = toTables.get(changes.tableName);
+    const oldName = (diff.renamedTables.find(rename => rename.to === changes.tableName) || {}).from || changes.tableName;
+    // Columns that become or stop being unique through a UNIQUE constraint or index of their own
+    const uniqueColumns = new Set(changes.addedConstraints.concat(changes.removedConstraints)
+      .filter(constraint => constraint.type === 'UNIQUE')
+      .concat(changes.addedIndexes.concat(changes.removedIndexes).filter(index => index.unique))
+      .filter(key => key.columns && key.columns.length === 1)
+      .map(key => key.columns[0]));
+
+    // 4. New columns
+    changes.addedColumns.forEach(column => {
+      if (!column.nullable && column.defaultValue === null && !column.autoIncrement) {
+        statements.push(warn(`${changes.tableName}.${column.columnName} is NOT NULL without a default; existing rows need a value`));
+      }
+      statements.push(sql.addColumn(changes.tableName, column));
+    });
+
+    // 5. Changed columns
+    changes.changedColumns.forEach(columnChange => {
+      const column = table.columns.find(c => c.columnName === columnChange.columnName);
+      const typeChange = columnChange.changes.find(change => change.property === 'type');
+      if (typeChange && isNarrowingTypeChange(typeChange.from, typeChange.to)) {
+        statements.push(warn(`${changes.tableName}.${column.columnName} changes from ${typeChange.from} to ${typeChange.to}; values may be truncated or fail to convert`));
+      }
+      if (columnChange.changes.some(change => change.property === 'nullable' && change.to === false)) {
+        statements.push(warn(`${changes.tableName}.${column.columnName} becomes NOT NULL; existing NULL values must be fixed first`));
+      }
+      const columnChanges = uniqueColumns.has(column.columnName)
+        ? columnChange.changes.filter(change => change.property !== 'unique')
+        : columnChange.changes;
+      if (columnChanges.length > 0) statements.push(sql.modifyColumn(changes.tableName, column, columnChanges, warn));
+    });
+
+    // 6. Dropped columns
+    changes.removedColumns.forEach(column => {
+      statements.push(warn(`dropping column ${changes.tableName}.${column.columnName} deletes its data`));
+      statements.push(sql.dropColumn(changes.tableName, column.columnName));
+    });
+
+    // 7. New constraints and indexes
+    changes.addedConstraints.forEach(constraint => {
+      const statement = sql.addConstraint(changes.tableName, nameConstraint(constraint, table, fromTables.get(oldName)));
+      if (constraint.type === 'FOREIGN KEY') {
+        deferredForeignKeys.push(statement);
+      } else {
+        statements.push(statement);
+      }
+    });
+    changes.addedIndexes.forEach(index => {
+      statements.push(sql.createIndex(changes.tableName, index));
+    });
+  });
+
+  // 8. Foreign keys, now that all referenced tables and columns exist
+  statements.push(...deferredForeignKeys);
+
+  // 9. Dropped tables
+  diff.removedTables.forEach(tableName => {
+    statements.push(warn(`dropping table ${tableName} deletes all of its ${fromTables.get(tableName).rowCount} rows`));
+    statements.push(sql.dropTable(tableName));
+  });
+
+  const header = [
+    `-- Migration generated by SQL SchemaLens (${dialect})`,
+    warnings.length > 0
+      ? `-- ${warnings.length} destructive or risky operation${warnings.length === 1 ? '' : 's'} flagged below`
+      : '-- No destructive operations'
+  ];
+
+  return {
+    sql: header.concat('', statements.filter(Boolean)).join('\n') + '\n',
+    warnings
+  };
+}
+
+/**
+ * Creates the dialect-specific statement builders
+ * @param {String} dialect - Target dialect
+ * @returns {Object} Statement builder functions
+ */
+function createSqlWriter(dialect) {
+  const isMySql = dialect === DIALECTS.MYSQL || dialect === DIALECTS.MARIADB;
+  const isPostgres = dialect === DIALECTS.POSTGRESQL;
+  const isSqlServer = dialect === DIALECTS.SQL_SERVER;
+  const isSqlite = dialect === DIALECTS.SQLITE;
+
+  const quote = (identifier) => quoteIdentifier(identifier, dialect);
+  const quoteList = (identifiers) => identifiers.map(quote).join(', ');
+
+  const columnType = (column) => {
+    if (column.autoIncrement && isPostgres) {
+      return /BIGINT|BIGSERIAL/i.test(column.dataType) ? 'BIGSERIAL' : 'SERIAL';
+    }
+    if (isMySql && column.enumValues && /^(ENUM|SET)$/i.test(column.dataType)) {
+      return `${column.dataType}(${column.enumValues.map(value => `'${value.replace(/'/g, '\'\'')}'`).join(', ')})`;
+    }
+    return mapDataType(column.dataType, dialect);
+  };
+
+  // MySQL's `DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP` has no equivalent elsewhere
+  const defaultClause = (defaultValue) => (isMySql ? defaultValue : defaultValue.replace(/\s+ON UPDATE\b.*$/i, ''));
+
+  /**
+   * Column definition as used in CREATE TABLE / ADD COLUMN / MODIFY COLUMN.
+   * UNIQUE is left out when modifying, since re-declaring it would add a second index.
+   */
+  const columnDefinition = (column, { inlinePrimaryKey = false, includeUnique = true } = {}) => {
+    const parts = [quote(column.columnName), columnType(column)];
+    if (column.autoIncrement && isSqlServer) parts.push('IDENTITY(1,1)');
+    if (!column.nullable) parts.push('NOT NULL');
+    if (column.defaultValue !== null && column.defaultValue !== undefined) parts.push(`DEFAULT ${defaultClause(column.defaultValue)}`);
+    if (inlinePrimaryKey) parts.push('PRIMARY KEY');
+    if (column.autoIncrement && isMySql) parts.push('AUTO_INCREMENT');
+    if (column.autoIncrement && isSqlite && inlinePrimaryKey) parts.push('AUTOINCREMENT');
+    if (includeUnique && column.unique && !column.primaryKey) parts.push('UNIQUE');
+    return parts.join(' ');
+  };
+
+  const constraintName = (tableName, constraint) => {
+    if (constraint.name) return constraint.name;
+    const prefix = { 'PRIMARY KEY': 'pk', 'FOREIGN KEY': 'fk', UNIQUE: 'uq', CHECK: 'ck' }[constraint.type] || 'c';
+    return [prefix, tableName].concat(constraint.columns).join('_');
+  };
+
+  const constraintBody = (constraint) => {
+    switch (constraint.type) {
+      case 'FOREIGN KEY': {
+        let body = `FOREIGN KEY (${quoteList(constraint.columns)}) REFERENCES ${quote(constraint.referencedTable)} (${quoteList(constraint.referencedColumns)})`;
+        if (constraint.onDelete) body += ` ON DELETE ${constraint.onDelete}`;
+        if (constraint.onUpdate) body += ` ON UPDATE ${constraint.onUpdate}`;
+        return body;
+      }
+      case 'CHECK':
+        return `CHECK (${constraint.expression})`;
+      default:
+        return `${constraint.type} (${quoteList(constraint.columns)})`;
+    }
+  };
+
+  return {
+    createTable(table, warn) {
+      const primaryKey = table.constraints.find(constraint => constraint.type === 'PRIMARY KEY');
+      const primaryKeyColumns = primaryKey
+        ? primaryKey.columns
+        : table.columns.filter(column => column.primaryKey).map(column => column.columnName);
+      // Single-column keys stay inline so SQLite AUTOINCREMENT remains valid
+      const inlinePrimaryKey = primaryKeyColumns.length === 1 ? primaryKeyColumns[0] : null;
+
+      const lines = table.columns.map(column => `  ${columnDefinition(column, { inlinePrimaryKey: column.columnName === inlinePrimaryKey })}`);
+      if (primaryKeyColumns.length > 1) {
+        lines.push(`  PRIMARY KEY (${quoteList(primaryKeyColumns)})`);
+      }
+      table.constraints
+        .filter(constraint => constraint.type === 'UNIQUE' || constraint.type === 'CHECK')
+        .forEach(constraint => lines.push(`  ${constraintBody(constraint)}`));
+
+      const notes = table.columns
+        .filter(column => /^ENUM\b/i.test(column.dataType) && !isMySql)
+        .map(column => warn(`${table.tableName}.${column.columnName} is an ENUM, mapped to ${mapDataType(column.dataType, dialect)} without its allowed values`));
+
+      return notes.concat(`CREATE TABLE ${quote(table.tableName)} (\n${lines.join(',\n')}\n);`).join('\n');
+    },
+
+    dropTable(tableName) {
+      return `DROP TABLE ${quote(tableName)};`;
+    },
+
+    renameTable(from, to) {
+      if (isMySql) return `RENAME TABLE ${quote(from)} TO ${quote(to)};`;
+      if (isSqlServer) return `EXEC sp_rename '${from.replace(/'/g, '\'\'')}', '${to.replace(/'/g, '\'\'')}';`;
+      return `ALTER TABLE ${quote(from)} RENAME TO ${quote(to)};`;
+    },
+
+    addColumn(tableName, column) {
+      const keyword = isSqlServer ? 'ADD' : 'ADD COLUMN';
+      return `ALTER TABLE ${quote(tableName)} ${keyword} ${columnDefinition(column)};`;
+    },
+
+    dropColumn(tableName, columnName) {
+      return `ALTER TABLE ${quote(tableName)} DROP COLUMN ${quote(columnName)};`;
+    },
+
+    modifyColumn(tableName, column, changes, warn) {
+      const table = quote(tableName);
+      const name = quote(column.columnName);
+
+      if (isMySql) {
+        return `ALTER TABLE ${table} MODIFY COLUMN ${columnDefinition(column, { includeUnique: false })};`;
+      }
+
+      if (isSqlite) {
+        return warn(`SQLite cannot alter column ${tableName}.${column.columnName} in place; rebuild the table (${changes.map(change => change.property).join(', ')} changed)`);
+      }
+
+      const statements = [];
+      const changed = (property) => changes.some(change => change.property === property);
+
+      if (isSqlServer) {
+        if (changed('type') || changed('nullable')) {
+          statements.push(`ALTER TABLE ${table} ALTER COLUMN ${name} ${columnType(column)} ${column.nullable ? 'NULL' : 'NOT NULL'};`);
+        }
+        if (changed('default')) {
+          statements.push(warn(`drop the existing default constraint on ${tableName}.${column.columnName} before adding the new one`));
+          if (column.defaultValue !== null) {
+            statements.push(`ALTER TABLE ${table} ADD DEFAULT ${defaultClause(column.defaultValue)} FOR ${name};`);
+          }
+        }
+      } else {
+        if (changed('type')) {
+          statements.push(`ALTER TABLE ${table} ALTER COLUMN ${name} TYPE ${columnType(column)};`);
+        }
+        if (changed('nullable')) {
+          statements.push(`ALTER TABLE ${table} ALTER COLUMN ${name} ${column.nullable ? 'DROP' : 'SET'} NOT NULL;`);
+        }
+        if (changed('default')) {
+          statements.push(column.defaultValue === null
+            ? `ALTER TABLE ${table} ALTER COLUMN ${name} DROP DEFAULT;`
+            : `ALTER TABLE ${table} ALTER COLUMN ${name} SET DEFAULT ${defaultClause(column.defaultValue)};`);
+        }
+      }
+
+      // Key and identity flags are handled through constraint changes
+      const otherChanges = changes.filter(change => !['type', 'nullable', 'default', 'references'].includes(change.property));
+      otherChanges.forEach(change => {
+        statements.push(warn(`${tableName}.${column.columnName}: ${change.property} changes from ${change.from} to ${change.to}; review manually`));
+      });
+
+      return statements.join('\n');
+    },
+
+    addConstraint(tableName, constraint) {
+      if (isSqlite) {
+        return `-- SQLite cannot add constraints to an existing table: ${constraintBody(constraint)} on ${quote(tableName)}`;
+      }
+      return `ALTER TABLE ${quote(tableName)} ADD CONSTRAINT ${quote(constraintName(tableName, constraint))} ${constraintBody(constraint)};`;
+    },
+
+    dropConstraint(tableName, constraint, warn) {
+      const notes = [];
+      // nameGuessed marks a name given by nameConstraint in buildScript
+      if ((!constraint.name || constraint.nameGuessed) && constraint.type !== 'PRIMARY KEY') {
+        notes.push(warn(`constraint ${constraintBody(constraint)} on ${tableName} has no name in the dump; check the generated name ${constraintName(tableName, constraint)}`));
+      }
+      const name = quote(constraintName(tableName, constraint));
+      const target = quote(tableName);
+
+      let statement;
+      if (isSqlite) {
+        statement = `-- SQLite cannot drop constraints from an existing table: ${constraintBody(constraint)} on ${target}`;
+      } else if (isMySql && constraint.type === 'PRIMARY KEY') {
+        statement = `ALTER TABLE ${target} DROP PRIMARY KEY;`;
+      } else if (isMySql && constraint.type === 'FOREIGN KEY') {
+        statement = `ALTER TABLE ${target} DROP FOREIGN KEY ${name};`;
+      } else if (isMySql && constraint.type === 'UNIQUE') {
+        statement = `ALTER TABLE ${target} DROP INDEX ${name};`;
+      } else if (isMySql && constraint.type === 'CHECK') {
+        statement = `ALTER TABLE ${target} DROP CHECK ${name};`;
+      } else {
+        statement = `ALTER TABLE ${target} DROP CONSTRAINT ${name};`;
+      }
+
+      return notes.concat(statement).join('\n');
+    },
+
+    createIndex(tableName, index) {
+      const name = index.indexName || ['idx', tableName].concat(index.columns).join('_');
+      return `CREATE ${index.unique ? 'UNIQUE ' : ''}INDEX ${quote(name)} ON ${quote(tableName)} (${quoteList(index.columns)});`;
+    },
+
+    dropIndex(tableName, index) {
+      const name = quote(index.indexName || ['idx', tableName].concat(index.columns).join('_'));
+      if (isMySql || isSqlServer) {
+        return `DROP INDEX ${name} ON ${quote(tableName)};`;
+      }
+      return `DROP INDEX ${name};`;
+    }
+  };
+}
+
+/**
+ * Whether two constraints key the same columns (and for foreign keys, reference the same ones),
+ * whatever their names and actions
+ */
+function isSameConstraintTarget(a, b) {
+  if (a.type !== b.type || a.type === 'CHECK') return false;
+  const sameList = (x, y) => (x || []).join(',') === (y || []).join(',');
+  return sameList(a.columns, b.columns) &&
+    (a.type !== 'FOREIGN KEY' || (a.referencedTable === b.referencedTable && sameList(a.referencedColumns, b.referencedColumns)));
+}
+
+/**
+ * Rewrites a data type string for the target dialect; unmapped types keep their length/precision
+ * @param {String} dataType - Type as built by the analyzer, e.g. VARCHAR(50)
+ * @param {String} dialect - Target dialect
+ * @returns {String} Type for the target dialect
+ */
+function mapDataType(dataType, dialect) {
+  const mappings = TYPE_MAPPINGS[dialect] || {};
+  const match = /^([A-Z ]+?)\s*(\(.*\))?$/i.exec(dataType || '');
+  if (!match) return dataType;
+
+  // Display widths such as INT(11) or TINYINT(1) have no equivalent, so a mapped type replaces the size too
+  return mappings[match[1].toUpperCase()] || dataType;
+}
+
+/**
+ * Whether changing a column's type may lose data: a different base type, or a
+ * smaller length/precision/scale of the same type
+ */
+function isNarrowingTypeChange(fromType, toType) {
+  const parse = (type) => {
+    const match = /^([A-Z ]+?)\s*(?:\((\d+)(?:\s*,\s*(\d+))?\))?$/i.exec(type || '');
+    return match
+      ? { base: match[1].toUpperCase(), length: match[2] ? Number(match[2]) : null, scale: match[3] ? Number(match[3]) : null }
+      : { base: String(type).toUpperCase(), length: null, scale: null };
+  };
+
+  const from = parse(fromType);
+  const to = parse(toType);
+  if (from.base !== to.base) return true;
+  if (from.length !== null && to.length !== null && to.length < from.length) return true;
+  if (from.scale !== null && to.scale !== null && to.scale < from.scale) return true;
+  return false;
+}
+
+module.exports = {
+  generateMigration,
+  mapDataType
+};
@@ -0,0 +1,134 @@
+/**
+ * Statement-by-statement SQL parsing
+ * Parses each statement of a dump independently so that one unsupported statement
+ * does not prevent the rest of the dump from being analyzed
+ */
+
+const { Parser } = require('node-sql-parser');
+const { DIALECTS, prepareSqlForDialect } = require('./dialect');
+const { splitStatements } = require('./statementSplitter');
+const { recognizeSchemaObjectStatement } = require('./schemaObjects');
+const { isCopyStatement, parseCopyStatement, decodeCopyField } = require('./sqlRows');
+
+// Length of the statement excerpt shown in diagnostics
+const PREVIEW_LENGTH = 120;
+
+/**
+ * Splits SQL text into statements and parses each one
+ * @param {String} sqlContent - SQL dump contents
+ * @param {String} dialect - node-sql-parser database name
+ * @returns {Object} { ast, locations, diagnostics } — ast lists every successfully parsed statement
+ *   and locations holds the matching { line, statement } position in the dump
+ */
+function parseSqlContent(sqlContent, dialect) {
+  const parser = new Parser();
+  const ast = [];
+  const locations = [];
+  const diagnostics = [];
+
+  const statements = splitStatements(prepareSqlForDialect(sqlContent, dialect), splitterOptionsFor(dialect));
+
+  statements.forEach((statement, index) => {
+    const result = parseStatement(parser, statement, dialect);
+    if (result.diagnostic) {
+      diagnostics.push(result.diagnostic);
+    } else {
+      ast.push(...result.ast);
+      result.ast.forEach(() => locations.push({ line: statement.line, statement: index + 1 }));
+    }
+  });
+
+  return { ast, locations, diagnostics };
+}
+
+/**
+ * Parses a single statement produced by the statement splitter
+ * @param {Parser} parser - node-sql-parser instance
+ * @param {Object} statement - { text, line, column } from the splitter
+ * @param {String} dialect - node-sql-parser database name
+ * @returns {Object} { ast: Array } on success, { diagnostic } on failure. Views, routines, triggers
+ *   and types are returned as a single { type: 'schema_object', ... } node (see schemaObjects.js),
+ *   COPY ... FROM stdin data as a { type: 'copy', table, columns, rows } node
+ */
+function parseStatement(parser, statement, dialect) {
+  try {
+    const copy = isCopyStatement(statement.text) && parseCopyStatement(statement.text);
+    if (copy) {
+      return { ast: [buildCopyNode(copy)] };
+    }
+
+
+    const schemaObject = recognizeSchemaObjectStatement(statement.text, parser, dialect);
+    if (schemaObject) {
+      return { ast: [schemaObject] };
+    }
+
+    const ast = parser.astify(statement.text, { database: dialect });
+    return { ast: Array.isArray(ast) ? ast : [ast] };
+  } catch (error) {
+    return { diagnostic: buildDiagnostic(statement, error) };
+  }
+}
+
+/**
+ * The data of a COPY statement (text format), which node-sql-parser cannot read: the table it loads
+ * and its rows, with the values as text (null for \N)
+ */
+function buildCopyNode(copy) {
+  return {
+    type: 'copy',
+    table: copy.table,
+    columns: copy.columns,
+    rows: copy.lines.map(line => line.split('\t').map(decodeCopyField))
+  };
+}
+
+/**
+ * Builds a diagnostic for a statement that failed to parse. The parser reports
+ * positions relative to the statement, so they are shifted to dump positions.
+ * @param {Object} statement - { text, line, column } from the splitter
+ * @param {Error} error - Error thrown by node-sql-parser
+ * @returns {Object} Diagnostic with line, column, preview and message
+ */
+function buildDiagnostic(statement, error) {
+  let line = statement.line;
+  let column = statement.column;
+
+  if (error && error.location && error.location.start) {
+    const errorStart = error.location.start;
+    line = statement.line + errorStart.line - 1;
+    column = errorStart.line === 1 ? statement.column + errorStart.column - 1 : errorStart.column;
+  }
+
+  const singleLine = statement.text.replace(/\s+/g, ' ');
+  const preview = singleLine.length > PREVIEW_LENGTH
+    ? `${singleLine.slice(0, PREVIEW_LENGTH)}…`
+    : singleLine;
+
+  return {
+    line,
+    column,
+    preview,
+    message: error && error.message ? error.message : String(error)
+  };
+}
+
+/**
+ * Statement splitter options appropriate for a dialect
+ * @param {String} dialect - node-sql-parser database name
+ * @returns {Object} Options for splitStatements/createStatementSplitter
+ */
+function splitterOptionsFor(dialect) {
+  const mySqlFamily = dialect === DIALECTS.MYSQL || dialect === DIALECTS.MARIADB;
+  return {
+    // `#` starts a comment and a backslash escapes in strings only in MySQL-family dumps
+    hashComments: mySqlFamily,
+    backslashEscapes: mySqlFamily
+  };
+}
+
+module.exports = {
+  parseSqlContent,
+  parseStatement,
+  splitterOptionsFor
+};
@@ -0,0 +1,332 @@
+/**
+ * PDF report of an analysis
+ * Rendered by the PDF exporter in the main process and by the command-line interface,
+ * so it only relies on jsPDF (no DOM access)
+ */
+
+const { jsPDF } = require('jspdf');
+const { autoTable } = require('jspdf-autotable');
+const { resolveTableAnnotation } = require('./annotations');
+const { detectSensitiveData } = require('./sensitiveData');
+const {
+  describeAnnotationDetails,
+  describeColumnKeys,
+  describeConstraint,
+  describeIndex,
+  describeProfile,
+  formatProfileValue,
+  formatDialectName,
+  listDictionaryRows,
+  listSensitiveDataRows
+} = require('./schemaText');
+
+/**
+ * Builds the PDF report document
+ * @param {Object} analysis - Analysis result
+ * @param {Object} [options] - Report options
+ * @param {Object} [options.comparison] - { oldPath, newPath, diff } appended as a Schema Comparison section
+ * @returns {jsPDF} Document, ready for doc.save(fileName) or doc.output('arraybuffer')
+ */
+function buildPdfReport(analysis, options = {}) {
+  // Create new jsPDF document
+  const doc = new jsPDF();
+
+  // Set document properties
+  const pageWidth = doc.internal.pageSize.width;
+  const margin = 20;
+  let yPosition = margin;
+
+  // Add main title
+  doc.setFontSize(20);
+  doc.setFont(undefined, 'bold');
+  const databaseName = analysis.databaseName || 'Unknown Database';
+  doc.text(`Database Analysis Report for: ${databaseName}`, margin, yPosition);
+  yPosition += 20;
+
+  // Add summary statistics
+  doc.setFontSize(14);
+  doc.setFont(undefined, 'bold');
+  doc.text('Summary Statistics', margin, yPosition);
+  yPosition += 10;
+
+  doc.setFontSize(12);
+  doc.setFont(undefined, 'normal');
+
+  const totalColumns = analysis.tables.reduce((sum, table) => sum + table.columns.length, 0);
+  const totalRecords = analysis.tables.reduce((sum, table) => sum + table.rowCount, 0);
+  const sensitiveData = detectSensitiveData(analysis);
+
+  doc.text(`Dialect: ${formatDialectName(analysis.dialect)}`, margin, yPosition);
+  yPosition += 8;
+  doc.text(`Total Tables: ${analysis.totalTables}`, margin, yPosition);
+  yPosition += 8;
+  doc.text(`Total Columns: ${totalColumns}`, margin, yPosition);
+  yPosition += 8;
+  doc.text(`Total Records: ${totalRecords}`, margin, yPosition);
+  yPosition += 8;
+  doc.text(`Sensitive Columns: ${sensitiveData.findings.length}`, margin, yPosition);
+  yPosition += 20;
+
+  // Add table details
+  doc.setFontSize(16);
+  doc.setFont(undefined, 'bold');
+  doc.text('Table Details', margin, yPosition);
+  yPosition += 15;
+
+  // Iterate through each table and create a table for its columns
+  analysis.tables.forEach(table => {
+    // Check if we need a new page
+    if (yPosition > 250) {
+      doc.addPage();
+      yPosition = margin;
+    }
+
+    // Add table name as title
+    doc.setFontSize(14);
+    doc.setFont(undefined, 'bold');
+    doc.text(`${table.tableName} (${table.rowCount} rows)`, margin, yPosition);
+    yPosition += 10;
+
+    // Description (annotation or COMMENT), owner and tags
+    const documentation = resolveTableAnnotation(analysis.annotations, table);
+    const documentationLines = [documentation.description, describeAnnotationDetails(documentation)].filter(Boolean);
+    if (documentationLines.length > 0) {
+      doc.setFontSize(10);
+      doc.setFont(undefined, 'normal');
+      documentationLines.forEach(text => {
+        const lines = doc.splitTextToSize(text, pageWidth - margin * 2);
+        doc.text(lines, margin, yPosition);
+        yPosition += lines.length * 5;
+      });
+      yPosition += 3;
+    }
+
+    // Prepare data for autoTable
+    const tableData = table.columns.map(column => [
+      column.columnName,
+      column.dataType,
+      column.nullable ? 'YES' : 'NO',
+      column.defaultValue !== null ? column.defaultValue : '-',
+      describeColumnKeys(column) || '-'
+    ]);
+
+    autoTable(doc, {
+      startY: yPosition,
+      head: [['Column Name', 'Data Type', 'Nullable', 'Default', 'Keys']],
+      body: tableData,
+      margin: { left: margin, right: margin },
+      styles: {
+        fontSize: 10,
+        cellPadding: 3
+      },
+      headStyles: {
+        fillColor: [70, 130, 180],
+        textColor: 255,
+        fontStyle: 'bold'
+      },
+      alternateRowStyles: {
+        fillColor: [245, 245, 245]
+      }
+    });
+
+    // Update yPosition to after the table
+    yPosition = doc.lastAutoTable.finalY + 15;
+
+    // Data dictionary of the documented columns
+    const dictionaryRows = listDictionaryRows(analysis.annotations, table);
+    if (dictionaryRows.length > 0) {
+      if (yPosition > 250) {
+        doc.addPage();
+        yPosition = margin;
+      }
+      doc.setFontSize(11);
+      doc.setFont(undefined, 'bold');
+      doc.text('Data Dictionary', margin, yPosition);
+      yPosition += 4;
+
+      autoTable(doc, {
+        startY: yPosition,
+        head: [['Column', 'Description', 'Owner', 'Tags', 'Examples']],
+        body: dictionaryRows,
+        margin: { left: margin, right: margin },
+        styles: {
+          fontSize: 8,
+          cellPadding: 2
+        },
+        headStyles: {
+          fillColor: [70, 130, 180],
+          textColor: 255,
+          fontStyle: 'bold'
+        }
+      });
+      yPosition = doc.lastAutoTable.finalY + 15;
+    }
+
+    // List table-level constraints and indexes below the column table
+    const keyDescriptions = table.constraints.map(describeConstraint).concat((table.indexes || []).map(describeIndex));
+    if (keyDescriptions.length > 0) {
+      doc.setFontSize(10);
+      doc.setFont(undefined, 'normal');
+      keyDescriptions.forEach(description => {
+        if (yPosition > 280) {
+          doc.addPage();
+          yPosition = margin;
+        }
+        const lines = doc.splitTextToSize(description, pageWidth - margin * 2);
+        doc.text(lines, margin, yPosition);
+        yPosition += lines.length * 5;
+      });
+      yPosition += 10;
+    }
+
+    // Data profile of the inserted rows
+    if (table.rowCount > 0 && table.dataProfile) {
+      if (yPosition > 250) {
+        doc.addPage();
+        yPosition = margin;
+      }
+      doc.setFontSize(11);
+      doc.setFont(undefined, 'bold');
+      doc.text('Data Profile', margin, yPosition);
+      yPosition += 4;
+
+      autoTable(doc, {
+        startY: yPosition,
+        head: [['Column', 'Nulls', 'Distinct', 'Min', 'Max', 'Avg Len', 'Most Frequent']],
+        body: table.dataProfile.map(profile => {
+          const stats = Object.fromEntries(describeProfile(profile));
+          return [
+            profile.columnName,
+            stats['Nulls'],
+            stats['Distinct'],
+            stats['Min'],
+            stats['Max'],
+            stats['Avg length'] || '-',
+            profile.topValues.slice(0, 3).map(entry => `${formatProfileValue(entry.value)} (${entry.count})`).join(', ') || '-'
+          ];
+        }),
+        margin: { left: margin, right: margin },
+        styles: {
+          fontSize: 8,
+          cellPadding: 2,
+          overflow: 'ellipsize'
+        },
+        headStyles: {
+          fillColor: [70, 130, 180],
+          textColor: 255,
+          fontStyle: 'bold'
+        }
+      });
+      yPosition = doc.lastAutoTable.finalY + 15;
+    }
+  });
+
+  // Columns that likely hold personal or secret data
+  const sensitiveRows = listSensitiveDataRows(sensitiveData);
+  if (sensitiveRows.length > 0) {
+    if (yPosition > 250) {
+      doc.addPage();
+      yPosition = margin;
+    }
+    doc.setFontSize(16);
+    doc.setFont(undefined, 'bold');
+    doc.text('Sensitive Data', margin, yPosition);
+    yPosition += 6;
+
+    autoTable(doc, {
+      startY: yPosition,
+      head: [['Confidence', 'Column', 'Category', 'Evidence']],
+      body: sensitiveRows,
+      margin: { left: margin, right: margin },
+      styles: {
+        fontSize: 9,
+        cellPadding: 2
+      },
+      headStyles: {
+        fillColor: [70, 130, 180],
+        textColor: 255,
+        fontStyle: 'bold'
+      }
+    });
+  }
+
+  // Append the schema comparison when one is given
+  if (options.comparison) {
+    addComparisonToPdf(doc, options.comparison, margin);
+  }
+
+  return doc;
+}
+
+function addComparisonToPdf(doc, comparison, margin) {
+  const { diff } = comparison;
+  doc.addPage();
+  let yPosition = margin;
+
+  doc.setFontSize(16);
+  doc.setFont(undefined, 'bold');
+  doc.text('Schema Comparison', margin, yPosition);
+  yPosition += 10;
+
+  doc.setFontSize(10);
+  doc.setFont(undefined, 'normal');
+  doc.text(`Old: ${comparison.oldPath}`, margin, yPosition);
+  yPosition += 6;
+  doc.text(`New: ${comparison.newPath}`, margin, yPosition);
+  yPosition += 10;
+
+  // One row per change, coloured by kind
+  const rows = [];
+  diff.addedTables.forEach(tableName => rows.push(['added', tableName, 'Table added']));
+  diff.removedTables.forEach(tableName => rows.push(['removed', tableName, 'Table removed']));
+  diff.renamedTables.forEach(rename => rows.push(['renamed', rename.to, `Renamed from ${rename.from}`]));
+  diff.modifiedTables.forEach(table => {
+    table.addedColumns.forEach(column => rows.push(['added', table.tableName, `Column ${column.columnName} ${column.dataType} added`]));
+    table.removedColumns.forEach(column => rows.push(['removed', table.tableName, `Column ${column.columnName} dropped`]));
+    table.changedColumns.forEach(column => {
+      column.changes.forEach(change => {
+        rows.push(['modified', table.tableName, `${column.columnName}: ${change.property} ${change.from} → ${change.to}`]);
+      });
+    });
+    table.addedConstraints.forEach(constraint => rows.push(['added', table.tableName, `${describeConstraint(constraint)} added`]));
+    table.removedConstraints.forEach(constraint => rows.push(['removed', table.tableName, `${describeConstraint(constraint)} removed`]));
+    table.addedIndexes.forEach(index => rows.push(['added', table.tableName, `Index ${index.indexName || ''} (${index.columns.join(', ')}) added`]));
+    table.removedIndexes.forEach(index => rows.push(['removed', table.tableName, `Index ${index.indexName || ''} (${index.columns.join(', ')}) removed`]));
+    if (table.rowCount.delta !== 0) {
+      rows.push(['rows', table.tableName, `Rows ${table.rowCount.from} → ${table.rowCount.to}`]);
+    }
+  });
+
+  const rowColours = {
+    added: [220, 245, 220],
+    removed: [250, 220, 220],
+    modified: [255, 243, 205],
+    renamed: [220, 235, 250]
+  };
+
+  autoTable(doc, {
+    startY: yPosition,
+    head: [['Change', 'Table', 'Details']],
+    body: rows,
+    margin: { left: margin, right: margin },
+    styles: {
+      fontSize: 9,
+      cellPadding: 3
+    },
+    headStyles: {
+      fillColor: [70, 130, 180],
+      textColor: 255,
+      fontStyle: 'bold'
+    },
+    didParseCell: (data) => {
+      const colour = data.section === 'body' ? rowColours[data.row.raw[0]] : null;
+      if (colour) {
+        data.cell.styles.fillColor = colour;
+      }
+    }
+  });
+}
+
+module.exports = {
+  buildPdfReport
+};
@@ -6,10 +6,28 @@ const { contextBridge, ipcRenderer } = require('electron');
 // Expose protected methods that allow the renderer process to use
 // the ipcRenderer without exposing the entire object
 contextBridge.exposeInMainWorld('electronAPI', {
-  openFileDialog: () => ipcRenderer.invoke('open-file-dialog'),
+  openFileDialog: (options) => ipcRenderer.invoke('open-file-dialog', options),
+  compareFiles: (options) => ipcRenderer.invoke('compare-files', options),
+  chooseDatabaseFile: () => ipcRenderer.invoke('choose-database-file'),
+  connectDatabase: (request) => ipcRenderer.invoke('connect-database', request),
+  refreshDatabase: (request) => ipcRenderer.invoke('refresh-database', request),
+  listRecentFiles: () => ipcRenderer.invoke('list-recent-files'),
+  openRecentFile: (request) => ipcRenderer.invoke('open-recent-file', request),
+  openSession: () => ipcRenderer.invoke('open-session'),
+  saveSession: (request) => ipcRenderer.invoke('save-session', request),
+  saveAnnotations: (request) => ipcRenderer.invoke('save-annotations', request),
+  cancelAnalysis: () => ipcRenderer.invoke('cancel-analysis'),
+  listExporters: () => ipcRenderer.invoke('list-exporters'),
+  exportAnalysis: (request) => ipcRenderer.invoke('export-analysis', request),
+  anonymizeDump: (request) => ipcRenderer.invoke('anonymize-dump', request),
+  generateData: (request) => ipcRenderer.invoke('generate-data', request),
+  queryTableData: (request) => ipcRenderer.invoke('query-table-data', request),
+  exportTableData: (request) => ipcRenderer.invoke('export-table-data', request),
+  runQuery: (request) => ipcRenderer.invoke('run-query', request),
+  exportQueryResult: (request) => ipcRenderer.invoke('export-query-result', request),
   on: (channel, callback) => {
     // Validate allowed channels for security
-    const validChannels = ['analysis-complete', 'analysis-error'];
+    const validChannels = ['analysis-complete', 'analysis-error', 'analysis-progress', 'analysis-cancelled', 'comparison-complete', 'session-opened', 'anonymize-progress', 'table-data-progress'];
     if (validChannels.includes(channel)) {
       ipcRenderer.on(channel, callback);
     }
@@ -0,0 +1,76 @@
+/**
+ * Project configuration file
+ * A schemalens.config.json next to a dump (or in any parent directory) configures how the
+ * dump is checked, for example the lint rules:
+ *
+ *   { "lint": { "rules": { "require-primary-key": "error", "varchar-255": "off" } } }
+ *
+ * The anonymize section sets how anonymized copies of the dump are written (see anonymization.js),
+ * and the syntheticData section the seed and row counts of generated test data (see syntheticData.js).
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const CONFIG_FILE_NAME = 'schemalens.config.json';
+
+/**
+ * Finds the project config that applies to a dump, searching from its directory upwards
+ * @param {String} dumpPath - Path of the analyzed dump
+ * @returns {Promise<String|null>} Path of the config file, or null when there is none
+ */
+async function findProjectConfig(dumpPath) {
+  let directory = path.dirname(path.resolve(dumpPath));
+
+  for (;;) {
+    const candidate = path.join(directory, CONFIG_FILE_NAME);
+    try {
+      await fs.promises.access(candidate, fs.constants.R_OK);
+      return candidate;
+    } catch (error) {
+      const parent = path.dirname(directory);
+      if (parent === directory) return null;
+      directory = parent;
+    }
+  }
+}
+
+/**
+ * Reads and validates a project config file
+ * @param {String} configPath - Path of the config file
+ * @returns {Promise<Object>} Parsed config
+ * @throws {Error} When the file cannot be read or is not a JSON object
+ */
+async function readProjectConfig(configPath) {
+  let config;
+  try {
+    config = JSON.parse(await fs.promises.readFile(configPath, 'utf8'));
+  } catch (error) {
+    throw new Error(`Invalid config file ${configPath}: ${error.message}`);
+  }
+
+  if (!config || typeof config !== 'object' || Array.isArray(config)) {
+    throw new Error(`Invalid config file ${configPath}: expected a JSON object`);
+  }
+  return config;
+}
+
+/**
+ * Loads the project config for a dump
+ * @param {String} dumpPath - Path of the analyzed dump
+ * @param {String} [configPath] - Explicit config file; searched for next to the dump when omitted
+ * @returns {Promise<Object>} { path, config }; an empty config with a null path when there is no file
+ */
+async function loadProjectConfig(dumpPath, configPath = null) {
+  const resolvedPath = configPath || await findProjectConfig(dumpPath);
+  if (!resolvedPath) {
+    return { path: null, config: {} };
+  }
+  return { path: resolvedPath, config: await readProjectConfig(resolvedPath) };
+}
+
+module.exports = {
+  CONFIG_FILE_NAME,
+  findProjectConfig,
+  loadProjectConfig
+};
@@ -0,0 +1,270 @@
+/**
+ * "Query Console" panel for the renderer
+ * Runs SELECT queries, in SQLite syntax, against the rows of the dump. The main process loads the
+ * rows into a SQLite database on the first query and runs the queries; this view holds the editor,
+ * the first rows of the last result and the history of the queries run, which is kept across runs
+ * of the app in local storage.
+ */
+
+import { DATA_EXPORT_FORMATS, formatCellText } from './tableData';
+
+const HISTORY_KEY = 'queryConsoleHistory';
+const HISTORY_LIMIT = 50;
+
+// Longer values are cut in the grid (the full value is in the cell's tooltip)
+const MAX_CELL_LENGTH = 200;
+
+/**
+ * Creates the panel inside the given container element
+ * @param {HTMLElement} container - Element to render into
+ * @param {Object} options - Callbacks
+ * @param {Function} options.onRun - Called with the SQL of a query; resolves to { success, cancelled,
+ *   message, columns, rows, truncated, durationMs, load }
+ * @param {Function} options.onExport - Called with the SQL and a format id; resolves to { success,
+ *   cancelled, message, filePath, result }
+ * @param {Function} options.onCancel - Called to stop the running query or export
+ * @returns {Object} Panel controller with render(analysis)
+ */
+export function createQueryConsole(container, { onRun, onExport, onCancel }) {
+  let analysis = null;
+  // Last successful result, with the SQL it came from (exports run that query again)
+  let result = null;
+  let running = false;
+  let history = loadHistory();
+
+  container.innerHTML = '';
+  const editor = document.createElement('textarea');
+  editor.className = 'query-console-editor';
+  editor.rows = 6;
+  editor.spellcheck = false;
+  container.appendChild(editor);
+
+  const hint = document.createElement('p');
+  hint.className = 'query-console-hint';
+  container.appendChild(hint);
+
+  const toolbar = document.createElement('div');
+  toolbar.className = 'data-grid-toolbar';
+  container.appendChild(toolbar);
+
+  const runButton = document.createElement('button');
+  runButton.textContent = 'Run';
+  runButton.title = 'Ctrl+Enter';
+  toolbar.appendChild(runButton);
+
+  const cancelButton = document.createElement('button');
+  cancelButton.textContent = 'Cancel';
+  cancelButton.classList.add('hidden');
+  toolbar.appendChild(cancelButton);
+
+  const historySelect = document.createElement('select');
+  historySelect.title = 'Queries run before, most recent first';
+  toolbar.appendChild(historySelect);
+
+  const exportButtons = DATA_EXPORT_FORMATS.map((format) => {
+    const button = document.createElement('button');
+    button.textContent = `Export ${format.label}…`;
+    button.title = 'Every row of the result';
+    button.addEventListener('click', () => exportResult(format.id));
+    toolbar.appendChild(button);
+    return button;
+  });
+
+  const statusText = document.createElement('span');
+  statusText.className = 'annotation-status';
+  toolbar.appendChild(statusText);
+
+  const notes = document.createElement('div');
+  container.appendChild(notes);
+  const results = document.createElement('div');
+  container.appendChild(results);
+
+  const showStatus = (text, error = false) => {
+    statusText.textContent = text;
+    statusText.classList.toggle('error', error);
+  };
+
+  const setRunning = (value) => {
+    running = value;
+    runButton.disabled = value;
+    cancelButton.classList.toggle('hidden', !value);
+    exportButtons.forEach(button => { button.disabled = value || !result; });
+  };
+
+  const renderHistory = () => {
+    historySelect.innerHTML = '';
+    const placeholder = document.createElement('option');
+    placeholder.value = '';
+    placeholder.textContent = history.length > 0 ? `History (${history.length})` : 'History';
+    historySelect.appendChild(placeholder);
+    history.forEach((sql, index) => {
+      const option = document.createElement('option');
+      option.value = String(index);
+      const line = sql.replace(/\s+/g, ' ');
+      option.textContent = line.length > 80 ? `${line.slice(0, 80)}…` : line;
+      option.title = sql;
+      historySelect.appendChild(option);
+    });
+    historySelect.disabled = history.length === 0;
+  };
+
+  const renderResult = () => {
+    notes.innerHTML = '';
+    results.innerHTML = '';
+    if (!result) return;
+    buildNotes(result).forEach(note => notes.appendChild(note));
+    results.appendChild(buildGrid(result));
+  };
+
+  const run = async () => {
+    const sql = editor.value.trim();
+    if (running || !analysis || sql === '') return;
+
+    setRunning(true);
+    showStatus('Running…');
+    const outcome = await onRun(sql);
+    if (outcome.success) {
+      result = { ...outcome, sql };
+      history = addToHistory(history, sql);
+      renderHistory();
+      renderResult();
+      const rowCount = outcome.truncated ? `First ${outcome.rows.length.toLocaleString()} rows` : `${outcome.rows.length.toLocaleString()} rows`;
+      showStatus(`${rowCount} in ${outcome.durationMs.toLocaleString()} ms`);
+    } else {
+      showStatus(outcome.cancelled ? 'Query cancelled' : outcome.message, !outcome.cancelled);
+    }
+    setRunning(false);
+  };
+
+  const exportResult = async (format) => {
+    if (running || !result) return;
+    setRunning(true);
+    showStatus('Exporting…');
+    const outcome = await onExport(result.sql, format);
+    if (outcome.success) {
+      showStatus(`${outcome.result.rowsWritten.toLocaleString()} rows written to ${outcome.filePath}`);
+    } else {
+      showStatus(outcome.cancelled ? '' : `Not exported: ${outcome.message}`, !outcome.cancelled);
+    }
+    setRunning(false);
+  };
+
+  runButton.addEventListener('click', () => run());
+  cancelButton.addEventListener('click', () => onCancel());
+  editor.addEventListener('keydown', (event) => {
+    if (event.key === 'Enter' && (event.ctrlKey || event.metaKey)) {
+      event.preventDefault();
+      run();
+    }
+  });
+  historySelect.addEventListener('change', () => {
+    if (historySelect.value !== '') {
+      editor.value = history[Number(historySelect.value)];
+      editor.focus();
+    }
+    historySelect.value = '';
+  });
+
+  const render = (nextAnalysis) => {
+    // Results belong to one dump; the editor and history are kept
+    if (!nextAnalysis || !analysis || nextAnalysis.sourcePath !== analysis.sourcePath) {
+      result = null;
+      showStatus('');
+      renderResult();
+    }
+    analysis = nextAnalysis;
+    if (!analysis) return;
+
+    const firstTable = analysis.tables[0].tableName;
+    editor.placeholder = `SELECT * FROM ${firstTable} LIMIT 100`;
+    hint.textContent = `SQLite syntax · Ctrl+Enter to run · the first query loads the rows of the dump's ` +
+      `${analysis.tables.length} tables, which can take a while for a large dump`;
+    setRunning(running);
+  };
+
+  renderHistory();
+  setRunning(false);
+  return { render };
+}
+
+/**
+ * Queries run before, most recent first; a missing or damaged history starts over empty
+ */
+function loadHistory() {
+  try {
+    const stored = JSON.parse(localStorage.getItem(HISTORY_KEY));
+    return Array.isArray(stored) ? stored.filter(sql => typeof sql === 'string') : [];
+  } catch (error) {
+    return [];
+  }
+}
+
+/**
+ * Moves a query to the top of the history, and stores it
+ */
+function addToHistory(history, sql) {
+  const next = [sql, ...history.filter(entry => entry !== sql)].slice(0, HISTORY_LIMIT);
+  try {
+    localStorage.setItem(HISTORY_KEY, JSON.stringify(next));
+  } catch (error) {
+    console.error('Error saving query history:', error.message);
+  }
+  return next;
+}
+
+function buildNotes(result) {
+  const texts = [];
+  if (result.truncated) {
+    texts.push(`Only the first ${result.rows.length.toLocaleString()} rows are shown; export the result to get all of them.`);
+  }
+  const { load } = result;
+  load.warnings.forEach(warning => texts.push(warning));
+  if (load.expressionCount > 0) {
+    texts.push(`${load.expressionCount.toLocaleString()} values of the dump or of column defaults are SQL expressions (such as NOW()) and are loaded as written.`);
+  }
+  if (load.skippedCount > 0) {
+    texts.push(`${load.skippedCount.toLocaleString()} statements of the dump could not be read (INSERT ... SELECT or COPY in CSV format); their rows are missing.`);
+  }
+  return texts.map(text => {
+    const note = document.createElement('p');
+    note.className = 'data-grid-note';
+    note.textContent = `⚠ ${text}`;
+    return note;
+  });
+}
+
+function buildGrid(result) {
+  const wrapper = document.createElement('div');
+  wrapper.className = 'data-grid';
+  const grid = document.createElement('table');
+
+  const titles = grid.createTHead().insertRow();
+  result.columns.forEach(({ name, kind }) => {
+    const cell = document.createElement('th');
+    cell.textContent = name;
+    cell.title = kind;
+    titles.appendChild(cell);
+  });
+
+  const body = grid.createTBody();
+  result.rows.forEach(values => {
+    const row = body.insertRow();
+    values.forEach((value, index) => {
+      const cell = row.insertCell();
+      const text = formatCellText(value);
+      cell.textContent = text.length > MAX_CELL_LENGTH ? `${text.slice(0, MAX_CELL_LENGTH)}…` : text;
+      if (text.length > MAX_CELL_LENGTH) cell.title = text;
+      cell.classList.toggle('data-null', value === null);
+      cell.classList.toggle('data-number', result.columns[index].kind === 'numeric' && value !== null);
+    });
+  });
+
+  wrapper.appendChild(grid);
+  if (result.rows.length === 0) {
+    const empty = document.createElement('p');
+    empty.className = 'profile-empty';
+    empty.textContent = 'The query returned no rows.';
+    wrapper.appendChild(empty);
+  }
+  return wrapper;
+}
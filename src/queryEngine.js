@@ -0,0 +1,280 @@
+/**
+ * Query console engine
+ * Loads the rows of a dump into a SQLite database file, then runs read-only queries against it.
+ * The tables are created from the analysis without their constraints, so that every row the dump
+ * inserts is loaded, and the key and foreign key columns are indexed once the rows are in. Columns
+ * a row leaves out hold their default, as in the database the dump would be loaded into. Queries
+ * are written in SQLite's dialect whatever the dialect of the dump.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { DIALECTS, quoteIdentifier } = require('./dialect');
+const { createFileOutput } = require('./fileOutput');
+const { readDumpRows } = require('./tableDataReader');
+const { DATA_EXPORT_FORMATS, describeDataColumns, formatCsvRecord, formatJsonRecord } = require('./tableData');
+
+// Rows of a result sent to the console; exports write all of them
+const MAX_RESULT_ROWS = 1000;
+
+// Declared types SQLite accepts as written: names and at most two numbers in parentheses
+const SQLITE_TYPE_PATTERN = /^[A-Za-z][A-Za-z0-9_ ]*(\(\s*\d+\s*(,\s*\d+\s*)?\))?$/;
+
+// Types used when a declared type cannot be kept; they give the same kind back (see describeDataColumns)
+const TYPES_BY_KIND = {
+  numeric: 'NUMERIC',
+  boolean: 'BOOLEAN',
+  binary: 'BLOB',
+  date: 'DATE',
+  datetime: 'DATETIME',
+  string: 'TEXT'
+};
+
+/**
+ * Loads the rows of a dump into a new SQLite database
+ * @param {String} sourcePath - Dump to read
+ * @param {String} databasePath - Database file to write (replaced if it exists)
+ * @param {Array} tables - Tables from the analysis of the dump
+ * @param {Object} options - { dialect, signal, onProgress } — aborting removes the partial database
+ *   and rejects with an AbortError
+ * @returns {Promise<Object>} { tableCount, rowsRead, expressionCount, skippedCount, warnings } —
+ *   warnings name the tables that could not be created
+ */
+async function buildQueryDatabase(sourcePath, databasePath, tables, { dialect, signal, onProgress }) {
+  const Database = require('better-sqlite3');
+  await fs.promises.rm(databasePath, { force: true });
+  const db = new Database(databasePath);
+
+  try {
+    // The file is rebuilt from the dump whenever it is needed; a crash only costs a reload
+    db.pragma('journal_mode = OFF');
+    db.pragma('synchronous = OFF');
+
+    const warnings = [];
+    const inserts = new Map();
+    const createdNames = new Set();
+    tables.forEach((table) => {
+      // SQLite names are case-insensitive, unlike PostgreSQL's quoted ones
+      if (createdNames.has(table.tableName.toLowerCase())) {
+        warnings.push(`${table.tableName} is not loaded: another table has the same name apart from case`);
+        return;
+      }
+      try {
+        createTable(db, table);
+      } catch (error) {
+        warnings.push(`${table.tableName} is not loaded: ${error.message}`);
+        return;
+      }
+      createdNames.add(table.tableName.toLowerCase());
+      const columnList = table.columns.map(column => quoteIdentifier(column.columnName, DIALECTS.SQLITE)).join(', ');
+      const statement = db.prepare(
+        `INSERT INTO ${quoteIdentifier(table.tableName, DIALECTS.SQLITE)} (${columnList}) ` +
+        `VALUES (${table.columns.map(() => '?').join(', ')})`
+      );
+      inserts.set(table.tableName, db.transaction((rows) => {
+        rows.forEach(row => statement.run(row.map(toSqliteValue)));
+      }));
+    });
+
+    const loadedTables = tables.filter(table => inserts.has(table.tableName));
+    const stats = await readDumpRows(sourcePath, loadedTables, {
+      dialect,
+      signal,
+      onProgress,
+      onRows: (rows, tableName) => inserts.get(tableName)(rows)
+    });
+
+    loadedTables.forEach(table => createIndexes(db, table));
+    db.close();
+    return { tableCount: loadedTables.length, ...stats, warnings };
+  } catch (error) {
+    db.close();
+    await fs.promises.rm(databasePath, { force: true });
+    throw error;
+  }
+}
+
+/**
+ * Creates a table with the declared types of its columns, or with the types of their kinds when
+ * SQLite does not accept the declared ones (ENUM('a', 'b'), VARCHAR(MAX), ...)
+ */
+function createTable(db, table) {
+  const create = (typeOf) => {
+    const columns = table.columns.map(column => `${quoteIdentifier(column.columnName, DIALECTS.SQLITE)} ${typeOf(column)}`);
+    db.exec(`CREATE TABLE ${quoteIdentifier(table.tableName, DIALECTS.SQLITE)} (${columns.join(', ')})`);
+  };
+  const kinds = new Map(describeDataColumns(table).map(column => [column.name, column.kind]));
+  const typeOfKind = column => TYPES_BY_KIND[kinds.get(column.columnName)];
+
+  const declared = table.columns.every(column => SQLITE_TYPE_PATTERN.test(String(column.dataType || '').trim()));
+  if (declared) {
+    try {
+      create(column => column.dataType.trim());
+      return;
+    } catch (error) {
+      // A type name SQLite reads as a keyword; the kinds give the same affinities
+    }
+  }
+  create(typeOfKind);
+}
+
+/**
+ * Indexes the primary key and foreign key columns of a table, which joins go through
+ */
+function createIndexes(db, table) {
+  const tableName = quoteIdentifier(table.tableName, DIALECTS.SQLITE);
+  table.columns
+    .filter(column => column.primaryKey || column.foreignKey)
+    .forEach((column) => {
+      const indexName = quoteIdentifier(`${table.tableName}__${column.columnName}`, DIALECTS.SQLITE);
+      db.exec(`CREATE INDEX IF NOT EXISTS ${indexName} ON ${tableName} (${quoteIdentifier(column.columnName, DIALECTS.SQLITE)})`);
+    });
+}
+
+function toSqliteValue(value) {
+  if (typeof value === 'boolean') return value ? 1 : 0;
+  if (value !== null && typeof value === 'object') {
+    return Buffer.from(value.hex.length % 2 === 0 ? value.hex : `0${value.hex}`, 'hex');
+  }
+  return value;
+}
+
+/**
+ * Prepares a query on a database opened read-only
+ * Only single statements that return rows are run (SELECT, WITH, VALUES, PRAGMA); anything else is
+ * rejected before it runs, and writes would fail on the read-only database anyway.
+ * @returns {Object} { db, statement, columns } — columns as from describeDataColumns, named uniquely
+ */
+function prepareQuery(databasePath, sql) {
+  const Database = require('better-sqlite3');
+  const db = new Database(databasePath, { readonly: true, fileMustExist: true });
+  try {
+    if (!String(sql || '').trim()) throw new Error('The query is empty');
+    const statement = db.prepare(sql);
+    if (!statement.reader) {
+      throw new Error('Only queries that return rows can be run (SELECT, WITH, VALUES or PRAGMA)');
+    }
+    statement.raw(true);
+    statement.safeIntegers(true);
+    return { db, statement, columns: describeResultColumns(statement.columns()) };
+  } catch (error) {
+    db.close();
+    throw error;
+  }
+}
+
+/**
+ * Columns of a result, with the kinds of their declared types; computed columns have none and are
+ * read as strings unless their values are numbers. Repeated names (SELECT * over a join) get a
+ * number, so that JSON Lines records keep every value.
+ */
+function describeResultColumns(resultColumns) {
+  const seen = new Map();
+  const columns = describeDataColumns({
+    columns: resultColumns.map(column => ({ columnName: column.name, dataType: column.type }))
+  });
+  return columns.map((column, index) => {
+    const count = (seen.get(column.name.toLowerCase()) || 0) + 1;
+    seen.set(column.name.toLowerCase(), count);
+    return {
+      name: count === 1 ? column.name : `${column.name} (${count})`,
+      kind: resultColumns[index].type ? column.kind : 'computed'
+    };
+  });
+}
+
+/**
+ * Cell value of a result, in the shapes of tableData.js
+ */
+function readResultValue(value, kind) {
+  if (value === null) return null;
+  if (Buffer.isBuffer(value)) return { hex: value.toString('hex') };
+  if (typeof value === 'bigint') {
+    const number = Number(value);
+    const integer = Number.isSafeInteger(number) ? number : value.toString();
+    return kind === 'boolean' && (integer === 0 || integer === 1) ? integer === 1 : integer;
+  }
+  return value;
+}
+
+/**
+ * Kinds of computed columns, judged from their values
+ */
+function resolveComputedKinds(columns, rows) {
+  return columns.map((column, index) => {
+    if (column.kind !== 'computed') return column;
+    const values = rows.map(row => row[index]).filter(value => value !== null);
+    const numeric = values.length > 0 && values.every(value => typeof value === 'number');
+    return { ...column, kind: numeric ? 'numeric' : 'string' };
+  });
+}
+
+/**
+ * Runs a query and returns its first rows
+ * @param {String} databasePath - Database built by buildQueryDatabase
+ * @param {String} sql - Query, in SQLite syntax
+ * @param {Object} [options] - { limit }
+ * @returns {Object} { columns, rows, truncated, durationMs } — truncated when the query returns more
+ *   rows than the limit
+ */
+function runQuery(databasePath, sql, { limit = MAX_RESULT_ROWS } = {}) {
+  const { db, statement, columns } = prepareQuery(databasePath, sql);
+  try {
+    const startedAt = Date.now();
+    const rows = [];
+    let truncated = false;
+    for (const values of statement.iterate()) {
+      if (rows.length === limit) {
+        truncated = true;
+        break;
+      }
+      rows.push(values.map((value, index) => readResultValue(value, columns[index].kind)));
+    }
+    return { columns: resolveComputedKinds(columns, rows), rows, truncated, durationMs: Date.now() - startedAt };
+  } finally {
+    db.close();
+  }
+}
+
+/**
+ * Writes every row of a query's result to a CSV (with a header line) or JSON Lines file
+ * @param {String} databasePath - Database built by buildQueryDatabase
+ * @param {String} sql - Query, in SQLite syntax
+ * @param {String} outputPath - File to write (replaced if it exists)
+ * @param {Object} options - { format: 'csv' or 'jsonl' }
+ * @returns {Promise<Object>} { outputPath, rowsWritten }
+ */
+async function exportQueryResult(databasePath, sql, outputPath, { format }) {
+  if (!DATA_EXPORT_FORMATS.some(candidate => candidate.id === format)) {
+    throw new Error(`Unknown data export format: ${format} (expected ${DATA_EXPORT_FORMATS.map(candidate => candidate.id).join(', ')})`);
+  }
+  if (path.resolve(databasePath) === path.resolve(outputPath)) {
+    throw new Error('The result cannot replace the database it is read from');
+  }
+
+  const { db, statement, columns } = prepareQuery(databasePath, sql);
+  const output = createFileOutput(outputPath);
+  try {
+    if (format === 'csv') await output.write(`${formatCsvRecord(columns.map(column => column.name))}\n`);
+    let rowsWritten = 0;
+    for (const values of statement.iterate()) {
+      const row = values.map((value, index) => readResultValue(value, columns[index].kind));
+      await output.write(`${format === 'csv' ? formatCsvRecord(row) : formatJsonRecord(columns, row)}\n`);
+      rowsWritten++;
+    }
+    await output.close();
+    return { outputPath, rowsWritten };
+  } catch (error) {
+    await output.discard();
+    throw error;
+  } finally {
+    db.close();
+  }
+}
+
+module.exports = {
+  MAX_RESULT_ROWS,
+  buildQueryDatabase,
+  runQuery,
+  exportQueryResult
+};
@@ -0,0 +1,48 @@
+/**
+ * Worker thread entry point for the query console
+ * Loads the rows of a dump into the console's SQLite database (job 'load'), runs a query (job
+ * 'query') or writes its whole result to a file (job 'export') off the main process, and reports
+ * back with messages:
+ * { type: 'progress', progress }, { type: 'complete', result },
+ * { type: 'cancelled' } or { type: 'error', message }
+ * Queries and exports run synchronously and cannot read a cancel message; the main process stops
+ * waiting for them and terminates the worker instead.
+ */
+
+const { parentPort, workerData } = require('worker_threads');
+const { buildQueryDatabase, runQuery, exportQueryResult } = require('./queryEngine');
+
+const controller = new AbortController();
+
+parentPort.on('message', (message) => {
+  if (message && message.type === 'cancel') {
+    controller.abort();
+  }
+});
+
+const runJob = async () => {
+  switch (workerData.job) {
+    case 'load':
+      return buildQueryDatabase(workerData.sourcePath, workerData.databasePath, workerData.tables, {
+        dialect: workerData.dialect,
+        signal: controller.signal,
+        onProgress: (progress) => parentPort.postMessage({ type: 'progress', progress })
+      });
+    case 'export':
+      return exportQueryResult(workerData.databasePath, workerData.sql, workerData.outputPath, { format: workerData.format });
+    default:
+      return runQuery(workerData.databasePath, workerData.sql);
+  }
+};
+
+runJob()
+  .then((result) => {
+    parentPort.postMessage({ type: 'complete', result });
+  })
+  .catch((error) => {
+    if (error.name === 'AbortError') {
+      parentPort.postMessage({ type: 'cancelled' });
+    } else {
+      parentPort.postMessage({ type: 'error', message: error.message });
+    }
+  });
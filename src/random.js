@@ -0,0 +1,43 @@
+/**
+ * Seedable pseudo-random numbers and string hashing
+ * Shared by the data profiler, whose samples must not change from one run to the next, and by
+ * the fake value generators, which give the same values for the same seed
+ */
+
+/**
+ * 32-bit FNV-1a hash with a murmur3 finalizer so that all bits are well mixed
+ */
+function hashString(text) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  hash ^= hash >>> 16;
+  hash = Math.imul(hash, 0x85ebca6b);
+  hash ^= hash >>> 13;
+  hash = Math.imul(hash, 0xc2b2ae35);
+  hash ^= hash >>> 16;
+  return hash >>> 0;
+}
+
+/**
+ * Small seedable pseudo-random generator (mulberry32)
+ * @param {Number} seed - 32-bit seed
+ * @returns {Function} Generator returning floats in [0, 1)
+ */
+function createRandom(seed) {
+  let state = seed >>> 0;
+  return function random() {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+module.exports = {
+  hashString,
+  createRandom
+};
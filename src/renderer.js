@@ -27,38 +27,383 @@
  */
 
 import './index.css';
-import jsPDF from 'jspdf';
-import autoTable from 'jspdf-autotable';
+import { createErDiagram } from './erDiagram';
+import { renderComparison } from './comparisonView';
+import { downloadBlob } from './download';
+import { generateMigration } from './migration';
+import { CODE_TARGETS, generateCode } from './codegen';
+import { findImpact } from './dependencyGraph';
+import { searchSchema } from './schemaSearch';
+import { renderDataProfile } from './dataProfileView';
+import { createDataGrid } from './dataGridView';
+import { renderAnnotationEditor } from './annotationsView';
+import { createAnonymizationPanel } from './anonymizeView';
+import { createSyntheticDataPanel } from './syntheticDataView';
+import { createQueryConsole } from './queryConsoleView';
+import { resolveTableAnnotation } from './annotations';
+import { detectSensitiveData } from './sensitiveData';
+import {
+  describeColumnKeys,
+  describeConstraint,
+  describeIndex,
+  describeSchemaObject,
+  formatDialectName,
+  SCHEMA_OBJECT_GROUPS
+} from './schemaText';
 
 console.log('👋 This message is being logged by "renderer.js", included via webpack');
 
-// Global variable to store analysis data for PDF export
+// Global variable to store analysis data for exports
 let currentAnalysis = null;
 
+// Schema comparison shown in Compare mode (included in the PDF export while active)
+let currentComparison = null;
+
+// Migration scripts generated from the current comparison, and which direction is shown
+let currentMigration = null;
+let migrationDirection = 'forward';
+
+// Tab shown in the table details, kept when switching between tables
+let activeDetailsTab = 'structure';
+
+// Whether the Load Order panel lists the load order or the drop order
+let tableOrderDirection = 'load';
+
+// Session file the current analysis was opened from or saved to
+let currentSessionPath = null;
+
+// Table shown in the details panel, saved with the session
+let selectedTableName = null;
+
+// Whether the progress panel is up for reading table data (the data grid, a table export or the
+// query console)
+let readingTableData = false;
+
+// Tables the user expanded or collapsed against the default of the current search; reset when
+// the search changes
+let toggledTables = new Set();
+
+// Sidebar icons of the schema object groups
+const SCHEMA_OBJECT_ICONS = {
+  views: '👁️',
+  routines: '⚙️',
+  triggers: '⚡',
+  types: '🏷️'
+};
+
+// Recent files menu icons by kind of file
+const RECENT_FILE_ICONS = {
+  dump: '📄',
+  sqlite: '🗄️',
+  session: '💾'
+};
+
 // DOM Content Loaded Event
 document.addEventListener('DOMContentLoaded', () => {
   const loadFileBtn = document.getElementById('loadFileBtn');
-  const exportPdfBtn = document.getElementById('exportPdfBtn');
+  const compareBtn = document.getElementById('compareBtn');
+  const connectDbBtn = document.getElementById('connectDbBtn');
+  const refreshDbBtn = document.getElementById('refreshDbBtn');
+  const recentFilesSelect = document.getElementById('recentFilesSelect');
+  const openSessionBtn = document.getElementById('openSessionBtn');
+  const saveSessionBtn = document.getElementById('saveSessionBtn');
+  const noticePanel = document.getElementById('notice');
+  const noticeText = document.getElementById('notice-text');
+  const connectPanel = document.getElementById('connect-panel');
+  const connectionStringInput = document.getElementById('connectionStringInput');
+  const comparisonPanel = document.getElementById('comparison');
+  const comparisonContent = document.getElementById('comparison-content');
+  const migrationPanel = document.getElementById('migration');
+  const migrationDialectSelect = document.getElementById('migrationDialectSelect');
+  const migrationForwardBtn = document.getElementById('migrationForwardBtn');
+  const migrationReverseBtn = document.getElementById('migrationReverseBtn');
+  const migrationWarnings = document.getElementById('migration-warnings');
+  const migrationSql = document.getElementById('migration-sql');
+  const exportBtn = document.getElementById('exportBtn');
+  const exportFormatSelect = document.getElementById('exportFormatSelect');
+  const dialectSelect = document.getElementById('dialectSelect');
   const dbNameElement = document.getElementById('db-name');
+  const dbDialectElement = document.getElementById('db-dialect');
   const totalTablesElement = document.getElementById('total-tables');
   const totalColumnsElement = document.getElementById('total-columns');
   const totalRecordsElement = document.getElementById('total-records');
+  const sensitiveColumnsElement = document.getElementById('sensitive-columns');
   const schemaTree = document.getElementById('schema-tree');
+  const schemaSearchInput = document.getElementById('schemaSearchInput');
+  const schemaSearchSummary = document.getElementById('schema-search-summary');
   const tableInfo = document.getElementById('table-info');
+  const integrityPanel = document.getElementById('integrity');
+  const integrityCount = document.getElementById('integrity-count');
+  const integrityList = document.getElementById('integrity-list');
+  const lintPanel = document.getElementById('lint');
+  const lintCount = document.getElementById('lint-count');
+  const lintConfig = document.getElementById('lint-config');
+  const lintList = document.getElementById('lint-list');
+  const lintSeveritySelect = document.getElementById('lintSeveritySelect');
+  const sensitiveDataPanel = document.getElementById('sensitive-data');
+  const sensitiveDataCount = document.getElementById('sensitive-data-count');
+  const sensitiveDataList = document.getElementById('sensitive-data-list');
+  const sensitiveLevelSelect = document.getElementById('sensitiveLevelSelect');
+  const anonymizePanel = document.getElementById('anonymize');
+  const syntheticDataPanel = document.getElementById('synthetic-data');
+  const queryConsolePanel = document.getElementById('query-console');
+  const progressPanel = document.getElementById('analysis-progress');
+  const progressFill = document.getElementById('progress-fill');
+  const progressText = document.getElementById('progress-text');
+  const cancelAnalysisBtn = document.getElementById('cancelAnalysisBtn');
+  const diagnosticsPanel = document.getElementById('diagnostics');
+  const diagnosticsCount = document.getElementById('diagnostics-count');
+  const diagnosticsList = document.getElementById('diagnostics-list');
+  const tableOrderPanel = document.getElementById('table-order');
+  const tableOrderCount = document.getElementById('table-order-count');
+  const tableOrderCycles = document.getElementById('table-order-cycles');
+  const tableOrderList = document.getElementById('table-order-list');
+  const loadOrderBtn = document.getElementById('loadOrderBtn');
+  const dropOrderBtn = document.getElementById('dropOrderBtn');
+  const codegenPanel = document.getElementById('codegen');
+  const codegenTargetSelect = document.getElementById('codegenTargetSelect');
+  const codegenCode = document.getElementById('codegen-code');
+
+  // Set up the ER diagram; clicking a table box shows its details
+  const erDiagram = createErDiagram(document.getElementById('er-canvas-container'), {
+    onSelectTable: (table) => displayTableDetails(table)
+  });
+
+  document.getElementById('erLayoutBtn').addEventListener('click', () => erDiagram.autoLayout());
+  document.getElementById('erResetViewBtn').addEventListener('click', () => erDiagram.resetView());
+  document.getElementById('erExportSvgBtn').addEventListener('click', () => erDiagram.exportSvg());
+  document.getElementById('erExportPngBtn').addEventListener('click', async () => {
+    try {
+      await erDiagram.exportPng();
+    } catch (error) {
+      console.error('Error exporting diagram:', error);
+      showError(error.message);
+    }
+  });
+
+  // Set up the anonymized copy panel; the copy is written by the main process
+  const anonymization = createAnonymizationPanel(document.getElementById('anonymize-content'), {
+    onWrite: (settings) => writeAnonymizedCopy(settings)
+  });
+
+  // Set up the test data panel; the rows are generated and written by the main process
+  const syntheticData = createSyntheticDataPanel(document.getElementById('synthetic-data-content'), {
+    onGenerate: (settings, format) => generateTestData(settings, format)
+  });
+
+  // Set up the query console; the queries run in the main process
+  const queryConsole = createQueryConsole(document.getElementById('query-console-content'), {
+    onRun: (sql) => runQuery(sql),
+    onExport: (sql, format) => exportQueryResult(sql, format),
+    onCancel: () => window.electronAPI.cancelAnalysis()
+  });
+
+  loadOrderBtn.addEventListener('click', () => {
+    tableOrderDirection = 'load';
+    displayTableOrder(currentAnalysis);
+  });
+  dropOrderBtn.addEventListener('click', () => {
+    tableOrderDirection = 'drop';
+    displayTableOrder(currentAnalysis);
+  });
+
+  // Fill the code generation target menu; the preview follows the selected target
+  Object.entries(CODE_TARGETS).forEach(([id, target]) => {
+    const option = document.createElement('option');
+    option.value = id;
+    option.textContent = target.label;
+    codegenTargetSelect.appendChild(option);
+  });
+
+  codegenTargetSelect.addEventListener('change', () => displayGeneratedCode(currentAnalysis));
+
+  document.getElementById('codegenCopyBtn').addEventListener('click', async () => {
+    if (!codegenCode.textContent) return;
+    try {
+      await navigator.clipboard.writeText(codegenCode.textContent);
+    } catch (error) {
+      console.error('Error copying generated code:', error);
+      showError(`Failed to copy: ${error.message}`);
+    }
+  });
+
+  // Saving goes through the exporter of the same id, so the file is written by the main process
+  document.getElementById('codegenSaveBtn').addEventListener('click', () => {
+    if (currentAnalysis) {
+      exportAnalysis(currentAnalysis, codegenTargetSelect.value);
+    }
+  });
+
+  // Filter the schema browser as the search query is typed
+  let searchTimer = null;
+  schemaSearchInput.addEventListener('input', () => {
+    clearTimeout(searchTimer);
+    searchTimer = setTimeout(() => {
+      toggledTables = new Set();
+      displaySchemaTree(currentAnalysis);
+    }, 150);
+  });
+  schemaSearchInput.addEventListener('keydown', (event) => {
+    if (event.key === 'Escape' && schemaSearchInput.value !== '') {
+      schemaSearchInput.value = '';
+      toggledTables = new Set();
+      displaySchemaTree(currentAnalysis);
+    }
+  });
 
   // Set up IPC listeners for receiving analysis data
   window.electronAPI.on('analysis-complete', (event, analysis) => {
+    finishAnalysis();
+    closeComparison();
+    // Refreshing the same source stays in its session
+    if (!currentAnalysis || currentAnalysis.sourcePath !== analysis.sourcePath) {
+      leaveSession();
+    }
     displayAnalysisResults(analysis);
+    refreshRecentFiles();
+    console.log('Analysis loaded successfully:', analysis);
+  });
+
+  window.electronAPI.on('session-opened', (event, session) => {
+    finishAnalysis();
+    closeComparison();
+    dialectSelect.value = session.dialect || 'auto';
+    displayAnalysisResults(session.analysis);
+    currentSessionPath = session.sessionPath;
+    restoreUiState(session.uiState);
+    if (session.notice) showNotice(session.notice);
+    refreshRecentFiles();
+    console.log('Session opened successfully:', session.sessionPath);
   });
 
   window.electronAPI.on('analysis-error', (event, error) => {
+    finishAnalysis();
     showError(error);
   });
 
-  // Add click event listener to the Export PDF button
-  exportPdfBtn.addEventListener('click', () => {
+  window.electronAPI.on('comparison-complete', (event, comparison) => {
+    finishAnalysis();
+    leaveSession();
+    // The rest of the UI shows the newer dump; the comparison panel shows the diff
+    displayAnalysisResults(comparison.newAnalysis);
+    displayComparison(comparison);
+    console.log('Comparison loaded successfully:', comparison.diff);
+  });
+
+  window.electronAPI.on('analysis-progress', (event, progress) => {
+    displayProgress(progress);
+  });
+
+  // The progress panel shows once the destination is chosen and the copy starts
+  window.electronAPI.on('anonymize-progress', (event, progress) => {
+    if (progressPanel.classList.contains('hidden')) {
+      startAnalysis(currentAnalysis.sourcePath);
+    }
+    displayProgress(progress);
+  });
+
+  // Reading the rows of a table for the data grid or an export, or of every table for the query
+  // console, shows the same panel
+  window.electronAPI.on('table-data-progress', (event, progress) => {
+    if (progressPanel.classList.contains('hidden')) {
+      startAnalysis(currentAnalysis.sourcePath);
+      disableAnalysisButtons();
+      readingTableData = true;
+    }
+    displayProgress(progress);
+  });
+
+  window.electronAPI.on('analysis-cancelled', () => {
+    finishAnalysis();
+    showError('Analysis cancelled');
+  });
+
+  // Add click event listener to the Cancel button of the progress panel
+  cancelAnalysisBtn.addEventListener('click', async () => {
+    cancelAnalysisBtn.disabled = true;
+    await window.electronAPI.cancelAnalysis();
+  });
+
+  // Add click event listener to the Compare button
+  compareBtn.addEventListener('click', async () => {
+    try {
+      loadFileBtn.disabled = true;
+      compareBtn.disabled = true;
+      compareBtn.textContent = 'Comparing...';
+
+      // Main process asks for the old and new dumps, then analyzes both in workers
+      const result = await window.electronAPI.compareFiles({ dialect: dialectSelect.value });
+
+      if (result.success) {
+        startAnalysis(`${result.oldPath} and ${result.newPath}`);
+      } else {
+        console.error('Failed to compare files:', result.message);
+        showError(result.message);
+        finishAnalysis();
+      }
+    } catch (error) {
+      console.error('Error comparing SQL files:', error);
+      showError('Failed to compare SQL files');
+      finishAnalysis();
+    }
+  });
+
+  document.getElementById('closeComparisonBtn').addEventListener('click', () => closeComparison());
+
+  document.getElementById('exportDiffJsonBtn').addEventListener('click', () => {
+    if (!currentComparison) return;
+    const exported = {
+      oldFile: currentComparison.oldPath,
+      newFile: currentComparison.newPath,
+      diff: currentComparison.diff
+    };
+    downloadBlob(new Blob([JSON.stringify(exported, null, 2)], { type: 'application/json' }), 'schema-diff.json');
+  });
+
+  document.getElementById('generateMigrationBtn').addEventListener('click', () => {
+    if (!currentComparison) return;
+    try {
+      currentMigration = generateMigration(currentComparison.oldAnalysis, currentComparison.newAnalysis, {
+        dialect: migrationDialectSelect.value
+      });
+      displayMigration('forward');
+    } catch (error) {
+      console.error('Error generating migration:', error);
+      showError(`Failed to generate migration: ${error.message}`);
+    }
+  });
+
+  migrationForwardBtn.addEventListener('click', () => displayMigration('forward'));
+  migrationReverseBtn.addEventListener('click', () => displayMigration('reverse'));
+
+  document.getElementById('saveMigrationBtn').addEventListener('click', () => {
+    if (!currentMigration) return;
+    const script = currentMigration[migrationDirection];
+    downloadBlob(new Blob([script.sql], { type: 'application/sql' }), `migration-${migrationDirection}.sql`);
+  });
+
+  sensitiveLevelSelect.addEventListener('change', () => {
+    if (currentAnalysis) displaySensitiveData(currentAnalysis);
+  });
+  
+  lintSeveritySelect.addEventListener('change', () => {
+    if (currentAnalysis) displayLint(currentAnalysis.lint);
+  });
+
+  // Fill the Export menu with the formats registered in the main process
+  window.electronAPI.listExporters().then(exporters => {
+    exporters.forEach(exporter => {
+      const option = document.createElement('option');
+      option.value = exporter.id;
+      option.textContent = exporter.label;
+      exportFormatSelect.appendChild(option);
+    });
+  });
+
+  // Add click event listener to the Export button
+  exportBtn.addEventListener('click', () => {
     if (currentAnalysis) {
-      generatePdf(currentAnalysis);
+      exportAnalysis(currentAnalysis, exportFormatSelect.value);
     } else {
       showError('No analysis data available. Please load a SQL file first.');
     }
@@ -71,39 +416,330 @@ document.addEventListener('DOMContentLoaded', () => {
       loadFileBtn.disabled = true;
       loadFileBtn.textContent = 'Loading...';
 
-      // Call the main process to open file dialog and analyze SQL
-      const result = await window.electronAPI.openFileDialog();
+      // Call the main process to open file dialog; the analysis itself runs in a
+      // worker and reports back through the analysis-* events
+      const result = await window.electronAPI.openFileDialog({ dialect: dialectSelect.value });
 
       if (result.success) {
-        const analysis = result.analysis;
-        
-        // Use the new display function
-        displayAnalysisResults(analysis);
-        
-        console.log('Analysis loaded successfully:', analysis);
+        startAnalysis(result.filePath);
       } else {
         console.error('Failed to load file:', result.message);
         showError(result.message);
+        finishAnalysis();
       }
     } catch (error) {
       console.error('Error loading SQL file:', error);
       showError('Failed to load SQL file');
-    } finally {
-      // Re-enable button
-      loadFileBtn.disabled = false;
-      loadFileBtn.textContent = 'Load SQL File';
+      finishAnalysis();
     }
   });
 
+  // Choosing a recent file opens it again; sessions reopen with their view
+  recentFilesSelect.addEventListener('change', async () => {
+    const filePath = recentFilesSelect.value;
+    recentFilesSelect.value = '';
+    if (!filePath) return;
+
+    try {
+      const result = await window.electronAPI.openRecentFile({ filePath, dialect: dialectSelect.value });
+      if (result.success) {
+        disableAnalysisButtons();
+        startAnalysis(result.filePath);
+      } else {
+        showError(result.message);
+        refreshRecentFiles();
+      }
+    } catch (error) {
+      console.error('Error opening recent file:', error);
+      showError('Failed to open the recent file');
+    }
+  });
+
+  openSessionBtn.addEventListener('click', async () => {
+    try {
+      const result = await window.electronAPI.openSession();
+      if (result.success) {
+        disableAnalysisButtons();
+        startAnalysis(result.filePath);
+      } else if (result.message !== 'No file selected') {
+        showError(result.message);
+      }
+    } catch (error) {
+      console.error('Error opening session:', error);
+      showError('Failed to open the session');
+    }
+  });
+
+  saveSessionBtn.addEventListener('click', async () => {
+    if (!currentAnalysis) return;
+    try {
+      const result = await window.electronAPI.saveSession({
+        analysis: currentAnalysis,
+        dialect: dialectSelect.value,
+        uiState: collectUiState(),
+        sessionPath: currentSessionPath
+      });
+
+      if (result.cancelled) return;
+      if (!result.success) {
+        showError(`Failed to save the session: ${result.message}`);
+        return;
+      }
+      currentSessionPath = result.filePath;
+      showNotice(`Session saved to ${result.filePath}`);
+      refreshRecentFiles();
+    } catch (error) {
+      console.error('Error saving session:', error);
+      showError('Failed to save the session');
+    }
+  });
+
+  document.getElementById('noticeDismissBtn').addEventListener('click', () => noticePanel.classList.add('hidden'));
+
+  refreshRecentFiles();
+
+  // Connect Database shows the connection form; the main process keeps the connection string
+  connectDbBtn.addEventListener('click', () => {
+    connectPanel.classList.toggle('hidden');
+    if (!connectPanel.classList.contains('hidden')) connectionStringInput.focus();
+  });
+
+  document.getElementById('connectCancelBtn').addEventListener('click', () => {
+    connectionStringInput.value = '';
+    connectPanel.classList.add('hidden');
+  });
+
+  document.getElementById('browseDbFileBtn').addEventListener('click', async () => {
+    const filePath = await window.electronAPI.chooseDatabaseFile();
+    if (filePath) connectionStringInput.value = filePath;
+  });
+
+  connectPanel.addEventListener('submit', async (event) => {
+    event.preventDefault();
+    try {
+      const result = await window.electronAPI.connectDatabase({ connectionString: connectionStringInput.value });
+
+      if (result.success) {
+        // Do not keep the password around in the form
+        connectionStringInput.value = '';
+        connectPanel.classList.add('hidden');
+        disableAnalysisButtons();
+        startAnalysis(result.label);
+      } else {
+        console.error('Failed to connect:', result.message);
+        showError(result.message);
+      }
+    } catch (error) {
+      console.error('Error connecting to the database:', error);
+      showError('Failed to connect to the database');
+    }
+  });
+
+  refreshDbBtn.addEventListener('click', async () => {
+    if (!currentAnalysis || !currentAnalysis.connectionId) return;
+    try {
+      const result = await window.electronAPI.refreshDatabase({ connectionId: currentAnalysis.connectionId });
+      if (result.success) {
+        disableAnalysisButtons();
+        startAnalysis(result.label);
+      } else {
+        showError(result.message);
+      }
+    } catch (error) {
+      console.error('Error refreshing the database:', error);
+      showError('Failed to refresh the database');
+    }
+  });
+
+  function disableAnalysisButtons() {
+    loadFileBtn.disabled = true;
+    compareBtn.disabled = true;
+    connectDbBtn.disabled = true;
+    refreshDbBtn.disabled = true;
+    recentFilesSelect.disabled = true;
+    openSessionBtn.disabled = true;
+  }
+
+  async function refreshRecentFiles() {
+    const entries = await window.electronAPI.listRecentFiles();
+    // Keep the placeholder option
+    while (recentFilesSelect.options.length > 1) {
+      recentFilesSelect.remove(1);
+    }
+    entries.forEach(entry => {
+      const option = document.createElement('option');
+      option.value = entry.path;
+      option.textContent = `${RECENT_FILE_ICONS[entry.kind] || '📄'} ${entry.path.split(/[\\/]/).pop()}`;
+      option.title = entry.path;
+      recentFilesSelect.appendChild(option);
+    });
+    recentFilesSelect.disabled = entries.length === 0 || !progressPanel.classList.contains('hidden');
+  }
+
+  function leaveSession() {
+    currentSessionPath = null;
+  }
+
+  /**
+   * View state saved with a session: selected table and tab, search, table order and diagram layout
+   */
+  function collectUiState() {
+    return {
+      selectedTable: selectedTableName,
+      detailsTab: activeDetailsTab,
+      search: schemaSearchInput.value,
+      tableOrderDirection,
+      diagram: erDiagram.getLayout()
+    };
+  }
+
+  function restoreUiState(uiState) {
+    if (uiState.detailsTab) activeDetailsTab = uiState.detailsTab;
+    if (uiState.tableOrderDirection) {
+      tableOrderDirection = uiState.tableOrderDirection;
+      displayTableOrder(currentAnalysis);
+    }
+    schemaSearchInput.value = uiState.search || '';
+    displaySchemaTree(currentAnalysis);
+    erDiagram.setLayout(uiState.diagram);
+
+    const table = currentAnalysis.tables.find(candidate => candidate.tableName === uiState.selectedTable);
+    if (table) {
+      erDiagram.select(table.tableName);
+      displayTableDetails(table);
+    }
+  }
+
+  function showNotice(message) {
+    noticeText.textContent = message;
+    noticePanel.classList.remove('hidden');
+  }
+
+  function startAnalysis(filePath) {
+    noticePanel.classList.add('hidden');
+    progressFill.style.width = '0%';
+    progressText.textContent = `Analyzing ${filePath}...`;
+    cancelAnalysisBtn.disabled = false;
+    progressPanel.classList.remove('hidden');
+  }
+
+  function displayProgress(progress) {
+    // Live databases report the tables whose rows have been counted
+    if (progress.totalTables !== undefined) {
+      progressFill.style.width = `${progress.totalTables > 0 ? (progress.tablesRead / progress.totalTables) * 100 : 100}%`;
+      progressText.textContent = `Counting rows · ${progress.tablesRead} of ${progress.totalTables} tables`;
+      return;
+    }
+
+    // Table data is read in one pass over the dump, for one table or for the query console
+    if (progress.tableName !== undefined) {
+      const percent = progress.totalBytes > 0 ? (progress.bytesRead / progress.totalBytes) * 100 : 100;
+      progressFill.style.width = `${percent.toFixed(1)}%`;
+      progressText.textContent = `Reading ${progress.tableName} · ${formatBytes(progress.bytesRead)} of ` +
+        `${formatBytes(progress.totalBytes)} read · ${progress.rowsRead.toLocaleString()} rows`;
+      return;
+    }
+
+    if (progress.tableCount !== undefined) {
+      const percent = progress.totalBytes > 0 ? (progress.bytesRead / progress.totalBytes) * 100 : 100;
+      progressFill.style.width = `${percent.toFixed(1)}%`;
+      progressText.textContent = `Loading ${progress.tableCount} tables for queries · ${formatBytes(progress.bytesRead)} of ` +
+        `${formatBytes(progress.totalBytes)} read · ${progress.rowsRead.toLocaleString()} rows`;
+      return;
+    }
+
+    // Anonymized copies read the dump once, or twice when a subset of the rows is kept
+    if (progress.pass !== undefined) {
+      const percent = progress.totalBytes > 0 ? (progress.bytesRead / progress.totalBytes) * 100 : 100;
+      progressFill.style.width = `${percent.toFixed(1)}%`;
+      progressText.textContent = (progress.passes > 1 ? `Pass ${progress.pass} of ${progress.passes} · ` : '') +
+        `${formatBytes(progress.bytesRead)} of ${formatBytes(progress.totalBytes)} read · ` +
+        `${progress.rowsWritten.toLocaleString()} rows written`;
+      return;
+    }
+
+    const percent = progress.totalBytes > 0 ? (progress.bytesRead / progress.totalBytes) * 100 : 100;
+    progressFill.style.width = `${percent.toFixed(1)}%`;
+    progressText.textContent = `${formatBytes(progress.bytesRead)} of ${formatBytes(progress.totalBytes)} read · ` +
+      `${progress.statementsProcessed.toLocaleString()} statements · ${progress.tablesFound} tables`;
+  }
+
+  function finishAnalysis() {
+    // Hide progress and re-enable buttons
+    progressPanel.classList.add('hidden');
+    loadFileBtn.disabled = false;
+    loadFileBtn.textContent = 'Load SQL File';
+    compareBtn.disabled = false;
+    compareBtn.textContent = 'Compare';
+    connectDbBtn.disabled = false;
+    refreshDbBtn.disabled = false;
+    recentFilesSelect.disabled = recentFilesSelect.options.length <= 1;
+    openSessionBtn.disabled = false;
+  }
+
+  function displayComparison(comparison) {
+    currentComparison = comparison;
+    renderComparison(comparisonContent, comparison);
+    // Default the migration target to the dialect of the newer dump
+    migrationDialectSelect.value = comparison.newAnalysis.dialect;
+    clearMigration();
+    comparisonPanel.classList.remove('hidden');
+  }
+
+  function closeComparison() {
+    currentComparison = null;
+    comparisonContent.innerHTML = '';
+    clearMigration();
+    comparisonPanel.classList.add('hidden');
+  }
+
+  function displayMigration(direction) {
+    if (!currentMigration) return;
+    migrationDirection = direction;
+    migrationForwardBtn.classList.toggle('active', direction === 'forward');
+    migrationReverseBtn.classList.toggle('active', direction === 'reverse');
+
+    const script = currentMigration[direction];
+    migrationWarnings.innerHTML = '';
+    script.warnings.forEach(warning => {
+      const item = document.createElement('li');
+      item.textContent = `⚠ ${warning}`;
+      migrationWarnings.appendChild(item);
+    });
+    migrationSql.textContent = script.sql;
+    migrationPanel.classList.remove('hidden');
+  }
+
+  function clearMigration() {
+    currentMigration = null;
+    migrationWarnings.innerHTML = '';
+    migrationSql.textContent = '';
+    migrationPanel.classList.add('hidden');
+  }
+
+  function formatBytes(bytes) {
+    const units = ['B', 'KB', 'MB', 'GB', 'TB'];
+    let value = bytes;
+    let unitIndex = 0;
+    while (value >= 1024 && unitIndex < units.length - 1) {
+      value /= 1024;
+      unitIndex++;
+    }
+    return `${value.toFixed(unitIndex === 0 ? 0 : 1)} ${units[unitIndex]}`;
+  }
+
   function displayAnalysisResults(analysis) {
-    // Store analysis data globally for PDF export
+    // Store analysis data globally for exports
     currentAnalysis = analysis;
+    refreshDbBtn.classList.toggle('hidden', !analysis.connectionId);
+    saveSessionBtn.disabled = false;
     
     // Clear any previous content
     clearPreviousContent();
     
     // Populate dashboard with statistics
     dbNameElement.textContent = analysis.databaseName || 'Unknown';
+    dbDialectElement.textContent = formatDialectName(analysis.dialect);
     totalTablesElement.textContent = analysis.totalTables;
     
     // Calculate and display total columns
@@ -114,28 +750,551 @@ document.addEventListener('DOMContentLoaded', () => {
     const totalRecords = analysis.tables.reduce((sum, table) => sum + table.rowCount, 0);
     totalRecordsElement.textContent = totalRecords;
     
-    // Dynamically create list items for each table
-    analysis.tables.forEach(table => {
+    // Build the schema browser, filtered by the search box
+    toggledTables = new Set();
+    displaySchemaTree(analysis);
+    
+    // Draw the ER diagram for the new analysis
+    erDiagram.render(analysis);
+    
+    // List statements that could not be parsed
+    displayDiagnostics(analysis.diagnostics || [], analysis.diagnosticsOmitted || null);
+    displayIntegrity(analysis.integrity);
+    displayLint(analysis.lint);
+    displaySensitiveData(analysis);
+    displayAnonymization(analysis);
+    displaySyntheticData(analysis);
+    displayQueryConsole(analysis);
+    displayTableOrder(analysis);
+    displayGeneratedCode(analysis);
+  }
+
+  function displayTableOrder(analysis) {
+    tableOrderCycles.innerHTML = '';
+    tableOrderList.innerHTML = '';
+    const tableOrder = analysis && analysis.tableOrder;
+    tableOrderPanel.classList.toggle('hidden', !tableOrder || tableOrder.loadOrder.length === 0);
+    if (!tableOrder) return;
+    
+    loadOrderBtn.classList.toggle('active', tableOrderDirection === 'load');
+    dropOrderBtn.classList.toggle('active', tableOrderDirection === 'drop');
+    const { cycles } = tableOrder;
+    tableOrderCount.textContent = `${cycles.length} cycle${cycles.length === 1 ? '' : 's'}`;
+    
+    // Tables of a cycle reference each other, so no order loads them without deferring a foreign key
+    const tablesInCycles = new Set();
+    cycles.forEach(cycle => {
+      cycle.forEach(tableName => tablesInCycles.add(tableName));
+      const item = document.createElement('li');
+      item.textContent = cycle.length === 1
+        ? `${cycle[0]} references itself; load parent rows before child rows`
+        : `Reference cycle: ${cycle.join(' → ')} → ${cycle[0]}; defer or drop one foreign key to load them`;
+      tableOrderCycles.appendChild(item);
+    });
+    
+    const order = tableOrderDirection === 'load' ? tableOrder.loadOrder : tableOrder.dropOrder;
+    order.forEach(tableName => {
+      const item = document.createElement('li');
+      item.textContent = tableName;
+      item.classList.toggle('in-cycle', tablesInCycles.has(tableName));
+      item.addEventListener('click', () => {
+        const table = analysis.tables.find(candidate => candidate.tableName === tableName);
+        if (table) {
+          erDiagram.select(table.tableName);
+          displayTableDetails(table);
+        }
+      });
+      tableOrderList.appendChild(item);
+    });
+  }
+
+  function displaySchemaTree(analysis) {
+    schemaTree.innerHTML = '';
+    schemaSearchSummary.classList.add('hidden');
+    if (!analysis) return;
+    
+    const result = searchSchema(analysis, schemaSearchInput.value);
+    if (result.active || result.errors.length > 0) {
+      const counts = `${result.tables.length} of ${analysis.tables.length} tables, ${result.matchedColumns} columns`;
+      schemaSearchSummary.textContent = [result.active ? counts : null, ...result.errors].filter(Boolean).join(' · ');
+      schemaSearchSummary.classList.toggle('error', result.errors.length > 0);
+      schemaSearchSummary.classList.remove('hidden');
+    }
+    
+    appendTreeGroup('Tables', result.tables.length, result.active ? analysis.tables.length : null);
+    result.tables.forEach(({ table, nameMatches, columns }) => {
+      // While searching, only the tables with matching columns start expanded
+      const expandedByDefault = !result.active || columns.length > 0;
+      const expanded = expandedByDefault !== toggledTables.has(table.tableName);
+      
       const tableItem = document.createElement('li');
       tableItem.className = 'table-item';
-      tableItem.textContent = `📊 ${table.tableName} (${table.rowCount} rows)`;
+      const toggle = document.createElement('span');
+      toggle.className = 'tree-toggle';
+      toggle.textContent = expanded ? '▾' : '▸';
+      toggle.addEventListener('click', (event) => {
+        event.stopPropagation();
+        if (toggledTables.has(table.tableName)) {
+          toggledTables.delete(table.tableName);
+        } else {
+          toggledTables.add(table.tableName);
+        }
+        displaySchemaTree(analysis);
+      });
+      tableItem.appendChild(toggle);
+      tableItem.appendChild(document.createTextNode('📊 '));
+      appendHighlighted(tableItem, table.tableName, nameMatches);
+      tableItem.appendChild(document.createTextNode(` (${table.rowCount} rows)`));
+      if (table.comment) tableItem.title = table.comment;
       
-      // Add click event listener to show table details
-      tableItem.addEventListener('click', () => displayTableDetails(table));
+      // Add click event listener to show table details and select it in the diagram
+      tableItem.addEventListener('click', () => {
+        erDiagram.select(table.tableName);
+        displayTableDetails(table);
+      });
       
       schemaTree.appendChild(tableItem);
+      if (!expanded) return;
       
-      // Add columns as sub-items
-      table.columns.forEach(column => {
+      // Add columns as sub-items: the matching ones, or all of them
+      const shownColumns = columns.length > 0
+        ? columns
+        : table.columns.map(column => ({ column, nameMatches: [], typeMatches: [] }));
+      shownColumns.forEach(({ column, nameMatches: columnMatches, typeMatches }) => {
         const columnItem = document.createElement('li');
         columnItem.className = 'column-item';
-        columnItem.textContent = `${column.columnName}: ${column.dataType}`;
+        appendHighlighted(columnItem, column.columnName, columnMatches);
+        columnItem.appendChild(document.createTextNode(': '));
+        appendHighlighted(columnItem, column.dataType, typeMatches);
+        if (column.comment) columnItem.title = column.comment;
         schemaTree.appendChild(columnItem);
       });
     });
+    
+    // Views, routines, triggers and types follow in their own groups
+    SCHEMA_OBJECT_GROUPS.forEach(({ key, label }) => {
+      const total = (analysis[key] || []).length;
+      const matches = result.objects.filter(entry => entry.key === key);
+      if (matches.length === 0) return;
+      
+      appendTreeGroup(label, matches.length, result.active ? total : null);
+      matches.forEach(({ object, nameMatches }) => {
+        const objectItem = document.createElement('li');
+        objectItem.className = 'object-item';
+        objectItem.appendChild(document.createTextNode(`${SCHEMA_OBJECT_ICONS[key]} `));
+        appendHighlighted(objectItem, object.name, nameMatches);
+        objectItem.addEventListener('click', () => displaySchemaObjectDetails(object));
+        schemaTree.appendChild(objectItem);
+      });
+    });
+  }
+  
+  /**
+   * Appends text with the characters at the given positions wrapped in <mark>
+   */
+  function appendHighlighted(parent, text, positions) {
+    const marked = new Set(positions);
+    let index = 0;
+    while (index < text.length) {
+      const highlighted = marked.has(index);
+      let end = index + 1;
+      while (end < text.length && marked.has(end) === highlighted) end++;
+      const part = document.createTextNode(text.slice(index, end));
+      if (highlighted) {
+        const mark = document.createElement('mark');
+        mark.appendChild(part);
+        parent.appendChild(mark);
+      } else {
+        parent.appendChild(part);
+      }
+      index = end;
+    }
+  }
+
+  function appendTreeGroup(label, count, total = null) {
+    const groupItem = document.createElement('li');
+    groupItem.className = 'group-item';
+    groupItem.textContent = total === null ? `${label} (${count})` : `${label} (${count} of ${total})`;
+    schemaTree.appendChild(groupItem);
+  }
+
+  function displayGeneratedCode(analysis) {
+    codegenPanel.classList.toggle('hidden', !analysis);
+    if (!analysis) {
+      codegenCode.textContent = '';
+      return;
+    }
+    
+    try {
+      codegenCode.textContent = generateCode(codegenTargetSelect.value, analysis);
+    } catch (error) {
+      console.error('Error generating code:', error);
+      codegenCode.textContent = `Failed to generate code: ${error.message}`;
+    }
+  }
+
+  function displayDiagnostics(diagnostics, omitted = null) {
+    diagnosticsList.innerHTML = '';
+    const skippedCount = diagnostics.length + (omitted ? omitted.count : 0);
+    diagnosticsPanel.classList.toggle('hidden', skippedCount === 0);
+    diagnosticsCount.textContent = `${skippedCount} statement${skippedCount === 1 ? '' : 's'} skipped` +
+      (omitted ? ` (first ${diagnostics.length} listed)` : '');
+    
+    diagnostics.forEach(diagnostic => {
+      const item = document.createElement('li');
+      item.className = 'diagnostic-item';
+      
+      const location = document.createElement('span');
+      location.className = 'diagnostic-location';
+      location.textContent = `Line ${diagnostic.line}, column ${diagnostic.column}`;
+      item.appendChild(location);
+      
+      const preview = document.createElement('code');
+      preview.className = 'diagnostic-preview';
+      preview.textContent = diagnostic.preview;
+      item.appendChild(preview);
+      
+      const message = document.createElement('p');
+      message.className = 'diagnostic-message';
+      message.textContent = diagnostic.message;
+      item.appendChild(message);
+      
+      diagnosticsList.appendChild(item);
+    });
+
+    if (omitted) {
+      const item = document.createElement('li');
+      item.className = 'diagnostic-item';
+      const message = document.createElement('p');
+      message.className = 'diagnostic-message';
+      message.textContent = `${omitted.count.toLocaleString()} more skipped statement${omitted.count === 1 ? '' : 's'}, from line ${omitted.line} on, are not listed.`;
+      item.appendChild(message);
+      diagnosticsList.appendChild(item);
+    }
+  }
+
+  function displayIntegrity(integrity) {
+    integrityList.innerHTML = '';
+    const findings = integrity ? integrity.findings : [];
+    const incomplete = integrity ? integrity.incomplete : null;
+    integrityPanel.classList.toggle('hidden', findings.length === 0 && !incomplete);
+    if (findings.length === 0 && !incomplete) return;
+    
+    const { orphanRows, duplicateKeys, nullViolations } = integrity.summary;
+    integrityCount.textContent = `${orphanRows} orphan row${orphanRows === 1 ? '' : 's'} · ` +
+      `${duplicateKeys} duplicate key${duplicateKeys === 1 ? '' : 's'} · ` +
+      `${nullViolations} NULL violation${nullViolations === 1 ? '' : 's'}` +
+      (integrity.truncated ? ` (first ${findings.length} listed)` : '');
+    
+    if (incomplete) {
+      const item = document.createElement('li');
+      item.className = 'diagnostic-item';
+      const message = document.createElement('p');
+      message.className = 'diagnostic-message';
+      message.textContent = describeIncompleteIntegrity(incomplete);
+      item.appendChild(message);
+      integrityList.appendChild(item);
+    }
+    
+    findings.forEach(finding => {
+      const item = document.createElement('li');
+      item.className = 'diagnostic-item';
+      
+      const location = document.createElement('span');
+      location.className = 'diagnostic-location integrity-location';
+      location.textContent = `Line ${finding.line}, statement ${finding.statement}`;
+      item.appendChild(location);
+      
+      const values = document.createElement('code');
+      values.className = 'diagnostic-preview';
+      values.textContent = `${finding.table} (${finding.columns.join(', ')}) = (${finding.values.map(formatFindingValue).join(', ')})`;
+      item.appendChild(values);
+      
+      const message = document.createElement('p');
+      message.className = 'diagnostic-message';
+      message.textContent = describeIntegrityFinding(finding);
+      item.appendChild(message);
+      
+      integrityList.appendChild(item);
+    });
+  }
+
+  function displayLint(lint) {
+    lintList.innerHTML = '';
+    lintPanel.classList.toggle('hidden', !lint);
+    if (!lint) return;
+    
+    const { error, warning, info } = lint.summary;
+    lintCount.textContent = `${error} error${error === 1 ? '' : 's'} · ${warning} warning${warning === 1 ? '' : 's'} · ${info} info`;
+    lintConfig.textContent = lint.configPath ? `Rules configured by ${lint.configPath}` : 'Default rules (no schemalens.config.json found)';
+    
+    // Severities are ordered from most to least severe; show the selected one and above
+    const severities = ['error', 'warning', 'info'];
+    const threshold = severities.indexOf(lintSeveritySelect.value);
+    const findings = lint.findings.filter(finding => severities.indexOf(finding.severity) <= threshold);
+    
+    if (findings.length === 0) {
+      const item = document.createElement('li');
+      item.className = 'diagnostic-item diagnostic-message';
+      item.textContent = lint.findings.length === 0 ? 'No lint findings.' : 'No findings at this severity.';
+      lintList.appendChild(item);
+      return;
+    }
+    
+    findings.forEach(finding => {
+      const item = document.createElement('li');
+      item.className = 'diagnostic-item lint-item';
+      
+      const location = document.createElement('span');
+      location.className = 'diagnostic-location';
+      const severity = document.createElement('span');
+      severity.className = `lint-severity lint-severity-${finding.severity}`;
+      severity.textContent = finding.severity;
+      location.appendChild(severity);
+      location.appendChild(document.createTextNode(finding.rule));
+      item.appendChild(location);
+      
+      const target = document.createElement('code');
+      target.className = 'diagnostic-preview';
+      target.textContent = finding.column ? `${finding.table}.${finding.column}` : finding.table;
+      item.appendChild(target);
+      
+      const message = document.createElement('p');
+      message.className = 'diagnostic-message';
+      message.textContent = finding.message;
+      item.appendChild(message);
+      
+      // Clicking a finding shows the table it is about
+      item.addEventListener('click', () => {
+        const table = currentAnalysis && currentAnalysis.tables.find(candidate => candidate.tableName === finding.table);
+        if (table) {
+          erDiagram.select(table.tableName);
+          displayTableDetails(table);
+        }
+      });
+      
+      lintList.appendChild(item);
+    });
+  }
+
+  /**
+   * Columns that likely hold personal or secret data; detected again when annotations change
+   */
+  function displaySensitiveData(analysis) {
+    sensitiveDataList.innerHTML = '';
+    sensitiveDataPanel.classList.toggle('hidden', !analysis);
+    if (!analysis) {
+      sensitiveColumnsElement.textContent = '0';
+      return;
+    }
+    
+    const { findings, summary } = detectSensitiveData(analysis);
+    sensitiveColumnsElement.textContent = findings.length;
+    sensitiveDataCount.textContent = `${summary.high} high · ${summary.medium} medium · ${summary.low} low`;
+    
+    const levels = ['high', 'medium', 'low'];
+    const threshold = levels.indexOf(sensitiveLevelSelect.value);
+    const shown = findings.filter(finding => levels.indexOf(finding.level) <= threshold);
+    
+    if (shown.length === 0) {
+      const item = document.createElement('li');
+      item.className = 'diagnostic-item diagnostic-message';
+      item.textContent = findings.length === 0 ? 'No sensitive columns detected.' : 'No columns at this confidence.';
+      sensitiveDataList.appendChild(item);
+      return;
+    }
+    
+    shown.forEach(finding => {
+      const item = document.createElement('li');
+      item.className = 'diagnostic-item lint-item';
+      
+      const location = document.createElement('span');
+      location.className = 'diagnostic-location';
+      const level = document.createElement('span');
+      level.className = `sensitive-level sensitive-level-${finding.level}`;
+      level.textContent = finding.level;
+      location.appendChild(level);
+      location.appendChild(document.createTextNode(finding.label));
+      item.appendChild(location);
+      
+      const target = document.createElement('code');
+      target.className = 'diagnostic-preview';
+      target.textContent = `${finding.table}.${finding.column}`;
+      item.appendChild(target);
+      
+      const message = document.createElement('p');
+      message.className = 'diagnostic-message';
+      message.textContent = `${Math.round(finding.confidence * 100)}% confidence: ${finding.reasons.join(', ')}`;
+      item.appendChild(message);
+      
+      item.addEventListener('click', () => {
+        const table = currentAnalysis.tables.find(candidate => candidate.tableName === finding.table);
+        if (table) {
+          erDiagram.select(table.tableName);
+          displayTableDetails(table);
+        }
+      });
+      
+      sensitiveDataList.appendChild(item);
+    });
+  }
+
+  /**
+   * Anonymization rules of a dump; a live database has no dump to copy
+   */
+  function displayAnonymization(analysis) {
+    const available = Boolean(analysis && !analysis.connectionId);
+    anonymizePanel.classList.toggle('hidden', !available);
+    anonymization.render(available ? analysis : null);
+  }
+
+  /**
+   * Writes an anonymized copy of the current dump, showing its progress in the progress panel
+   * @returns {Promise<Object>} { success, cancelled, message, filePath, result }
+   */
+  async function writeAnonymizedCopy(settings) {
+    disableAnalysisButtons();
+    try {
+      const result = await window.electronAPI.anonymizeDump({ analysis: currentAnalysis, settings });
+      if (result.success) console.log('Anonymized copy written to', result.filePath, result.result);
+      return result;
+    } catch (error) {
+      console.error('Error anonymizing SQL file:', error);
+      return { success: false, message: error.message };
+    } finally {
+      finishAnalysis();
+    }
+  }
+
+  /**
+   * Test data settings of a schema, from a dump or a live database alike
+   */
+  function displaySyntheticData(analysis) {
+    syntheticDataPanel.classList.toggle('hidden', !analysis || analysis.tables.length === 0);
+    syntheticData.render(analysis && analysis.tables.length > 0 ? analysis : null);
+  }
+
+  /**
+   * Generates test data for the current schema and writes it where the user chooses
+   * @returns {Promise<Object>} { success, cancelled, message, filePath, fileCount, rowCount, seed, warnings }
+   */
+  async function generateTestData(settings, format) {
+    try {
+      const result = await window.electronAPI.generateData({ analysis: currentAnalysis, settings, format });
+      if (result.success) console.log('Test data written to', result.filePath, `(seed ${result.seed})`);
+      return result;
+    } catch (error) {
+      console.error('Error generating test data:', error);
+      return { success: false, message: error.message };
+    }
+  }
+
+  /**
+   * Query console of a dump; a live database is not loaded into it
+   */
+  function displayQueryConsole(analysis) {
+    const queryable = Boolean(analysis && !analysis.connectionId && analysis.tables.length > 0);
+    queryConsolePanel.classList.toggle('hidden', !queryable);
+    queryConsole.render(queryable ? analysis : null);
+  }
+
+  /**
+   * Runs a query of the query console; the first query of a dump loads its rows
+   * @returns {Promise<Object>} Result of the run-query handler
+   */
+  async function runQuery(sql) {
+    try {
+      return await window.electronAPI.runQuery({ analysis: currentAnalysis, sql });
+    } catch (error) {
+      console.error('Error running query:', error);
+      return { success: false, message: error.message };
+    } finally {
+      finishTableDataProgress();
+    }
+  }
+
+  /**
+   * Writes the whole result of a query to a CSV or JSON Lines file chosen by the user
+   * @returns {Promise<Object>} { success, cancelled, message, filePath, result }
+   */
+  async function exportQueryResult(sql, format) {
+    try {
+      const result = await window.electronAPI.exportQueryResult({ analysis: currentAnalysis, sql, format });
+      if (result.success) console.log('Query result exported to', result.filePath, result.result);
+      return result;
+    } catch (error) {
+      console.error('Error exporting query result:', error);
+      return { success: false, message: error.message };
+    } finally {
+      finishTableDataProgress();
+    }
+  }
+
+  /**
+   * Page of a table's rows for the data grid; the first request reads the rows from the dump
+   * @returns {Promise<Object>} Result of the query-table-data handler
+   */
+  async function queryTableData(table, query) {
+    try {
+      return await window.electronAPI.queryTableData({ analysis: currentAnalysis, tableName: table.tableName, query });
+    } catch (error) {
+      console.error('Error reading table data:', error);
+      return { success: false, message: error.message };
+    } finally {
+      finishTableDataProgress();
+    }
+  }
+
+  /**
+   * Writes every row of a table to a CSV or JSON Lines file chosen by the user
+   * @returns {Promise<Object>} { success, cancelled, message, filePath, result }
+   */
+  async function exportTableData(table, format) {
+    try {
+      const result = await window.electronAPI.exportTableData({ analysis: currentAnalysis, tableName: table.tableName, format });
+      if (result.success) console.log('Table data exported to', result.filePath, result.result);
+      return result;
+    } catch (error) {
+      console.error('Error exporting table data:', error);
+      return { success: false, message: error.message };
+    } finally {
+      finishTableDataProgress();
+    }
+  }
+
+  // Only hides the progress panel when table data put it up, not during an analysis
+  function finishTableDataProgress() {
+    if (!readingTableData) return;
+    readingTableData = false;
+    finishAnalysis();
+  }
+
+  function describeIntegrityFinding(finding) {
+    switch (finding.type) {
+      case 'orphan':
+        return `No matching row in ${finding.referencedTable} (${finding.referencedColumns.join(', ')})` +
+          (finding.count > 1 ? ` — ${finding.count} rows` : '');
+      case 'duplicate':
+        return `Duplicate ${finding.constraint} value, first inserted at line ${finding.firstLine}`;
+      default:
+        return 'NULL inserted into a NOT NULL column';
+    }
+  }
+
+  function describeIncompleteIntegrity(incomplete) {
+    return `Integrity check incomplete: key values are no longer recorded from line ${incomplete.line} ` +
+      `(statement ${incomplete.statement}) on, after ${incomplete.trackedValues.toLocaleString()} of them; ` +
+      'later duplicates and orphan rows may be missing';
+  }
+
+  function formatFindingValue(value) {
+    if (value === null) return 'NULL';
+    return typeof value === 'string' ? `'${value}'` : String(value);
   }
 
   function displayTableDetails(tableObject) {
+    selectedTableName = tableObject.tableName;
+    
     // Clear the table-details div
     tableInfo.innerHTML = '';
     
@@ -144,6 +1303,17 @@ document.addEventListener('DOMContentLoaded', () => {
     tableHeader.textContent = tableObject.tableName;
     tableInfo.appendChild(tableHeader);
     
+    // Annotated description, or the COMMENT clause
+    const tableDescription = document.createElement('p');
+    tableDescription.className = 'table-description';
+    tableInfo.appendChild(tableDescription);
+    const showDescription = () => {
+      const { description } = resolveTableAnnotation(currentAnalysis.annotations, tableObject);
+      tableDescription.textContent = description || '';
+      tableDescription.classList.toggle('hidden', !description);
+    };
+    showDescription();
+    
     const columnCount = document.createElement('p');
     columnCount.innerHTML = `<strong>Total Columns:</strong> ${tableObject.columns.length}`;
     tableInfo.appendChild(columnCount);
@@ -152,6 +1322,47 @@ document.addEventListener('DOMContentLoaded', () => {
     rowCount.innerHTML = `<strong>Total Rows:</strong> ${tableObject.rowCount}`;
     tableInfo.appendChild(rowCount);
     
+    // Tabs switch between the column structure, the inserted rows and their profile, what
+    // depends on the table and its data dictionary annotations
+    const structurePane = document.createElement('div');
+    const dataPane = document.createElement('div');
+    const profilePane = document.createElement('div');
+    const impactPane = document.createElement('div');
+    const dictionaryPane = document.createElement('div');
+    // The rows are only read from the dump once the Data tab is opened
+    const dataGrid = createDataGrid(dataPane, tableObject, {
+      available: !currentAnalysis.connectionId,
+      loadPage: (query) => queryTableData(tableObject, query),
+      exportData: (format) => exportTableData(tableObject, format)
+    });
+    tableInfo.appendChild(buildDetailsTabs([
+      { id: 'structure', label: 'Structure', pane: structurePane },
+      { id: 'data', label: 'Data', pane: dataPane, onSelect: () => dataGrid.load() },
+      { id: 'profile', label: 'Data Profile', pane: profilePane },
+      { id: 'impact', label: 'Impact', pane: impactPane },
+      { id: 'dictionary', label: 'Dictionary', pane: dictionaryPane }
+    ]));
+    tableInfo.appendChild(structurePane);
+    tableInfo.appendChild(dataPane);
+    tableInfo.appendChild(profilePane);
+    tableInfo.appendChild(impactPane);
+    tableInfo.appendChild(dictionaryPane);
+    renderDataProfile(profilePane, tableObject);
+    renderImpact(impactPane, tableObject);
+    renderAnnotationEditor(dictionaryPane, currentAnalysis.annotations, tableObject, {
+      onSave: async (annotations) => {
+        const result = await saveAnnotations(annotations);
+        if (result.success) {
+          showDescription();
+          // Tags such as pii and public change what is flagged
+          displaySensitiveData(currentAnalysis);
+          displayAnonymization(currentAnalysis);
+          displaySyntheticData(currentAnalysis);
+        }
+        return result;
+      }
+    });
+    
     // Create and display HTML table with columns
     const tableStructureDiv = document.createElement('div');
     tableStructureDiv.className = 'table-structure';
@@ -160,31 +1371,240 @@ document.addEventListener('DOMContentLoaded', () => {
     structureTitle.textContent = 'Column Structure';
     tableStructureDiv.appendChild(structureTitle);
     
+    // Cells are filled as text: names, types and defaults come straight from the dump
     const table = document.createElement('table');
-    table.innerHTML = `
-      <thead>
-        <tr>
-          <th>Column Name</th>
-          <th>Data Type</th>
-        </tr>
-      </thead>
-      <tbody>
-        ${tableObject.columns.map(column => `
-          <tr>
-            <td>${column.columnName}</td>
-            <td>${column.dataType}</td>
-          </tr>
-        `).join('')}
-      </tbody>
-    `;
+    const headerRow = table.createTHead().insertRow();
+    ['Column Name', 'Data Type', 'Nullable', 'Default', 'Keys'].forEach(label => {
+      const header = document.createElement('th');
+      header.textContent = label;
+      headerRow.appendChild(header);
+    });
+    const tableBody = table.createTBody();
+    tableObject.columns.forEach(column => {
+      const row = tableBody.insertRow();
+      [
+        column.columnName,
+        column.dataType,
+        column.nullable ? 'YES' : 'NO',
+        column.defaultValue !== null ? column.defaultValue : '-',
+        describeColumnKeys(column) || '-'
+      ].forEach(value => {
+        row.insertCell().textContent = String(value);
+      });
+    });
     
     tableStructureDiv.appendChild(table);
-    tableInfo.appendChild(tableStructureDiv);
+    structurePane.appendChild(tableStructureDiv);
+    
+    // Display table-level constraints (composite keys, foreign keys, checks)
+    if (tableObject.constraints.length > 0) {
+      const constraintsDiv = document.createElement('div');
+      constraintsDiv.className = 'table-structure';
+      
+      const constraintsTitle = document.createElement('h4');
+      constraintsTitle.textContent = 'Constraints';
+      constraintsDiv.appendChild(constraintsTitle);
+      
+      const constraintsList = document.createElement('ul');
+      constraintsList.className = 'constraint-list';
+      tableObject.constraints.forEach(constraint => {
+        const constraintItem = document.createElement('li');
+        constraintItem.textContent = describeConstraint(constraint);
+        constraintsList.appendChild(constraintItem);
+      });
+      constraintsDiv.appendChild(constraintsList);
+      
+      structurePane.appendChild(constraintsDiv);
+    }
+    
+    // Display secondary indexes (KEY / INDEX definitions and CREATE INDEX statements)
+    if (tableObject.indexes.length > 0) {
+      const indexesDiv = document.createElement('div');
+      indexesDiv.className = 'table-structure';
+      
+      const indexesTitle = document.createElement('h4');
+      indexesTitle.textContent = 'Indexes';
+      indexesDiv.appendChild(indexesTitle);
+      
+      const indexesList = document.createElement('ul');
+      indexesList.className = 'constraint-list';
+      tableObject.indexes.forEach(index => {
+        const indexItem = document.createElement('li');
+        indexItem.textContent = describeIndex(index);
+        indexesList.appendChild(indexItem);
+      });
+      indexesDiv.appendChild(indexesList);
+      
+      structurePane.appendChild(indexesDiv);
+    }
+  }
+
+  function displaySchemaObjectDetails(object) {
+    tableInfo.innerHTML = '';
+    
+    const objectHeader = document.createElement('h3');
+    objectHeader.textContent = object.name;
+    tableInfo.appendChild(objectHeader);
+    
+    // Kind, trigger timing, routine signature, type values...
+    describeSchemaObject(object)
+      .filter(([label]) => label !== 'Depends on')
+      .forEach(([label, value]) => {
+        const property = document.createElement('p');
+        const strong = document.createElement('strong');
+        strong.textContent = `${label}:`;
+        property.appendChild(strong);
+        property.appendChild(document.createTextNode(` ${value}`));
+        tableInfo.appendChild(property);
+      });
+    
+    // Tables and columns the object reads or writes; clicking a table shows it
+    const { tables, columns } = object.dependencies;
+    if (tables.length > 0) {
+      const dependenciesDiv = document.createElement('div');
+      dependenciesDiv.className = 'table-structure';
+      
+      const dependenciesTitle = document.createElement('h4');
+      dependenciesTitle.textContent = 'Depends On';
+      dependenciesDiv.appendChild(dependenciesTitle);
+      
+      const dependenciesList = document.createElement('ul');
+      dependenciesList.className = 'constraint-list';
+      tables.forEach(tableName => {
+        const usedColumns = columns.filter(column => column.table === tableName).map(column => column.column);
+        const dependencyItem = document.createElement('li');
+        dependencyItem.textContent = usedColumns.length > 0 ? `${tableName} (${usedColumns.join(', ')})` : tableName;
+        
+        const table = currentAnalysis && currentAnalysis.tables.find(candidate => candidate.tableName === tableName);
+        if (table) {
+          dependencyItem.classList.add('dependency-link');
+          dependencyItem.addEventListener('click', () => {
+            erDiagram.select(table.tableName);
+            displayTableDetails(table);
+          });
+        }
+        dependenciesList.appendChild(dependencyItem);
+      });
+      dependenciesDiv.appendChild(dependenciesList);
+      tableInfo.appendChild(dependenciesDiv);
+    }
+    
+    const definitionDiv = document.createElement('div');
+    definitionDiv.className = 'table-structure';
+    
+    const definitionTitle = document.createElement('h4');
+    definitionTitle.textContent = 'Definition';
+    definitionDiv.appendChild(definitionTitle);
+    
+    const definition = document.createElement('pre');
+    definition.className = 'object-definition';
+    definition.textContent = object.definition;
+    definitionDiv.appendChild(definition);
+    tableInfo.appendChild(definitionDiv);
+  }
+
+  /**
+   * Impact pane: everything that breaks when the table, or the column chosen in the menu, is dropped
+   */
+  function renderImpact(container, tableObject) {
+    const targetSelect = document.createElement('select');
+    targetSelect.className = 'impact-target';
+    targetSelect.title = 'Table or column to drop';
+    const wholeTable = document.createElement('option');
+    wholeTable.value = '';
+    wholeTable.textContent = `Drop table ${tableObject.tableName}`;
+    targetSelect.appendChild(wholeTable);
+    tableObject.columns.forEach(column => {
+      const option = document.createElement('option');
+      option.value = column.columnName;
+      option.textContent = `Drop column ${column.columnName}`;
+      targetSelect.appendChild(option);
+    });
+    container.appendChild(targetSelect);
+    
+    const impactList = document.createElement('ul');
+    impactList.className = 'constraint-list';
+    container.appendChild(impactList);
+    
+    const showImpact = () => {
+      impactList.innerHTML = '';
+      const impact = findImpact(currentAnalysis, tableObject.tableName, targetSelect.value || null);
+      if (impact.length === 0) {
+        const item = document.createElement('li');
+        item.textContent = 'Nothing references it.';
+        impactList.appendChild(item);
+        return;
+      }
+      
+      impact.forEach(entry => {
+        const item = document.createElement('li');
+        const location = entry.table && entry.type !== 'FOREIGN KEY' ? ` on ${entry.table}` : '';
+        item.textContent = `${entry.type} ${entry.name}${location}`;
+        
+        const depth = document.createElement('span');
+        depth.className = 'impact-depth';
+        depth.textContent = entry.depth === 1 ? 'direct' : `via ${entry.via}`;
+        item.appendChild(depth);
+        impactList.appendChild(item);
+      });
+    };
+    
+    targetSelect.addEventListener('change', showImpact);
+    showImpact();
+  }
+
+  /**
+   * Writes the edited annotations to the sidecar file of the current analysis
+   * @returns {Promise<Object>} { success, message }
+   */
+  async function saveAnnotations(annotations) {
+    if (!currentAnalysis.annotationsPath) {
+      return { success: false, message: 'this analysis has no annotations file' };
+    }
+    try {
+      const result = await window.electronAPI.saveAnnotations({
+        annotationsPath: currentAnalysis.annotationsPath,
+        annotations
+      });
+      if (result.success) currentAnalysis.annotations = annotations;
+      return result;
+    } catch (error) {
+      console.error('Error saving annotations:', error);
+      return { success: false, message: error.message };
+    }
+  }
+
+  function buildDetailsTabs(tabs) {
+    const tabBar = document.createElement('div');
+    tabBar.className = 'details-tabs';
+
+    const selectTab = (id) => {
+      activeDetailsTab = id;
+      tabs.forEach(tab => {
+        tab.button.classList.toggle('active', tab.id === id);
+        tab.pane.classList.toggle('hidden', tab.id !== id);
+        if (tab.id === id && tab.onSelect) tab.onSelect();
+      });
+    };
+
+    tabs.forEach(tab => {
+      tab.button = document.createElement('button');
+      tab.button.className = 'details-tab';
+      tab.button.textContent = tab.label;
+      tab.button.addEventListener('click', () => selectTab(tab.id));
+      tabBar.appendChild(tab.button);
+    });
+
+    selectTab(tabs.some(tab => tab.id === activeDetailsTab) ? activeDetailsTab : tabs[0].id);
+    return tabBar;
   }
 
   function clearPreviousContent() {
+    selectedTableName = null;
+    
     // Clear dashboard (reset to default values)
     dbNameElement.textContent = '-';
+    dbDialectElement.textContent = '-';
     totalTablesElement.textContent = '0';
     totalColumnsElement.textContent = '0';
     totalRecordsElement.textContent = '0';
@@ -192,115 +1612,65 @@ document.addEventListener('DOMContentLoaded', () => {
     // Clear schema tree
     schemaTree.innerHTML = '';
     
+    // Clear diagnostics
+    displayDiagnostics([]);
+    displayIntegrity(null);
+    displayLint(null);
+    displaySensitiveData(null);
+    displayAnonymization(null);
+    displaySyntheticData(null);
+    displayQueryConsole(null);
+    displayTableOrder(null);
+    displayGeneratedCode(null);
+    
     // Clear table details
     tableInfo.innerHTML = '<p>Select a table from the schema to view details</p>';
   }
 
   function showError(message) {
-    tableInfo.innerHTML = `<p style="color: #ff6b6b;">Error: ${message}</p>`;
+    const error = document.createElement('p');
+    error.style.color = '#ff6b6b';
+    error.textContent = `Error: ${message}`;
+    tableInfo.replaceChildren(error);
   }
 
-  function generatePdf(analysis) {
+  async function exportAnalysis(analysis, exporterId) {
     try {
-      // Create new jsPDF document
-      const doc = new jsPDF();
-      
-      // Set document properties
-      const pageWidth = doc.internal.pageSize.width;
-      const margin = 20;
-      let yPosition = margin;
-      
-      // Add main title
-      doc.setFontSize(20);
-      doc.setFont(undefined, 'bold');
-      const databaseName = analysis.databaseName || 'Unknown Database';
-      doc.text(`Database Analysis Report for: ${databaseName}`, margin, yPosition);
-      yPosition += 20;
-      
-      // Add summary statistics
-      doc.setFontSize(14);
-      doc.setFont(undefined, 'bold');
-      doc.text('Summary Statistics', margin, yPosition);
-      yPosition += 10;
-      
-      doc.setFontSize(12);
-      doc.setFont(undefined, 'normal');
-      
-      const totalColumns = analysis.tables.reduce((sum, table) => sum + table.columns.length, 0);
-      const totalRecords = analysis.tables.reduce((sum, table) => sum + table.rowCount, 0);
-      
-      doc.text(`Total Tables: ${analysis.totalTables}`, margin, yPosition);
-      yPosition += 8;
-      doc.text(`Total Columns: ${totalColumns}`, margin, yPosition);
-      yPosition += 8;
-      doc.text(`Total Records: ${totalRecords}`, margin, yPosition);
-      yPosition += 20;
-      
-      // Add table details
-      doc.setFontSize(16);
-      doc.setFont(undefined, 'bold');
-      doc.text('Table Details', margin, yPosition);
-      yPosition += 15;
-      
-      // Iterate through each table and create a table for its columns
-      analysis.tables.forEach((table, index) => {
-        // Check if we need a new page
-        if (yPosition > 250) {
-          doc.addPage();
-          yPosition = margin;
+      // The main process renders the export (with the schema comparison when Compare mode is
+      // active) and asks where to save it
+      const result = await window.electronAPI.exportAnalysis({
+        exporterId,
+        analysis,
+        sourcePath: analysis.sourcePath,
+        comparison: currentComparison && {
+          oldPath: currentComparison.oldPath,
+          newPath: currentComparison.newPath,
+          diff: currentComparison.diff
         }
-        
-        // Add table name as title
-        doc.setFontSize(14);
-        doc.setFont(undefined, 'bold');
-        doc.text(`${table.tableName} (${table.rowCount} rows)`, margin, yPosition);
-        yPosition += 10;
-        
-        // Prepare data for autoTable
-        const tableData = table.columns.map(column => [
-          column.columnName,
-          column.dataType
-        ]);
-        
-        // Create table using autoTable - CORRECTED FUNCTION CALL
-        autoTable(doc, {
-          startY: yPosition,
-          head: [['Column Name', 'Data Type']],
-          body: tableData,
-          margin: { left: margin, right: margin },
-          styles: {
-            fontSize: 10,
-            cellPadding: 3
-          },
-          headStyles: {
-            fillColor: [70, 130, 180],
-            textColor: 255,
-            fontStyle: 'bold'
-          },
-          alternateRowStyles: {
-            fillColor: [245, 245, 245]
-          }
-        });
-        
-        // Update yPosition to after the table
-        yPosition = doc.lastAutoTable.finalY + 15;
       });
       
-      // Save the PDF
-      doc.save('sql-analysis-report.pdf');
+      if (result.cancelled) return;
+      if (!result.success) {
+        showError(`Failed to export: ${result.message}`);
+        return;
+      }
       
-      console.log('PDF generated successfully');
+      console.log('Exported to', result.filePath);
       
       // Show success message temporarily
       const originalContent = tableInfo.innerHTML;
-      tableInfo.innerHTML = '<p style="color: #4CAF50;">✅ PDF report generated successfully!</p>';
+      tableInfo.innerHTML = '';
+      const message = document.createElement('p');
+      message.style.color = '#4CAF50';
+      message.textContent = `✅ Exported to ${result.filePath}`;
+      tableInfo.appendChild(message);
       setTimeout(() => {
         tableInfo.innerHTML = originalContent;
       }, 3000);
       
     } catch (error) {
-      console.error('Error generating PDF:', error);
-      showError(`Failed to generate PDF report: ${error.message}`);
+      console.error('Error exporting analysis:', error);
+      showError(`Failed to export: ${error.message}`);
     }
   }
 });
@@ -0,0 +1,338 @@
+/**
+ * Text reports of an analysis
+ * JSON, Markdown and HTML renderings of the schema, data profile and findings, registered
+ * as exporters in exporters.js
+ */
+
+const { resolveTableAnnotation } = require('./annotations');
+const { detectSensitiveData } = require('./sensitiveData');
+const {
+  countSkippedStatements,
+  describeAnnotationDetails,
+  describeColumnKeys,
+  describeConstraint,
+  describeIndex,
+  describeProfile,
+  describeSchemaObject,
+  formatProfileValue,
+  formatDialectName,
+  listDictionaryRows,
+  listSensitiveDataRows,
+  SCHEMA_OBJECT_GROUPS
+} = require('./schemaText');
+
+/**
+ * Raw analysis as JSON, with the sensitive data findings
+ * @param {Object} analysis - Analysis result (with diagnostics)
+ * @param {Object} [options] - Report options
+ * @param {String} [options.sourcePath] - Path of the analyzed dump, shown in the report
+ * @returns {String} Report contents
+ */
+function renderJsonReport(analysis, options = {}) {
+  const { sourcePath, annotationsPath, ...rest } = analysis;
+  const report = { source: options.sourcePath || sourcePath || null, ...rest, sensitiveData: detectSensitiveData(analysis) };
+  return `${JSON.stringify(report, null, 2)}\n`;
+}
+
+/**
+ * Markdown report, for wikis and pull request comments
+ * @param {Object} analysis - Analysis result
+ * @param {Object} [options] - Report options ({ sourcePath })
+ * @returns {String} Report contents
+ */
+function renderMarkdownReport(analysis, options = {}) {
+  const lines = [];
+  const cell = (value) => String(value === null || value === undefined ? '-' : value).replace(/\|/g, '\\|').replace(/\n/g, ' ');
+  const row = (values) => `| ${values.map(cell).join(' | ')} |`;
+
+  lines.push(`# Database Analysis Report: ${analysis.databaseName || 'Unknown Database'}`, '');
+  if (options.sourcePath) lines.push(`Source: \`${options.sourcePath}\``, '');
+
+  lines.push('## Summary', '');
+  summarize(analysis).forEach(([label, value]) => lines.push(`- **${label}:** ${value}`));
+  lines.push('');
+
+  analysis.tables.forEach(table => {
+    lines.push(`## ${table.tableName}`, '', `${table.rowCount} rows`, '');
+    const documentation = resolveTableAnnotation(analysis.annotations, table);
+    if (documentation.description) lines.push(documentation.description, '');
+    if (describeAnnotationDetails(documentation)) lines.push(`_${describeAnnotationDetails(documentation)}_`, '');
+    lines.push(row(['Column', 'Type', 'Nullable', 'Default', 'Keys']), row(['---', '---', '---', '---', '---']));
+    table.columns.forEach(column => {
+      lines.push(row([column.columnName, column.dataType, column.nullable ? 'YES' : 'NO', column.defaultValue, describeColumnKeys(column) || '-']));
+    });
+    lines.push('');
+
+    const dictionaryRows = listDictionaryRows(analysis.annotations, table);
+    if (dictionaryRows.length > 0) {
+      lines.push('### Data dictionary', '');
+      lines.push(row(['Column', 'Description', 'Owner', 'Tags', 'Examples']), row(['---', '---', '---', '---', '---']));
+      dictionaryRows.forEach(values => lines.push(row(values)));
+      lines.push('');
+    }
+
+    const keys = table.constraints.map(describeConstraint).concat((table.indexes || []).map(describeIndex));
+    if (keys.length > 0) {
+      lines.push('### Constraints and indexes', '');
+      keys.forEach(description => lines.push(`- \`${description}\``));
+      lines.push('');
+    }
+
+    if (table.rowCount > 0 && table.dataProfile) {
+      lines.push('### Data profile', '');
+      lines.push(row(['Column', 'Nulls', 'Distinct', 'Min', 'Max', 'Avg length', 'Most frequent']), row(['---', '---', '---', '---', '---', '---', '---']));
+      table.dataProfile.forEach(profile => {
+        const stats = Object.fromEntries(describeProfile(profile));
+        lines.push(row([profile.columnName, stats['Nulls'], stats['Distinct'], stats['Min'], stats['Max'], stats['Avg length'], describeTopValues(profile)]));
+      });
+      lines.push('');
+    }
+  });
+
+  if (analysis.tableOrder && analysis.tableOrder.loadOrder.length > 1) {
+    lines.push('## Load Order', '');
+    analysis.tableOrder.loadOrder.forEach((tableName, index) => lines.push(`${index + 1}. ${tableName}`));
+    lines.push('');
+    describeCycles(analysis.tableOrder.cycles).forEach(description => lines.push(`- ${description}`));
+    if (analysis.tableOrder.cycles.length > 0) lines.push('');
+  }
+
+  const objectRows = listSchemaObjectRows(analysis);
+  if (objectRows.length > 0) {
+    lines.push('## Views, Routines, Triggers and Types', '');
+    lines.push(row(['Name', 'Kind', 'Details', 'Depends on']), row(['---', '---', '---', '---']));
+    objectRows.forEach(values => lines.push(row(values)));
+    lines.push('');
+  }
+
+  const findings = listFindings(analysis);
+  if (findings.length > 0) {
+    lines.push('## Findings', '');
+    findings.forEach(finding => lines.push(`- **${finding.kind}** (line ${finding.line}): ${finding.message}`));
+    lines.push('');
+  }
+
+  const lintRows = listLintRows(analysis);
+  if (lintRows.length > 0) {
+    lines.push('## Lint', '');
+    lines.push(row(['Severity', 'Rule', 'Location', 'Message']), row(['---', '---', '---', '---']));
+    lintRows.forEach(values => lines.push(row(values)));
+    lines.push('');
+  }
+
+  const sensitiveRows = listSensitiveDataRows(detectSensitiveData(analysis));
+  if (sensitiveRows.length > 0) {
+    lines.push('## Sensitive Data', '');
+    lines.push(row(['Confidence', 'Column', 'Category', 'Evidence']), row(['---', '---', '---', '---']));
+    sensitiveRows.forEach(values => lines.push(row(values)));
+    lines.push('');
+  }
+
+  return lines.join('\n');
+}
+
+/**
+ * Standalone HTML report (styles inlined, no scripts)
+ * @param {Object} analysis - Analysis result
+ * @param {Object} [options] - Report options ({ sourcePath })
+ * @returns {String} Report contents
+ */
+function renderHtmlReport(analysis, options = {}) {
+  const title = `Database Analysis Report: ${analysis.databaseName || 'Unknown Database'}`;
+  const table = (head, rows) => `<table><thead><tr>${head.map(label => `<th>${escapeHtml(label)}</th>`).join('')}</tr></thead>` +
+    `<tbody>${rows.map(values => `<tr>${values.map(value => `<td>${escapeHtml(value === null || value === undefined ? '-' : value)}</td>`).join('')}</tr>`).join('')}</tbody></table>`;
+
+  const sections = analysis.tables.map(tableObject => {
+    const keys = tableObject.constraints.map(describeConstraint).concat((tableObject.indexes || []).map(describeIndex));
+    const documentation = resolveTableAnnotation(analysis.annotations, tableObject);
+    const details = describeAnnotationDetails(documentation);
+    let html = `<section><h2>${escapeHtml(tableObject.tableName)}</h2><p>${tableObject.rowCount} rows</p>`;
+    if (documentation.description) html += `<p>${escapeHtml(documentation.description)}</p>`;
+    if (details) html += `<p class="annotation">${escapeHtml(details)}</p>`;
+    html += table(['Column', 'Type', 'Nullable', 'Default', 'Keys'], tableObject.columns.map(column => [
+      column.columnName, column.dataType, column.nullable ? 'YES' : 'NO', column.defaultValue, describeColumnKeys(column) || '-'
+    ]));
+    const dictionaryRows = listDictionaryRows(analysis.annotations, tableObject);
+    if (dictionaryRows.length > 0) {
+      html += `<h3>Data dictionary</h3>${table(['Column', 'Description', 'Owner', 'Tags', 'Examples'], dictionaryRows)}`;
+    }
+    if (keys.length > 0) {
+      html += `<ul class="keys">${keys.map(description => `<li><code>${escapeHtml(description)}</code></li>`).join('')}</ul>`;
+    }
+    if (tableObject.rowCount > 0 && tableObject.dataProfile) {
+      html += '<h3>Data profile</h3>';
+      html += table(['Column', 'Nulls', 'Distinct', 'Min', 'Max', 'Avg length', 'Most frequent'], tableObject.dataProfile.map(profile => {
+        const stats = Object.fromEntries(describeProfile(profile));
+        return [profile.columnName, stats['Nulls'], stats['Distinct'], stats['Min'], stats['Max'], stats['Avg length'], describeTopValues(profile)];
+      }));
+    }
+    return `${html}</section>`;
+  });
+
+  const tableOrder = analysis.tableOrder;
+  const orderHtml = tableOrder && tableOrder.loadOrder.length > 1
+    ? `<section><h2>Load Order</h2><ol>${tableOrder.loadOrder.map(tableName => `<li>${escapeHtml(tableName)}</li>`).join('')}</ol>` +
+      `${describeCycles(tableOrder.cycles).map(description => `<p>${escapeHtml(description)}</p>`).join('')}</section>`
+    : '';
+  const objectRows = listSchemaObjectRows(analysis);
+  const objectsHtml = objectRows.length > 0
+    ? `<section><h2>Views, Routines, Triggers and Types</h2>${table(['Name', 'Kind', 'Details', 'Depends on'], objectRows)}</section>`
+    : '';
+  const findings = listFindings(analysis);
+  const findingsHtml = findings.length > 0
+    ? `<section><h2>Findings</h2>${table(['Kind', 'Line', 'Message'], findings.map(finding => [finding.kind, finding.line, finding.message]))}</section>`
+    : '';
+  const lintRows = listLintRows(analysis);
+  const lintHtml = lintRows.length > 0
+    ? `<section><h2>Lint</h2>${table(['Severity', 'Rule', 'Location', 'Message'], lintRows)}</section>`
+    : '';
+  const sensitiveRows = listSensitiveDataRows(detectSensitiveData(analysis));
+  const sensitiveHtml = sensitiveRows.length > 0
+    ? `<section><h2>Sensitive Data</h2>${table(['Confidence', 'Column', 'Category', 'Evidence'], sensitiveRows)}</section>`
+    : '';
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="UTF-8">
+<title>${escapeHtml(title)}</title>
+<style>
+  body { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; margin: 2em; color: #222; }
+  table { border-collapse: collapse; margin: 0.5em 0 1em; }
+  th, td { border: 1px solid #ccc; padding: 4px 8px; text-align: left; font-size: 14px; }
+  th { background: #4682b4; color: #fff; }
+  tr:nth-child(even) td { background: #f5f5f5; }
+  code { font-family: Consolas, 'Courier New', monospace; }
+  ul.keys { padding-left: 1.2em; }
+  p.annotation { color: #666; font-style: italic; }
+</style>
+</head>
+<body>
+<h1>${escapeHtml(title)}</h1>
+${options.sourcePath ? `<p>Source: <code>${escapeHtml(options.sourcePath)}</code></p>` : ''}
+<ul>${summarize(analysis).map(([label, value]) => `<li><strong>${escapeHtml(label)}:</strong> ${escapeHtml(value)}</li>`).join('')}</ul>
+${sections.join('\n')}
+${orderHtml}
+${objectsHtml}
+${findingsHtml}
+${lintHtml}
+${sensitiveHtml}
+</body>
+</html>
+`;
+}
+
+/**
+ * Summary figures shown at the top of the text reports
+ */
+function summarize(analysis) {
+  const totalColumns = analysis.tables.reduce((sum, table) => sum + table.columns.length, 0);
+  const totalRecords = analysis.tables.reduce((sum, table) => sum + table.rowCount, 0);
+  return [
+    ['Dialect', formatDialectName(analysis.dialect)],
+    ['Total Tables', analysis.totalTables],
+    ['Total Columns', totalColumns],
+    ['Total Records', totalRecords],
+    ['Skipped Statements', countSkippedStatements(analysis)],
+    ['Sensitive Columns', detectSensitiveData(analysis).findings.length]
+  ].concat(analysis.lint ? [['Lint Findings', `${analysis.lint.summary.error} errors, ${analysis.lint.summary.warning} warnings, ${analysis.lint.summary.info} info`]] : []);
+}
+
+/**
+ * One sentence per foreign key cycle of the load order
+ */
+function describeCycles(cycles) {
+  return cycles.map(cycle => (cycle.length === 1
+    ? `${cycle[0]} references itself`
+    : `Reference cycle: ${cycle.join(' → ')} → ${cycle[0]}`));
+}
+
+/**
+ * Views, routines, triggers and types as [name, kind, details, depends on] rows
+ */
+function listSchemaObjectRows(analysis) {
+  const rows = [];
+  SCHEMA_OBJECT_GROUPS.forEach(({ key }) => {
+    (analysis[key] || []).forEach(object => {
+      const properties = describeSchemaObject(object);
+      const lookup = Object.fromEntries(properties);
+      const details = properties
+        .filter(([label]) => label !== 'Kind' && label !== 'Depends on')
+        .map(([label, value]) => `${label}: ${value}`)
+        .join('; ');
+      rows.push([object.name, lookup['Kind'], details || '-', lookup['Depends on'] || '-']);
+    });
+  });
+  return rows;
+}
+
+/**
+ * Parse diagnostics and integrity findings as one list of { kind, line, message }
+ */
+function listFindings(analysis) {
+  const findings = (analysis.diagnostics || []).map(diagnostic => ({
+    kind: 'Parse error',
+    line: diagnostic.line,
+    message: `${diagnostic.message} — ${diagnostic.preview}`
+  }));
+  if (analysis.diagnosticsOmitted) {
+    findings.push({
+      kind: 'Parse error',
+      line: analysis.diagnosticsOmitted.line,
+      message: `${analysis.diagnosticsOmitted.count.toLocaleString()} more skipped statements from this line on are not listed`
+    });
+  }
+
+  const integrity = analysis.integrity;
+  if (integrity) {
+    integrity.findings.forEach(finding => {
+      const target = `${finding.table} (${finding.columns.join(', ')}) = (${finding.values.map(value => (value === null ? 'NULL' : formatProfileValue(value))).join(', ')})`;
+      const messages = {
+        orphan: `${target} has no matching row in ${finding.referencedTable}`,
+        duplicate: `${target} duplicates a ${finding.constraint} value`,
+        null: `${target} violates NOT NULL`
+      };
+      findings.push({ kind: 'Integrity', line: finding.line, message: messages[finding.type] });
+    });
+    if (integrity.incomplete) {
+      findings.push({
+        kind: 'Integrity',
+        line: integrity.incomplete.line,
+        message: `integrity check incomplete: key values past the first ${integrity.incomplete.trackedValues.toLocaleString()} are not checked`
+      });
+    }
+  }
+
+  return findings;
+}
+
+/**
+ * Lint findings as [severity, rule, location, message] rows
+ */
+function listLintRows(analysis) {
+  if (!analysis.lint) return [];
+  return analysis.lint.findings.map(finding => [
+    finding.severity,
+    finding.rule,
+    finding.column ? `${finding.table}.${finding.column}` : finding.table,
+    finding.message
+  ]);
+}
+
+function describeTopValues(profile) {
+  return profile.topValues.slice(0, 3).map(entry => `${formatProfileValue(entry.value)} (${entry.count})`).join(', ') || '-';
+}
+
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+module.exports = {
+  renderJsonReport,
+  renderMarkdownReport,
+  renderHtmlReport
+};
@@ -0,0 +1,224 @@
+/**
+ * Schema diff between two analysis results
+ * Compares the structure produced by analyzeSqlAst for an old and a new dump
+ */
+
+// Share of column names two tables must have in common to be reported as a rename
+const RENAME_SIMILARITY_THRESHOLD = 0.8;
+
+// Column properties compared between versions, with the label used in change lists
+const COLUMN_PROPERTIES = [
+  { key: 'dataType', label: 'type' },
+  { key: 'nullable', label: 'nullable' },
+  { key: 'defaultValue', label: 'default' },
+  { key: 'autoIncrement', label: 'auto increment' },
+  { key: 'unique', label: 'unique' },
+  { key: 'primaryKey', label: 'primary key' }
+];
+
+/**
+ * Computes a structured diff between two analysis results
+ * @param {Object} oldAnalysis - Analysis of the older dump
+ * @param {Object} newAnalysis - Analysis of the newer dump
+ * @returns {Object} Diff with addedTables, removedTables, renamedTables, modifiedTables and summary
+ */
+function diffAnalyses(oldAnalysis, newAnalysis) {
+  const oldTables = new Map(oldAnalysis.tables.map(table => [table.tableName, table]));
+  const newTables = new Map(newAnalysis.tables.map(table => [table.tableName, table]));
+
+  let addedTables = newAnalysis.tables.filter(table => !oldTables.has(table.tableName));
+  let removedTables = oldAnalysis.tables.filter(table => !newTables.has(table.tableName));
+
+  // Pair up removed and added tables that look like the same table under a new name
+  const renamedTables = [];
+  removedTables.forEach(oldTable => {
+    let bestMatch = null;
+    let bestScore = 0;
+    addedTables.forEach(newTable => {
+      const score = columnSimilarity(oldTable, newTable);
+      if (score > bestScore) {
+        bestMatch = newTable;
+        bestScore = score;
+      }
+    });
+
+    if (bestMatch && bestScore >= RENAME_SIMILARITY_THRESHOLD) {
+      renamedTables.push({
+        from: oldTable.tableName,
+        to: bestMatch.tableName,
+        similarity: bestScore,
+        changes: diffTables(oldTable, bestMatch)
+      });
+      addedTables = addedTables.filter(table => table !== bestMatch);
+    }
+  });
+  removedTables = removedTables.filter(table => !renamedTables.some(rename => rename.from === table.tableName));
+
+  const modifiedTables = [];
+  oldAnalysis.tables.forEach(oldTable => {
+    const newTable = newTables.get(oldTable.tableName);
+    if (!newTable) return;
+
+    const changes = diffTables(oldTable, newTable);
+    if (hasTableChanges(changes)) {
+      modifiedTables.push({ tableName: oldTable.tableName, ...changes });
+    }
+  });
+
+  const diff = {
+    addedTables: addedTables.map(table => table.tableName),
+    removedTables: removedTables.map(table => table.tableName),
+    renamedTables,
+    modifiedTables
+  };
+  diff.summary = summarizeDiff(diff);
+
+  return diff;
+}
+
+/**
+ * Compares two versions of the same table
+ * @param {Object} oldTable - Table from the old analysis
+ * @param {Object} newTable - Table from the new analysis
+ * @returns {Object} Column, constraint, index and row count changes
+ */
+function diffTables(oldTable, newTable) {
+  const oldColumns = new Map(oldTable.columns.map(column => [column.columnName, column]));
+  const newColumns = new Map(newTable.columns.map(column => [column.columnName, column]));
+
+  const addedColumns = newTable.columns.filter(column => !oldColumns.has(column.columnName));
+  const removedColumns = oldTable.columns.filter(column => !newColumns.has(column.columnName));
+
+  const changedColumns = [];
+  oldTable.columns.forEach(oldColumn => {
+    const newColumn = newColumns.get(oldColumn.columnName);
+    if (!newColumn) return;
+
+    const changes = diffColumns(oldColumn, newColumn);
+    if (changes.length > 0) {
+      changedColumns.push({ columnName: oldColumn.columnName, changes });
+    }
+  });
+
+  return {
+    addedColumns,
+    removedColumns,
+    changedColumns,
+    addedConstraints: difference(newTable.constraints || [], oldTable.constraints || [], constraintKey),
+    removedConstraints: difference(oldTable.constraints || [], newTable.constraints || [], constraintKey),
+    addedIndexes: difference(newTable.indexes || [], oldTable.indexes || [], indexKey),
+    removedIndexes: difference(oldTable.indexes || [], newTable.indexes || [], indexKey),
+    rowCount: {
+      from: oldTable.rowCount,
+      to: newTable.rowCount,
+      delta: newTable.rowCount - oldTable.rowCount
+    }
+  };
+}
+
+/**
+ * Lists property changes between two versions of a column
+ * @param {Object} oldColumn - Column from the old analysis
+ * @param {Object} newColumn - Column from the new analysis
+ * @returns {Array} Changes as { property, from, to }
+ */
+function diffColumns(oldColumn, newColumn) {
+  const changes = COLUMN_PROPERTIES
+    .filter(({ key }) => oldColumn[key] !== newColumn[key])
+    .map(({ key, label }) => ({ property: label, from: oldColumn[key], to: newColumn[key] }));
+
+  const oldReference = formatForeignKey(oldColumn.foreignKey);
+  const newReference = formatForeignKey(newColumn.foreignKey);
+  if (oldReference !== newReference) {
+    changes.push({ property: 'references', from: oldReference, to: newReference });
+  }
+
+  const oldValues = formatEnumValues(oldColumn.enumValues);
+  const newValues = formatEnumValues(newColumn.enumValues);
+  if (oldValues !== newValues) {
+    changes.push({ property: 'values', from: oldValues, to: newValues });
+  }
+
+  return changes;
+}
+
+function hasTableChanges(changes) {
+  return changes.addedColumns.length > 0 ||
+    changes.removedColumns.length > 0 ||
+    changes.changedColumns.length > 0 ||
+    changes.addedConstraints.length > 0 ||
+    changes.removedConstraints.length > 0 ||
+    changes.addedIndexes.length > 0 ||
+    changes.removedIndexes.length > 0 ||
+    changes.rowCount.delta !== 0;
+}
+
+function summarizeDiff(diff) {
+  const countColumns = (key) => diff.modifiedTables.reduce((sum, table) => sum + table[key].length, 0);
+
+  return {
+    addedTables: diff.addedTables.length,
+    removedTables: diff.removedTables.length,
+    renamedTables: diff.renamedTables.length,
+    modifiedTables: diff.modifiedTables.length,
+    addedColumns: countColumns('addedColumns'),
+    removedColumns: countColumns('removedColumns'),
+    changedColumns: countColumns('changedColumns'),
+    rowCountDelta: diff.modifiedTables.reduce((sum, table) => sum + table.rowCount.delta, 0)
+  };
+}
+
+/**
+ * Share of column names the two tables have in common (Jaccard index)
+ */
+function columnSimilarity(tableA, tableB) {
+  const namesA = new Set(tableA.columns.map(column => `${column.columnName}:${column.dataType}`));
+  const namesB = new Set(tableB.columns.map(column => `${column.columnName}:${column.dataType}`));
+  if (namesA.size === 0 && namesB.size === 0) return 0;
+
+  let shared = 0;
+  namesA.forEach(name => {
+    if (namesB.has(name)) shared++;
+  });
+
+  return shared / (namesA.size + namesB.size - shared);
+}
+
+function difference(items, others, keyOf) {
+  const otherKeys = new Set(others.map(keyOf));
+  return items.filter(item => !otherKeys.has(keyOf(item)));
+}
+
+/**
+ * Identity of a constraint for comparison purposes (names are ignored so that
+ * auto-generated constraint names do not show up as changes)
+ */
+function constraintKey(constraint) {
+  switch (constraint.type) {
+    case 'FOREIGN KEY':
+      return `FK:${constraint.columns.join(',')}->${constraint.referencedTable}(${constraint.referencedColumns.join(',')})` +
+        `:${constraint.onDelete || ''}:${constraint.onUpdate || ''}`;
+    case 'CHECK':
+      return `CHECK:${constraint.expression}`;
+    default:
+      return `${constraint.type}:${constraint.columns.join(',')}`;
+  }
+}
+
+function indexKey(index) {
+  return `${index.unique ? 'UNIQUE ' : ''}${index.indexName || ''}:${(index.columns || []).join(',')}`;
+}
+
+function formatForeignKey(foreignKey) {
+  return foreignKey ? `${foreignKey.table}.${foreignKey.column}` : null;
+}
+
+function formatEnumValues(values) {
+  return values ? values.join(', ') : null;
+}
+
+module.exports = {
+  diffAnalyses,
+  diffTables,
+  constraintKey
+};
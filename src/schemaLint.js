@@ -0,0 +1,332 @@
+/**
+ * Schema lint rules
+ * Flags design smells in an analysis (missing primary keys, unindexed foreign keys,
+ * inconsistent column types, ...). Each rule has a default severity that a project config
+ * can override or turn off:
+ *
+ *   { "lint": { "rules": { "varchar-255": "off", "naming-convention": ["error", { "columns": "camelCase" }] } } }
+ */
+
+const SEVERITIES = ['error', 'warning', 'info'];
+
+// Severity names accepted in a config, besides the ones above
+const SEVERITY_OFF = 'off';
+
+// Identifiers reserved in at least one supported dialect that commonly end up as table or column names
+const RESERVED_WORDS = new Set([
+  'add', 'all', 'alter', 'and', 'any', 'as', 'asc', 'between', 'both', 'by', 'case', 'check', 'collate',
+  'column', 'condition', 'constraint', 'create', 'cross', 'current_date', 'current_time',
+  'current_timestamp', 'current_user', 'database', 'default', 'delete', 'desc', 'distinct', 'drop',
+  'else', 'end', 'exists', 'fetch', 'force', 'foreign', 'from', 'full', 'function', 'grant', 'group',
+  'having', 'in', 'index', 'inner', 'insert', 'interval', 'into', 'is', 'join', 'key', 'leading',
+  'left', 'like', 'limit', 'lock', 'match', 'natural', 'not', 'null', 'offset', 'on', 'option', 'or',
+  'order', 'outer', 'over', 'partition', 'primary', 'procedure', 'range', 'rank', 'read', 'references',
+  'release', 'rename', 'replace', 'return', 'revoke', 'right', 'row', 'rows', 'schema', 'select',
+  'session', 'set', 'some', 'table', 'then', 'to', 'trailing', 'trigger', 'union', 'unique', 'update',
+  'usage', 'user', 'using', 'values', 'when', 'where', 'window', 'with', 'write'
+]);
+
+const NAMING_CONVENTIONS = {
+  snake_case: /^[a-z][a-z0-9]*(_[a-z0-9]+)*$/,
+  camelCase: /^[a-z][a-zA-Z0-9]*$/,
+  PascalCase: /^[A-Z][a-zA-Z0-9]*$/,
+  UPPER_SNAKE_CASE: /^[A-Z][A-Z0-9]*(_[A-Z0-9]+)*$/
+};
+
+// Spellings of the same integer types, so that SERIAL / INTEGER / INT(11) compare equal to INT
+const TYPE_SYNONYMS = {
+  INTEGER: 'INT',
+  INT4: 'INT',
+  SERIAL: 'INT',
+  INT8: 'BIGINT',
+  BIGSERIAL: 'BIGINT',
+  INT2: 'SMALLINT',
+  SMALLSERIAL: 'SMALLINT'
+};
+
+/**
+ * Rule definitions: { id, description, severity (default), options (defaults), check(context, report) }
+ * check() calls report(table, column, message) for each finding; column may be null
+ */
+const LINT_RULES = [
+  {
+    id: 'require-primary-key',
+    description: 'Tables should have a primary key',
+    severity: 'error',
+    check: ({ tables }, report) => {
+      tables.forEach(table => {
+        const hasPrimaryKey = table.columns.some(column => column.primaryKey) ||
+          table.constraints.some(constraint => constraint.type === 'PRIMARY KEY');
+        if (!hasPrimaryKey) {
+          report(table, null, `Table ${table.tableName} has no primary key`);
+        }
+      });
+    }
+  },
+  {
+    id: 'index-foreign-keys',
+    description: 'Foreign key columns should be covered by an index',
+    severity: 'warning',
+    check: ({ tables }, report) => {
+      tables.forEach(table => {
+        const indexedColumnLists = listIndexedColumns(table);
+        table.constraints
+          .filter(constraint => constraint.type === 'FOREIGN KEY')
+          .forEach(constraint => {
+            const covered = indexedColumnLists.some(columns => startsWith(columns, constraint.columns));
+            if (!covered) {
+              report(table, constraint.columns.join(', '),
+                `Foreign key (${constraint.columns.join(', ')}) → ${constraint.referencedTable} has no index starting with its columns`);
+            }
+          });
+      });
+    }
+  },
+  {
+    id: 'id-column-foreign-key',
+    description: 'Columns named *_id should reference another table',
+    severity: 'warning',
+    options: { pattern: '_id$' },
+    check: ({ tables, options }, report) => {
+      const pattern = new RegExp(options.pattern, 'i');
+      tables.forEach(table => {
+        const primaryKeyColumns = listPrimaryKeyColumns(table);
+        const foreignKeyColumns = new Set(table.constraints
+          .filter(constraint => constraint.type === 'FOREIGN KEY')
+          .flatMap(constraint => constraint.columns));
+
+        table.columns.forEach(column => {
+          // The table's own single-column key (users.user_id) is not expected to reference anything
+          const isOwnKey = primaryKeyColumns.length === 1 && primaryKeyColumns[0] === column.columnName;
+          if (pattern.test(column.columnName) && !column.foreignKey && !foreignKeyColumns.has(column.columnName) && !isOwnKey) {
+            report(table, column.columnName, `${table.tableName}.${column.columnName} looks like a reference but has no foreign key`);
+          }
+        });
+      });
+    }
+  },
+  {
+    id: 'consistent-column-types',
+    description: 'Columns with the same name should have the same type in every table',
+    severity: 'warning',
+    check: ({ tables }, report) => {
+      // column name → Map(normalized type → [{ table, column }])
+      const typesByName = new Map();
+      tables.forEach(table => {
+        table.columns.forEach(column => {
+          const name = column.columnName.toLowerCase();
+          if (!typesByName.has(name)) typesByName.set(name, new Map());
+          const byType = typesByName.get(name);
+          const type = normalizeDataType(column.dataType);
+          if (!byType.has(type)) byType.set(type, []);
+          byType.get(type).push({ table, column });
+        });
+      });
+
+      typesByName.forEach(byType => {
+        if (byType.size < 2) return;
+        // The most common type is taken as the intended one; the others are reported
+        const groups = Array.from(byType.values()).sort((a, b) => b.length - a.length);
+        const expected = groups[0];
+        const expectedTables = expected.map(entry => entry.table.tableName).join(', ');
+        groups.slice(1).forEach(group => {
+          group.forEach(({ table, column }) => {
+            report(table, column.columnName,
+              `${table.tableName}.${column.columnName} is ${column.dataType} but ${expected[0].column.dataType} in ${expectedTables}`);
+          });
+        });
+      });
+    }
+  },
+  {
+    id: 'varchar-255',
+    description: 'VARCHAR(255) is usually a default rather than a chosen length',
+    severity: 'info',
+    check: ({ tables }, report) => {
+      tables.forEach(table => {
+        table.columns.forEach(column => {
+          if (/^(N?VARCHAR|CHARACTER VARYING)\(255\)$/.test(column.dataType)) {
+            report(table, column.columnName, `${table.tableName}.${column.columnName} uses ${column.dataType}; consider a length that fits the data`);
+          }
+        });
+      });
+    }
+  },
+  {
+    id: 'reserved-words',
+    description: 'Table and column names should not be SQL reserved words',
+    severity: 'warning',
+    check: ({ tables }, report) => {
+      tables.forEach(table => {
+        if (RESERVED_WORDS.has(table.tableName.toLowerCase())) {
+          report(table, null, `Table name ${table.tableName} is a reserved word and must be quoted`);
+        }
+        table.columns.forEach(column => {
+          if (RESERVED_WORDS.has(column.columnName.toLowerCase())) {
+            report(table, column.columnName, `Column name ${table.tableName}.${column.columnName} is a reserved word and must be quoted`);
+          }
+        });
+      });
+    }
+  },
+  {
+    id: 'naming-convention',
+    description: 'Table and column names should follow the naming convention',
+    severity: 'warning',
+    options: { tables: 'snake_case', columns: 'snake_case' },
+    check: ({ tables, options }, report) => {
+      const tablePattern = resolveNamingPattern(options.tables);
+      const columnPattern = resolveNamingPattern(options.columns);
+
+      tables.forEach(table => {
+        if (tablePattern && !tablePattern.test(table.tableName)) {
+          report(table, null, `Table name ${table.tableName} does not follow ${options.tables}`);
+        }
+        if (!columnPattern) return;
+        table.columns.forEach(column => {
+          if (!columnPattern.test(column.columnName)) {
+            report(table, column.columnName, `Column name ${table.tableName}.${column.columnName} does not follow ${options.columns}`);
+          }
+        });
+      });
+    }
+  }
+];
+
+/**
+ * Runs the lint rules on an analysis
+ * @param {Object} analysis - Analysis result
+ * @param {Object} [config] - The "lint" section of a project config: { rules: { [id]: severity | [severity, options] } }
+ * @returns {Object} { findings: [{ rule, severity, table, column, message }], summary: { error, warning, info } }
+ * @throws {Error} When the config names an unknown rule, severity or naming convention
+ */
+function lintSchema(analysis, config = {}) {
+  const settings = resolveRuleSettings(config);
+  const findings = [];
+
+  LINT_RULES.forEach(rule => {
+    const { severity, options } = settings.get(rule.id);
+    if (severity === SEVERITY_OFF) return;
+
+    const report = (table, column, message) => {
+      findings.push({ rule: rule.id, severity, table: table.tableName, column, message });
+    };
+    rule.check({ analysis, tables: analysis.tables, options }, report);
+  });
+
+  // Most severe first; rule order is kept within a severity
+  findings.sort((a, b) => SEVERITIES.indexOf(a.severity) - SEVERITIES.indexOf(b.severity));
+
+  const summary = { error: 0, warning: 0, info: 0 };
+  findings.forEach(finding => summary[finding.severity]++);
+
+  return { findings, summary };
+}
+
+/**
+ * Checks whether lint findings reach a severity threshold (used to gate CI runs)
+ * @param {Object} lint - Result of lintSchema
+ * @param {String} threshold - 'error', 'warning' or 'info'
+ * @returns {Boolean} True when at least one finding is at least as severe as the threshold
+ */
+function hasLintFindingsAtLeast(lint, threshold) {
+  const limit = SEVERITIES.indexOf(threshold);
+  return lint.findings.some(finding => SEVERITIES.indexOf(finding.severity) <= limit);
+}
+
+/**
+ * Merges the rule defaults with a lint config
+ * @returns {Map} rule id → { severity, options }
+ */
+function resolveRuleSettings(config) {
+  const rules = (config && config.rules) || {};
+  const settings = new Map(LINT_RULES.map(rule => [rule.id, { severity: rule.severity, options: { ...rule.options } }]));
+
+  Object.entries(rules).forEach(([id, value]) => {
+    if (!settings.has(id)) {
+      throw new Error(`Unknown lint rule "${id}" (expected ${LINT_RULES.map(rule => rule.id).join(', ')})`);
+    }
+
+    const [severity, options] = Array.isArray(value) ? value : [value, {}];
+    if (severity !== SEVERITY_OFF && !SEVERITIES.includes(severity)) {
+      throw new Error(`Invalid severity "${severity}" for lint rule "${id}" (expected ${SEVERITIES.join(', ')} or ${SEVERITY_OFF})`);
+    }
+
+    const setting = settings.get(id);
+    setting.severity = severity;
+    Object.assign(setting.options, options);
+  });
+
+  // Fail on a bad convention name up front rather than on the first table
+  const naming = settings.get('naming-convention').options;
+  resolveNamingPattern(naming.tables);
+  resolveNamingPattern(naming.columns);
+
+  return settings;
+}
+
+/**
+ * Turns a naming-convention option into a regular expression
+ * @param {String|null} convention - A NAMING_CONVENTIONS name, a regular expression source, or null to skip
+ * @returns {RegExp|null}
+ */
+function resolveNamingPattern(convention) {
+  if (!convention) return null;
+  if (NAMING_CONVENTIONS[convention]) return NAMING_CONVENTIONS[convention];
+
+  try {
+    return new RegExp(convention);
+  } catch (error) {
+    throw new Error(`Invalid naming convention "${convention}" (expected ${Object.keys(NAMING_CONVENTIONS).join(', ')} or a regular expression)`);
+  }
+}
+
+/**
+ * Column lists that an index lookup can start from: secondary indexes, PRIMARY KEY and UNIQUE
+ */
+function listIndexedColumns(table) {
+  const lists = (table.indexes || []).map(index => index.columns);
+  table.constraints
+    .filter(constraint => constraint.type === 'PRIMARY KEY' || constraint.type === 'UNIQUE')
+    .forEach(constraint => lists.push(constraint.columns));
+  table.columns
+    .filter(column => column.unique)
+    .forEach(column => lists.push([column.columnName]));
+
+  // Columns of a composite primary key are all flagged; only the whole key is one index
+  const primaryKeyColumns = listPrimaryKeyColumns(table);
+  if (primaryKeyColumns.length > 0) lists.push(primaryKeyColumns);
+
+  return lists;
+}
+
+function listPrimaryKeyColumns(table) {
+  const constraint = table.constraints.find(candidate => candidate.type === 'PRIMARY KEY');
+  if (constraint) return constraint.columns;
+  return table.columns.filter(column => column.primaryKey).map(column => column.columnName);
+}
+
+function startsWith(columns, prefix) {
+  return prefix.length <= columns.length &&
+    prefix.every((column, index) => column.toLowerCase() === columns[index].toLowerCase());
+}
+
+/**
+ * Canonical spelling of a data type for comparisons (display widths such as INT(11) are dropped)
+ */
+function normalizeDataType(dataType) {
+  const upper = String(dataType).toUpperCase().replace(/\s+/g, ' ').trim();
+  const match = upper.match(/^([A-Z0-9_ ]+?)(\(.*\))?$/);
+  if (!match) return upper;
+
+  const baseType = TYPE_SYNONYMS[match[1]] || match[1];
+  const isInteger = /^(TINY|SMALL|MEDIUM|BIG)?INT$/.test(baseType);
+  return isInteger ? baseType : baseType + (match[2] || '');
+}
+
+module.exports = {
+  LINT_RULES,
+  SEVERITIES,
+  lintSchema,
+  hasLintFindingsAtLeast
+};
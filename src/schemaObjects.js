@@ -0,0 +1,374 @@
+/**
+ * Views, stored routines, triggers and user-defined types
+ * node-sql-parser only reads some of these statements (MySQL routine bodies, T-SQL and the
+ * versioned comments mysqldump wraps them in defeat it), so they are recognised from the
+ * statement text. The parser is still used, where it can, to find the tables and columns
+ * a view, routine or trigger depends on.
+ */
+
+const { DIALECTS } = require('./dialect');
+const { splitStatements } = require('./statementSplitter');
+
+// One identifier part: `quoted`, "quoted", [quoted] or bare
+const IDENTIFIER = '(?:`[^`]+`|"[^"]+"|\\[[^\\]]+\\]|[A-Za-z_][\\w$]*)';
+const QUALIFIED_NAME = `${IDENTIFIER}(?:\\s*\\.\\s*${IDENTIFIER})*`;
+
+// Clauses that may sit between CREATE and the object keyword (MySQL definers, view options, ...)
+const CREATE_OPTION = '(?:OR\\s+(?:REPLACE|ALTER)|ALGORITHM\\s*=\\s*\\w+|DEFINER\\s*=\\s*\\S+|SQL\\s+SECURITY\\s+\\w+|TEMP(?:ORARY)?|MATERIALIZED|RECURSIVE|CONSTRAINT|AGGREGATE)';
+
+const CREATE_PATTERN = new RegExp(
+  `^CREATE\\s+(?:${CREATE_OPTION}\\s+)*(VIEW|TRIGGER|PROCEDURE|PROC|FUNCTION|TYPE|DOMAIN)\\s+(?:IF\\s+NOT\\s+EXISTS\\s+)?(${QUALIFIED_NAME})`,
+  'i'
+);
+const DROP_PATTERN = /^DROP\s+(?:MATERIALIZED\s+)?(VIEW|TRIGGER|PROCEDURE|PROC|FUNCTION|TYPE|DOMAIN)\s+(?:IF\s+EXISTS\s+)?([\s\S]+)$/i;
+
+const OBJECT_TYPES = {
+  VIEW: 'VIEW',
+  TRIGGER: 'TRIGGER',
+  PROCEDURE: 'PROCEDURE',
+  PROC: 'PROCEDURE',
+  FUNCTION: 'FUNCTION',
+  TYPE: 'TYPE',
+  DOMAIN: 'TYPE'
+};
+
+// Words that can follow FROM/JOIN/INTO/UPDATE in a routine body without naming a table
+const NON_TABLE_WORDS = new Set(['SELECT', 'SET', 'VALUES', 'DUAL', 'LATERAL', 'UNNEST', 'OUTFILE', 'DUMPFILE', 'NEW', 'OLD']);
+
+/**
+ * Recognises a statement that creates or drops a view, routine, trigger or type
+ * @param {String} text - Statement text from the statement splitter
+ * @param {Object} parser - node-sql-parser instance, used to find what the object references
+ * @param {String} dialect - node-sql-parser database name
+ * @returns {Object|null} { type: 'schema_object', action: 'create', object } or
+ *   { type: 'schema_object', action: 'drop', objectType, names }; null for other statements
+ * @throws {Error} When more statements follow the object's definition in the same text (a missing
+ *   or misplaced DELIMITER directive), with the position of the first one in error.location
+ */
+function recognizeSchemaObjectStatement(text, parser, dialect) {
+  // Cheap test first: most statements of a dump are INSERTs
+  if (!/^\s*(?:\/\*!\d*\s*)?(?:CREATE|DROP)\b/i.test(text.slice(0, 32))) {
+    return null;
+  }
+
+  const sql = unwrapVersionedComments(text);
+
+  const drop = sql.match(DROP_PATTERN);
+  if (drop) {
+    checkSingleStatement(text, dialect);
+    return {
+      type: 'schema_object',
+      action: 'drop',
+      objectType: OBJECT_TYPES[drop[1].toUpperCase()],
+      names: parseDropNames(drop[2], OBJECT_TYPES[drop[1].toUpperCase()])
+    };
+  }
+
+  const create = sql.match(CREATE_PATTERN);
+  if (!create) {
+    return null;
+  }
+
+  checkSingleStatement(text, dialect);
+
+  const keyword = create[1].toUpperCase();
+  const object = {
+    objectType: OBJECT_TYPES[keyword],
+    name: lastNamePart(create[2]),
+    definition: sql
+  };
+  const rest = sql.slice(create[0].length);
+
+  switch (object.objectType) {
+    case 'VIEW':
+      object.materialized = /^CREATE\s+(?:\S+\s+)*?MATERIALIZED\s+VIEW\b/i.test(sql);
+      object.references = findReferences(sql, parser, dialect);
+      break;
+    case 'TRIGGER':
+      Object.assign(object, describeTrigger(rest));
+      object.references = findReferences(sql, parser, dialect);
+      break;
+    case 'PROCEDURE':
+    case 'FUNCTION':
+      Object.assign(object, describeRoutine(rest));
+      object.references = findReferences(sql, parser, dialect);
+      break;
+    default:
+      Object.assign(object, keyword === 'DOMAIN' ? describeDomain(rest) : describeType(rest));
+      object.references = { tables: [], columns: [] };
+  }
+
+  return { type: 'schema_object', action: 'create', object };
+}
+
+/**
+ * Rejects a statement that holds more than one top-level statement, which would otherwise be taken
+ * for the definition of the object and hide the tables created after it
+ */
+function checkSingleStatement(text, dialect) {
+  const statements = splitStatements(text, splitterOptions(dialect));
+  if (statements.length <= 1) return;
+
+  const error = new Error(
+    `${statements.length - 1} more statement(s) follow the definition without a statement delimiter ` +
+    'in between; check the DELIMITER directives around it'
+  );
+  error.location = { start: { line: statements[1].line, column: statements[1].column } };
+  throw error;
+}
+
+/**
+ * mysqldump writes views and triggers inside versioned comments
+ * (/*!50001 CREATE ALGORITHM=UNDEFINED *\/ /*!50001 VIEW ... *\/); keep what is inside them
+ */
+function unwrapVersionedComments(text) {
+  return text
+    .replace(/\/\*!\d*\s?([\s\S]*?)\*\//g, '$1 ')
+    .replace(/\s+$/, '')
+    .trim();
+}
+
+/**
+ * Trigger timing, events, table and (PostgreSQL) the function it executes
+ * Covers MySQL/PostgreSQL/SQLite (BEFORE INSERT ON t) and SQL Server (ON t AFTER INSERT, UPDATE)
+ */
+function describeTrigger(rest) {
+  // Only the header is inspected, so the body cannot contribute events
+  const header = rest.split(/\bFOR\s+EACH\b|\bBEGIN\b|\bEXECUTE\b|\bWHEN\b|\bAS\b|\bREFERENCING\b/i)[0];
+
+  const timingMatch = header.match(/\b(BEFORE|AFTER|INSTEAD\s+OF|FOR)\b/i);
+  let timing = timingMatch ? timingMatch[1].toUpperCase().replace(/\s+/, ' ') : null;
+  // SQL Server's FOR INSERT is the same as AFTER INSERT
+  if (timing === 'FOR') timing = 'AFTER';
+
+  const events = [];
+  const eventPattern = /\b(INSERT|UPDATE|DELETE|TRUNCATE)\b/gi;
+  let eventMatch;
+  while ((eventMatch = eventPattern.exec(header)) !== null) {
+    const event = eventMatch[1].toUpperCase();
+    if (!events.includes(event)) events.push(event);
+  }
+
+  const tableMatch = header.match(new RegExp(`\\bON\\s+(${QUALIFIED_NAME})`, 'i'));
+  const forEachMatch = rest.match(/\bFOR\s+EACH\s+(ROW|STATEMENT)\b/i);
+  const routineMatch = rest.match(new RegExp(`\\bEXECUTE\\s+(?:FUNCTION|PROCEDURE)\\s+(${QUALIFIED_NAME})`, 'i'));
+
+  return {
+    table: tableMatch ? lastNamePart(tableMatch[1]) : null,
+    timing,
+    events,
+    forEach: forEachMatch ? forEachMatch[1].toUpperCase() : null,
+    routine: routineMatch ? lastNamePart(routineMatch[1]) : null
+  };
+}
+
+/**
+ * Parameter list and return type of a procedure or function
+ */
+function describeRoutine(rest) {
+  let parameters = '';
+  const open = rest.search(/\S/);
+  if (rest[open] === '(') {
+    const close = findClosingParenthesis(rest, open);
+    if (close !== -1) {
+      parameters = collapseWhitespace(rest.slice(open + 1, close));
+      rest = rest.slice(close + 1);
+    }
+  } else if (rest[open] === '@') {
+    // SQL Server lists parameters without parentheses: CREATE PROCEDURE p @id INT, @qty INT AS ...
+    const asMatch = rest.match(/\s(?:WITH\s+\w+(?:\s*,\s*\w+)*\s+)?AS\b/i);
+    if (asMatch) {
+      parameters = collapseWhitespace(rest.slice(open, asMatch.index));
+      rest = rest.slice(asMatch.index);
+    }
+  }
+
+  const returnsMatch = rest.match(/^\s*RETURNS\s+(TABLE\s*\([^)]*\)|SETOF\s+\S+|[A-Za-z_][\w ]*?(?:\s*\([^)]*\))?)(?=\s+(?:LANGUAGE|AS|BEGIN|DETERMINISTIC|NOT|NO|READS|MODIFIES|CONTAINS|COMMENT|SQL|RETURN|IMMUTABLE|STABLE|VOLATILE|STRICT|SECURITY|WITH|CALLED|CHARSET|COLLATE|PARALLEL|COST)\b|\s*$)/i);
+
+  return {
+    parameters,
+    returns: returnsMatch ? collapseWhitespace(returnsMatch[1]) : null
+  };
+}
+
+/**
+ * PostgreSQL CREATE TYPE: ENUM values, composite attributes or another kind (RANGE, base types)
+ */
+function describeType(rest) {
+  const enumMatch = rest.match(/^\s*AS\s+ENUM\s*\(([\s\S]*)\)\s*$/i);
+  if (enumMatch) {
+    return { typeKind: 'ENUM', values: parseStringList(enumMatch[1]), baseType: null };
+  }
+  if (/^\s*AS\s*\(/i.test(rest)) {
+    return { typeKind: 'COMPOSITE', values: null, baseType: null };
+  }
+  const kindMatch = rest.match(/^\s*AS\s+(\w+)/i);
+  return { typeKind: kindMatch ? kindMatch[1].toUpperCase() : 'BASE', values: null, baseType: null };
+}
+
+/**
+ * PostgreSQL CREATE DOMAIN: a base type with constraints
+ */
+function describeDomain(rest) {
+  const baseMatch = rest.match(/^\s*(?:AS\s+)?([A-Za-z_][\w ]*?(?:\s*\([^)]*\))?)(?=\s+(?:DEFAULT|CONSTRAINT|CHECK|NOT|NULL|COLLATE)\b|\s*$)/i);
+  return { typeKind: 'DOMAIN', values: null, baseType: baseMatch ? collapseWhitespace(baseMatch[1]).toUpperCase() : null };
+}
+
+/**
+ * Splitter options of a dialect, as from splitterOptionsFor in parseSql.js (which requires this module)
+ */
+function splitterOptions(dialect) {
+  const mySqlFamily = dialect === DIALECTS.MYSQL || dialect === DIALECTS.MARIADB;
+  return { hashComments: mySqlFamily, backslashEscapes: mySqlFamily };
+}
+
+/**
+ * Tables and columns used by a view, routine or trigger
+ * The whole statement is given to the parser first; when it cannot read it, the statements of the
+ * body are parsed one by one, and the ones it still cannot read are scanned for table names
+ * @returns {Object} { tables: [name], columns: [{ table, column }] } — table is null (unqualified),
+ *   a table name, or NEW/OLD in triggers; the analyzer resolves them against the schema
+ */
+function findReferences(sql, parser, dialect) {
+  const references = { tables: [], columns: [] };
+
+  if (!collectFromParser(sql, parser, dialect, references)) {
+    splitStatements(extractBody(sql), splitterOptions(dialect)).forEach(statement => {
+      if (!collectFromParser(statement.text, parser, dialect, references)) {
+        collectFromText(statement.text, references);
+      }
+    });
+  }
+
+  return references;
+}
+
+function collectFromParser(sql, parser, dialect, references) {
+  let result;
+  try {
+    result = parser.parse(sql, { database: dialect });
+  } catch (error) {
+    return false;
+  }
+
+  (result.tableList || []).forEach(entry => addTable(references, entry.split('::')[2]));
+  (result.columnList || []).forEach(entry => {
+    const [, table, column] = entry.split('::');
+    if (column && column !== '(.*)') {
+      addColumn(references, table === 'null' ? null : table, column);
+    }
+  });
+  return true;
+}
+
+/**
+ * Fallback for statements the parser cannot read: names after FROM, JOIN, INTO and UPDATE,
+ * and qualified column references (alias.column, NEW.column)
+ */
+function collectFromText(sql, references) {
+  const code = sql.replace(/'(?:[^'\\]|\\.|'')*'/g, "''");
+
+  const tablePattern = new RegExp(`\\b(?:FROM|JOIN|INTO|UPDATE)\\s+(${QUALIFIED_NAME})`, 'gi');
+  let match;
+  while ((match = tablePattern.exec(code)) !== null) {
+    const name = lastNamePart(match[1]);
+    if (!NON_TABLE_WORDS.has(name.toUpperCase())) addTable(references, name);
+  }
+
+  const columnPattern = new RegExp(`(${IDENTIFIER})\\s*\\.\\s*(${IDENTIFIER})`, 'g');
+  while ((match = columnPattern.exec(code)) !== null) {
+    addColumn(references, unquote(match[1]), unquote(match[2]));
+  }
+}
+
+/**
+ * Body of a routine or trigger: the dollar-quoted text in PostgreSQL, then what is between
+ * the outermost BEGIN and END
+ */
+function extractBody(sql) {
+  let body = sql;
+  const dollar = body.match(/(\$[A-Za-z_]*\$)([\s\S]*)\1/);
+  if (dollar) body = dollar[2];
+
+  const begin = body.search(/\bBEGIN\b/i);
+  const endMatches = Array.from(body.matchAll(/\bEND\b/gi));
+  if (begin !== -1 && endMatches.length > 0) {
+    const end = endMatches[endMatches.length - 1].index;
+    if (end > begin) body = body.slice(begin + 'BEGIN'.length, end);
+  }
+  return body;
+}
+
+function addTable(references, name) {
+  if (name && name !== 'null' && !references.tables.includes(name)) {
+    references.tables.push(name);
+  }
+}
+
+function addColumn(references, table, column) {
+  if (!references.columns.some(entry => entry.table === table && entry.column === column)) {
+    references.columns.push({ table, column });
+  }
+}
+
+/**
+ * Object names of a DROP statement: "a, b", "f(integer)", "trg ON table", "t CASCADE"
+ */
+function parseDropNames(text, objectType) {
+  let list = text.replace(/\s+(CASCADE|RESTRICT)\s*$/i, '');
+  if (objectType === 'TRIGGER') list = list.replace(/\s+ON\s+[\s\S]*$/i, '');
+
+  // Drop argument lists so the commas inside them do not split names
+  let depth = 0;
+  let flattened = '';
+  for (const char of list) {
+    if (char === '(') depth++;
+    if (depth === 0) flattened += char;
+    if (char === ')') depth = Math.max(0, depth - 1);
+  }
+
+  return flattened
+    .split(',')
+    .map(name => name.trim())
+    .filter(Boolean)
+    .map(lastNamePart);
+}
+
+function parseStringList(text) {
+  const values = [];
+  const pattern = /'((?:[^']|'')*)'/g;
+  let match;
+  while ((match = pattern.exec(text)) !== null) {
+    values.push(match[1].replace(/''/g, "'"));
+  }
+  return values;
+}
+
+function findClosingParenthesis(text, openIndex) {
+  let depth = 0;
+  for (let index = openIndex; index < text.length; index++) {
+    if (text[index] === '(') depth++;
+    if (text[index] === ')' && --depth === 0) return index;
+  }
+  return -1;
+}
+
+/**
+ * Last part of a qualified name without its quotes ("public"."mood" → mood)
+ */
+function lastNamePart(qualifiedName) {
+  const parts = qualifiedName.match(new RegExp(IDENTIFIER, 'g')) || [qualifiedName];
+  return unquote(parts[parts.length - 1]);
+}
+
+function unquote(identifier) {
+  return identifier.replace(/^[`"[]|[`"\]]$/g, '');
+}
+
+function collapseWhitespace(text) {
+  return text.replace(/\s+/g, ' ').trim();
+}
+
+module.exports = {
+  recognizeSchemaObjectStatement
+};
@@ -0,0 +1,400 @@
+/**
+ * Schema search
+ * Filters the schema browser. Words are matched fuzzily against table and column names, data
+ * types and comments, and the best matches are listed first; key:value filters narrow the columns
+ * down:
+ *
+ *   order total          columns matching both words (or tables, when both match the table)
+ *   type:DECIMAL         columns whose data type contains DECIMAL
+ *   nullable:false       NOT NULL columns (pk: and unique: work the same way)
+ *   fk:categories        columns referencing the categories table (fk:true for any foreign key)
+ *   table:order          only tables whose name matches
+ *   comment:"due date"   columns whose comment contains the text
+ */
+
+const { SCHEMA_OBJECT_GROUPS } = require('./schemaText');
+
+const FILTER_KEYS = ['type', 'nullable', 'pk', 'unique', 'fk', 'table', 'comment'];
+
+// A substring beats a subsequence, which beats a misspelling, whatever characters they match
+const SUBSTRING_SCORE = 2000;
+const SUBSEQUENCE_SCORE = 1000;
+const TYPO_SCORE = 0;
+
+// Words this long may be misspelt by one edit (a wrong, missing, extra or swapped character), and
+// words of TWO_TYPO_LENGTH characters or more by two
+const TYPO_LENGTH = 5;
+const TWO_TYPO_LENGTH = 8;
+
+const BOOLEAN_VALUES = {
+  true: true,
+  yes: true,
+  1: true,
+  false: false,
+  no: false,
+  0: false
+};
+
+/**
+ * Splits a search query into fuzzy words and key:value filters
+ * @param {String} text - Query typed in the search box
+ * @returns {Object} { terms, filters: [{ key, value }], errors } — errors describe filters with invalid values
+ */
+function parseSearchQuery(text) {
+  const terms = [];
+  const filters = [];
+  const errors = [];
+  const pattern = /(\w+):"([^"]*)"?|"([^"]*)"?|(\S+)/g;
+  let match;
+
+  while ((match = pattern.exec(String(text || ''))) !== null) {
+    const [token, quotedKey, quotedValue, quotedTerm, word] = match;
+    let key = quotedKey ? quotedKey.toLowerCase() : null;
+    let value = quotedKey ? quotedValue : null;
+    if (word) {
+      const separator = word.indexOf(':');
+      if (separator > 0) {
+        key = word.slice(0, separator).toLowerCase();
+        value = word.slice(separator + 1);
+      }
+    }
+
+    if (key && FILTER_KEYS.includes(key)) {
+      if (value === '') continue;
+      if (['nullable', 'pk', 'unique'].includes(key) && !(value.toLowerCase() in BOOLEAN_VALUES)) {
+        errors.push(`${key}: expects true or false, not "${value}"`);
+        continue;
+      }
+      filters.push({ key, value });
+    } else {
+      const term = quotedTerm !== undefined ? quotedTerm : token;
+      if (term.trim() !== '') terms.push(term);
+    }
+  }
+
+  return { terms, filters, errors };
+}
+
+/**
+ * Matches a pattern fuzzily: as a substring, as a subsequence ("usr" matches users, "ordit"
+ * order_items) or, for longer words, as a misspelling of a word of the text ("emial" matches
+ * email_address)
+ * @param {String} pattern - Search word
+ * @param {String} text - Name, type or comment to match
+ * @returns {Array|null} Positions of the matched characters in text, or null when it does not match
+ */
+function fuzzyMatch(pattern, text) {
+  const match = findMatch(pattern, text);
+  return match && match.positions;
+}
+
+/**
+ * Finds the best match of a pattern in a text (see fuzzyMatch)
+ * @returns {Object|null} { positions, score } — a higher score is a better match: substrings first,
+ *   then subsequences, then misspellings, and among them the ones hitting more word starts and runs
+ *   of characters
+ */
+function findMatch(pattern, text) {
+  const needle = String(pattern).toLowerCase();
+  const source = String(text || '');
+  const haystack = source.toLowerCase();
+  if (needle === '') return { positions: [], score: 0 };
+
+  const wordStarts = findWordStarts(source);
+  let start = haystack.indexOf(needle);
+  if (start !== -1) {
+    // An occurrence at the start of a word is the better one
+    for (let next = start; next !== -1 && !wordStarts[start]; next = haystack.indexOf(needle, next + 1)) {
+      if (wordStarts[next]) start = next;
+    }
+    const positions = Array.from({ length: needle.length }, (_, offset) => start + offset);
+    return { positions, score: SUBSTRING_SCORE + scorePositions(positions, wordStarts) };
+  }
+
+  const positions = findSubsequence(needle, haystack, wordStarts);
+  if (positions) return { positions, score: SUBSEQUENCE_SCORE + scorePositions(positions, wordStarts) };
+
+  return findMisspelling(needle, haystack, wordStarts);
+}
+
+/**
+ * Two points for each matched character that starts a word, one for each that follows the previous one
+ */
+function scorePositions(positions, wordStarts) {
+  return positions.reduce((score, position, index) => (
+    score + (wordStarts[position] ? 2 : 0) + (index > 0 && position === positions[index - 1] + 1 ? 1 : 0)
+  ), 0);
+}
+
+/**
+ * The subsequence of the text spelling the pattern with the best score (see scorePositions)
+ * @returns {Array|null} Positions of the pattern's characters, or null when the text does not contain them in order
+ */
+function findSubsequence(needle, haystack, wordStarts) {
+  if (needle.length > haystack.length) return null;
+
+  // scores[j]: best score of the pattern so far with its last character at haystack[j]; links
+  // record where the character before it was
+  let scores = null;
+  const links = [];
+  for (let patternIndex = 0; patternIndex < needle.length; patternIndex++) {
+    const current = new Array(haystack.length).fill(-Infinity);
+    const link = new Array(haystack.length).fill(-1);
+    // Best score of the previous character two or more positions back, and where
+    let gapScore = -Infinity;
+    let gapAt = -1;
+
+    for (let index = 0; index < haystack.length; index++) {
+      if (patternIndex > 0 && index >= 2 && scores[index - 2] > gapScore) {
+        gapScore = scores[index - 2];
+        gapAt = index - 2;
+      }
+      if (haystack[index] !== needle[patternIndex]) continue;
+
+      const bonus = wordStarts[index] ? 2 : 0;
+      if (patternIndex === 0) {
+        current[index] = bonus;
+      } else if (index > 0 && scores[index - 1] + 1 >= gapScore && scores[index - 1] > -Infinity) {
+        current[index] = scores[index - 1] + 1 + bonus;
+        link[index] = index - 1;
+      } else if (gapScore > -Infinity) {
+        current[index] = gapScore + bonus;
+        link[index] = gapAt;
+      }
+    }
+    scores = current;
+    links.push(link);
+  }
+
+  let end = -1;
+  scores.forEach((score, index) => {
+    if (score > -Infinity && (end === -1 || score > scores[end])) end = index;
+  });
+  if (end === -1) return null;
+
+  const positions = [end];
+  for (let patternIndex = needle.length - 1; patternIndex > 0; patternIndex--) {
+    positions.unshift(links[patternIndex][positions[0]]);
+  }
+  return positions;
+}
+
+/**
+ * The word of the text (see findWordStarts) the pattern is closest to, when it is within the edits
+ * allowed for the pattern's length
+ * @returns {Object|null} { positions, score } — positions cover the whole word
+ */
+function findMisspelling(needle, haystack, wordStarts) {
+  if (needle.length < TYPO_LENGTH) return null;
+  const allowed = needle.length >= TWO_TYPO_LENGTH ? 2 : 1;
+
+  let best = null;
+  let start = 0;
+  while (start < haystack.length) {
+    let end = start + 1;
+    while (end < haystack.length && !wordStarts[end]) end++;
+    const word = haystack.slice(start, end).replace(/[^a-z0-9]+$/, '');
+    const distance = editDistance(needle, word, allowed);
+    if (distance <= allowed && (!best || distance < best.distance)) {
+      best = { distance, positions: Array.from({ length: word.length }, (_, offset) => start + offset) };
+    }
+    start = end;
+  }
+  return best && { positions: best.positions, score: TYPO_SCORE - best.distance };
+}
+
+/**
+ * Edits (character replaced, added, removed, or two neighbours swapped) that turn one text into the
+ * other; any count above the limit is returned as limit + 1
+ */
+function editDistance(a, b, limit) {
+  if (Math.abs(a.length - b.length) > limit) return limit + 1;
+
+  let beforePrevious = null;
+  let previous = Array.from({ length: b.length + 1 }, (_, index) => index);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+      if (beforePrevious && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        current[j] = Math.min(current[j], beforePrevious[j - 2] + 1);
+      }
+    }
+    if (Math.min(...current) > limit) return limit + 1;
+    beforePrevious = previous;
+    previous = current;
+  }
+  return Math.min(previous[b.length], limit + 1);
+}
+
+/**
+ * Searches the tables, columns and other schema objects of an analysis
+ * @param {Object} analysis - Analysis result
+ * @param {String} text - Query typed in the search box (see parseSearchQuery)
+ * @returns {Object} { active, errors, tables, objects, matchedColumns }
+ *   tables: [{ table, nameMatches, columns }] — nameMatches are highlighted positions in the table
+ *     name; columns lists the matching columns as { column, nameMatches, typeMatches }, and is empty
+ *     when the table matched as a whole (all of its columns then belong to the result)
+ *   objects: [{ key, object, nameMatches }] — key is the analysis list (views, routines, ...)
+ *   Tables, their columns and objects come best match first when the query has words, and in the
+ *   order of the analysis otherwise.
+ */
+function searchSchema(analysis, text) {
+  const { terms, filters, errors } = parseSearchQuery(text);
+  const active = terms.length > 0 || filters.length > 0;
+  const tableFilters = filters.filter(filter => filter.key === 'table');
+  const columnFilters = filters.filter(filter => filter.key !== 'table');
+
+  const tables = [];
+  let matchedColumns = 0;
+
+  analysis.tables.forEach(table => {
+    if (!active) {
+      tables.push({ table, nameMatches: [], columns: [] });
+      return;
+    }
+
+    const tableNameMatches = tableFilters.map(filter => fuzzyMatch(filter.value, table.tableName));
+    if (tableNameMatches.some(matches => matches === null)) return;
+
+    // For each word: how it matches the table itself (name or comment), or null
+    const tableTermMatches = terms.map(term => {
+      const onName = findMatch(term, table.tableName);
+      if (onName) return onName;
+      const onComment = findMatch(term, table.comment);
+      return onComment && { positions: [], score: onComment.score };
+    });
+
+    const columns = [];
+    table.columns.forEach(column => {
+      if (!columnFilters.every(filter => columnPassesFilter(column, filter))) return;
+
+      const nameMatches = [];
+      const typeMatches = [];
+      let matchesColumn = columnFilters.length > 0;
+      let score = 0;
+
+      const everyTermMatches = terms.every((term, index) => {
+        const onName = findMatch(term, column.columnName);
+        const onType = onName ? null : findMatch(term, column.dataType);
+        const onComment = onName || onType ? null : findMatch(term, column.comment);
+        if (onName) nameMatches.push(...onName.positions);
+        if (onType) typeMatches.push(...onType.positions);
+        const match = onName || onType || onComment;
+        if (match) {
+          matchesColumn = true;
+          score += match.score;
+          return true;
+        }
+        return tableTermMatches[index] !== null;
+      });
+      if (!everyTermMatches || !matchesColumn) return;
+
+      columnFilters
+        .filter(filter => filter.key === 'type')
+        .forEach(filter => typeMatches.push(...(fuzzyMatch(filter.value, column.dataType) || [])));
+      columns.push({ column, nameMatches, typeMatches, score });
+    });
+
+    const tableMatches = columnFilters.length === 0 && tableTermMatches.every(matches => matches !== null);
+    if (!tableMatches && columns.length === 0) return;
+
+    // A table ranks with its best match: itself or one of its columns
+    const tableScore = tableMatches ? tableTermMatches.reduce((total, match) => total + match.score, 0) : -Infinity;
+    matchedColumns += columns.length;
+    tables.push({
+      table,
+      nameMatches: mergeMatches(tableNameMatches.concat(tableTermMatches.map(match => match && match.positions))),
+      columns: rankMatches(columns).map(({ score, ...entry }) => entry),
+      score: Math.max(tableScore, ...columns.map(entry => entry.score))
+    });
+  });
+
+  // Views, routines, triggers and types are matched on their name; column filters do not apply to them
+  const objects = [];
+  SCHEMA_OBJECT_GROUPS.forEach(({ key }) => {
+    (analysis[key] || []).forEach(object => {
+      if (!active) {
+        objects.push({ key, object, nameMatches: [] });
+        return;
+      }
+      if (filters.length > 0 || terms.length === 0) return;
+
+      const termMatches = terms.map(term => findMatch(term, object.name));
+      if (termMatches.every(match => match !== null)) {
+        objects.push({
+          key,
+          object,
+          nameMatches: mergeMatches(termMatches.map(match => match.positions)),
+          score: termMatches.reduce((total, match) => total + match.score, 0)
+        });
+      }
+    });
+  });
+
+  return {
+    active,
+    errors,
+    tables: rankMatches(tables).map(({ score, ...entry }) => entry),
+    objects: rankMatches(objects).map(({ score, ...entry }) => entry),
+    matchedColumns
+  };
+}
+
+/**
+ * Entries with a score, best first; equal scores keep their order (without words, every score is 0)
+ */
+function rankMatches(entries) {
+  return entries.slice().sort((a, b) => (b.score || 0) - (a.score || 0));
+}
+
+function columnPassesFilter(column, filter) {
+  const value = filter.value.toLowerCase();
+  switch (filter.key) {
+    case 'type':
+      return String(column.dataType).toLowerCase().includes(value);
+    case 'nullable':
+      return column.nullable === BOOLEAN_VALUES[value];
+    case 'pk':
+      return column.primaryKey === BOOLEAN_VALUES[value];
+    case 'unique':
+      return (column.unique || column.primaryKey) === BOOLEAN_VALUES[value];
+    case 'fk': {
+      if (value in BOOLEAN_VALUES) return Boolean(column.foreignKey) === BOOLEAN_VALUES[value];
+      if (!column.foreignKey) return false;
+      // fk:table or fk:table.column
+      const [table, referencedColumn] = value.split('.');
+      return column.foreignKey.table.toLowerCase() === table &&
+        (!referencedColumn || String(column.foreignKey.column).toLowerCase() === referencedColumn);
+    }
+    case 'comment':
+      return String(column.comment || '').toLowerCase().includes(value);
+    default:
+      return true;
+  }
+}
+
+/**
+ * Positions where a word starts: the first character, a character after a separator, an upper-case
+ * letter after a lower-case one, and the boundaries between letters and digits
+ */
+function findWordStarts(text) {
+  return Array.from(text, (character, index) => {
+    if (index === 0) return true;
+    const previous = text[index - 1];
+    if (!/[A-Za-z0-9]/.test(previous)) return true;
+    if (/[A-Z]/.test(character) && /[a-z]/.test(previous)) return true;
+    return /\d/.test(character) !== /\d/.test(previous);
+  });
+}
+
+function mergeMatches(matchLists) {
+  return Array.from(new Set(matchLists.filter(Boolean).flat())).sort((a, b) => a - b);
+}
+
+module.exports = {
+  parseSearchQuery,
+  fuzzyMatch,
+  searchSchema
+};
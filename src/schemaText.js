@@ -0,0 +1,210 @@
+/**
+ * Plain-text descriptions of analysis objects
+ * Shared by the renderer and by the report generators so that the window, the PDF and
+ * the command-line reports describe keys, constraints and profiles the same way
+ */
+
+const { DIALECT_LABELS } = require('./dialect');
+const { resolveColumnAnnotation, isDocumented } = require('./annotations');
+
+/**
+ * Short summary of a column's keys, such as "PK, AI" or "FK → categories.category_id"
+ * @param {Object} column - Column object from the analysis
+ * @returns {String} Key summary (empty when the column has none)
+ */
+function describeColumnKeys(column) {
+  const keys = [];
+  if (column.primaryKey) keys.push('PK');
+  if (column.unique) keys.push('UQ');
+  if (column.foreignKey) keys.push(`FK → ${column.foreignKey.table}.${column.foreignKey.column}`);
+  if (column.autoIncrement) keys.push('AI');
+  return keys.join(', ');
+}
+
+/**
+ * SQL-like description of a table constraint
+ * @param {Object} constraint - Constraint object from the analysis
+ * @returns {String} Description, prefixed with the constraint name when it has one
+ */
+function describeConstraint(constraint) {
+  const prefix = constraint.name ? `${constraint.name}: ` : '';
+
+  switch (constraint.type) {
+    case 'FOREIGN KEY': {
+      let text = `${prefix}FOREIGN KEY (${constraint.columns.join(', ')}) REFERENCES ${constraint.referencedTable}(${constraint.referencedColumns.join(', ')})`;
+      if (constraint.onDelete) text += ` ON DELETE ${constraint.onDelete}`;
+      if (constraint.onUpdate) text += ` ON UPDATE ${constraint.onUpdate}`;
+      return text;
+    }
+    case 'CHECK':
+      return `${prefix}CHECK (${constraint.expression})`;
+    default:
+      return `${prefix}${constraint.type} (${constraint.columns.join(', ')})`;
+  }
+}
+
+/**
+ * SQL-like description of a secondary index
+ * @param {Object} index - Index object { indexName, columns, unique }
+ * @returns {String} Description
+ */
+function describeIndex(index) {
+  const prefix = index.indexName ? `${index.indexName}: ` : '';
+  return `${prefix}${index.unique ? 'UNIQUE ' : ''}INDEX (${index.columns.join(', ')})`;
+}
+
+// Analysis properties holding the schema objects other than tables, in display order
+const SCHEMA_OBJECT_GROUPS = [
+  { key: 'views', label: 'Views' },
+  { key: 'routines', label: 'Routines' },
+  { key: 'triggers', label: 'Triggers' },
+  { key: 'types', label: 'Types' }
+];
+
+/**
+ * Label/value pairs describing a view, routine, trigger or type (its definition aside)
+ * @param {Object} object - Schema object from the analysis
+ * @returns {Array} Array of [label, value] strings, starting with the kind of object
+ */
+function describeSchemaObject(object) {
+  const rows = [];
+
+  switch (object.objectType) {
+    case 'VIEW':
+      rows.push(['Kind', object.materialized ? 'Materialized view' : 'View']);
+      break;
+    case 'TRIGGER':
+      rows.push(['Kind', 'Trigger'], ['Table', object.table || '-']);
+      rows.push(['Fires', [object.timing, object.events.join(' OR '), object.forEach && `for each ${object.forEach.toLowerCase()}`].filter(Boolean).join(' ') || '-']);
+      if (object.routine) rows.push(['Executes', object.routine]);
+      break;
+    case 'PROCEDURE':
+    case 'FUNCTION':
+      rows.push(['Kind', object.objectType === 'PROCEDURE' ? 'Procedure' : 'Function'], ['Parameters', object.parameters || '(none)']);
+      if (object.returns) rows.push(['Returns', object.returns]);
+      break;
+    default:
+      rows.push(['Kind', `${object.typeKind.charAt(0)}${object.typeKind.slice(1).toLowerCase()} type`]);
+      if (object.values) rows.push(['Values', object.values.map(value => `'${value.replace(/'/g, "''")}'`).join(', ')]);
+      if (object.baseType) rows.push(['Base type', object.baseType]);
+  }
+
+  if (object.dependencies.tables.length > 0) {
+    rows.push(['Depends on', object.dependencies.tables.join(', ')]);
+  }
+  return rows;
+}
+
+/**
+ * Label/value pairs summarizing a column data profile
+ * @param {Object} profile - Column profile from the analysis
+ * @returns {Array} Array of [label, value] strings
+ */
+function describeProfile(profile) {
+  const nullShare = profile.count > 0 ? ` (${((profile.nullCount / profile.count) * 100).toFixed(1)}%)` : '';
+  const rows = [
+    ['Values', profile.count.toLocaleString()],
+    ['Nulls', `${profile.nullCount.toLocaleString()}${nullShare}`],
+    ['Distinct', `${profile.distinctApproximate ? '≈ ' : ''}${profile.distinctCount.toLocaleString()}`],
+    ['Min', formatProfileValue(profile.min)],
+    ['Max', formatProfileValue(profile.max)]
+  ];
+  if (profile.averageLength !== null) {
+    rows.push(['Avg length', profile.averageLength.toFixed(1)]);
+  }
+  if (profile.unparsableCount > 0) {
+    rows.push(['Not numbers', `${profile.unparsableCount.toLocaleString()} (such as ${formatProfileValue(profile.unparsableExample)}), left out of the statistics`]);
+  }
+  return rows;
+}
+
+/**
+ * Formats a profiled value for display
+ * @param {*} value - Value from a profile (null when there is none)
+ * @returns {String} Display text
+ */
+function formatProfileValue(value) {
+  if (value === null || value === undefined) return '-';
+  if (typeof value === 'string') return `'${value}'`;
+  return String(value);
+}
+
+/**
+ * Owner and tags of a table, or owner, tags and example values of a column, on one line
+ * @param {Object} resolved - Annotation from resolveTableAnnotation or resolveColumnAnnotation
+ * @returns {String} Such as "Owner: crm · Tags: pii" (empty when there is nothing to show)
+ */
+function describeAnnotationDetails(resolved) {
+  const parts = [];
+  if (resolved.owner) parts.push(`Owner: ${resolved.owner}`);
+  if (resolved.tags.length > 0) parts.push(`Tags: ${resolved.tags.join(', ')}`);
+  if (resolved.examples && resolved.examples.length > 0) parts.push(`Examples: ${resolved.examples.join(', ')}`);
+  return parts.join(' · ');
+}
+
+/**
+ * Data dictionary of a table: its documented columns, with COMMENT clauses as descriptions
+ * @param {Object} annotations - Annotations of the analysis (may be missing)
+ * @param {Object} table - Table object from the analysis
+ * @returns {Array} Array of [column, description, owner, tags, examples] strings, '-' for missing values
+ */
+function listDictionaryRows(annotations, table) {
+  return table.columns
+    .map(column => [column, resolveColumnAnnotation(annotations, table, column)])
+    .filter(([, resolved]) => isDocumented(resolved))
+    .map(([column, resolved]) => [
+      column.columnName,
+      resolved.description || '-',
+      resolved.owner || '-',
+      resolved.tags.join(', ') || '-',
+      resolved.examples.join(', ') || '-'
+    ]);
+}
+
+/**
+ * Sensitive data findings as [confidence, column, category, evidence] rows
+ * @param {Object} sensitiveData - Result of detectSensitiveData
+ * @returns {Array} Rows such as ['high (98%)', 'customers.email', 'Email address', 'column name, 2 of 2 values match']
+ */
+function listSensitiveDataRows(sensitiveData) {
+  return sensitiveData.findings.map(finding => [
+    `${finding.level} (${Math.round(finding.confidence * 100)}%)`,
+    `${finding.table}.${finding.column}`,
+    finding.label,
+    finding.reasons.join(', ')
+  ]);
+}
+
+/**
+ * Display name of a dialect
+ * @param {String} dialect - node-sql-parser database name
+ * @returns {String} Label such as "PostgreSQL"
+ */
+function formatDialectName(dialect) {
+  return DIALECT_LABELS[dialect] || dialect || 'Unknown';
+}
+
+/**
+ * Statements of a dump that could not be parsed, including those past the listed diagnostics
+ * @param {Object} analysis - Analysis result
+ * @returns {Number} Skipped statement count
+ */
+function countSkippedStatements(analysis) {
+  const omitted = analysis.diagnosticsOmitted;
+  return (analysis.diagnostics || []).length + (omitted ? omitted.count : 0);
+}
+
+module.exports = {
+  countSkippedStatements,
+  describeAnnotationDetails,
+  describeColumnKeys,
+  describeConstraint,
+  describeIndex,
+  describeProfile,
+  describeSchemaObject,
+  formatProfileValue,
+  formatDialectName,
+  listDictionaryRows,
+  listSensitiveDataRows,
+  SCHEMA_OBJECT_GROUPS
+};
@@ -0,0 +1,256 @@
+/**
+ * Sensitive data detection
+ * Classifies columns that likely hold personal or secret data (emails, phone numbers, names,
+ * addresses, password hashes, card numbers, national IDs). Two kinds of evidence are combined
+ * into a confidence score between 0 and 1:
+ *   - the column name, e.g. customer_email or lastName;
+ *   - the inserted values, which the data profiler checks against the value patterns below
+ *     (see matchValuePatterns) — the share of matching values raises the score.
+ * The data dictionary has the last word: a column tagged pii, sensitive or confidential is
+ * flagged with full confidence, one tagged public never is.
+ */
+
+const { resolveColumnAnnotation } = require('./annotations');
+
+// Annotation tags that flag a column, and the one that clears it
+const SENSITIVE_TAGS = ['pii', 'sensitive', 'confidential'];
+const PUBLIC_TAG = 'public';
+
+// Confidence of a name match, of a weak name match (such as city), and below which nothing is reported
+const NAME_CONFIDENCE = 0.6;
+const WEAK_NAME_CONFIDENCE = 0.3;
+const MIN_CONFIDENCE = 0.3;
+
+// Share of the checked values that must match a pattern for the values to count as evidence
+const MIN_VALUE_SHARE = 0.3;
+
+const CONFIDENCE_LEVELS = [
+  { level: 'high', min: 0.8 },
+  { level: 'medium', min: 0.5 },
+  { level: 'low', min: 0 }
+];
+
+// Tables of people, whose plain "name" column is a person's name
+const PERSON_TABLE = /(^|_)(users?|customers?|clients?|employees?|persons?|people|members?|contacts?|patients?|students?|authors?|staff|subscribers?|guests?|buyers?|sellers?|accounts?)$/;
+
+/**
+ * Categories with their name heuristics (matched against the snake_case column name) and value
+ * patterns (matched against the trimmed text of each value)
+ */
+const SENSITIVE_CATEGORIES = [
+  {
+    id: 'email',
+    label: 'Email address',
+    names: /(^|_)e_?mail(_?address)?(_|$)/,
+    values: [/^[^\s@]+@[^\s@]+\.[a-z]{2,}$/i]
+  },
+  {
+    id: 'phone',
+    label: 'Phone number',
+    names: /(^|_)(phone|telephone|tel|mobile|cell|cellphone|fax|msisdn)(_?(number|no|num))?(_|$)/,
+    values: [/^(\+|00)\d[\d\s().-]{5,18}\d$/, /^\(?\d{2,4}\)?[\s.-]\d{2,4}([\s.-]\d{2,4}){1,3}$/],
+    accept: isPhoneNumber
+  },
+  {
+    id: 'name',
+    label: 'Person name',
+    names: /(^|_)((first|last|middle|given|family|full|maiden|nick)_?name|surname|forename)(_|$)/,
+    values: []
+  },
+  {
+    id: 'address',
+    label: 'Postal address',
+    names: /(^|_)(?<!(e_?mail|ip|mac|ip_v?[46]|wallet)_)(address(_?line_?\d?)?|addr|street|zip(_?code)?|postal_?code|post_?code)(_|$)/,
+    weakNames: /(^|_)(city|town)(_|$)/,
+    values: [/^\d+[a-z]?,?\s+(\S+\s+)*(street|st|avenue|ave|road|rd|boulevard|blvd|lane|ln|drive|dr|way|court|ct|place|pl|rue|strasse|straße)\.?(\s|,|$)/i]
+  },
+  {
+    id: 'credential',
+    label: 'Password hash or secret',
+    names: /(^|_)(password|passwd|pwd|pass_?hash|pw_?hash|secret|api_?key|access_?token|refresh_?token|pin_?code)(_|$)/,
+    values: [
+      /^\$2[abxy]?\$\d{2}\$[./A-Za-z0-9]{53}$/,
+      /^\$argon2(id|i|d)\$/,
+      /^\$[156]\$[^$]{1,16}\$[./A-Za-z0-9]+$/,
+      /^pbkdf2_sha\d+\$\d+\$/,
+      /^([a-f0-9]{32}|[a-f0-9]{40}|[a-f0-9]{64}|[a-f0-9]{128})$/i
+    ]
+  },
+  {
+    id: 'card',
+    label: 'Payment card number',
+    names: /(^|_)(card_?(number|no|num)|credit_?card(_?(number|no|num))?|cc_?(number|no|num)|pan|cvv|cvc)(_|$)/,
+    values: [/^\d([ -]?\d){12,18}$/],
+    accept: passesLuhnCheck
+  },
+  {
+    id: 'national-id',
+    label: 'National ID',
+    names: /(^|_)(ssn|social_?security(_?(number|no))?|national_?id|nino|nir|tax_?id|tin|passport(_?(number|no))?|id_?card(_?(number|no))?|driver_?licen[cs]e(_?(number|no))?)(_|$)/,
+    values: [
+      // US social security number (000, 666 and 9xx areas are never assigned)
+      /^(?!000|666|9\d\d)\d{3}-(?!00)\d{2}-(?!0000)\d{4}$/,
+      // UK national insurance number
+      /^[A-CEGHJ-PR-TW-Z]{2}\s?\d{2}\s?\d{2}\s?\d{2}\s?[A-D]$/i
+    ]
+  }
+];
+
+/**
+ * Sensitive data categories whose value patterns a value matches
+ * @param {*} value - Inserted value (not null)
+ * @returns {Array} Category ids, usually empty
+ */
+function matchValuePatterns(value) {
+  const text = String(value).trim();
+  if (text === '' || text.length > 200) return [];
+  return SENSITIVE_CATEGORIES
+    .filter(category => category.values.some(pattern => pattern.test(text)) && (!category.accept || category.accept(text)))
+    .map(category => category.id);
+}
+
+/**
+ * Classifies the columns of an analysis
+ * @param {Object} analysis - Analysis result (with its annotations, if any)
+ * @returns {Object} { findings, summary } — findings are { table, column, category, label, confidence,
+ *   level, reasons } sorted by decreasing confidence; summary counts them by level ({ high, medium, low })
+ */
+function detectSensitiveData(analysis) {
+  const findings = [];
+
+  analysis.tables.forEach(table => {
+    const profiles = new Map((table.dataProfile || []).map(profile => [profile.columnName, profile]));
+    const personTable = PERSON_TABLE.test(toSnakeCase(table.tableName));
+
+    table.columns.forEach(column => {
+      const { tags } = resolveColumnAnnotation(analysis.annotations, table, column);
+      if (tags.includes(PUBLIC_TAG)) return;
+
+      const candidates = scoreCategories(column, profiles.get(column.columnName), personTable);
+      const taggedAs = tags.filter(tag => SENSITIVE_TAGS.includes(tag));
+      if (taggedAs.length > 0) {
+        const best = candidates[0];
+        findings.push({
+          table: table.tableName,
+          column: column.columnName,
+          category: best ? best.category.id : 'tagged',
+          label: best ? best.category.label : 'Tagged as sensitive',
+          confidence: 1,
+          level: 'high',
+          reasons: [`tagged ${taggedAs.join(', ')}`].concat(best ? best.reasons : [])
+        });
+        return;
+      }
+
+      const best = candidates[0];
+      if (!best || best.confidence < MIN_CONFIDENCE) return;
+      findings.push({
+        table: table.tableName,
+        column: column.columnName,
+        category: best.category.id,
+        label: best.category.label,
+        confidence: best.confidence,
+        level: describeConfidence(best.confidence),
+        reasons: best.reasons
+      });
+    });
+  });
+
+  findings.sort((a, b) => b.confidence - a.confidence);
+
+  const summary = { high: 0, medium: 0, low: 0 };
+  findings.forEach(finding => summary[finding.level]++);
+
+  return { findings, summary };
+}
+
+/**
+ * Confidence level of a score: 'high', 'medium' or 'low'
+ */
+function describeConfidence(confidence) {
+  return CONFIDENCE_LEVELS.find(({ min }) => confidence >= min).level;
+}
+
+/**
+ * Evidence for each category, best first
+ * @returns {Array} [{ category, confidence, reasons }] for the categories with any evidence
+ */
+function scoreCategories(column, profile, personTable) {
+  const name = toSnakeCase(column.columnName);
+  const patterns = profile && profile.valuePatterns;
+
+  return SENSITIVE_CATEGORIES
+    .map(category => {
+      const reasons = [];
+      let nameScore = 0;
+      if (category.names.test(name)) {
+        nameScore = NAME_CONFIDENCE;
+        reasons.push('column name');
+      } else if (category.id === 'name' && name === 'name' && personTable) {
+        nameScore = NAME_CONFIDENCE;
+        reasons.push('name column of a person table');
+      } else if (category.weakNames && category.weakNames.test(name)) {
+        nameScore = WEAK_NAME_CONFIDENCE;
+        reasons.push('column name');
+      }
+
+      let valueScore = 0;
+      const matches = patterns ? patterns.matches[category.id] || 0 : 0;
+      if (matches > 0) {
+        const share = matches / patterns.checked;
+        if (share >= MIN_VALUE_SHARE) valueScore = 0.4 + 0.55 * share;
+        reasons.push(`${matches} of ${patterns.checked} values match`);
+      }
+
+      // Independent pieces of evidence: each one removes part of the remaining doubt
+      const confidence = Math.round((1 - (1 - nameScore) * (1 - valueScore)) * 100) / 100;
+      return { category, confidence, reasons };
+    })
+    .filter(candidate => candidate.confidence > 0)
+    .sort((a, b) => b.confidence - a.confidence);
+}
+
+/**
+ * Lower-case snake_case spelling of an identifier, so that lastName and LAST_NAME match last_name
+ */
+function toSnakeCase(identifier) {
+  return String(identifier)
+    .replace(/([a-z0-9])([A-Z])/g, '$1_$2')
+    .replace(/[^A-Za-z0-9]+/g, '_')
+    .toLowerCase();
+}
+
+/**
+ * Rules out dates, social security numbers, IP addresses and decimals that look like phone numbers
+ */
+function isPhoneNumber(text) {
+  const digits = text.replace(/\D/g, '').length;
+  return digits >= 7 && digits <= 15 &&
+    !/^\d{4}-\d{1,2}-\d{1,2}/.test(text) &&
+    !/^\d{3}-\d{2}-\d{4}$/.test(text) &&
+    !/^\d{1,3}(\.\d{1,3}){3}$/.test(text) &&
+    !/^\d+\.\d+$/.test(text);
+}
+
+/**
+ * Luhn checksum of a card number (separators ignored)
+ */
+function passesLuhnCheck(text) {
+  const digits = text.replace(/\D/g, '');
+  let sum = 0;
+  for (let index = 0; index < digits.length; index++) {
+    let digit = Number(digits[digits.length - 1 - index]);
+    if (index % 2 === 1) {
+      digit *= 2;
+      if (digit > 9) digit -= 9;
+    }
+    sum += digit;
+  }
+  return sum % 10 === 0;
+}
+
+module.exports = {
+  SENSITIVE_CATEGORIES,
+  matchValuePatterns,
+  detectSensitiveData
+};
@@ -0,0 +1,360 @@
+/**
+ * Row data of INSERT and COPY statements
+ * Reads the rows of `INSERT ... VALUES` statements and of the data blocks that follow
+ * `COPY ... FROM stdin` without a full parse, keeping the source text of every value. Rows can
+ * then be dropped and single values replaced while everything else is written back as it was,
+ * which node-sql-parser cannot do: its SQL output normalizes escapes and literals.
+ */
+
+const { DIALECTS } = require('./dialect');
+
+// Table and column names: `mysql`, "standard", [sql server] or bare
+const IDENTIFIER = '`(?:[^`]|``)+`|"(?:[^"]|"")+"|\\[[^\\]]+\\]|[A-Za-z_][A-Za-z0-9_$]*';
+const QUALIFIED_NAME = `(?:${IDENTIFIER})(?:\\s*\\.\\s*(?:${IDENTIFIER}))*`;
+
+const INSERT_HEAD_PATTERN = new RegExp(
+  '^(?:INSERT|REPLACE)\\s+(?:(?:LOW_PRIORITY|DELAYED|HIGH_PRIORITY|IGNORE|OR\\s+[A-Za-z]+)\\s+)*(?:INTO\\s+)?' +
+  `(${QUALIFIED_NAME})\\s*(?:\\(([^)]*)\\)\\s*)?(?:OVERRIDING\\s+[A-Za-z]+\\s+VALUE\\s+)?VALUES?\\b\\s*`,
+  'i'
+);
+
+const COPY_HEAD_PATTERN = new RegExp(`^COPY\\s+(${QUALIFIED_NAME})\\s*(?:\\(([^)]*)\\))?\\s*FROM\\s+stdin\\b`, 'i');
+
+const NUMBER_PATTERN = /^[+-]?(\d+(\.\d*)?|\.\d+)(e[+-]?\d+)?$/i;
+
+// Text allowed after a string literal that is still part of it: a cast or a collation
+const LITERAL_SUFFIX_PATTERN = /^(\s*::\s*[A-Za-z_][\w\s."[\](),]*|\s+COLLATE\s+\S+)?$/i;
+
+const MYSQL_ESCAPES = { 0: '\0', b: '\b', n: '\n', r: '\r', t: '\t', Z: '\x1a' };
+const C_ESCAPES = { b: '\b', f: '\f', n: '\n', r: '\r', t: '\t', v: '\v' };
+
+/**
+ * Whether a statement from the splitter inserts rows (its rows may still be unreadable)
+ */
+function isInsertStatement(text) {
+  return /^(INSERT|REPLACE)\b/i.test(text);
+}
+
+/**
+ * Whether a statement from the splitter is a COPY ... FROM stdin with its data block
+ */
+function isCopyStatement(text) {
+  return COPY_HEAD_PATTERN.test(text);
+}
+
+/**
+ * Reads the rows of an INSERT ... VALUES statement
+ * @param {String} text - Statement text from the splitter (without its delimiter)
+ * @param {String} dialect - node-sql-parser database name, which decides how strings are escaped
+ * @returns {Object|null} { table, columns, head, rows, separator, tail } — columns is null when the
+ *   statement has no column list; rows are arrays of value source texts; head, separator and tail are
+ *   the text before the first row, between rows and after the last one. Null for INSERT ... SELECT,
+ *   INSERT ... SET and statements that cannot be read.
+ */
+function parseInsertStatement(text, dialect) {
+  const match = text.match(INSERT_HEAD_PATTERN);
+  if (!match) return null;
+
+  const tuples = readTuples(text, match[0].length, dialect);
+  if (!tuples) return null;
+
+  return {
+    table: unquoteIdentifier(lastNamePart(match[1])),
+    columns: match[2] === undefined ? null : splitIdentifierList(match[2]),
+    head: match[0],
+    ...tuples
+  };
+}
+
+/**
+ * Writes an INSERT statement read by parseInsertStatement back with other rows
+ * @param {Object} insert - Result of parseInsertStatement
+ * @param {Array} rows - Rows of value source texts
+ * @returns {String} Statement text (without its delimiter)
+ */
+function formatInsertStatement(insert, rows) {
+  return `${insert.head}${rows.map(cells => `(${cells.join(',')})`).join(insert.separator)}${insert.tail}`;
+}
+
+/**
+ * Reads the data block of a COPY ... FROM stdin statement (text format)
+ * @param {String} text - Statement text from the splitter, from COPY to the closing `\.`
+ * @returns {Object|null} { table, columns, head, lines } — lines are the data lines, whose values are
+ *   separated by tabs (see decodeCopyField). Null for the CSV and binary formats.
+ */
+function parseCopyStatement(text) {
+  const match = text.match(COPY_HEAD_PATTERN);
+  const headEnd = text.indexOf('\n');
+  if (!match || headEnd === -1 || /\b(CSV|BINARY)\b/i.test(text.slice(0, headEnd))) return null;
+
+  const body = text.slice(headEnd + 1, text.length - 2);
+  const lines = body === '' ? [] : body.replace(/\n$/, '').split('\n');
+
+  return {
+    table: unquoteIdentifier(lastNamePart(match[1])),
+    columns: match[2] === undefined ? null : splitIdentifierList(match[2]),
+    head: text.slice(0, headEnd + 1),
+    lines
+  };
+}
+
+/**
+ * Writes a COPY statement read by parseCopyStatement back with other data lines
+ * @returns {String} Statement text, ending with the `\.` line
+ */
+function formatCopyStatement(copy, lines) {
+  return `${copy.head}${lines.map(line => `${line}\n`).join('')}\\.`;
+}
+
+/**
+ * Values a database assigns to an auto-increment column when rows leave it out or set it to NULL
+ * (or DEFAULT): one more than the largest value inserted so far, as MySQL and SQLite do
+ * @returns {Object} { observe(value), next() } — observe records a value written in the dump, next
+ *   returns the value the database gives the next row that has none
+ */
+function createKeySequence() {
+  let last = 0;
+  return {
+    observe: (value) => {
+      const number = Number(value);
+      if (Number.isInteger(number) && number > last) last = number;
+    },
+    next: () => ++last
+  };
+}
+
+/**
+ * Interprets the source text of an INSERT value
+ * @param {String} source - Value as written in the statement
+ * @param {String} dialect - node-sql-parser database name
+ * @returns {Object} { type, value, prefix, suffix } — type is 'null', 'number' (value is the number as
+ *   written), 'string' (value is the unescaped text; prefix is an N, E or _charset introducer and suffix
+ *   a cast such as ::text) or 'expression' (functions, hex and bit literals, DEFAULT; value is the source)
+ */
+function decodeValue(source, dialect) {
+  const text = source.trim();
+  if (/^null$/i.test(text)) return { type: 'null', value: null };
+  if (NUMBER_PATTERN.test(text)) return { type: 'number', value: text };
+
+  const prefix = (text.match(/^(N|E|_[A-Za-z0-9]+\s*)(?=['"])/i) || [''])[0];
+  const quote = text[prefix.length];
+  if (quote === '\'' || (quote === '"' && isMySqlFamily(dialect))) {
+    const backslashEscapes = usesBackslashEscapes(dialect, prefix);
+    const end = findStringEnd(text, prefix.length, quote, backslashEscapes);
+    const suffix = end === -1 ? null : text.slice(end + 1);
+    if (suffix !== null && LITERAL_SUFFIX_PATTERN.test(suffix)) {
+      return {
+        type: 'string',
+        value: unescapeString(text.slice(prefix.length + 1, end), quote, backslashEscapes, dialect),
+        prefix,
+        suffix
+      };
+    }
+  }
+
+  return { type: 'expression', value: text };
+}
+
+/**
+ * Writes a string as an INSERT value
+ * @param {String} value - Text to write
+ * @param {String} dialect - node-sql-parser database name
+ * @param {Object} [literal] - Decoded value it replaces, whose introducer and cast are kept
+ * @returns {String} Quoted and escaped literal
+ */
+function encodeString(value, dialect, literal = {}) {
+  const prefix = literal.prefix || '';
+  const suffix = literal.suffix || '';
+  const text = String(value);
+
+  if (isMySqlFamily(dialect)) {
+    const escaped = text.replace(/[\\'\0\n\r\x1a]/g, character => ({
+      '\\': '\\\\',
+      '\'': '\\\'',
+      '\0': '\\0',
+      '\n': '\\n',
+      '\r': '\\r',
+      '\x1a': '\\Z'
+    })[character]);
+    return `${prefix}'${escaped}'${suffix}`;
+  }
+  if (usesBackslashEscapes(dialect, prefix)) {
+    return `${prefix}'${text.replace(/\\/g, '\\\\').replace(/'/g, '\'\'')}'${suffix}`;
+  }
+  return `${prefix}'${text.replace(/'/g, '\'\'')}'${suffix}`;
+}
+
+/**
+ * Interprets a value of a COPY data line
+ * @param {String} field - Value between tabs
+ * @returns {String|null} Unescaped text; null for \N
+ */
+function decodeCopyField(field) {
+  if (field === '\\N') return null;
+  return field.replace(/\\([0-7]{1,3}|x[0-9A-Fa-f]{1,2}|.)/g, (sequence, code) => {
+    if (/^[0-7]/.test(code)) return String.fromCharCode(parseInt(code, 8));
+    if (/^x[0-9A-Fa-f]/.test(code)) return String.fromCharCode(parseInt(code.slice(1), 16));
+    return C_ESCAPES[code] || code;
+  });
+}
+
+/**
+ * Writes a value into a COPY data line
+ * @param {String|null} value - Text, or null for \N
+ * @returns {String} Escaped value
+ */
+function encodeCopyField(value) {
+  if (value === null) return '\\N';
+  return String(value).replace(/[\\\b\f\n\r\t\v]/g, character => ({
+    '\\': '\\\\',
+    '\b': '\\b',
+    '\f': '\\f',
+    '\n': '\\n',
+    '\r': '\\r',
+    '\t': '\\t',
+    '\v': '\\v'
+  })[character]);
+}
+
+/**
+ * Reads the parenthesized rows after VALUES
+ * @returns {Object|null} { rows, separator, tail }, or null when the text is not a list of rows
+ */
+function readTuples(text, start, dialect) {
+  const rows = [];
+  let separator = ',';
+  let index = start;
+
+  for (;;) {
+    if (text[index] !== '(') return null;
+    const row = readTuple(text, index, dialect);
+    if (!row) return null;
+    rows.push(row.cells);
+
+    const following = text.slice(row.end).match(/^\s*,\s*(?=\()/);
+    if (!following) {
+      return { rows, separator, tail: text.slice(row.end) };
+    }
+    if (rows.length === 1) separator = following[0];
+    index = row.end + following[0].length;
+  }
+}
+
+/**
+ * Splits one parenthesized row into its values at the commas outside strings and parentheses
+ * @returns {Object|null} { cells, end } — end is the index after the closing parenthesis
+ */
+function readTuple(text, open, dialect) {
+  const cells = [];
+  let cellStart = open + 1;
+  let depth = 0;
+  let index = open + 1;
+
+  while (index < text.length) {
+    const character = text[index];
+
+    if (character === '\'' || character === '"' || character === '`') {
+      const backslashEscapes = character !== '`' &&
+        usesBackslashEscapes(dialect, /[Ee]/.test(text[index - 1]) && !/\w/.test(text[index - 2] || '') ? 'E' : '');
+      const end = findStringEnd(text, index, character, backslashEscapes);
+      if (end === -1) return null;
+      index = end + 1;
+      continue;
+    }
+
+    if (character === '(') {
+      depth++;
+    } else if (character === ')') {
+      if (depth === 0) {
+        cells.push(text.slice(cellStart, index));
+        // VALUES () inserts a row of defaults
+        return { cells: cells.length === 1 && cells[0].trim() === '' ? [] : cells, end: index + 1 };
+      }
+      depth--;
+    } else if (character === ',' && depth === 0) {
+      cells.push(text.slice(cellStart, index));
+      cellStart = index + 1;
+    }
+    index++;
+  }
+
+  return null;
+}
+
+/**
+ * Finds the closing quote of a string literal, honouring doubled quotes and, where they apply,
+ * backslash escapes
+ * @returns {Number} Index of the closing quote, or -1 when the text ends first
+ */
+function findStringEnd(text, openIndex, quote, backslashEscapes) {
+  let index = openIndex + 1;
+  while (index < text.length) {
+    const character = text[index];
+    if (character === '\\' && backslashEscapes) {
+      index += 2;
+      continue;
+    }
+    if (character === quote) {
+      if (text[index + 1] !== quote) return index;
+      index++;
+    }
+    index++;
+  }
+  return -1;
+}
+
+function unescapeString(body, quote, backslashEscapes, dialect) {
+  const doubledQuote = `${quote}${quote}`;
+  const pattern = backslashEscapes ? new RegExp(`\\\\([\\s\\S])|${doubledQuote}`, 'g') : new RegExp(doubledQuote, 'g');
+  return body.replace(pattern, (sequence, character) => {
+    if (character === undefined) return quote;
+    if (isMySqlFamily(dialect)) {
+      // \% and \_ keep their backslash: they only escape LIKE wildcards
+      if (character === '%' || character === '_') return sequence;
+      return MYSQL_ESCAPES[character] || character;
+    }
+    return C_ESCAPES[character] || character;
+  });
+}
+
+/**
+ * MySQL strings always take backslash escapes; PostgreSQL strings only with the E introducer
+ */
+function usesBackslashEscapes(dialect, prefix) {
+  return isMySqlFamily(dialect) || /^E$/i.test(prefix);
+}
+
+function isMySqlFamily(dialect) {
+  return dialect === DIALECTS.MYSQL || dialect === DIALECTS.MARIADB;
+}
+
+function lastNamePart(qualifiedName) {
+  const parts = qualifiedName.match(new RegExp(IDENTIFIER, 'g'));
+  return parts[parts.length - 1];
+}
+
+function splitIdentifierList(list) {
+  return (list.match(new RegExp(IDENTIFIER, 'g')) || []).map(unquoteIdentifier);
+}
+
+function unquoteIdentifier(identifier) {
+  const first = identifier[0];
+  if (first === '`') return identifier.slice(1, -1).replace(/``/g, '`');
+  if (first === '"') return identifier.slice(1, -1).replace(/""/g, '"');
+  if (first === '[') return identifier.slice(1, -1);
+  return identifier;
+}
+
+module.exports = {
+  createKeySequence,
+  isInsertStatement,
+  isCopyStatement,
+  parseInsertStatement,
+  formatInsertStatement,
+  parseCopyStatement,
+  formatCopyStatement,
+  decodeValue,
+  encodeString,
+  decodeCopyField,
+  encodeCopyField
+};
@@ -0,0 +1,372 @@
+/**
+ * Statement splitter for SQL dumps
+ * Breaks a dump into individual statements so that each one can be parsed on its own.
+ * Delimiters inside strings, quoted identifiers, comments, dollar-quoted bodies and
+ * BEGIN ... END blocks of stored programs are not treated as statement boundaries. After a
+ * DELIMITER directive (DELIMITER $$, //, ;;) only the new delimiter ends a statement, wherever it
+ * appears outside strings and comments, as in the mysql client.
+ *
+ * The data of COPY ... FROM stdin is read line by line up to its `\.` line and emitted in parts of
+ * at most COPY_PART_SIZE characters, each a COPY statement of its own with the header repeated, so
+ * a large data block is never held in memory whole.
+ */
+
+const DEFAULT_DELIMITER = ';';
+
+// Characters of COPY data emitted per statement
+const COPY_PART_SIZE = 1024 * 1024;
+
+// Keywords that may follow END without closing a BEGIN block (END IF, END LOOP, ...); of the
+// constructs they close, only CASE may also end with a plain END (CASE expressions)
+const END_QUALIFIERS = new Set(['IF', 'LOOP', 'WHILE', 'REPEAT', 'CASE', 'FOR']);
+
+// Statements whose bodies can contain BEGIN ... END blocks
+// (not anchored: mysqldump wraps routines in conditional comments such as /*!50003 CREATE*/)
+const STORED_PROGRAM_PATTERN = /\bCREATE\b[\s\S]*?\b(PROCEDURE|FUNCTION|TRIGGER|EVENT)\b/i;
+
+// Sticky patterns matched in place while scanning (avoids copying the rest of the buffer)
+const WORD_PATTERN = /[A-Za-z_][A-Za-z0-9_$]*/y;
+const DOLLAR_TAG_PATTERN = /\$([A-Za-z_][A-Za-z0-9_]*)?\$/y;
+const FOLLOWING_WORD_PATTERN = /\s+([A-Za-z_]+)/y;
+
+// Whitespace and plain comments before a statement (conditional /*! ... */ comments are kept)
+const LEADING_NOISE_PATTERN = /^(\s|--[^\n]*(\n|$)|#[^\n]*(\n|$)|\/\*(?!!)[\s\S]*?\*\/)*/;
+
+/**
+ * Splits SQL text into statements
+ * @param {String} sqlContent - SQL text
+ * @param {Object} [options] - Splitter options
+ * @param {Boolean} [options.hashComments] - Treat `#` as a line comment (MySQL)
+ * @param {Boolean} [options.backslashEscapes] - Let a backslash escape the next character of any
+ *   string (MySQL); otherwise only PostgreSQL E'...' strings have backslash escapes
+ * @returns {Array} Statements as { text, line, column, delimiter, continued } with 1-based start
+ *   positions; delimiter is the one in force for the statement (changed by DELIMITER directives),
+ *   continued is set on the parts of a COPY data block after the first one
+ */
+function splitStatements(sqlContent, options = {}) {
+  const splitter = createStatementSplitter(options);
+  const statements = splitter.push(sqlContent);
+  return statements.concat(splitter.end());
+}
+
+/**
+ * Creates an incremental splitter that accepts the dump in chunks
+ * @param {Object} [options] - Splitter options (see splitStatements)
+ * @returns {Object} Splitter with push(chunk) and end(), each returning completed statements
+ */
+function createStatementSplitter(options = {}) {
+  const hashComments = Boolean(options.hashComments);
+  const backslashEscapes = Boolean(options.backslashEscapes);
+
+  let delimiter = DEFAULT_DELIMITER;
+  let buffer = '';
+  // Absolute position of buffer[0]
+  let bufferLine = 1;
+  let bufferColumn = 1;
+  // COPY ... FROM stdin whose data lines are being read: { head, line, column, delimiter, lines, size, continued }
+  let copy = null;
+
+  function push(chunk) {
+    buffer += chunk;
+    return drain(false);
+  }
+
+  function end() {
+    return drain(true);
+  }
+
+  /**
+   * Emits every complete statement in the buffer. Unless `final` is set, scanning
+   * stops at the last delimiter found so that a statement cut by a chunk boundary
+   * is completed by the next chunk.
+   */
+  function drain(final) {
+    const statements = [];
+    let start = 0;
+    let position = { line: bufferLine, column: bufferColumn };
+
+    while (start < buffer.length) {
+      if (copy) {
+        const lineEnd = buffer.indexOf('\n', start);
+        if (lineEnd === -1 && !final) break;
+        const line = buffer.slice(start, lineEnd === -1 ? buffer.length : lineEnd);
+        start = lineEnd === -1 ? buffer.length : lineEnd + 1;
+
+        if (line.startsWith('\\.')) {
+          // A part was just emitted when the data ends at a part boundary
+          if (!copy.continued || copy.lines.length > 0) statements.push(emitCopyPart());
+          copy = null;
+        } else {
+          if (copy.lines.length === 0 && copy.continued) copy.line = position.line;
+          copy.lines.push(line);
+          copy.size += line.length + 1;
+          if (copy.size >= COPY_PART_SIZE) statements.push(emitCopyPart());
+        }
+        position = { line: position.line + 1, column: 1 };
+        continue;
+      }
+
+      const scan = scanStatement(buffer, start, delimiter, { hashComments, backslashEscapes });
+      if (!scan.complete && !final) break;
+
+      const raw = buffer.slice(start, scan.end);
+      const statement = buildStatement(raw, position);
+
+      if (statement) {
+        const directive = parseDelimiterDirective(statement.text);
+        if (directive) {
+          delimiter = directive;
+        } else if (scan.copyData) {
+          copy = { head: statement.text, line: statement.line, column: statement.column, delimiter, lines: [], size: 0, continued: false };
+        } else {
+          statement.delimiter = delimiter;
+          statements.push(statement);
+        }
+      }
+
+      position = advancePosition(position.line, position.column, buffer, start, scan.next);
+      start = scan.next;
+    }
+
+    // A dump that ends inside COPY data: the lines read are still rows
+    if (final && copy) {
+      if (!copy.continued || copy.lines.length > 0) statements.push(emitCopyPart());
+      copy = null;
+    }
+
+    bufferLine = position.line;
+    bufferColumn = position.column;
+    buffer = buffer.slice(start);
+
+    return statements;
+  }
+
+  /**
+   * The COPY data lines read so far, as a COPY statement ending with the `\.` line
+   */
+  function emitCopyPart() {
+    const statement = {
+      text: `${copy.head};\n${copy.lines.map(line => `${line}\n`).join('')}\\.`,
+      line: copy.line,
+      column: copy.continued ? 1 : copy.column,
+      delimiter: copy.delimiter,
+      continued: copy.continued
+    };
+    copy.lines = [];
+    copy.size = 0;
+    copy.continued = true;
+    return statement;
+  }
+
+  return { push, end };
+}
+
+/**
+ * Scans one statement starting at `start`
+ * @returns {Object} { complete, end, next, copyData } — `end` excludes the delimiter, `next` is where
+ *   the following statement starts; copyData is set for COPY ... FROM stdin, whose data lines start at next
+ */
+function scanStatement(text, start, delimiter, { hashComments, backslashEscapes }) {
+  let index = start;
+  // Open BEGIN and CASE keywords of a stored program, innermost last; a plain END closes the innermost
+  const blocks = [];
+  let storedProgram = null;
+  let copyFromStdin = null;
+
+  // DELIMITER directives end at the line break, not at a delimiter
+  const leading = text.slice(start, start + 4096).match(LEADING_NOISE_PATTERN)[0].length;
+  if (/^DELIMITER[ \t]+\S/i.test(text.slice(start + leading, start + leading + 12))) {
+    const lineEnd = text.indexOf('\n', start + leading);
+    if (lineEnd === -1) {
+      return { complete: false, end: text.length, next: text.length };
+    }
+    return { complete: true, end: lineEnd, next: lineEnd + 1 };
+  }
+
+  while (index < text.length) {
+    const char = text[index];
+    const nextChar = text[index + 1];
+
+    // Line comments
+    if ((char === '-' && nextChar === '-') || (hashComments && char === '#')) {
+      const lineEnd = text.indexOf('\n', index);
+      if (lineEnd === -1) return incomplete(text);
+      index = lineEnd + 1;
+      continue;
+    }
+
+    // Block comments
+    if (char === '/' && nextChar === '*') {
+      const commentEnd = text.indexOf('*/', index + 2);
+      if (commentEnd === -1) return incomplete(text);
+      index = commentEnd + 2;
+      continue;
+    }
+
+    // Strings and quoted identifiers
+    if (char === '\'' || char === '"' || char === '`') {
+      const escapes = char !== '`' && (backslashEscapes || (char === '\'' && isEscapeStringPrefix(text, index)));
+      const quoteEnd = findQuoteEnd(text, index, char, escapes);
+      if (quoteEnd === -1) return incomplete(text);
+      index = quoteEnd + 1;
+      continue;
+    }
+
+    // A delimiter set by DELIMITER ends the statement even inside BEGIN ... END, and takes
+    // precedence over dollar quotes ($$) and words it is glued to (END$$)
+    if (delimiter !== DEFAULT_DELIMITER && text.startsWith(delimiter, index)) {
+      return { complete: true, end: index, next: index + delimiter.length };
+    }
+
+    // PostgreSQL dollar-quoted bodies: $$ ... $$ or $tag$ ... $tag$
+    if (char === '$') {
+      const tagMatch = matchAt(DOLLAR_TAG_PATTERN, text, index);
+      if (tagMatch) {
+        const bodyEnd = text.indexOf(tagMatch[0], index + tagMatch[0].length);
+        if (bodyEnd === -1) return incomplete(text);
+        index = bodyEnd + tagMatch[0].length;
+        continue;
+      }
+    }
+
+    // Keywords that open or close BEGIN ... END blocks in stored programs
+    if (/[A-Za-z_]/.test(char) && (index === 0 || !/[A-Za-z0-9_$]/.test(text[index - 1]))) {
+      let word = matchAt(WORD_PATTERN, text, index)[0];
+      const delimiterAt = delimiter === DEFAULT_DELIMITER ? -1 : word.indexOf(delimiter);
+      if (delimiterAt > 0) word = word.slice(0, delimiterAt);
+      const upperWord = word.toUpperCase();
+
+      if (storedProgram === null && (upperWord === 'BEGIN' || upperWord === 'COPY')) {
+        storedProgram = STORED_PROGRAM_PATTERN.test(text.slice(start, index));
+      }
+
+      if (upperWord === 'COPY' && copyFromStdin === null) {
+        copyFromStdin = /^COPY\b[^;]*\bFROM\s+stdin\b/i.test(text.slice(index, index + 4096));
+      }
+
+      if (storedProgram && upperWord === 'BEGIN') {
+        blocks.push('BEGIN');
+      } else if (storedProgram && upperWord === 'CASE' && blocks.length > 0) {
+        blocks.push('CASE');
+      } else if (storedProgram && upperWord === 'END' && blocks.length > 0) {
+        const following = matchAt(FOLLOWING_WORD_PATTERN, text, index + word.length);
+        const qualifier = following && following[1].toUpperCase();
+        if (qualifier === 'CASE') {
+          // END CASE closes a CASE statement
+          const caseAt = blocks.lastIndexOf('CASE');
+          if (caseAt !== -1) blocks.splice(caseAt, 1);
+          index += word.length + following[0].length;
+          continue;
+        }
+        if (!END_QUALIFIERS.has(qualifier)) {
+          blocks.pop();
+        }
+      }
+
+      index += word.length;
+      continue;
+    }
+
+    if (blocks.length === 0 && text.startsWith(delimiter, index)) {
+      // COPY ... FROM stdin is followed by inline data lines, from the next line on
+      if (copyFromStdin) {
+        const lineEnd = text.indexOf('\n', index);
+        if (lineEnd === -1) return incomplete(text);
+        return { complete: true, end: index, next: lineEnd + 1, copyData: true };
+      }
+      return { complete: true, end: index, next: index + delimiter.length };
+    }
+
+    index++;
+  }
+
+  return incomplete(text);
+}
+
+function matchAt(stickyPattern, text, index) {
+  stickyPattern.lastIndex = index;
+  return stickyPattern.exec(text);
+}
+
+function incomplete(text) {
+  return { complete: false, end: text.length, next: text.length };
+}
+
+/**
+ * Whether the quote at `index` opens a PostgreSQL escape string (E'...'), where backslashes escape
+ */
+function isEscapeStringPrefix(text, index) {
+  return /^[Ee]$/.test(text[index - 1] || '') && !/[A-Za-z0-9_$]/.test(text[index - 2] || '');
+}
+
+/**
+ * Finds the closing quote, honouring doubled quotes and, if `backslashEscapes` is set, backslash escapes
+ * @returns {Number} Index of the closing quote, or -1 if the text ends first
+ */
+function findQuoteEnd(text, openIndex, quote, backslashEscapes) {
+  let index = openIndex + 1;
+
+  while (index < text.length) {
+    const char = text[index];
+    if (char === '\\' && backslashEscapes) {
+      index += 2;
+      continue;
+    }
+    if (char === quote) {
+      if (text[index + 1] === quote) {
+        index += 2;
+        continue;
+      }
+      return index;
+    }
+    index++;
+  }
+
+  return -1;
+}
+
+/**
+ * Trims a raw statement and records where its first meaningful character is.
+ * Statements made only of whitespace and comments are dropped.
+ */
+function buildStatement(raw, position) {
+  const leading = raw.match(LEADING_NOISE_PATTERN)[0].length;
+  const text = raw.slice(leading).trim();
+
+  // Conditional comments count as content: mysqldump writes views and triggers inside them
+  if (text.length === 0 || /^(\s|--[^\n]*|\/\*(?!!)[\s\S]*?\*\/)*$/.test(text)) {
+    return null;
+  }
+
+  const start = advancePosition(position.line, position.column, raw, 0, leading);
+  return { text, line: start.line, column: start.column };
+}
+
+function parseDelimiterDirective(text) {
+  const match = text.match(/^DELIMITER[ \t]+(\S+)\s*$/i);
+  return match ? match[1] : null;
+}
+
+/**
+ * Moves a line/column position forward over text[from, to)
+ */
+function advancePosition(line, column, text, from, to) {
+  let currentLine = line;
+  let currentColumn = column;
+
+  for (let index = from; index < to; index++) {
+    if (text[index] === '\n') {
+      currentLine++;
+      currentColumn = 1;
+    } else {
+      currentColumn++;
+    }
+  }
+
+  return { line: currentLine, column: currentColumn };
+}
+
+module.exports = {
+  splitStatements,
+  createStatementSplitter
+};
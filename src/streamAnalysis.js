@@ -0,0 +1,152 @@
+/**
+ * Streaming analysis of SQL dump files
+ * Reads a dump in chunks and feeds statements to the analyzer as they are completed,
+ * so multi-gigabyte dumps never have to be held in memory as one string or one AST
+ */
+
+const fs = require('fs');
+const { Parser } = require('node-sql-parser');
+const { createAnalyzer } = require('./analyzer');
+const { DETECTION_SAMPLE_SIZE, resolveDialect, prepareSqlForDialect } = require('./dialect');
+const { parseStatement, splitterOptionsFor } = require('./parseSql');
+const { createStatementSplitter } = require('./statementSplitter');
+
+const CHUNK_SIZE = 1024 * 1024;
+
+// Minimum time between progress callbacks
+const PROGRESS_INTERVAL_MS = 200;
+
+// Skipped statements listed in the diagnostics; the others are only counted
+const MAX_DIAGNOSTICS = 1000;
+
+/**
+ * Streams a SQL dump file through the statement splitter, parser and analyzer
+ * @param {String} filePath - Path of the dump file
+ * @param {Object} [options] - Analysis options
+ * @param {String} [options.dialect] - Dialect to parse with, or 'auto' to detect from the head of the file
+ * @param {Function} [options.onProgress] - Called with { bytesRead, totalBytes, statementsProcessed, tablesFound }
+ * @param {AbortSignal} [options.signal] - Aborts the analysis; the promise then rejects with an AbortError
+ * @returns {Promise<Object>} Analysis result including dialect and parse diagnostics — the first
+ *   MAX_DIAGNOSTICS skipped statements, and in diagnosticsOmitted ({ count, line } or null) how many
+ *   more there are from which line on
+ */
+async function analyzeSqlFile(filePath, options = {}) {
+  const { onProgress, signal } = options;
+  const { size: totalBytes } = await fs.promises.stat(filePath);
+
+  const dialect = resolveDialect(await readHead(filePath, DETECTION_SAMPLE_SIZE), options.dialect);
+  const parser = new Parser();
+  const analyzer = createAnalyzer({ dialect });
+  const diagnostics = [];
+  let diagnosticsOmitted = null;
+
+  let bytesRead = 0;
+  let statementsProcessed = 0;
+  let lastProgressAt = 0;
+
+  const reportProgress = (force) => {
+    const now = Date.now();
+    if (!onProgress || (!force && now - lastProgressAt < PROGRESS_INTERVAL_MS)) return;
+    lastProgressAt = now;
+    onProgress({
+      bytesRead,
+      totalBytes,
+      statementsProcessed,
+      tablesFound: analyzer.getTableCount()
+    });
+  };
+
+  for await (const batch of readStatements(filePath, dialect, { signal })) {
+    bytesRead = batch.bytesRead;
+    batch.statements.forEach(statement => {
+      // The parts of a COPY data block count as one statement
+      if (!statement.continued) statementsProcessed++;
+      const result = parseStatement(parser, statement, dialect);
+      if (result.diagnostic && diagnostics.length < MAX_DIAGNOSTICS) {
+        diagnostics.push(result.diagnostic);
+      } else if (result.diagnostic) {
+        if (!diagnosticsOmitted) diagnosticsOmitted = { count: 0, line: result.diagnostic.line };
+        diagnosticsOmitted.count++;
+      } else {
+        const location = { line: statement.line, statement: statementsProcessed };
+        result.ast.forEach(node => analyzer.addStatement(node, location));
+      }
+    });
+    reportProgress(false);
+  }
+  reportProgress(true);
+
+  const analysis = analyzer.getResult();
+  analysis.diagnostics = diagnostics;
+  analysis.diagnosticsOmitted = diagnosticsOmitted;
+  return analysis;
+}
+
+/**
+ * Reads the statements of a dump file chunk by chunk
+ * @param {String} filePath - Path of the dump file
+ * @param {String} dialect - node-sql-parser database name (decides the splitter options and preprocessing)
+ * @param {Object} [options] - { signal } — aborting rejects with an AbortError
+ * @returns {AsyncGenerator} Batches of { statements, bytesRead }, with the statements from the splitter
+ *   completed by each chunk
+ */
+async function* readStatements(filePath, dialect, { signal } = {}) {
+  const splitter = createStatementSplitter(splitterOptionsFor(dialect));
+  const stream = fs.createReadStream(filePath, { encoding: 'utf8', highWaterMark: CHUNK_SIZE });
+  // Dialect preprocessing is line based, so a partial last line waits for the next chunk
+  let pendingLine = '';
+
+  try {
+    for await (const chunk of stream) {
+      throwIfAborted(signal);
+
+      const text = pendingLine + chunk;
+      const lastLineBreak = text.lastIndexOf('\n');
+      pendingLine = text.slice(lastLineBreak + 1);
+
+      yield {
+        statements: splitter.push(prepareSqlForDialect(text.slice(0, lastLineBreak + 1), dialect)),
+        bytesRead: stream.bytesRead
+      };
+    }
+  } finally {
+    stream.destroy();
+  }
+
+  throwIfAborted(signal);
+  yield {
+    statements: splitter.push(prepareSqlForDialect(pendingLine, dialect)).concat(splitter.end()),
+    bytesRead: stream.bytesRead
+  };
+}
+
+/**
+ * Reads the beginning of a file as text (used for dialect detection)
+ * @param {String} filePath - Path of the file
+ * @param {Number} length - Maximum number of bytes to read
+ * @returns {Promise<String>} Text of the first bytes
+ */
+async function readHead(filePath, length) {
+  const handle = await fs.promises.open(filePath, 'r');
+  try {
+    const buffer = Buffer.alloc(length);
+    const { bytesRead } = await handle.read(buffer, 0, length, 0);
+    return buffer.toString('utf8', 0, bytesRead);
+  } finally {
+    await handle.close();
+  }
+}
+
+function throwIfAborted(signal) {
+  if (signal && signal.aborted) {
+    const error = new Error('Analysis cancelled');
+    error.name = 'AbortError';
+    throw error;
+  }
+}
+
+module.exports = {
+  analyzeSqlFile,
+  readStatements,
+  throwIfAborted
+};
@@ -0,0 +1,582 @@
+/**
+ * Synthetic test data
+ * Generates plausible rows for every table of a schema, e.g. fixtures for a schema-only dump.
+ * Values follow the column definitions: lengths, DECIMAL precision and scale, ENUM and SET values,
+ * NOT NULL and UNIQUE; personal data columns (detected like the Sensitive Data panel does) get
+ * realistic fake values. Foreign key columns take the key of an existing parent row, and the tables
+ * come in load order so that parent rows are inserted first. The project config can set the seed
+ * and the row counts:
+ *
+ *   { "syntheticData": { "seed": "fixtures", "rowsPerTable": 50, "tables": { "countries": 5 } } }
+ *
+ * The same seed always gives the same rows, and each table has its own random sequence, so adding
+ * a table does not change the rows of the others.
+ */
+
+const { classifyDataType } = require('./dataProfile');
+const { computeTableOrder } = require('./dependencyGraph');
+const { DIALECTS, quoteIdentifier } = require('./dialect');
+const { createFaker, fakeValue } = require('./fakeData');
+const { createRandom, hashString } = require('./random');
+const { detectSensitiveData } = require('./sensitiveData');
+const { resolveKind } = require('./anonymization');
+const { encodeString } = require('./sqlRows');
+const { formatCsvRecord } = require('./tableData');
+
+const DEFAULT_ROWS_PER_TABLE = 10;
+const MAX_ROWS_PER_TABLE = 100000;
+
+// Share of NULLs in nullable columns
+const NULL_SHARE = 0.1;
+
+// Attempts at a row whose unique keys collide with earlier rows before the table is cut short
+const MAX_ATTEMPTS = 20;
+
+const ROWS_PER_INSERT = 100;
+
+// Dates fall in the six years from 2020-01-01, whatever the day the data is generated
+const BASE_DATE = Date.UTC(2020, 0, 1);
+const DATE_RANGE_DAYS = 6 * 365;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Largest value of integer types (without the sign); BIGINT stays within safe JavaScript integers
+const INTEGER_MAXIMUMS = [
+  { pattern: /^(TINYINT|INT1)$/, max: 127 },
+  { pattern: /^(SMALLINT|INT2|SMALLSERIAL|SERIAL2)$/, max: 32767 },
+  { pattern: /^(MEDIUMINT|INT3)$/, max: 8388607 }
+];
+const DEFAULT_INTEGER_MAXIMUM = 2147483647;
+const INTEGER_TYPE = /^(TINYINT|SMALLINT|MEDIUMINT|INT|INTEGER|BIGINT|INT[1-8]|(SMALL|BIG)?SERIAL[248]?)$/;
+
+// Largest value of non-key integers and decimals, so that quantities and prices look plausible
+const PLAUSIBLE_MAXIMUM = 1000;
+
+/**
+ * Validates the syntheticData section of a project config (or the settings chosen in the app)
+ * @param {Object} [value] - Settings as written in the config
+ * @returns {Object} { seed, rowsPerTable, tables } — seed is null when none is set (a random one is
+ *   then used); tables maps table names to their own row counts
+ * @throws {Error} When a setting has the wrong type or value
+ */
+function normalizeSyntheticDataSettings(value) {
+  const settings = value === undefined || value === null ? {} : value;
+  if (!isObject(settings)) {
+    throw new Error('Invalid syntheticData settings: expected an object');
+  }
+
+  const { seed = null, rowsPerTable = DEFAULT_ROWS_PER_TABLE, tables = {} } = settings;
+  if (seed !== null && typeof seed !== 'string' && typeof seed !== 'number') {
+    throw new Error('Invalid syntheticData settings: seed must be a string or a number');
+  }
+  if (!isRowCount(rowsPerTable)) {
+    throw new Error(`Invalid syntheticData settings: rowsPerTable must be a whole number of rows up to ${MAX_ROWS_PER_TABLE}`);
+  }
+  if (!isObject(tables) || !Object.values(tables).every(isRowCount)) {
+    throw new Error(`Invalid syntheticData settings: tables must map table names to whole numbers of rows up to ${MAX_ROWS_PER_TABLE}`);
+  }
+
+  return {
+    seed: seed === null || seed === '' ? null : String(seed),
+    rowsPerTable,
+    tables: { ...tables }
+  };
+}
+
+/**
+ * Generates rows for every table of an analysis
+ * @param {Object} analysis - Analysis result (with its annotations, which decide the personal data columns)
+ * @param {Object} settings - Result of normalizeSyntheticDataSettings
+ * @returns {Object} { seed, tables, warnings }
+ *   seed: the seed used, to generate the same rows again
+ *   tables: [{ tableName, columns, rows, autoIncrementColumn }] in load order — columns are column
+ *     names, rows arrays of values: null, numbers, booleans, strings (dates as ISO text) or { hex }
+ *     for binary columns
+ * @throws {Error} When the settings name a table that does not exist
+ */
+function generateSyntheticData(analysis, settings) {
+  const tableMap = new Map(analysis.tables.map(table => [table.tableName, table]));
+  Object.keys(settings.tables).forEach(tableName => {
+    if (!tableMap.has(tableName)) {
+      throw new Error(`Unknown table in syntheticData settings: ${tableName}`);
+    }
+  });
+
+  const seed = settings.seed === null ? Math.floor(Math.random() * 2 ** 32).toString(36) : settings.seed;
+  const { findings } = detectSensitiveData(analysis);
+  const categories = new Map(findings.map(finding => [`${finding.table}.${finding.column}`, finding.category]));
+  const warnings = [];
+  const generated = new Map();
+  const deferred = [];
+
+  computeTableOrder(analysis.tables).loadOrder.forEach(tableName => {
+    const table = tableMap.get(tableName);
+    const rowCount = tableName in settings.tables ? settings.tables[tableName] : settings.rowsPerTable;
+    const state = generateTable(table, rowCount, {
+      random: createRandom(hashString(`${seed}\u0001${tableName}`)),
+      tableMap,
+      generated,
+      categories,
+      warnings,
+      deferred
+    });
+    generated.set(tableName, state);
+  });
+
+  // Foreign keys into tables inserted later (reference cycles) are filled in once every table has rows
+  const emptyParents = new Set(deferred
+    .filter(({ foreignKey }) => generated.get(foreignKey.referencedTable).rows.length === 0)
+    .map(({ state, foreignKey }) => `${state.tableName} (${foreignKey.columns.join(', ')}) is left NULL: ` +
+      `${foreignKey.referencedTable} has no rows`));
+  emptyParents.forEach(warning => warnings.push(warning));
+  deferred.forEach(({ state, row, foreignKey, random }) => {
+    const parent = generated.get(foreignKey.referencedTable);
+    if (parent.rows.length === 0) return;
+    const parentRow = parent.rows[Math.floor(random() * parent.rows.length)];
+    foreignKey.columns.forEach((columnName, index) => {
+      row[state.positions.get(columnName)] = parentRow[parent.positions.get(foreignKey.referencedColumns[index])];
+    });
+  });
+
+  return {
+    seed,
+    tables: Array.from(generated.values()).map(({ tableName, columns, rows, autoIncrementColumn }) => ({
+      tableName,
+      columns,
+      rows,
+      autoIncrementColumn
+    })),
+    warnings
+  };
+}
+
+/**
+ * Generates the rows of one table
+ * @returns {Object} { tableName, columns, positions, rows, autoIncrementColumn }
+ */
+function generateTable(table, rowCount, context) {
+  const { random, tableMap, generated, categories, deferred } = context;
+  const warn = (message) => {
+    if (rowCount > 0) context.warnings.push(message);
+  };
+  const faker = createFaker(random);
+  const columns = table.columns.map(column => column.columnName);
+  const positions = new Map(columns.map((name, index) => [name, index]));
+  const state = { tableName: table.tableName, columns, positions, rows: [], autoIncrementColumn: null };
+
+  const foreignKeys = listForeignKeys(table, tableMap);
+  const foreignKeyColumns = new Set(foreignKeys.flatMap(foreignKey => foreignKey.columns));
+  const uniqueKeys = listUniqueKeys(table);
+  const specs = table.columns.map(column => describeColumn(column, table, uniqueKeys, categories.get(`${table.tableName}.${column.columnName}`)));
+  const autoIncrement = specs.find(spec => spec.type === 'sequence' && spec.column.autoIncrement);
+  state.autoIncrementColumn = autoIncrement ? autoIncrement.column.columnName : null;
+
+  // How each foreign key gets its values, decided once per table
+  const links = [];
+  for (const foreignKey of foreignKeys) {
+    const parent = foreignKey.referencedTable === table.tableName ? state : generated.get(foreignKey.referencedTable);
+    const target = `${table.tableName} (${foreignKey.columns.join(', ')})`;
+    if (parent === state) {
+      links.push({ foreignKey, mode: 'self' });
+    } else if (parent && parent.rows.length > 0) {
+      links.push({ foreignKey, mode: 'parent', parent, unused: foreignKey.unique ? shuffle(parent.rows.slice(), random) : null });
+    } else if (foreignKey.nullable) {
+      links.push({ foreignKey, mode: 'null' });
+      warn(`${target} is left NULL: ${foreignKey.referencedTable} has no rows ${parent ? 'to reference' : 'yet (reference cycle)'}`);
+    } else if (!parent) {
+      links.push({ foreignKey, mode: 'deferred' });
+      warn(`${target} references ${foreignKey.referencedTable}, whose rows are inserted later (reference cycle): ` +
+        'load the data with foreign key checks disabled');
+    } else {
+      warn(`No rows generated for ${table.tableName}: it references ${foreignKey.referencedTable}, which has no rows`);
+      return state;
+    }
+  }
+
+  const seenKeys = uniqueKeys.map(() => new Set());
+  for (let rowIndex = 0; rowIndex < rowCount; rowIndex++) {
+    let row = null;
+    for (let attempt = 0; attempt < MAX_ATTEMPTS && row === null; attempt++) {
+      const candidate = specs.map(spec => (foreignKeyColumns.has(spec.column.columnName)
+        ? null
+        : generateValue(spec, faker, random, rowIndex, attempt * rowCount)));
+      if (!linkForeignKeys(candidate, links, state, random)) break;
+
+      const keys = uniqueKeys.map(key => key.map(name => candidate[positions.get(name)]));
+      const fresh = keys.every((values, index) => values.includes(null) || !seenKeys[index].has(JSON.stringify(values)));
+      if (fresh) {
+        keys.forEach((values, index) => {
+          if (!values.includes(null)) seenKeys[index].add(JSON.stringify(values));
+        });
+        row = candidate;
+      }
+    }
+
+    if (row === null) {
+      warn(`Only ${rowIndex} of ${rowCount} rows generated for ${table.tableName}: ` +
+        'its unique keys or one-to-one foreign keys ran out of values');
+      break;
+    }
+    links.filter(link => link.mode === 'deferred').forEach(({ foreignKey }) => deferred.push({ state, row, foreignKey, random }));
+    state.rows.push(row);
+  }
+
+  if (table.constraints.some(constraint => constraint.type === 'CHECK') && state.rows.length > 0) {
+    warn(`CHECK constraints of ${table.tableName} are not evaluated: the generated rows may break them`);
+  }
+  return state;
+}
+
+/**
+ * Fills the foreign key columns of a row
+ * @returns {Boolean} False when a one-to-one foreign key has no parent row left
+ */
+function linkForeignKeys(row, links, state, random) {
+  for (const link of links) {
+    const { foreignKey } = link;
+    let parentRow = null;
+    let parent = link.parent;
+
+    if (link.mode === 'parent') {
+      if (link.unused) {
+        if (link.unused.length === 0) return false;
+        parentRow = link.unused.pop();
+      } else if (!(foreignKey.nullable && random() < NULL_SHARE)) {
+        parentRow = parent.rows[Math.floor(random() * parent.rows.length)];
+      }
+    } else if (link.mode === 'self') {
+      // Rows point to earlier rows; the first one to itself when the reference cannot be NULL
+      parent = state;
+      if (state.rows.length > 0 && !(foreignKey.nullable && random() < NULL_SHARE)) {
+        parentRow = state.rows[Math.floor(random() * state.rows.length)];
+      } else if (!foreignKey.nullable) {
+        parentRow = row;
+      }
+    }
+
+    foreignKey.columns.forEach((columnName, index) => {
+      row[state.positions.get(columnName)] = parentRow
+        ? parentRow[parent.positions.get(foreignKey.referencedColumns[index])]
+        : null;
+    });
+  }
+  return true;
+}
+
+/**
+ * Works out how the values of a column are generated
+ * @returns {Object} { column, type, nullable, unique, ... } — type is one of sequence, integer,
+ *   decimal, float, boolean, year, date, datetime, time, enum, set, uuid, json, binary or text
+ */
+function describeColumn(column, table, uniqueKeys, category) {
+  const dataType = String(column.dataType || '').toUpperCase();
+  const baseType = dataType.replace(/\(.*$/, '').replace(/\s+UNSIGNED$/, '').trim();
+  const [length = null, scale = null] = (dataType.match(/\(([^)]*)\)/) || [null, ''])[1]
+    .split(',')
+    .map(part => (/^\s*\d+\s*$/.test(part) ? Number(part) : null));
+  const unique = uniqueKeys.some(key => key.length === 1 && key[0] === column.columnName);
+  const spec = {
+    column,
+    nullable: column.nullable !== false && !unique,
+    unique,
+    name: toSnakeCase(column.columnName),
+    tableName: toSnakeCase(table.tableName)
+  };
+
+  const hasValues = column.enumValues && column.enumValues.length > 0;
+  if (hasValues && baseType === 'SET') return { ...spec, type: 'set', values: column.enumValues };
+  if (hasValues) return { ...spec, type: 'enum', values: column.enumValues };
+
+  if (/^(BOOL|BOOLEAN)$/.test(baseType) || (baseType === 'BIT' && (length === null || length === 1)) ||
+    (baseType === 'TINYINT' && length === 1)) {
+    return { ...spec, type: 'boolean' };
+  }
+  if (INTEGER_TYPE.test(baseType)) {
+    const maximum = integerMaximum(baseType);
+    const isKey = column.autoIncrement || (column.primaryKey && table.columns.filter(other => other.primaryKey).length === 1);
+    if (isKey) return { ...spec, type: 'sequence', max: maximum };
+    return { ...spec, type: 'integer', max: Math.min(maximum, unique ? maximum : PLAUSIBLE_MAXIMUM) };
+  }
+  if (/^(DECIMAL|NUMERIC|DEC|NUMBER|FIXED)$/.test(baseType)) {
+    const precision = length || 10;
+    const decimals = length === null ? 2 : scale || 0;
+    return { ...spec, type: 'decimal', precision, scale: Math.min(decimals, precision) };
+  }
+  if (/MONEY/.test(baseType)) return { ...spec, type: 'decimal', precision: 10, scale: 2 };
+  if (/^(FLOAT|DOUBLE|REAL|DOUBLE PRECISION|FLOAT4|FLOAT8)$/.test(baseType)) return { ...spec, type: 'float' };
+  if (baseType === 'YEAR') return { ...spec, type: 'year' };
+  if (baseType === 'DATE') return { ...spec, type: 'date' };
+  if (/^TIME(TZ| WITH(OUT)? TIME ZONE)?$/.test(baseType)) return { ...spec, type: 'time' };
+  if (classifyDataType(baseType) === 'date') {
+    const zoned = /TZ$|WITH TIME ZONE|OFFSET/.test(baseType);
+    return { ...spec, type: 'datetime', zoned };
+  }
+  if (/^(UUID|UNIQUEIDENTIFIER)$/.test(baseType)) return { ...spec, type: 'uuid' };
+  if (/^JSONB?$/.test(baseType)) return { ...spec, type: 'json' };
+  if (/BLOB|BINARY|BYTEA|^IMAGE$|^BIT/.test(baseType)) {
+    return { ...spec, type: 'binary', bytes: Math.min(length || 16, 16) };
+  }
+
+  const maxLength = /CHAR|TEXT|STRING|CLOB/.test(baseType) && length ? length : null;
+  return {
+    ...spec,
+    type: 'text',
+    kind: category ? resolveKind(category, column) : null,
+    long: /TEXT|CLOB/.test(baseType),
+    maxLength,
+    // Short fixed-width codes such as CHAR(3) currency codes
+    code: /^N?CHAR(ACTER)?$/.test(baseType) && length !== null && length <= 3 ? length : null
+  };
+}
+
+/**
+ * One value of a column
+ * @param {Object} spec - Result of describeColumn
+ * @param {Number} rowIndex - Position of the row, which numbers the keys
+ * @param {Number} retryOffset - Added to the row number of unique texts when a row is generated again
+ */
+function generateValue(spec, faker, random, rowIndex, retryOffset) {
+  if (spec.nullable && random() < NULL_SHARE) return null;
+
+  switch (spec.type) {
+    case 'sequence':
+      return (rowIndex % spec.max) + 1;
+    case 'integer':
+      return faker.integer(spec.unique ? 1 : 0, spec.max);
+    case 'decimal': {
+      const integerDigits = spec.precision - spec.scale;
+      const integerPart = integerDigits > 0 ? faker.integer(0, Math.min(10 ** integerDigits - 1, PLAUSIBLE_MAXIMUM)) : 0;
+      return spec.scale > 0 ? `${integerPart}.${faker.digits(spec.scale)}` : String(integerPart);
+    }
+    case 'float':
+      return Math.round(random() * PLAUSIBLE_MAXIMUM * 100) / 100;
+    case 'boolean':
+      return random() < 0.5;
+    case 'year':
+      return faker.integer(1990, 2030);
+    case 'date':
+      return randomDate(faker).slice(0, 10);
+    case 'time':
+      return randomDate(faker).slice(11, 19);
+    case 'datetime':
+      return `${randomDate(faker).slice(0, 19).replace('T', ' ')}${spec.zoned ? '+00:00' : ''}`;
+    case 'enum':
+      return faker.pick(spec.values);
+    case 'set':
+      return Array.from(new Set([faker.pick(spec.values), faker.pick(spec.values)])).join(',');
+    case 'uuid':
+      return randomUuid(faker);
+    case 'json':
+      return JSON.stringify({ [faker.word()]: faker.word() });
+    case 'binary':
+      return { hex: Array.from({ length: spec.bytes }, () => faker.integer(0, 255).toString(16).padStart(2, '0')).join('') };
+    default:
+      return generateText(spec, faker, rowIndex + retryOffset + 1);
+  }
+}
+
+/**
+ * Text value: fake personal data for the columns detected as such, otherwise guessed from the column
+ * name (and, for a plain name or title column, from the table name: countries.name is a country)
+ * @param {Number} serial - Number that makes the value of a unique column distinct
+ */
+function generateText(spec, faker, serial) {
+  if (spec.kind && spec.kind !== 'text') {
+    // Unique emails get the number in the local part
+    return fitText(fakeValue(faker, spec.kind, null, spec.unique && spec.kind === 'email' ? String(serial) : ''), spec, '');
+  }
+
+  // Random codes and identifiers are distinct enough on their own; a row number would not fit them
+  const subject = /^(name|title)$/.test(spec.name) ? `${spec.tableName}_${spec.name}` : spec.name;
+  if (spec.code) return faker.reshape('A'.repeat(spec.code));
+  if (/(^|_)(uuid|guid)(_|$)/.test(subject)) return fitText(randomUuid(faker), spec, '');
+  if (/(^|_)(code|sku|ref|reference)(_|$)/.test(subject)) return fitText(faker.reshape('AA-0000'), spec, '');
+
+  let text;
+  if (/(^|_)(url|website|homepage|link)(_|$)/.test(subject)) {
+    text = `https://www.example.com/${faker.word()}`;
+  } else if (/(^|_)(country|countries)(_|$)/.test(subject)) {
+    text = faker.country();
+  } else if (/(^|_)(city|cities|town)(_|$)/.test(subject)) {
+    text = faker.city();
+  } else if (/(^|_)(company|companies|organi[sz]ations?|vendors?|suppliers?|brands?)(_|$)/.test(subject)) {
+    text = faker.companyName();
+  } else if (/(^|_)(status|state|type|kind|category|role|tag)(_|$)/.test(subject)) {
+    text = faker.word();
+  } else if (spec.long || /(^|_)(description|notes?|comments?|body|content|summary|bio|message|details)(_|$)/.test(subject)) {
+    text = faker.sentence(faker.integer(6, 12));
+  } else if (/(^|_)(name|title|label|subject|headline)(_|$)/.test(subject)) {
+    text = faker.title(faker.integer(1, 3));
+  } else {
+    text = faker.word();
+  }
+  return fitText(text, spec, spec.unique ? ` ${serial}` : '');
+}
+
+/**
+ * Cuts a text to the column length, keeping the suffix that makes unique values distinct
+ */
+function fitText(text, spec, suffix) {
+  if (!spec.maxLength) return `${text}${suffix}`;
+  const room = Math.max(0, spec.maxLength - suffix.length);
+  return `${text.slice(0, room)}${suffix}`.slice(-spec.maxLength);
+}
+
+function randomDate(faker) {
+  const offset = faker.integer(0, DATE_RANGE_DAYS * DAY_MS / 1000 - 1) * 1000;
+  return new Date(BASE_DATE + offset).toISOString();
+}
+
+function randomUuid(faker) {
+  const hex = Array.from({ length: 32 }, () => faker.integer(0, 15).toString(16));
+  hex[12] = '4';
+  hex[16] = (8 + faker.integer(0, 3)).toString(16);
+  const text = hex.join('');
+  return `${text.slice(0, 8)}-${text.slice(8, 12)}-${text.slice(12, 16)}-${text.slice(16, 20)}-${text.slice(20)}`;
+}
+
+/**
+ * Writes generated data as INSERT statements, batched per table in load order
+ * @param {Object} data - Result of generateSyntheticData
+ * @param {String} dialect - node-sql-parser database name of the target database
+ * @param {Object} [options] - { title } — first line of the header comment
+ * @returns {String} SQL script
+ */
+function formatSyntheticSql(data, dialect, { title = 'Synthetic test data' } = {}) {
+  const quote = (identifier) => quoteIdentifier(identifier, dialect);
+  const lines = [
+    `-- ${title}`,
+    `-- Generated by SchemaLens with seed "${data.seed}"; tables in load order, parents first`
+  ];
+  data.warnings.forEach(warning => lines.push(`-- WARNING: ${warning}`));
+  lines.push('');
+
+  data.tables.filter(table => table.rows.length > 0).forEach(table => {
+    const identityInsert = dialect === DIALECTS.SQL_SERVER && table.autoIncrementColumn;
+    if (identityInsert) lines.push(`SET IDENTITY_INSERT ${quote(table.tableName)} ON;`);
+
+    const head = `INSERT INTO ${quote(table.tableName)} (${table.columns.map(quote).join(', ')}) VALUES`;
+    for (let start = 0; start < table.rows.length; start += ROWS_PER_INSERT) {
+      const rows = table.rows.slice(start, start + ROWS_PER_INSERT)
+        .map(row => `  (${row.map(value => formatSqlValue(value, dialect)).join(', ')})`);
+      lines.push(`${head}\n${rows.join(',\n')};`);
+    }
+
+    if (identityInsert) lines.push(`SET IDENTITY_INSERT ${quote(table.tableName)} OFF;`);
+    // Explicit keys leave a PostgreSQL sequence behind; move it past the inserted ones
+    if (dialect === DIALECTS.POSTGRESQL && table.autoIncrementColumn) {
+      const position = table.columns.indexOf(table.autoIncrementColumn);
+      const last = Math.max(...table.rows.map(row => row[position]));
+      lines.push(`SELECT setval(pg_get_serial_sequence(${encodeString(quote(table.tableName), dialect)}, ` +
+        `${encodeString(table.autoIncrementColumn, dialect)}), ${last});`);
+    }
+    lines.push('');
+  });
+
+  return lines.join('\n');
+}
+
+function formatSqlValue(value, dialect) {
+  if (value === null) return 'NULL';
+  if (typeof value === 'boolean') {
+    if (dialect === DIALECTS.SQLITE || dialect === DIALECTS.SQL_SERVER) return value ? '1' : '0';
+    return value ? 'TRUE' : 'FALSE';
+  }
+  if (typeof value === 'number') return String(value);
+  if (typeof value === 'object') {
+    if (dialect === DIALECTS.POSTGRESQL) return `'\\x${value.hex}'`;
+    if (dialect === DIALECTS.SQL_SERVER) return `0x${value.hex}`;
+    return `X'${value.hex}'`;
+  }
+  return encodeString(value, dialect);
+}
+
+/**
+ * Writes the generated rows of one table as CSV with a header line
+ * @param {Object} table - One of the tables of generateSyntheticData
+ * @returns {String} CSV text
+ */
+function formatSyntheticCsv(table) {
+  const lines = [formatCsvRecord(table.columns), ...table.rows.map(formatCsvRecord)];
+  return `${lines.join('\n')}\n`;
+}
+
+/**
+ * Foreign keys of a table whose referenced table and columns exist
+ * @returns {Array} [{ columns, referencedTable, referencedColumns, nullable, unique }] — nullable when
+ *   one of the columns can be NULL, unique when the columns are a unique key (one-to-one)
+ */
+function listForeignKeys(table, tableMap) {
+  const uniqueKeys = listUniqueKeys(table);
+  return table.constraints
+    .filter(constraint => constraint.type === 'FOREIGN KEY')
+    .filter(constraint => {
+      const referencedTable = tableMap.get(constraint.referencedTable);
+      return referencedTable && constraint.columns.length === constraint.referencedColumns.length &&
+        constraint.columns.every(name => table.columns.some(column => column.columnName === name)) &&
+        constraint.referencedColumns.every(name => referencedTable.columns.some(column => column.columnName === name));
+    })
+    .map(constraint => ({
+      columns: constraint.columns,
+      referencedTable: constraint.referencedTable,
+      referencedColumns: constraint.referencedColumns,
+      nullable: constraint.columns.some(name => table.columns.find(column => column.columnName === name).nullable !== false),
+      unique: uniqueKeys.some(key => key.length === constraint.columns.length && key.every(name => constraint.columns.includes(name)))
+    }));
+}
+
+/**
+ * Column lists whose values must be unique: the primary key, UNIQUE constraints and unique indexes
+ */
+function listUniqueKeys(table) {
+  const keys = new Map();
+  const add = (columns) => {
+    if (columns.length > 0) keys.set(columns.slice().sort().join('\u0001'), columns);
+  };
+  table.columns.filter(column => column.primaryKey || column.unique).forEach(column => add([column.columnName]));
+  table.constraints
+    .filter(constraint => constraint.type === 'PRIMARY KEY' || constraint.type === 'UNIQUE')
+    .forEach(constraint => add(constraint.columns));
+  (table.indexes || []).filter(index => index.unique).forEach(index => add(index.columns));
+
+  // A composite primary key does not make each of its columns unique
+  const primaryKey = table.constraints.find(constraint => constraint.type === 'PRIMARY KEY');
+  if (primaryKey && primaryKey.columns.length > 1) {
+    primaryKey.columns.forEach(name => {
+      const column = table.columns.find(candidate => candidate.columnName === name);
+      if (column && !column.unique) keys.delete(name);
+    });
+  }
+  return Array.from(keys.values());
+}
+
+function toSnakeCase(identifier) {
+  return String(identifier).replace(/([a-z0-9])([A-Z])/g, '$1_$2').replace(/[^A-Za-z0-9]+/g, '_').toLowerCase();
+}
+
+function integerMaximum(baseType) {
+  const match = INTEGER_MAXIMUMS.find(({ pattern }) => pattern.test(baseType));
+  return match ? match.max : DEFAULT_INTEGER_MAXIMUM;
+}
+
+function shuffle(list, random) {
+  for (let index = list.length - 1; index > 0; index--) {
+    const other = Math.floor(random() * (index + 1));
+    [list[index], list[other]] = [list[other], list[index]];
+  }
+  return list;
+}
+
+function isRowCount(value) {
+  return Number.isInteger(value) && value >= 0 && value <= MAX_ROWS_PER_TABLE;
+}
+
+function isObject(value) {
+  return Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+}
+
+module.exports = {
+  normalizeSyntheticDataSettings,
+  generateSyntheticData,
+  formatSyntheticSql,
+  formatSyntheticCsv
+};
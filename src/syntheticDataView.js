@@ -0,0 +1,210 @@
+/**
+ * "Test Data" panel for the renderer
+ * Sets how many synthetic rows each table gets, the seed and the output format, then has the main
+ * process generate and write the data. The seed of the last run is shown so that the same fixtures
+ * can be generated again.
+ */
+
+import { normalizeSyntheticDataSettings } from './syntheticData';
+
+const FORMAT_LABELS = {
+  sql: 'SQL INSERT script',
+  csv: 'CSV file per table'
+};
+
+/**
+ * Creates the panel inside the given container element
+ * @param {HTMLElement} container - Element to render into (its content is replaced on every render)
+ * @param {Object} options - Callbacks
+ * @param {Function} options.onGenerate - Called with the settings and the format when the user
+ *   generates data; resolves to { success, cancelled, message, filePath, fileCount, rowCount, seed, warnings }
+ * @returns {Object} Panel controller with render(analysis)
+ */
+export function createSyntheticDataPanel(container, { onGenerate }) {
+  let analysis = null;
+  // Settings chosen by the user, kept while the same schema is shown
+  let settings = defaultSettings();
+  let outcome = null;
+
+  const render = (nextAnalysis) => {
+    if (!nextAnalysis || !analysis || nextAnalysis.sourcePath !== analysis.sourcePath) {
+      settings = defaultSettings();
+      outcome = null;
+    }
+    analysis = nextAnalysis;
+    container.innerHTML = '';
+    if (!analysis) return;
+
+    let settingsError = null;
+    try {
+      normalizeSyntheticDataSettings(toConfig(settings));
+    } catch (error) {
+      settingsError = error.message;
+    }
+
+    container.appendChild(buildSettingsRow(settings, () => render(analysis)));
+    container.appendChild(buildTableCounts(analysis, settings, () => render(analysis)));
+
+    if (outcome && outcome.warnings.length > 0) {
+      const warnings = document.createElement('ul');
+      warnings.className = 'migration-warnings';
+      outcome.warnings.forEach(warning => {
+        const item = document.createElement('li');
+        item.textContent = `⚠ ${warning}`;
+        warnings.appendChild(item);
+      });
+      container.appendChild(warnings);
+    }
+
+    const actions = document.createElement('div');
+    actions.className = 'annotation-actions';
+    const generateButton = document.createElement('button');
+    generateButton.textContent = 'Generate…';
+    generateButton.disabled = Boolean(settingsError);
+    const statusText = document.createElement('span');
+    statusText.className = 'annotation-status';
+    const shownStatus = settingsError ? { error: true, text: settingsError } : outcome;
+    if (shownStatus) {
+      statusText.classList.toggle('error', shownStatus.error);
+      statusText.textContent = shownStatus.text;
+    }
+    actions.appendChild(generateButton);
+    actions.appendChild(statusText);
+    container.appendChild(actions);
+
+    generateButton.addEventListener('click', async () => {
+      generateButton.disabled = true;
+      statusText.classList.remove('error');
+      statusText.textContent = 'Generating…';
+      const result = await onGenerate(toConfig(settings), settings.format);
+      outcome = describeOutcome(result);
+      render(analysis);
+    });
+  };
+
+  return { render };
+}
+
+function defaultSettings() {
+  return { format: 'sql', seed: '', rowsPerTable: '10', tables: {} };
+}
+
+/**
+ * Settings in the shape of the syntheticData section of a project config; row counts are left as
+ * typed when they are not numbers, so that validation reports them
+ */
+function toConfig(settings) {
+  const toCount = (text) => (/^\d+$/.test(text.trim()) ? Number(text.trim()) : text);
+  const tables = {};
+  Object.entries(settings.tables).forEach(([tableName, count]) => {
+    if (count.trim() !== '') tables[tableName] = toCount(count);
+  });
+  return {
+    seed: settings.seed.trim() || null,
+    rowsPerTable: toCount(settings.rowsPerTable),
+    tables
+  };
+}
+
+function describeOutcome(result) {
+  if (result.cancelled) return null;
+  if (!result.success) return { error: true, text: `Not generated: ${result.message}`, warnings: [] };
+
+  const files = result.fileCount === 1 ? '' : ` (${result.fileCount} files)`;
+  return {
+    error: false,
+    text: `${result.rowCount.toLocaleString()} rows written to ${result.filePath}${files} · seed "${result.seed}"`,
+    warnings: result.warnings
+  };
+}
+
+function buildSettingsRow(settings, onChange) {
+  const row = document.createElement('div');
+  row.className = 'synthetic-data-settings';
+
+  const rowsPerTable = createInput(settings.rowsPerTable, '10');
+  rowsPerTable.addEventListener('change', () => {
+    settings.rowsPerTable = rowsPerTable.value;
+    onChange();
+  });
+  row.appendChild(labelField('Rows per table', rowsPerTable));
+
+  const seed = createInput(settings.seed, 'Random on every run');
+  seed.title = 'The same seed gives the same rows, for reproducible fixtures';
+  seed.addEventListener('change', () => {
+    settings.seed = seed.value;
+    onChange();
+  });
+  row.appendChild(labelField('Seed', seed));
+
+  const format = document.createElement('select');
+  Object.entries(FORMAT_LABELS).forEach(([value, label]) => {
+    const option = document.createElement('option');
+    option.value = value;
+    option.textContent = label;
+    format.appendChild(option);
+  });
+  format.value = settings.format;
+  format.addEventListener('change', () => {
+    settings.format = format.value;
+    onChange();
+  });
+  row.appendChild(labelField('Format', format));
+
+  return row;
+}
+
+/**
+ * Tables in load order, each with its own row count (empty for the rows per table)
+ */
+function buildTableCounts(analysis, settings, onChange) {
+  const tableNames = analysis.tableOrder
+    ? analysis.tableOrder.loadOrder
+    : analysis.tables.map(table => table.tableName);
+
+  const details = document.createElement('details');
+  details.className = 'synthetic-data-tables';
+  // Stays open while counts are being edited
+  details.open = Object.keys(settings.tables).length > 0;
+  const summary = document.createElement('summary');
+  summary.textContent = `Row count per table (${tableNames.length} tables, parents first)`;
+  details.appendChild(summary);
+
+  const table = document.createElement('table');
+  table.className = 'annotation-columns';
+  const body = table.createTBody();
+  tableNames.forEach(tableName => {
+    const row = body.insertRow();
+    row.insertCell().textContent = tableName;
+    const count = createInput(settings.tables[tableName] || '', settings.rowsPerTable);
+    count.addEventListener('change', () => {
+      if (count.value.trim() === '') {
+        delete settings.tables[tableName];
+      } else {
+        settings.tables[tableName] = count.value;
+      }
+      onChange();
+    });
+    row.insertCell().appendChild(count);
+  });
+  details.appendChild(table);
+
+  return details;
+}
+
+function createInput(value, placeholder) {
+  const input = document.createElement('input');
+  input.type = 'text';
+  input.value = value;
+  input.placeholder = placeholder;
+  return input;
+}
+
+function labelField(text, field) {
+  const label = document.createElement('label');
+  const caption = document.createElement('span');
+  caption.textContent = text;
+  label.appendChild(caption);
+  label.appendChild(field);
+  return label;
+}
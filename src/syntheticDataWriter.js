@@ -0,0 +1,59 @@
+/**
+ * Writes synthetic test data from syntheticData.js to disk
+ * As one .sql script, or as one <table>.csv file per table in a directory (tables left without rows
+ * still get a file with the header line, so a fixture loader finds every table).
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { formatSyntheticSql, formatSyntheticCsv } = require('./syntheticData');
+
+const SYNTHETIC_DATA_FORMATS = ['sql', 'csv'];
+
+/**
+ * Writes generated data to a file or directory
+ * @param {Object} data - Result of generateSyntheticData
+ * @param {String} outputPath - .sql file, or directory for the CSV files
+ * @param {Object} options - { format: 'sql' or 'csv', dialect, title }
+ * @returns {Promise<Array>} Paths of the files written
+ */
+async function writeSyntheticData(data, outputPath, { format, dialect, title }) {
+  if (!SYNTHETIC_DATA_FORMATS.includes(format)) {
+    throw new Error(`Unknown synthetic data format: ${format} (expected ${SYNTHETIC_DATA_FORMATS.join(', ')})`);
+  }
+
+  if (format === 'sql') {
+    await fs.promises.mkdir(path.dirname(path.resolve(outputPath)), { recursive: true });
+    await fs.promises.writeFile(outputPath, formatSyntheticSql(data, dialect, { title }));
+    return [outputPath];
+  }
+
+  await fs.promises.mkdir(outputPath, { recursive: true });
+  const written = [];
+  const usedNames = new Set();
+  for (const table of data.tables) {
+    const filePath = path.join(outputPath, `${uniqueFileName(table.tableName, usedNames)}.csv`);
+    await fs.promises.writeFile(filePath, formatSyntheticCsv(table));
+    written.push(filePath);
+  }
+  return written;
+}
+
+/**
+ * File name for a table: schema-qualified or quoted names may hold characters a file name cannot,
+ * and names differing only in case share a file on case-insensitive file systems
+ */
+function uniqueFileName(tableName, usedNames) {
+  const base = String(tableName).replace(/[^\w.-]+/g, '_').replace(/^\.+/, '_') || 'table';
+  let name = base;
+  for (let suffix = 2; usedNames.has(name.toLowerCase()); suffix++) {
+    name = `${base}-${suffix}`;
+  }
+  usedNames.add(name.toLowerCase());
+  return name;
+}
+
+module.exports = {
+  SYNTHETIC_DATA_FORMATS,
+  writeSyntheticData
+};
@@ -0,0 +1,281 @@
+/**
+ * Table data
+ * Turns the values of INSERT statements and COPY data lines into plain values, and writes them as
+ * CSV or JSON Lines records. Cells are null, booleans, numbers, strings or { hex } for binary data:
+ *
+ * - Strings are unescaped (MySQL backslash escapes, doubled quotes, E'' strings, COPY escapes).
+ * - Hex and bit literals (X'0A', 0x0A, b'101') and PostgreSQL bytea text ('\x0a') become binary
+ *   data in binary columns; bit literals are numbers elsewhere.
+ * - Numbers with more digits than a double holds stay strings, so that no digit is lost (JSON
+ *   Lines still writes them as numbers).
+ * - MySQL zero dates ('0000-00-00') are NULL; other dates keep their text, with a T between the date
+ *   and the time in JSON Lines (ISO 8601, as JSON readers expect).
+ * - SQL expressions such as NOW() cannot be evaluated and keep their source text.
+ *
+ * The same cells are filtered, sorted and paged for the data grid of the table details.
+ */
+
+const { classifyDataType } = require('./dataProfile');
+const { decodeValue } = require('./sqlRows');
+
+const DATA_EXPORT_FORMATS = [
+  { id: 'csv', label: 'CSV', extension: 'csv' },
+  { id: 'jsonl', label: 'JSON Lines', extension: 'jsonl' }
+];
+
+// Significant digits a double keeps exactly
+const EXACT_DIGITS = 15;
+
+const NUMBER_PATTERN = /^[+-]?(\d+(\.\d*)?|\.\d+)(e[+-]?\d+)?$/i;
+const JSON_NUMBER_PATTERN = /^-?(0|[1-9]\d*)(\.\d+)?([eE][+-]?\d+)?$/;
+const ZERO_DATE_PATTERN = /^0000-00-00/;
+
+// Operators of a grid filter: "> 10", "<= 2024-01-01", "= open"
+const FILTER_OPERATOR_PATTERN = /^(>=|<=|!=|=|>|<)\s*(.*)$/;
+
+/**
+ * How the values of each column are read
+ * @param {Object} table - Table from the analysis
+ * @returns {Array} [{ name, kind }] — kind is 'numeric', 'boolean', 'binary', 'date', 'datetime' or 'string'
+ */
+function describeDataColumns(table) {
+  return table.columns.map(column => ({ name: column.columnName, kind: classifyColumn(column.dataType) }));
+}
+
+function classifyColumn(dataType) {
+  const baseType = String(dataType || '').toUpperCase().replace(/\(.*$/, '').trim();
+  if (/^(BOOL|BOOLEAN)$/.test(baseType)) return 'boolean';
+  if (/BLOB|BINARY|BYTEA|^IMAGE$/.test(baseType)) return 'binary';
+  if (baseType === 'DATE') return 'date';
+
+  const kind = classifyDataType(baseType);
+  return kind === 'date' ? 'datetime' : kind;
+}
+
+/**
+ * Reads one value of an INSERT row
+ * @param {String} source - Value as written in the statement
+ * @param {String} kind - Kind of its column (see describeDataColumns)
+ * @param {String} dialect - node-sql-parser database name
+ * @returns {Object} { value, expression } — expression is true when the value is SQL that was kept as text
+ */
+function readInsertValue(source, kind, dialect) {
+  const literal = decodeValue(source, dialect);
+  switch (literal.type) {
+    case 'null':
+      return { value: null, expression: false };
+    case 'number':
+      return { value: kind === 'boolean' ? Number(literal.value) !== 0 : readNumber(literal.value), expression: false };
+    case 'string':
+      return { value: readText(literal.value, kind), expression: false };
+    default:
+      return readExpression(literal.value, kind);
+  }
+}
+
+/**
+ * Reads one value of a COPY data line
+ * @param {String|null} field - Value unescaped by decodeCopyField (null for \N)
+ * @param {String} kind - Kind of its column
+ * @returns {*} Cell value
+ */
+function readCopyValue(field, kind) {
+  if (field === null) return null;
+  if (kind === 'numeric' && NUMBER_PATTERN.test(field)) return readNumber(field);
+  if (kind === 'boolean' && /^[tf]$/.test(field)) return field === 't';
+  return readText(field, kind);
+}
+
+function readNumber(text) {
+  const digits = text.replace(/^[+-]/, '').replace(/e.*$/i, '').replace('.', '').replace(/^0+/, '');
+  return digits.length <= EXACT_DIGITS ? Number(text) : text;
+}
+
+function readText(text, kind) {
+  switch (kind) {
+    case 'binary':
+      // PostgreSQL writes bytea as \x followed by hex digits; other dumps write the bytes as a string
+      return /^\\x[0-9a-f]*$/i.test(text)
+        ? { hex: text.slice(2).toLowerCase() }
+        : { hex: Buffer.from(text, 'utf8').toString('hex') };
+    case 'date':
+    case 'datetime':
+      return ZERO_DATE_PATTERN.test(text) ? null : text;
+    case 'numeric':
+      return NUMBER_PATTERN.test(text.trim()) ? readNumber(text.trim()) : text;
+    case 'boolean':
+      if (/^(t|true|1)$/i.test(text)) return true;
+      return /^(f|false|0)$/i.test(text) ? false : text;
+    default:
+      return text;
+  }
+}
+
+function readExpression(text, kind) {
+  if (/^(TRUE|FALSE)$/i.test(text)) return { value: /^TRUE$/i.test(text), expression: false };
+
+  const hex = text.match(/^X'([0-9A-F]*)'$/i) || text.match(/^0x([0-9A-F]*)$/i);
+  if (hex) {
+    const digits = hex[1].toLowerCase();
+    return { value: kind === 'binary' ? { hex: digits } : readHexNumber(digits, kind), expression: false };
+  }
+
+  const bits = text.match(/^b'([01]*)'$/i);
+  if (bits) {
+    const value = kind === 'binary'
+      ? { hex: BigInt(`0b${bits[1] || '0'}`).toString(16) }
+      : kind === 'boolean' ? /1/.test(bits[1]) : readNumber(BigInt(`0b${bits[1] || '0'}`).toString());
+    return { value, expression: false };
+  }
+
+  return { value: text, expression: true };
+}
+
+// A hex literal outside a binary column: MySQL reads it as a number in numeric columns, text elsewhere
+function readHexNumber(digits, kind) {
+  if (kind === 'numeric') return readNumber(BigInt(`0x${digits || '0'}`).toString());
+  return Buffer.from(digits.length % 2 === 0 ? digits : `0${digits}`, 'hex').toString('utf8');
+}
+
+/**
+ * Writes a row as a CSV record (without the line break)
+ * NULL is an empty field and an empty string a quoted one (""), as most CSV importers expect;
+ * binary data is written as hex digits.
+ * @param {Array} values - Cell values
+ * @returns {String} CSV record
+ */
+function formatCsvRecord(values) {
+  return values.map(value => (value === null ? '' : formatCsvField(value))).join(',');
+}
+
+function formatCsvField(value) {
+  const text = typeof value === 'object' ? value.hex : String(value);
+  return text === '' || /[",\r\n]|^\s|\s$/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Writes a row as a JSON object (one line of a JSON Lines file)
+ * @param {Array} columns - Result of describeDataColumns
+ * @param {Array} values - Cell values, in the order of the columns
+ * @returns {String} JSON text
+ */
+function formatJsonRecord(columns, values) {
+  const fields = columns.map(({ name, kind }, index) => `${JSON.stringify(name)}:${formatJsonValue(values[index], kind)}`);
+  return `{${fields.join(',')}}`;
+}
+
+function formatJsonValue(value, kind) {
+  if (value === null || value === undefined) return 'null';
+  if (typeof value === 'object') return JSON.stringify(value.hex);
+  if (typeof value === 'number') return JSON.stringify(value);
+  if (kind === 'datetime' && typeof value === 'string') return JSON.stringify(toIsoDateTime(value));
+  // Numbers too long for a double are written as they were read
+  if (kind === 'numeric' && JSON_NUMBER_PATTERN.test(value)) return value;
+  return JSON.stringify(value);
+}
+
+function toIsoDateTime(text) {
+  return text
+    .replace(/^(\d{4}-\d{2}-\d{2}) (?=\d)/, '$1T')
+    // PostgreSQL writes whole-hour offsets as +02
+    .replace(/(\d{2}:\d{2}(?::\d{2}(?:\.\d+)?)?[+-]\d{2})$/, '$1:00');
+}
+
+/**
+ * Text of a cell as shown in the grid (and matched by its filters)
+ */
+function formatCellText(value) {
+  if (value === null || value === undefined) return 'NULL';
+  if (typeof value === 'object') return `0x${value.hex}`;
+  return String(value);
+}
+
+/**
+ * Filters, sorts and pages the rows of a table for the data grid
+ * @param {Array} rows - All rows (arrays of cell values)
+ * @param {Array} columns - Result of describeDataColumns
+ * @param {Object} query - { filters, sort, offset, limit }
+ *   filters: { columnName: text } — text is matched case-insensitively anywhere in the value, or
+ *     compared with an operator (>, >=, <, <=, =, !=); NULL matches empty values and !NULL the others
+ *   sort: { column, descending } or null for the order of the dump
+ * @returns {Object} { rows, total } — the rows of the page, and the number of rows passing the filters
+ */
+function queryRows(rows, columns, { filters = {}, sort = null, offset = 0, limit = 100 } = {}) {
+  const tests = Object.entries(filters)
+    .map(([name, text]) => ({ position: columns.findIndex(column => column.name === name), text: String(text).trim() }))
+    .filter(({ position, text }) => position !== -1 && text !== '')
+    .map(({ position, text }) => {
+      const test = createFilter(text, columns[position].kind);
+      return row => test(row[position]);
+    });
+
+  let matching = tests.length > 0 ? rows.filter(row => tests.every(test => test(row))) : rows;
+
+  const sortPosition = sort ? columns.findIndex(column => column.name === sort.column) : -1;
+  if (sortPosition !== -1) {
+    const direction = sort.descending ? -1 : 1;
+    const kind = columns[sortPosition].kind;
+    // Rows with equal values keep the order of the dump
+    matching = matching
+      .map((row, index) => ({ row, index }))
+      .sort((a, b) => direction * compareCells(a.row[sortPosition], b.row[sortPosition], kind) || a.index - b.index)
+      .map(({ row }) => row);
+  }
+
+  return { rows: matching.slice(offset, offset + limit), total: matching.length };
+}
+
+/**
+ * Test of one grid filter
+ * @returns {Function} value → Boolean
+ */
+function createFilter(text, kind) {
+  if (/^null$/i.test(text)) return value => value === null;
+  if (/^!null$/i.test(text)) return value => value !== null;
+
+  const operator = text.match(FILTER_OPERATOR_PATTERN);
+  if (operator) {
+    const [, symbol, operandText] = operator;
+    const operand = kind === 'numeric' && NUMBER_PATTERN.test(operandText) ? Number(operandText) : operandText;
+    return (value) => {
+      if (value === null) return false;
+      const order = compareCells(typeof operand === 'number' ? Number(value) : formatCellText(value), operand, kind);
+      switch (symbol) {
+        case '>': return order > 0;
+        case '>=': return order >= 0;
+        case '<': return order < 0;
+        case '<=': return order <= 0;
+        case '!=': return order !== 0;
+        default: return order === 0;
+      }
+    };
+  }
+
+  const needle = text.toLowerCase();
+  return value => value !== null && formatCellText(value).toLowerCase().includes(needle);
+}
+
+/**
+ * Orders two cells: NULL first, numbers by value, everything else by text
+ */
+function compareCells(a, b, kind) {
+  if (a === null || b === null) return (a === null ? 0 : 1) - (b === null ? 0 : 1);
+  if (kind === 'numeric' || (typeof a === 'number' && typeof b === 'number')) {
+    const difference = Number(a) - Number(b);
+    if (!Number.isNaN(difference)) return Math.sign(difference);
+  }
+  const textA = formatCellText(a);
+  const textB = formatCellText(b);
+  return textA < textB ? -1 : textA > textB ? 1 : 0;
+}
+
+module.exports = {
+  DATA_EXPORT_FORMATS,
+  describeDataColumns,
+  readInsertValue,
+  readCopyValue,
+  formatCsvRecord,
+  formatJsonRecord,
+  formatCellText,
+  queryRows
+};
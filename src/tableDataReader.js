@@ -0,0 +1,285 @@
+/**
+ * Rows of tables, streamed out of a dump
+ * Reads the INSERT statements and COPY data blocks of a table (see tableData.js for how the values
+ * are read) to write them to a CSV or JSON Lines file, or to load them for the data grid; the query
+ * console loads every table the same way. Other statements are only split, not parsed, so tables
+ * are pulled out of a large dump in one pass. Columns a row leaves out (or sets to DEFAULT) get the
+ * column's default, and rows that leave their auto-increment key to the database get the value it
+ * would assign, so that joins on the key still find them.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { createFileOutput } = require('./fileOutput');
+const { readStatements } = require('./streamAnalysis');
+const {
+  createKeySequence,
+  isInsertStatement,
+  isCopyStatement,
+  parseInsertStatement,
+  parseCopyStatement,
+  decodeCopyField
+} = require('./sqlRows');
+const {
+  DATA_EXPORT_FORMATS,
+  describeDataColumns,
+  readInsertValue,
+  readCopyValue,
+  formatCsvRecord,
+  formatJsonRecord
+} = require('./tableData');
+
+// Minimum time between progress callbacks
+const PROGRESS_INTERVAL_MS = 200;
+
+// Rows loaded for the data grid; larger tables are browsed from their first rows
+const MAX_GRID_ROWS = 200000;
+
+/**
+ * Calls back with the rows of a table, batch by batch, in the order of the dump
+ * @param {String} sourcePath - Dump to read
+ * @param {Object} table - Table from the analysis of the dump
+ * @param {Object} options - { dialect, signal, onProgress, onRows } — onRows(rows) may return a promise
+ *   (waited for) or false to stop reading
+ * @returns {Promise<Object>} { rowsRead, expressionCount, skippedCount } — expressionCount counts the
+ *   values kept as SQL text (expression defaults such as CURRENT_TIMESTAMP included), skippedCount the statements into the table whose rows could not be read
+ */
+async function readTableRows(sourcePath, table, { dialect, signal, onProgress, onRows }) {
+  return readDumpRows(sourcePath, [table], {
+    dialect,
+    signal,
+    onProgress: onProgress && (({ bytesRead, totalBytes, rowsRead }) => (
+      onProgress({ tableName: table.tableName, bytesRead, totalBytes, rowsRead })
+    )),
+    onRows: rows => onRows(rows)
+  });
+}
+
+/**
+ * Calls back with the rows of several tables in a single pass over the dump
+ * @param {String} sourcePath - Dump to read
+ * @param {Array} tables - Tables from the analysis of the dump
+ * @param {Object} options - { dialect, signal, onProgress, onRows } — onRows(rows, tableName) may
+ *   return a promise (waited for) or false to stop reading; progress is { tableCount, bytesRead,
+ *   totalBytes, rowsRead }
+ * @returns {Promise<Object>} { rowsRead, expressionCount, skippedCount }, summed over the tables
+ */
+async function readDumpRows(sourcePath, tables, { dialect, signal, onProgress, onRows }) {
+  const tablesByName = new Map(tables.map((table) => {
+    const columns = describeDataColumns(table);
+    return [table.tableName, {
+      columns,
+      columnNames: columns.map(column => column.name),
+      defaults: table.columns.map((column, index) => readColumnDefault(column, columns[index].kind, dialect)),
+      keyIndex: table.columns.findIndex(column => column.autoIncrement),
+      keySequence: createKeySequence()
+    }];
+  }));
+  const stats = { rowsRead: 0, expressionCount: 0, skippedCount: 0 };
+  const { size: totalBytes } = await fs.promises.stat(sourcePath);
+
+  let lastProgressAt = 0;
+  const reportProgress = (bytesRead, force) => {
+    const now = Date.now();
+    if (!onProgress || (!force && now - lastProgressAt < PROGRESS_INTERVAL_MS)) return;
+    lastProgressAt = now;
+    onProgress({ tableCount: tables.length, bytesRead, totalBytes, rowsRead: stats.rowsRead });
+  };
+
+  let stopped = false;
+  for await (const batch of readStatements(sourcePath, dialect, { signal })) {
+    for (const statement of batch.statements) {
+      const found = readStatementRows(statement.text, tablesByName, dialect, stats);
+      if (found === null || found.rows.length === 0) continue;
+      stats.rowsRead += found.rows.length;
+      stopped = await onRows(found.rows, found.tableName) === false;
+      if (stopped) break;
+    }
+    reportProgress(batch.bytesRead, false);
+    if (stopped) break;
+  }
+
+  reportProgress(totalBytes, true);
+  return stats;
+}
+
+/**
+ * Rows of one statement, with their values in the order of the table's columns
+ * @returns {Object|null} { tableName, rows }, or null when the statement does not insert into one of
+ *   the tables
+ */
+function readStatementRows(text, tablesByName, dialect, stats) {
+  if (isInsertStatement(text)) {
+    const insert = parseInsertStatement(text, dialect);
+    if (!insert) {
+      if (namesAnyTable(text, tablesByName)) stats.skippedCount++;
+      return null;
+    }
+    const target = tablesByName.get(insert.table);
+    if (!target) return null;
+
+    const { columns, columnNames, defaults } = target;
+    const positions = mapPositions(insert.columns || columnNames, columnNames);
+    const rows = insert.rows.map(cells => positions.map((position, index) => {
+      if (position === -1) return useDefault(defaults[index], stats);
+      if (position >= cells.length) return null;
+      if (/^\s*DEFAULT\s*$/i.test(cells[position])) return useDefault(defaults[index], stats);
+      const { value, expression } = readInsertValue(cells[position], columns[index].kind, dialect);
+      if (expression) stats.expressionCount++;
+      return value;
+    }));
+    return { tableName: insert.table, rows: fillGeneratedKeys(target, rows) };
+  }
+
+  if (isCopyStatement(text)) {
+    const copy = parseCopyStatement(text);
+    if (!copy) {
+      if (namesAnyTable(text, tablesByName)) stats.skippedCount++;
+      return null;
+    }
+    const target = tablesByName.get(copy.table);
+    if (!target) return null;
+
+    const { columns, columnNames, defaults } = target;
+    const positions = mapPositions(copy.columns || columnNames, columnNames);
+    const rows = copy.lines.map((line) => {
+      const fields = line.split('\t');
+      return positions.map((position, index) => {
+        if (position === -1) return useDefault(defaults[index], stats);
+        return position >= fields.length ? null : readCopyValue(decodeCopyField(fields[position]), columns[index].kind);
+      });
+    });
+    return { tableName: copy.table, rows: fillGeneratedKeys(target, rows) };
+  }
+
+  return null;
+}
+
+/**
+ * Value a column gets when a row leaves it out, read like an INSERT value from the column's DEFAULT:
+ * { value, expression } — NULL without a default, and for auto-increment keys, which
+ * fillGeneratedKeys assigns
+ */
+function readColumnDefault(column, kind, dialect) {
+  if (column.autoIncrement || column.defaultValue === null || column.defaultValue === undefined) {
+    return { value: null, expression: false };
+  }
+  // MySQL writes ON UPDATE after the default of a timestamp column
+  return readInsertValue(column.defaultValue.replace(/\s+ON UPDATE\s+.*$/i, ''), kind, dialect);
+}
+
+function useDefault({ value, expression }, stats) {
+  if (expression) stats.expressionCount++;
+  return value;
+}
+
+/**
+ * Gives the rows without an auto-increment key (left out, NULL or DEFAULT) the value the database
+ * assigns, following the keys of the table's rows in the order of the dump
+ */
+function fillGeneratedKeys({ keyIndex, keySequence }, rows) {
+  if (keyIndex === -1) return rows;
+  rows.forEach((row) => {
+    if (row[keyIndex] === null) {
+      row[keyIndex] = keySequence.next();
+    } else {
+      keySequence.observe(row[keyIndex]);
+    }
+  });
+  return rows;
+}
+
+/**
+ * Writes the rows of a table to a CSV (with a header line) or JSON Lines file
+ * @param {String} sourcePath - Dump to read
+ * @param {String} outputPath - File to write (replaced if it exists)
+ * @param {Object} table - Table from the analysis of the dump
+ * @param {Object} options - { format: 'csv' or 'jsonl', dialect, signal, onProgress } — aborting
+ *   removes the partial file and rejects with an AbortError
+ * @returns {Promise<Object>} { outputPath, rowsWritten, expressionCount, skippedCount }
+ */
+async function exportTableData(sourcePath, outputPath, table, { format, dialect, signal, onProgress }) {
+  if (!DATA_EXPORT_FORMATS.some(candidate => candidate.id === format)) {
+    throw new Error(`Unknown data export format: ${format} (expected ${DATA_EXPORT_FORMATS.map(candidate => candidate.id).join(', ')})`);
+  }
+  if (path.resolve(sourcePath) === path.resolve(outputPath)) {
+    throw new Error('The exported data cannot replace the dump it is read from');
+  }
+
+  const columns = describeDataColumns(table);
+  const formatRow = format === 'csv' ? formatCsvRecord : row => formatJsonRecord(columns, row);
+  const output = createFileOutput(outputPath);
+  try {
+    if (format === 'csv') await output.write(`${formatCsvRecord(columns.map(column => column.name))}\n`);
+    const stats = await readTableRows(sourcePath, table, {
+      dialect,
+      signal,
+      onProgress,
+      onRows: rows => output.write(rows.map(row => `${formatRow(row)}\n`).join(''))
+    });
+    await output.close();
+    return { outputPath, rowsWritten: stats.rowsRead, expressionCount: stats.expressionCount, skippedCount: stats.skippedCount };
+  } catch (error) {
+    await output.discard();
+    throw error;
+  }
+}
+
+/**
+ * Loads the rows of a table for the data grid
+ * @param {String} sourcePath - Dump to read
+ * @param {Object} table - Table from the analysis of the dump
+ * @param {Object} options - { dialect, signal, onProgress }
+ * @returns {Promise<Object>} { columns, rows, truncated, expressionCount, skippedCount } — columns as
+ *   from describeDataColumns; truncated when the table has more rows than the grid loads
+ */
+async function loadTableRows(sourcePath, table, { dialect, signal, onProgress }) {
+  const rows = [];
+  let truncated = false;
+  const stats = await readTableRows(sourcePath, table, {
+    dialect,
+    signal,
+    onProgress,
+    onRows: (batch) => {
+      for (const row of batch) {
+        if (rows.length === MAX_GRID_ROWS) {
+          truncated = true;
+          return false;
+        }
+        rows.push(row);
+      }
+      return true;
+    }
+  });
+
+  return { columns: describeDataColumns(table), rows, truncated, expressionCount: stats.expressionCount, skippedCount: stats.skippedCount };
+}
+
+/**
+ * Position of each table column in the column list of a statement (-1 when it is not listed)
+ */
+function mapPositions(statementColumns, columnNames) {
+  return columnNames.map(name => statementColumns.indexOf(name));
+}
+
+/**
+ * Whether a statement whose rows cannot be read (INSERT ... SELECT, COPY in CSV format) is about one
+ * of the tables, judging from the names near its start
+ */
+function namesAnyTable(text, tablesByName) {
+  const start = text.slice(0, 200);
+  return [...tablesByName.keys()].some(tableName => (
+    new RegExp(`[\\s.\`"[]${escapeRegExp(tableName)}[\\s\`"\\](]`, 'i').test(start)
+  ));
+}
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+module.exports = {
+  MAX_GRID_ROWS,
+  readDumpRows,
+  exportTableData,
+  loadTableRows
+};
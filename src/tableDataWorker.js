@@ -0,0 +1,41 @@
+/**
+ * Worker thread entry point for reading the rows of one table out of a SQL dump file
+ * Exports them to a file (job 'export') or loads them for the data grid (job 'load') off the main
+ * process, and reports back with messages:
+ * { type: 'progress', progress }, { type: 'complete', result },
+ * { type: 'cancelled' } or { type: 'error', message }
+ */
+
+const { parentPort, workerData } = require('worker_threads');
+const { exportTableData, loadTableRows } = require('./tableDataReader');
+
+const controller = new AbortController();
+
+parentPort.on('message', (message) => {
+  if (message && message.type === 'cancel') {
+    controller.abort();
+  }
+});
+
+const options = {
+  format: workerData.format,
+  dialect: workerData.dialect,
+  signal: controller.signal,
+  onProgress: (progress) => parentPort.postMessage({ type: 'progress', progress })
+};
+
+const job = workerData.job === 'export'
+  ? exportTableData(workerData.sourcePath, workerData.outputPath, workerData.table, options)
+  : loadTableRows(workerData.sourcePath, workerData.table, options);
+
+job
+  .then((result) => {
+    parentPort.postMessage({ type: 'complete', result });
+  })
+  .catch((error) => {
+    if (error.name === 'AbortError') {
+      parentPort.postMessage({ type: 'cancelled' });
+    } else {
+      parentPort.postMessage({ type: 'error', message: error.message });
+    }
+  });
@@ -0,0 +1,236 @@
+/**
+ * Workspace persistence
+ * Keeps the list of recently opened files, the annotations of the schemas and the analysis
+ * sessions. Annotations are stored in a sidecar file next to the dump, named after it
+ * (shop.sql.annotations.json for shop.sql), so that dumps sharing a directory keep their own. A session is a .schemalens project file
+ * holding the analyzed source (its path relative to the session file and the SHA-256 hash of its
+ * contents), the dialect, the annotations, the state of the UI and the analysis itself, so that an
+ * unchanged dump reopens without being analyzed again.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { normalizeAnnotations } = require('./annotations');
+
+const ANNOTATIONS_FILE_SUFFIX = '.annotations.json';
+
+const SESSION_EXTENSION = 'schemalens';
+const SESSION_FORMAT = 'schemalens-session';
+const SESSION_VERSION = 1;
+
+// Kinds of recent files and session sources
+const SOURCE_KINDS = {
+  DUMP: 'dump',
+  SQLITE: 'sqlite',
+  DATABASE: 'database',
+  SESSION: 'session'
+};
+
+const RECENT_FILES_LIMIT = 10;
+
+/**
+ * Hashes the contents of a file
+ * @param {String} filePath - File to hash
+ * @returns {Promise<String>} Hex SHA-256 digest
+ */
+function hashFile(filePath) {
+  return new Promise((resolve, reject) => {
+    const hash = crypto.createHash('sha256');
+    fs.createReadStream(filePath)
+      .on('data', chunk => hash.update(chunk))
+      .on('error', reject)
+      .on('end', () => resolve(hash.digest('hex')));
+  });
+}
+
+/**
+ * Annotations sidecar file of a dump or SQLite database
+ * @param {String} sourcePath - Path of the analyzed file
+ * @returns {String} Path of the <file name>.annotations.json file in the same directory
+ */
+function findAnnotationsFile(sourcePath) {
+  return `${path.resolve(sourcePath)}${ANNOTATIONS_FILE_SUFFIX}`;
+}
+
+/**
+ * Reads an annotations file
+ * @param {String} annotationsPath - Path of the file
+ * @returns {Promise<Object|null>} Normalized annotations, or null when the file does not exist
+ * @throws {Error} When the file cannot be read or is not valid
+ */
+async function readAnnotations(annotationsPath) {
+  let contents;
+  try {
+    contents = await fs.promises.readFile(annotationsPath, 'utf8');
+  } catch (error) {
+    if (error.code === 'ENOENT') return null;
+    throw new Error(`Cannot read annotations file ${annotationsPath}: ${error.message}`);
+  }
+
+  try {
+    return normalizeAnnotations(JSON.parse(contents));
+  } catch (error) {
+    throw new Error(`Invalid annotations file ${annotationsPath}: ${error.message}`);
+  }
+}
+
+/**
+ * Writes an annotations file, creating its directory when needed
+ * @param {String} annotationsPath - Path of the file
+ * @param {Object} annotations - Annotations to store
+ * @returns {Promise<void>}
+ */
+async function writeAnnotations(annotationsPath, annotations) {
+  await fs.promises.mkdir(path.dirname(annotationsPath), { recursive: true });
+  await fs.promises.writeFile(annotationsPath, `${JSON.stringify(normalizeAnnotations(annotations), null, 2)}\n`);
+}
+
+/**
+ * Writes an analysis session file
+ * @param {String} sessionPath - Path of the .schemalens file
+ * @param {Object} session - { source: { kind, path, hash }, dialect, annotations, uiState, analysis };
+ *   the source path of a dump or SQLite file is stored relative to the session file, a database
+ *   server source keeps its label (without the password)
+ * @returns {Promise<void>}
+ */
+async function writeSession(sessionPath, session) {
+  const { source } = session;
+  const storedSource = source.kind === SOURCE_KINDS.DATABASE
+    ? { kind: source.kind, path: source.path, hash: null }
+    : { kind: source.kind, path: path.relative(path.dirname(path.resolve(sessionPath)), source.path), hash: source.hash };
+
+  const contents = {
+    format: SESSION_FORMAT,
+    version: SESSION_VERSION,
+    savedAt: new Date().toISOString(),
+    source: storedSource,
+    dialect: session.dialect,
+    annotations: session.annotations || {},
+    uiState: session.uiState || {},
+    analysis: session.analysis
+  };
+  await fs.promises.writeFile(sessionPath, `${JSON.stringify(contents, null, 2)}\n`);
+}
+
+/**
+ * Reads and validates an analysis session file
+ * @param {String} sessionPath - Path of the .schemalens file
+ * @returns {Promise<Object>} Session as written by writeSession, with an absolute source path
+ * @throws {Error} When the file cannot be read or is not a session
+ */
+async function readSession(sessionPath) {
+  let session;
+  try {
+    session = JSON.parse(await fs.promises.readFile(sessionPath, 'utf8'));
+  } catch (error) {
+    throw new Error(`Invalid session file ${sessionPath}: ${error.message}`);
+  }
+
+  if (!session || session.format !== SESSION_FORMAT) {
+    throw new Error(`Invalid session file ${sessionPath}: not a SchemaLens session`);
+  }
+  if (session.version > SESSION_VERSION) {
+    throw new Error(`Invalid session file ${sessionPath}: saved by a newer version (format ${session.version})`);
+  }
+  const { source, analysis } = session;
+  if (!source || !Object.values(SOURCE_KINDS).includes(source.kind) || typeof source.path !== 'string' ||
+    !analysis || !Array.isArray(analysis.tables)) {
+    throw new Error(`Invalid session file ${sessionPath}: missing source or analysis`);
+  }
+
+  return {
+    ...session,
+    source: source.kind === SOURCE_KINDS.DATABASE
+      ? source
+      : { ...source, path: path.resolve(path.dirname(path.resolve(sessionPath)), source.path) },
+    annotations: session.annotations || {},
+    uiState: session.uiState || {}
+  };
+}
+
+/**
+ * Creates the recent files list, persisted as JSON
+ * @param {String} storePath - File the list is stored in
+ * @param {Object} [options] - { limit }
+ * @returns {Object} { list, add, remove } — all asynchronous; entries are { path, kind, openedAt },
+ *   most recent first
+ */
+function createRecentFiles(storePath, { limit = RECENT_FILES_LIMIT } = {}) {
+  // Loaded on first use; writes are chained so that they land in order
+  let entries = null;
+  let pendingWrite = Promise.resolve();
+
+  const load = async () => {
+    if (entries) return entries;
+    try {
+      const stored = JSON.parse(await fs.promises.readFile(storePath, 'utf8'));
+      entries = Array.isArray(stored) ? stored.filter(entry => entry && typeof entry.path === 'string') : [];
+    } catch (error) {
+      // A missing or damaged list starts over empty
+      entries = [];
+    }
+    return entries;
+  };
+
+  const save = () => {
+    const snapshot = JSON.stringify(entries, null, 2);
+    pendingWrite = pendingWrite
+      .then(() => fs.promises.mkdir(path.dirname(storePath), { recursive: true }))
+      .then(() => fs.promises.writeFile(storePath, snapshot))
+      .catch(error => console.error('Error saving recent files:', error.message));
+    return pendingWrite;
+  };
+
+  /**
+   * Lists the recent files that still exist
+   */
+  const list = async () => {
+    const existing = await Promise.all((await load()).map(async entry => {
+      try {
+        await fs.promises.access(entry.path, fs.constants.R_OK);
+        return entry;
+      } catch (error) {
+        return null;
+      }
+    }));
+    return existing.filter(Boolean);
+  };
+
+  /**
+   * Moves a file to the top of the list
+   */
+  const add = async (filePath, kind) => {
+    const resolvedPath = path.resolve(filePath);
+    entries = [
+      { path: resolvedPath, kind, openedAt: new Date().toISOString() },
+      ...(await load()).filter(entry => entry.path !== resolvedPath)
+    ].slice(0, limit);
+    await save();
+  };
+
+  const remove = async (filePath) => {
+    const resolvedPath = path.resolve(filePath);
+    entries = (await load()).filter(entry => entry.path !== resolvedPath);
+    await save();
+  };
+
+  return {
+    list,
+    add,
+    remove
+  };
+}
+
+module.exports = {
+  ANNOTATIONS_FILE_SUFFIX,
+  SESSION_EXTENSION,
+  SOURCE_KINDS,
+  hashFile,
+  findAnnotationsFile,
+  readAnnotations,
+  writeAnnotations,
+  writeSession,
+  readSession,
+  createRecentFiles
+};
@@ -3,7 +3,20 @@ module.exports = {
    * This is the main entry point for your application, it's the first file
    * that runs in the main process.
    */
-  entry: './src/main.js',
+  entry: {
+    index: './src/main.js',
+    // SQL dumps are analyzed in a worker thread (see startFileAnalysis in main.js)
+    analysisWorker: './src/analysisWorker.js',
+    // Anonymized copies are written by another worker (see the anonymize-dump handler in main.js)
+    anonymizeWorker: './src/anonymizeWorker.js',
+    // So are the rows of one table, exported or loaded for the data grid
+    tableDataWorker: './src/tableDataWorker.js',
+    // And the query console's database, with the queries run against it
+    queryWorker: './src/queryWorker.js',
+  },
+  output: {
+    filename: '[name].js',
+  },
   // Put your normal webpack config below here
   module: {
     rules: require('./webpack.rules'),